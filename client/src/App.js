@@ -21,9 +21,27 @@ import AdminFacultyRequests from './pages/AdminFacultyRequests';
 import AdminDataUpload from './pages/AdminDataUpload';
 import AdminDashboard from './pages/AdminDashboard';
 import AdminSuspiciousDevices from './pages/AdminSuspiciousDevices';
+import DeviceMonitoring from './pages/DeviceMonitoring';
+import ProxyCases from './pages/ProxyCases';
+import AttendanceRegister from './pages/AttendanceRegister';
 import AdminStudentRecords from './pages/AdminStudentRecords';
 import AdminFacultyRecords from './pages/AdminFacultyRecords';
 import FacultyPastAttendance from './pages/FacultyPastAttendance';
+import AtRiskStudents from './pages/AtRiskStudents';
+import StudentLeaveRequests from './pages/StudentLeaveRequests';
+import LeaveRequestReview from './pages/LeaveRequestReview';
+import AdminAuditLog from './pages/AdminAuditLog';
+import AdminRiskScoring from './pages/AdminRiskScoring';
+import AdminAnalytics from './pages/AdminAnalytics';
+import AdminReportSchedules from './pages/AdminReportSchedules';
+import AdminSheetSync from './pages/AdminSheetSync';
+import AdminWebhooks from './pages/AdminWebhooks';
+import AdminAcademicStructure from './pages/AdminAcademicStructure';
+import AdminAccounts from './pages/AdminAccounts';
+import AttendanceDisputeReview from './pages/AttendanceDisputeReview';
+import StudentDeviceChange from './pages/StudentDeviceChange';
+import DeviceRebindReview from './pages/DeviceRebindReview';
+import ActiveSessions from './pages/ActiveSessions';
 import Footer from './components/Footer';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import ChatPage from './pages/ChatPage';
@@ -162,13 +180,37 @@ function App() {
                   } 
                 />
                 <Route 
-                  path="/student/attendance/details/:facultyId" 
+                  path="/student/attendance/details/:subjectKey" 
                   element={
                     <ProtectedRoute allowedRoles={['student']}>
                       <StudentAttendanceDetails />
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/student/leave-requests" 
+                  element={
+                    <ProtectedRoute allowedRoles={['student']}>
+                      <StudentLeaveRequests />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/student/device-change" 
+                  element={
+                    <ProtectedRoute allowedRoles={['student']}>
+                      <StudentDeviceChange />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/account/sessions" 
+                  element={
+                    <ProtectedRoute allowedRoles={['student', 'faculty']}>
+                      <ActiveSessions />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/suspicious-activity" 
                   element={
@@ -177,6 +219,22 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/faculty/device-monitoring" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <DeviceMonitoring />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/faculty/cases" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <ProxyCases />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/admin/suspicious-devices" 
                   element={
@@ -185,6 +243,14 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/admin/cases" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <ProxyCases isAdmin />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/faculty/past-attendance" 
                   element={
@@ -193,6 +259,46 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/faculty/register" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <AttendanceRegister />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/faculty/at-risk-students" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <AtRiskStudents />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/faculty/leave-requests" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <LeaveRequestReview />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/faculty/device-requests" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <DeviceRebindReview />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/faculty/disputes" 
+                  element={
+                    <ProtectedRoute allowedRoles={['faculty']}>
+                      <AttendanceDisputeReview />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route path="/admin/login" element={<AdminLogin />} />
                 <Route 
                   path="/admin/dashboard" 
@@ -210,6 +316,94 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/admin/at-risk-students" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AtRiskStudents isAdmin />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/leave-requests" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <LeaveRequestReview isAdmin />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/device-requests" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <DeviceRebindReview isAdmin />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/audit-logs" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminAuditLog />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/risk-scoring" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminRiskScoring />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/analytics" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminAnalytics />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/report-schedules" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminReportSchedules />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/sheet-sync" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminSheetSync />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/webhooks" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminWebhooks />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/academic-structure" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminAcademicStructure />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/admin/accounts" 
+                  element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <AdminAccounts />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/admin/upload-data" 
                   element={
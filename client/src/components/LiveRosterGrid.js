@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import axios from 'axios';
+import '../styles/LiveRosterGrid.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const FILTERS = ['all', 'present', 'joined', 'missing', 'flagged'];
+
+// Students whose proxy-risk score reached the admin-set flag threshold
+const isRiskFlagged = (student) => Boolean(student.risk) && ['flagged', 'critical'].includes(student.risk.level);
+
+const matchesFilter = (student, filter) => {
+    if (filter === 'present') return student.present;
+    if (filter === 'joined') return student.joined && !student.present;
+    if (filter === 'missing') return !student.joined && !student.present;
+    if (filter === 'flagged') return student.deviceMismatch || Boolean(student.locationFlag) || isRiskFlagged(student);
+    return true;
+};
+
+const LOCATION_FLAG_LABELS = {
+    missing: 'No location',
+    inaccurate: 'Imprecise location',
+    outside: 'Outside classroom'
+};
+
+const describeLocationFlag = (flag) => `${LOCATION_FLAG_LABELS[flag.reason] || 'Location'}${flag.distanceMeters !== null && flag.distanceMeters !== undefined ? ` (${flag.distanceMeters} m)` : ''}${flag.action === 'rejected' ? ' - scan rejected' : ''}`;
+
+const formatTime = (value) => value
+    ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '';
+
+// Live roster of a single QR session: one tile per enrolled student, updated over Socket.IO
+const LiveRosterGrid = memo(({ sessionId, sessionStatus, socket, onStatsUpdate }) => {
+    const [students, setStudents] = useState([]);
+    const [filter, setFilter] = useState('all');
+    const [error, setError] = useState('');
+    const [busyRoll, setBusyRoll] = useState(null);
+
+    const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+    const fetchRoster = useCallback(async () => {
+        if (!sessionId) return;
+        try {
+            const response = await axios.get(`${BACKEND_URL}/api/qr-attendance/session/${sessionId}/roster`, {
+                headers: authHeaders()
+            });
+            setStudents(response.data.students || []);
+            setError('');
+        } catch (err) {
+            console.error('Error fetching live roster:', err);
+            setError(err.response?.data?.message || 'Failed to load live roster');
+        }
+    }, [sessionId]);
+
+    useEffect(() => {
+        fetchRoster();
+    }, [fetchRoster, sessionStatus]);
+
+    // EFFECT: Apply each join / mark / removal pushed by the server
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleRosterUpdate = ({ sessionId: updatedSessionId, student, stats }) => {
+            if (updatedSessionId !== sessionId) return;
+
+            setStudents(prev => {
+                const index = prev.findIndex(entry => entry.rollNumber === student.rollNumber);
+                const merged = {
+                    ...(index >= 0 ? prev[index] : { name: student.name, studentId: student.studentId, notEnrolled: true }),
+                    joined: Boolean(student.joinedAt),
+                    present: Boolean(student.markedAt),
+                    joinedAt: student.joinedAt || null,
+                    markedAt: student.markedAt || null,
+                    deviceMismatch: Boolean(student.deviceMismatch),
+                    locationFlag: student.locationFlag || null,
+                    risk: student.risk || null,
+                    manual: Boolean(student.manual)
+                };
+                if (index < 0) return [...prev, { ...merged, rollNumber: student.rollNumber }];
+                return prev.map((entry, i) => (i === index ? merged : entry));
+            });
+
+            if (onStatsUpdate && stats) {
+                onStatsUpdate(stats);
+            }
+        };
+
+        socket.on('qr-rosterUpdate', handleRosterUpdate);
+        return () => {
+            socket.off('qr-rosterUpdate', handleRosterUpdate);
+        };
+    }, [socket, sessionId, onStatsUpdate]);
+
+    const handleMark = async (rollNumber) => {
+        setBusyRoll(rollNumber);
+        try {
+            await axios.post(
+                `${BACKEND_URL}/api/qr-attendance/session/${sessionId}/roster/${encodeURIComponent(rollNumber)}/mark`,
+                {},
+                { headers: authHeaders() }
+            );
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to mark student');
+        } finally {
+            setBusyRoll(null);
+        }
+    };
+
+    const handleRemove = async (student) => {
+        if (!window.confirm(`Remove ${student.name} (${student.rollNumber}) from this session?`)) return;
+        setBusyRoll(student.rollNumber);
+        try {
+            await axios.delete(
+                `${BACKEND_URL}/api/qr-attendance/session/${sessionId}/roster/${encodeURIComponent(student.rollNumber)}`,
+                { headers: authHeaders() }
+            );
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove student');
+        } finally {
+            setBusyRoll(null);
+        }
+    };
+
+    const visibleStudents = students.filter(student => matchesFilter(student, filter));
+
+    const getTileState = (student) => {
+        if (student.present) return 'present';
+        if (student.joined) return 'joined';
+        return 'missing';
+    };
+
+    const canEdit = sessionStatus !== 'ended';
+
+    return (
+        <div className="live-roster">
+            <div className="live-roster-header">
+                <h4>Live Roster</h4>
+                <div className="live-roster-filters">
+                    {FILTERS.map(option => (
+                        <button
+                            key={option}
+                            className={filter === option ? 'active' : ''}
+                            onClick={() => setFilter(option)}
+                        >
+                            {option.charAt(0).toUpperCase() + option.slice(1)}
+                            {' '}({students.filter(student => matchesFilter(student, option)).length})
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error && <div className="live-roster-error">{error}</div>}
+
+            {students.length === 0 ? (
+                <div className="live-roster-empty">No enrolled students found for this section.</div>
+            ) : (
+                <div className="live-roster-grid">
+                    {visibleStudents.map(student => (
+                        <div
+                            key={student.rollNumber}
+                            className={`live-roster-tile ${getTileState(student)} ${student.deviceMismatch || student.locationFlag || isRiskFlagged(student) ? 'flagged' : ''}`}
+                            title={student.deviceMismatch ? 'Device does not match the registered device' : ''}
+                        >
+                            <div className="live-roster-roll">{student.rollNumber}</div>
+                            <div className="live-roster-name">{student.name}</div>
+                            <div className="live-roster-time">
+                                {student.present
+                                    ? `✅ ${formatTime(student.markedAt)}${student.manual ? ' (manual)' : ''}`
+                                    : student.joined ? `🚪 ${formatTime(student.joinedAt)}` : '—'}
+                            </div>
+                            {student.deviceMismatch && <div className="live-roster-flag">⚠️ Device mismatch</div>}
+                            {student.locationFlag && <div className="live-roster-flag">📍 {describeLocationFlag(student.locationFlag)}</div>}
+                            {student.risk && student.risk.score > 0 && (
+                                <div className={`live-roster-flag ${isRiskFlagged(student) ? '' : 'live-roster-risk-low'}`}>
+                                    🛡️ Risk {student.risk.score}
+                                </div>
+                            )}
+                            {student.notEnrolled && <div className="live-roster-flag">Not on roster</div>}
+                            {canEdit && (
+                                <div className="live-roster-actions">
+                                    {!student.present && !student.notEnrolled && (
+                                        <button onClick={() => handleMark(student.rollNumber)} disabled={busyRoll === student.rollNumber}>
+                                            Mark
+                                        </button>
+                                    )}
+                                    {(student.present || student.joined) && (
+                                        <button className="remove" onClick={() => handleRemove(student)} disabled={busyRoll === student.rollNumber}>
+                                            Remove
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+});
+
+export default LiveRosterGrid;
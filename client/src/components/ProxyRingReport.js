@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import '../styles/ProxyRingReport.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const IDENTIFIER_LABELS = {
+  fingerprint: 'Device fingerprint',
+  webrtc: 'WebRTC IP',
+  ip: 'IP address'
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const shorten = (value, length = 14) => (value && value.length > length ? `${value.substring(0, length)}…` : value);
+
+const getScoreLevel = (score) => {
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+};
+
+/**
+ * Ranked proxy-ring report (students linked by shared devices across sessions)
+ * with a drill-down into one ring's identifiers and scan timeline.
+ * @param {string} apiPath - '/api/admin/proxy-rings' or '/api/faculty/proxy-rings'
+ * @param {boolean} allowAnalyze - Show the button that re-runs the analysis
+ * @param {string} [casesApiPath] - Proxy-case endpoint; shows "Open Case" on a ring when set
+ * @param {string} [casesPagePath] - Page the new case is opened on
+ */
+const ProxyRingReport = ({ apiPath, allowAnalyze = false, casesApiPath, casesPagePath }) => {
+  const navigate = useNavigate();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [analyzing, setAnalyzing] = useState(false);
+  const [selectedRing, setSelectedRing] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [openingCase, setOpeningCase] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${BACKEND_URL}${apiPath}`, { headers: authHeaders() });
+      setReport(response.data.report);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching proxy rings:', err);
+      setError(err.response?.data?.message || 'Failed to fetch proxy rings');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiPath]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const runAnalysis = async () => {
+    setAnalyzing(true);
+    setMessage('');
+    setError('');
+    try {
+      const response = await axios.post(`${BACKEND_URL}${apiPath}/analyze`, {}, { headers: authHeaders() });
+      setReport(response.data.report);
+      setSelectedRing(null);
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('Error running proxy-ring analysis:', err);
+      setError(err.response?.data?.message || 'Failed to run the analysis');
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const openRing = async (ringId) => {
+    if (selectedRing && selectedRing.ring._id === ringId) {
+      setSelectedRing(null);
+      return;
+    }
+
+    setDetailLoading(true);
+    try {
+      const response = await axios.get(`${BACKEND_URL}${apiPath}/${ringId}`, { headers: authHeaders() });
+      setSelectedRing(response.data);
+    } catch (err) {
+      console.error('Error fetching proxy ring:', err);
+      setError(err.response?.data?.message || 'Failed to fetch the proxy ring');
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const openCase = async (ringId) => {
+    setOpeningCase(true);
+    setError('');
+    try {
+      const response = await axios.post(`${BACKEND_URL}${casesApiPath}`, {
+        source: { type: 'proxyRing', id: ringId }
+      }, { headers: authHeaders() });
+      navigate(`${casesPagePath}?case=${response.data.case._id}`);
+    } catch (err) {
+      console.error('Error opening proxy case:', err);
+      setError(err.response?.data?.message || 'Failed to open a case for this ring');
+    } finally {
+      setOpeningCase(false);
+    }
+  };
+
+  const renderDetail = () => {
+    const { ring, timeline } = selectedRing;
+    const studentNames = Object.fromEntries(ring.students.map(student => [student.userId, student.rollNumber || student.name]));
+
+    return (
+      <div className="proxy-ring-detail">
+        {casesApiPath && (
+          <div className="proxy-ring-detail-actions">
+            <button onClick={() => openCase(ring._id)} disabled={openingCase}>
+              {openingCase ? 'Opening...' : '📁 Open Case'}
+            </button>
+          </div>
+        )}
+        <h4>Students</h4>
+        <table className="proxy-ring-table">
+          <thead>
+            <tr>
+              <th>Roll No.</th>
+              <th>Name</th>
+              <th>Class</th>
+              <th>Scans</th>
+              <th>Last Seen</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ring.students.map(student => (
+              <tr key={student.userId}>
+                <td>{student.rollNumber || '-'}</td>
+                <td>{student.name || student.studentId}</td>
+                <td>{student.department} {student.semester}-{student.section}</td>
+                <td>{student.observations}</td>
+                <td>{new Date(student.lastSeen).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Shared Identifiers</h4>
+        <table className="proxy-ring-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Value</th>
+              <th>Shared By</th>
+              <th>Same-day Shares</th>
+              <th>Last Seen</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ring.identifiers.map(identifier => (
+              <tr key={`${identifier.type}:${identifier.value}`}>
+                <td>{IDENTIFIER_LABELS[identifier.type]}</td>
+                <td className="proxy-ring-mono" title={identifier.value}>{shorten(identifier.value, 24)}</td>
+                <td>{identifier.userIds.map(userId => studentNames[userId] || userId).join(', ')}</td>
+                <td>{identifier.sameDayShares}</td>
+                <td>{new Date(identifier.lastSeen).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Scan Timeline ({timeline.length})</h4>
+        <div className="proxy-ring-timeline">
+          <table className="proxy-ring-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Student</th>
+                <th>Flow</th>
+                <th>Fingerprint</th>
+                <th>IP Address</th>
+                <th>WebRTC IPs</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {timeline.map(observation => (
+                <tr key={observation._id}>
+                  <td>{new Date(observation.observedAt).toLocaleString()}</td>
+                  <td>{observation.rollNumber || observation.name}</td>
+                  <td>{observation.source === 'qr' ? 'QR scan' : 'Grid'}</td>
+                  <td className={`proxy-ring-mono ${observation.sharedFingerprint ? 'shared' : ''}`} title={observation.fingerprint}>
+                    {shorten(observation.fingerprint) || '-'}
+                  </td>
+                  <td className={`proxy-ring-mono ${observation.sharedIP ? 'shared' : ''}`}>{observation.ipAddress || '-'}</td>
+                  <td className="proxy-ring-mono">
+                    {(observation.webRTCIPs || []).map(ip => (
+                      <span key={ip} className={observation.sharedWebRTCIPs.includes(ip) ? 'shared' : ''}>{ip} </span>
+                    ))}
+                  </td>
+                  <td>{observation.allowed ? 'Accepted' : 'Blocked'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return <div className="proxy-ring-loading">Loading proxy rings...</div>;
+  }
+
+  return (
+    <div className="proxy-ring-report">
+      <div className="proxy-ring-summary">
+        {report ? (
+          <span>
+            Generated {new Date(report.generatedAt).toLocaleString()} from the last {report.windowDays} days:
+            {' '}{report.observationCount} scans by {report.studentCount} students.
+            {report.ignoredIdentifierCount > 0 && ` ${report.ignoredIdentifierCount} identifiers shared by too many students (labs, campus network) were ignored.`}
+          </span>
+        ) : (
+          <span>The proxy-ring analysis has not run yet.</span>
+        )}
+        {allowAnalyze && (
+          <button onClick={runAnalysis} disabled={analyzing}>
+            {analyzing ? 'Analyzing...' : 'Run Analysis Now'}
+          </button>
+        )}
+      </div>
+
+      {message && <div className="proxy-ring-message">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {report && report.rings.length === 0 && (
+        <div className="proxy-ring-empty">No students share devices in this period.</div>
+      )}
+
+      {report && report.rings.length > 0 && (
+        <table className="proxy-ring-table proxy-ring-ranking">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Score</th>
+              <th>Students</th>
+              <th>Shared</th>
+              <th>Blocked</th>
+              <th>Active</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.rings.map((ring, index) => (
+              <React.Fragment key={ring._id}>
+                <tr
+                  className={`proxy-ring-row ${selectedRing && selectedRing.ring._id === ring._id ? 'selected' : ''}`}
+                  onClick={() => openRing(ring._id)}
+                >
+                  <td>{index + 1}</td>
+                  <td><span className={`proxy-ring-score ${getScoreLevel(ring.score)}`}>{ring.score}</span></td>
+                  <td>
+                    {ring.students.map(student => student.rollNumber || student.name).join(', ')}
+                    <div className="proxy-ring-muted">{ring.departments.join(', ')}</div>
+                  </td>
+                  <td>
+                    {Object.entries(ring.identifierCounts).map(([type, count]) => (
+                      <div key={type}>{count} × {IDENTIFIER_LABELS[type]}</div>
+                    ))}
+                  </td>
+                  <td>{ring.blockedAttempts}</td>
+                  <td>
+                    {new Date(ring.firstSeen).toLocaleDateString()} – {new Date(ring.lastSeen).toLocaleDateString()}
+                  </td>
+                </tr>
+                {selectedRing && selectedRing.ring._id === ring._id && (
+                  <tr>
+                    <td colSpan="6">{renderDetail()}</td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {detailLoading && <div className="proxy-ring-loading">Loading ring details...</div>}
+    </div>
+  );
+};
+
+export default ProxyRingReport;
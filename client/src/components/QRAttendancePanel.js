@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, memo, useRef } from 'react';
 import QRCode from 'react-qr-code';
 import axios from 'axios';
+import LiveRosterGrid from './LiveRosterGrid';
 import '../styles/QRAttendancePanel.css';
 
 const QRAttendancePanel = memo(({ 
@@ -25,6 +26,24 @@ const QRAttendancePanel = memo(({
     
     const timerRef = useRef(null);
 
+    // 🔢 Projector challenge code (students type it in along with the scan)
+    const [challengeEnabled, setChallengeEnabled] = useState(Boolean(sessionData?.challengeRequired));
+    const [challengeBusy, setChallengeBusy] = useState(false);
+    const [challengeError, setChallengeError] = useState('');
+
+    useEffect(() => {
+        if (sessionData?.challengeRequired !== undefined) {
+            setChallengeEnabled(Boolean(sessionData.challengeRequired));
+        }
+    }, [sessionData?.challengeRequired]);
+
+    // While attendance runs, every QR carries a code exactly when the mode is on
+    useEffect(() => {
+        if (qrData && sessionData?.status === 'active') {
+            setChallengeEnabled(Boolean(qrData.challengeCode));
+        }
+    }, [qrData, sessionData?.status]);
+
     // EFFECT: Synchronize component state with parent props (sessionData)
     // This acts as the master source of truth for initializing and resetting state.
     useEffect(() => {
@@ -103,6 +122,16 @@ const QRAttendancePanel = memo(({
         };
     }, [socket, onQRTokenRefresh]);
 
+    // Live roster pushes carry fresh Redis counts, so apply them without waiting for the poll
+    const handleRosterStats = useCallback((stats) => {
+        const totalStudents = sessionData?.totalStudents || 0;
+        setLiveStats({
+            totalJoined: stats.studentsJoined,
+            totalPresent: stats.studentsPresent,
+            presentPercentage: totalStudents > 0 ? Math.round((stats.studentsPresent / totalStudents) * 100) : 0
+        });
+    }, [sessionData?.totalStudents]);
+
     // POLLING LOGIC: Fetches marked attendance stats from the database.
     const pollAttendanceStats = useCallback(async () => {
         // For group sessions, check if we have groupSessionId, for single sessions check sessionId
@@ -147,7 +176,10 @@ const QRAttendancePanel = memo(({
                 ...prev,
                 totalPresent: stats.totalPresent || 0,
                 totalJoined: stats.totalJoined || prev.totalJoined || 0,
-                presentPercentage: stats.presentPercentage || 0
+                presentPercentage: stats.presentPercentage || 0,
+                geofence: stats.geofence || null,
+                replay: stats.replay || null,
+                risk: stats.risk || null
             }));
     
         } catch (error) {
@@ -181,6 +213,37 @@ const QRAttendancePanel = memo(({
         return () => clearInterval(interval);
     }, [sessionData?.sessionId, sessionData?.groupSessionId, sessionData?.status, pollAttendanceStats]);
 
+    // Switch the challenge code on/off; an active session gets a new QR and code straight away
+    const toggleChallengeMode = async () => {
+        const sessionIdentifier = isGroupSession ? sessionData?.groupSessionId : sessionData?.sessionId;
+        if (!sessionIdentifier) return;
+
+        setChallengeBusy(true);
+        setChallengeError('');
+        try {
+            const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+            const url = isGroupSession
+                ? `${BACKEND_URL}/api/qr-attendance/group-session/${sessionIdentifier}/challenge-mode`
+                : `${BACKEND_URL}/api/qr-attendance/session/${sessionIdentifier}/challenge-mode`;
+
+            const response = await axios.post(
+                url,
+                { enabled: !challengeEnabled },
+                { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }
+            );
+
+            setChallengeEnabled(response.data.challengeRequired);
+            if (response.data.qrData && onQRTokenRefresh) {
+                onQRTokenRefresh(response.data.qrData);
+            }
+        } catch (error) {
+            console.error('Error changing challenge mode:', error);
+            setChallengeError(error.response?.data?.message || 'Failed to change challenge mode');
+        } finally {
+            setChallengeBusy(false);
+        }
+    };
+
     // --- Helper Functions for Rendering ---
     const getStatusColor = (status) => {
         switch (status) {
@@ -219,6 +282,9 @@ const QRAttendancePanel = memo(({
                     ) : (
                         <span>{sessionData?.department} - {sessionData?.semester} - {sessionData?.section}</span>
                     )}
+                    {sessionData?.subjectCode && (
+                        <span> | {sessionData.subjectCode} - {sessionData.subjectName}</span>
+                    )}
                 </div>
             </div>
 
@@ -246,12 +312,24 @@ const QRAttendancePanel = memo(({
                     </>
                 )}
                 
+                {sessionData?.status && sessionData.status !== 'ended' && (
+                    <button
+                        className={`control-btn challenge-btn ${challengeEnabled ? 'challenge-on' : ''}`}
+                        onClick={toggleChallengeMode}
+                        disabled={challengeBusy}
+                        title="Students must type the code shown beside the QR when they scan"
+                    >
+                        🔢 Challenge Code: {challengeEnabled ? 'On' : 'Off'}
+                    </button>
+                )}
+
                 {(sessionData?.status === 'active' || sessionData?.status === 'locked') && (
                     <button className="control-btn end-btn" onClick={() => onEndSession(isGroupSession ? sessionData.groupSessionId : sessionData.sessionId)}>
                         🏁 End Session
                     </button>
                 )}
             </div>
+            {challengeError && <div className="challenge-error">{challengeError}</div>}
 
             {/* Main Interactive Panel */}
             <div className="interactive-panel">
@@ -311,6 +389,13 @@ const QRAttendancePanel = memo(({
                                     </div>
                                     <div className="qr-scan-line"></div>
                                 </div>
+                                {/* Shown on the projector only - not encoded in the QR */}
+                                {qrData.challengeCode && (
+                                    <div className="qr-challenge-code">
+                                        <span className="qr-challenge-label">Type this code after scanning</span>
+                                        <span className="qr-challenge-digits">{qrData.challengeCode}</span>
+                                    </div>
+                                )}
                             </div>
                         )}
 
@@ -326,6 +411,27 @@ const QRAttendancePanel = memo(({
                                 <div className="stat-number">{liveStats.presentPercentage}%</div>
                                 <div className="stat-label">Attendance</div>
                             </div>
+                            {liveStats.replay && (liveStats.replay.reuseRejected > 0 || liveStats.replay.proxyRingAlerts > 0) && (
+                                <div className="stat-card" title={`${liveStats.replay.proxyRingAlerts} QR code(s) scanned by unusually many devices`}>
+                                    <div className="stat-icon">🔁</div>
+                                    <div className="stat-number">{liveStats.replay.reuseRejected}</div>
+                                    <div className="stat-label">Reused QR Rejected</div>
+                                </div>
+                            )}
+                            {liveStats.risk && liveStats.risk.highestScore > 0 && (
+                                <div className="stat-card" title={liveStats.risk.students.map(student => `${student.name || student.rollNumber}: ${student.score}`).join('\n')}>
+                                    <div className="stat-icon">🛡️</div>
+                                    <div className="stat-number">{liveStats.risk.flagged}</div>
+                                    <div className="stat-label">High Risk (≥{liveStats.risk.flagScore})</div>
+                                </div>
+                            )}
+                            {liveStats.geofence && (
+                                <div className="stat-card" title={`Scans more than ${liveStats.geofence.radiusMeters} m from ${liveStats.geofence.roomName || 'the classroom'}`}>
+                                    <div className="stat-icon">📍</div>
+                                    <div className="stat-number">{liveStats.geofence.rejected + liveStats.geofence.flagged}</div>
+                                    <div className="stat-label">{liveStats.geofence.mode === 'flag' ? 'Location Flagged' : 'Outside Rejected'}</div>
+                                </div>
+                            )}
                         </div>
                     </div>
 
@@ -342,7 +448,15 @@ const QRAttendancePanel = memo(({
                 </div>
             </div>
 
-            {/* "Recent Activity" section has been removed as per your request */}
+            {/* Live roster with manual mark / remove (single sessions only) */}
+            {!isGroupSession && sessionData?.sessionId && (
+                <LiveRosterGrid
+                    sessionId={sessionData.sessionId}
+                    sessionStatus={sessionData.status}
+                    socket={socket}
+                    onStatsUpdate={handleRosterStats}
+                />
+            )}
         </div>
     );
 });
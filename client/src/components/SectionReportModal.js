@@ -8,6 +8,7 @@ const SectionReportModal = ({ isOpen, onClose, reportData, loading, error, recor
   const [localReportData, setLocalReportData] = useState(null);
   const [movingStudents, setMovingStudents] = useState(new Set());
   const [toasts, setToasts] = useState([]);
+  const [moveReason, setMoveReason] = useState('');
 
   // Sync local data with props
   React.useEffect(() => {
@@ -83,7 +84,8 @@ const SectionReportModal = ({ isOpen, onClose, reportData, loading, error, recor
         {
           givenRollNumber: student.givenRollNumber,
           fromStatus,
-          toStatus
+          toStatus,
+          reason: moveReason
         },
         {
           headers: {
@@ -204,6 +206,18 @@ const SectionReportModal = ({ isOpen, onClose, reportData, loading, error, recor
 
             {localReportData && !loading && !error && (
               <>
+                <div className="move-reason">
+                  <label htmlFor="move-reason-input">Reason for moves (recorded in the audit log)</label>
+                  <input
+                    id="move-reason-input"
+                    type="text"
+                    value={moveReason}
+                    onChange={(e) => setMoveReason(e.target.value)}
+                    maxLength={500}
+                    placeholder="Optional"
+                  />
+                </div>
+
                 {/* Overall Statistics */}
                 <div className="overall-stats">
                   <h3>
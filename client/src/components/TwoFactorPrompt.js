@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import QRCode from 'react-qr-code';
+import '../styles/TwoFactorPrompt.css';
+
+// QR code and manual key for adding the account to an authenticator app
+export const AuthenticatorSetup = ({ secret, otpauthUrl }) => (
+  <div className="two-factor-setup">
+    <p>Scan this code with an authenticator app (Google Authenticator, Microsoft Authenticator, Aegis...).</p>
+    <div className="two-factor-qr">
+      <QRCode value={otpauthUrl} size={180} bgColor="#ffffff" fgColor="#1a1a1a" />
+    </div>
+    <p className="two-factor-hint">Can't scan? Enter this key instead:</p>
+    <code className="two-factor-secret">{secret.match(/.{1,4}/g).join(' ')}</code>
+  </div>
+);
+
+// Recovery codes are only ever shown once, right after they are generated
+export const RecoveryCodeList = ({ codes }) => (
+  <div className="two-factor-recovery">
+    <p>
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+      They will not be shown again.
+    </p>
+    <ul className="two-factor-recovery-codes">
+      {codes.map(code => <li key={code}><code>{code}</code></li>)}
+    </ul>
+  </div>
+);
+
+/**
+ * Second login step after a correct password.
+ * `endpoint` is the login URL of the account type (e.g. `${API}/auth/login`);
+ * `challenge` is the `{ challengeToken, enrolmentRequired }` login response.
+ * Calls onComplete with the final login response (token, user, ...).
+ */
+const TwoFactorPrompt = ({ endpoint, challenge, onComplete, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { challengeToken, enrolmentRequired } = challenge;
+
+  useEffect(() => {
+    if (!enrolmentRequired) return;
+
+    axios.post(`${endpoint}/2fa/setup`, { challengeToken })
+      .then(response => setSetup(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to start authenticator setup'));
+  }, [endpoint, challengeToken, enrolmentRequired]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (enrolmentRequired) {
+        const response = await axios.post(`${endpoint}/2fa/enable`, { challengeToken, code });
+        // Show the recovery codes before moving on
+        setResult(response.data);
+      } else {
+        const body = useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code };
+        const response = await axios.post(`${endpoint}/2fa`, body);
+        await onComplete(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Verification failed');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="two-factor-prompt">
+        <h3>Authenticator Enabled</h3>
+        <RecoveryCodeList codes={result.recoveryCodes || []} />
+        <button type="button" className="two-factor-button" onClick={() => onComplete(result)}>
+          I have saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="two-factor-prompt" onSubmit={handleSubmit}>
+      <h3>{enrolmentRequired ? 'Set Up Two-Factor Authentication' : 'Two-Factor Authentication'}</h3>
+
+      {error && <div className="two-factor-error">{error}</div>}
+
+      {enrolmentRequired ? (
+        setup ? <AuthenticatorSetup secret={setup.secret} otpauthUrl={setup.otpauthUrl} /> : !error && <p>Preparing setup...</p>
+      ) : (
+        <p>
+          {useRecoveryCode
+            ? 'Enter one of your unused recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <input
+        type="text"
+        className="two-factor-input"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+        required
+      />
+
+      <button type="submit" className="two-factor-button" disabled={loading || (enrolmentRequired && !setup)}>
+        {loading ? 'Verifying...' : enrolmentRequired ? 'Enable and Sign In' : 'Verify'}
+      </button>
+
+      <div className="two-factor-links">
+        {!enrolmentRequired && (
+          <button type="button" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}>
+            {useRecoveryCode ? 'Use authenticator code' : 'Lost your authenticator? Use a recovery code'}
+          </button>
+        )}
+        <button type="button" onClick={onCancel}>Back to login</button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorPrompt;
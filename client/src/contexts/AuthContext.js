@@ -21,6 +21,7 @@ export const AuthProvider = ({ children }) => {
           setUser(userData);
         } catch (error) {
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           authAPI.removeAuthToken();
           setUser(null);
         }
@@ -43,6 +44,7 @@ export const AuthProvider = ({ children }) => {
           setUser(userData);
         } catch (error) {
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           authAPI.removeAuthToken();
           setUser(null);
         }
@@ -53,46 +55,72 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Store the tokens of a successful login and load the profile
+  const finishLogin = async ({ token, refreshToken, user: loginUser, isVerified }) => {
+    // Check if user is verified
+    if (isVerified === false) {
+      setLoading(false);
+      // Return object with verification status so UI can show appropriate message
+      return { isVerified: false, email: loginUser.email };
+    }
+    
+    // Check if password change is required from the login response first
+    if (loginUser.passwordChangeRequired) {
+      // Store token temporarily for password change process
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      authAPI.setAuthToken(token);
+      
+      setLoading(false);
+      return { isVerified: true, passwordChangeRequired: true, userData: loginUser };
+    }
+    
+    // Store tokens and set default header
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    authAPI.setAuthToken(token);
+    
+    // Fetch complete user profile immediately after login
+    const userData = await authAPI.getProfile();
+    
+    // Double-check if password change is required from the profile
+    if (userData.passwordChangeRequired) {
+      setLoading(false);
+      return { isVerified: true, passwordChangeRequired: true, userData };
+    }
+    
+    setUser(userData);
+    
+    setLoading(false);
+    return { isVerified: true, passwordChangeRequired: false, userData };
+  };
+
   const login = async (identifier, password) => {
     try {
       setError(null);
       setLoading(true);
-      const { token, user: loginUser, isVerified } = await authAPI.login(identifier, password);
-      
-      // Check if user is verified
-      if (isVerified === false) {
-        setLoading(false);
-        // Return object with verification status so UI can show appropriate message
-        return { isVerified: false, email: loginUser.email };
-      }
-      
-      // Check if password change is required from the login response first
-      if (loginUser.passwordChangeRequired) {
-        // Store token temporarily for password change process
-        localStorage.setItem('token', token);
-        authAPI.setAuthToken(token);
-        
-        setLoading(false);
-        return { isVerified: true, passwordChangeRequired: true, userData: loginUser };
-      }
-      
-      // Store token and set default header
-      localStorage.setItem('token', token);
-      authAPI.setAuthToken(token);
-      
-      // Fetch complete user profile immediately after login
-      const userData = await authAPI.getProfile();
-      
-      // Double-check if password change is required from the profile
-      if (userData.passwordChangeRequired) {
+      const response = await authAPI.login(identifier, password);
+
+      // Password accepted, but an authenticator code is still needed
+      if (response.twoFactorRequired) {
         setLoading(false);
-        return { isVerified: true, passwordChangeRequired: true, userData };
+        return { twoFactorRequired: true, enrolmentRequired: response.enrolmentRequired, challengeToken: response.challengeToken };
       }
-      
-      setUser(userData);
-      
+
+      return await finishLogin(response);
+    } catch (err) {
       setLoading(false);
-      return { isVerified: true, passwordChangeRequired: false, userData };
+      setError(err.message || 'An error occurred during login');
+      throw err;
+    }
+  };
+
+  // Complete a login with the response of the second-factor step
+  const completeTwoFactorLogin = async (response) => {
+    try {
+      setError(null);
+      setLoading(true);
+      return await finishLogin(response);
     } catch (err) {
       setLoading(false);
       setError(err.message || 'An error occurred during login');
@@ -113,8 +141,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async ({ allDevices = false } = {}) => {
+    try {
+      // Revoke the login server-side so the tokens cannot be reused
+      await (allDevices ? authAPI.logoutAll() : authAPI.logout());
+    } catch (err) {
+      console.error('Error revoking login:', err);
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     authAPI.removeAuthToken();
     setUser(null);
   };
@@ -144,7 +179,7 @@ export const AuthProvider = ({ children }) => {
   }
 
   return (
-    <AuthContext.Provider value={{ user, loading, error, login, logout, checkAuth, resendVerification }}>
+    <AuthContext.Provider value={{ user, loading, error, login, completeTwoFactorLogin, logout, checkAuth, resendVerification }}>
       {children}
     </AuthContext.Provider>
   );
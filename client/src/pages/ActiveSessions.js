@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import { AuthenticatorSetup, RecoveryCodeList } from '../components/TwoFactorPrompt';
+import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
+import '../styles/TwoFactorPrompt.css';
+
+const ActiveSessions = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const dashboardPath = user?.role === 'faculty' ? '/faculty' : '/student';
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const data = await authAPI.getSessions();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch active logins');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const data = await authAPI.getTwoFactorStatus();
+      setTwoFactor(data.twoFactor);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    if (user?.role === 'faculty') {
+      fetchTwoFactorStatus();
+    }
+  }, []);
+
+  // Run a second-factor action, then refresh the status
+  const runTwoFactorAction = async (action) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setTwoFactorCode('');
+      fetchTwoFactorStatus();
+    } catch (err) {
+      setError(err.message || 'Two-factor request failed');
+    }
+  };
+
+  const handleBeginSetup = () => runTwoFactorAction(async () => {
+    setRecoveryCodes(null);
+    setTwoFactorSetup(await authAPI.beginTwoFactorSetup());
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runTwoFactorAction(async () => {
+      const data = await authAPI.enableTwoFactor(twoFactorCode);
+      setTwoFactorSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      setSuccess(data.message);
+    });
+  };
+
+  const handleDisable = () => {
+    if (!twoFactorCode) {
+      setError('Enter a code from your authenticator first');
+      return;
+    }
+    runTwoFactorAction(async () => {
+      const data = await authAPI.disableTwoFactor(twoFactorCode);
+      setRecoveryCodes(null);
+      setSuccess(data.message);
+    });
+  };
+
+  const handleRegenerateCodes = () => {
+    if (!twoFactorCode) {
+      setError('Enter a code from your authenticator first');
+      return;
+    }
+    runTwoFactorAction(async () => {
+      const data = await authAPI.regenerateRecoveryCodes(twoFactorCode);
+      setRecoveryCodes(data.recoveryCodes);
+      setSuccess(data.message);
+    });
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/');
+      return;
+    }
+
+    if (!window.confirm('Sign out this device?')) return;
+    setError('');
+    setSuccess('');
+    try {
+      await authAPI.revokeSession(session._id);
+      setSuccess('Device signed out');
+      fetchSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to sign out device');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    await logout({ allDevices: true });
+    navigate('/');
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate(dashboardPath)}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Active Logins</h2>
+      </div>
+
+      <p className="leave-note">
+        These browsers and devices are signed in to your account. Sign out any you do not recognise,
+        and change your password if you think someone else has access.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="leave-success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : sessions.length === 0 ? (
+        <div className="no-data-message">No active logins.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Browser / Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Active</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td>
+                    {session.userAgent || 'Unknown'}
+                    {session.current && <> <span className="leave-status approved">this device</span></>}
+                  </td>
+                  <td>{session.ipAddress || '-'}</td>
+                  <td>{new Date(session.createdAt).toLocaleString('en-IN')}</td>
+                  <td>{new Date(session.lastUsedAt).toLocaleString('en-IN')}</td>
+                  <td>
+                    <button className="leave-link-button danger" onClick={() => handleRevoke(session)}>
+                      Sign out
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button className="leave-submit-button" onClick={handleLogoutAll}>
+        Sign Out of All Devices
+      </button>
+
+      {twoFactor && (
+        <div className="two-factor-settings">
+          <h3>Two-Factor Authentication</h3>
+          <p className="leave-note">
+            {twoFactor.enabled
+              ? `Enabled${twoFactor.enabledAt ? ` since ${new Date(twoFactor.enabledAt).toLocaleDateString('en-IN')}` : ''}. ${twoFactor.recoveryCodesLeft} recovery codes left.`
+              : 'Protect your account with a code from an authenticator app at every login.'}
+            {twoFactor.required && ' Your administrator requires two-factor authentication for your account.'}
+          </p>
+
+          {recoveryCodes && <RecoveryCodeList codes={recoveryCodes} />}
+
+          {twoFactor.enabled ? (
+            <>
+              <input
+                type="text"
+                className="two-factor-input"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                placeholder="Current 6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+              />
+              <button className="leave-link-button" onClick={handleRegenerateCodes}>
+                New Recovery Codes
+              </button>
+              {!twoFactor.required && (
+                <button className="leave-link-button danger" onClick={handleDisable}>
+                  Turn Off
+                </button>
+              )}
+            </>
+          ) : twoFactorSetup ? (
+            <form onSubmit={handleEnable}>
+              <AuthenticatorSetup secret={twoFactorSetup.secret} otpauthUrl={twoFactorSetup.otpauthUrl} />
+              <input
+                type="text"
+                className="two-factor-input"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                placeholder="Code from the app"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+              />
+              <button type="submit" className="leave-submit-button">Enable</button>
+            </form>
+          ) : (
+            <button className="leave-submit-button" onClick={handleBeginSetup}>
+              Set Up Authenticator
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminAuditLog.css';
+import '../styles/AdminAcademicStructure.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const EMPTY_PROGRAMME = { name: '', department: '', semesters: '1,2,3,4,5,6,7,8' };
+const EMPTY_SECTION = { name: '', semester: '', strength: '' };
+const EMPTY_ROOM = { name: '', building: '', latitude: '', longitude: '', radiusMeters: '' };
+
+const AdminAcademicStructure = () => {
+  const navigate = useNavigate();
+  const [programmes, setProgrammes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newProgramme, setNewProgramme] = useState(EMPTY_PROGRAMME);
+  const [editingProgramme, setEditingProgramme] = useState(null);
+  const [newSections, setNewSections] = useState({});
+  const [strengths, setStrengths] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [defaultRadius, setDefaultRadius] = useState(null);
+  const [newRoom, setNewRoom] = useState(EMPTY_ROOM);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchStructure = useCallback(async () => {
+    try {
+      const [response, roomsResponse] = await Promise.all([
+        axios.get(`${BACKEND_URL}/api/admin/academic-structure`, { headers: authHeaders() }),
+        axios.get(`${BACKEND_URL}/api/admin/academic-structure/rooms`, { headers: authHeaders() })
+      ]);
+      setProgrammes(response.data.programmes || []);
+      setRooms(roomsResponse.data.rooms || []);
+      setDefaultRadius(roomsResponse.data.defaultRadiusMeters);
+    } catch (err) {
+      console.error('Error fetching academic structure:', err);
+      setError(err.response?.data?.message || 'Failed to fetch academic structure');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStructure();
+  }, [fetchStructure]);
+
+  // Run a change, show its outcome and reload the structure
+  const runChange = async (request, fallbackMessage) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      await fetchStructure();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+      return false;
+    }
+  };
+
+  const handleCreateProgramme = async (e) => {
+    e.preventDefault();
+    const created = await runChange(
+      () => axios.post(`${BACKEND_URL}/api/admin/academic-structure/programmes`, newProgramme, { headers: authHeaders() }),
+      'Failed to create programme'
+    );
+    if (created) setNewProgramme(EMPTY_PROGRAMME);
+  };
+
+  const handleSaveProgramme = async () => {
+    const saved = await runChange(
+      () => axios.put(
+        `${BACKEND_URL}/api/admin/academic-structure/programmes/${editingProgramme._id}`,
+        { department: editingProgramme.department, semesters: editingProgramme.semesters },
+        { headers: authHeaders() }
+      ),
+      'Failed to update programme'
+    );
+    if (saved) setEditingProgramme(null);
+  };
+
+  const toggleProgramme = (programme) => runChange(
+    () => axios.put(
+      `${BACKEND_URL}/api/admin/academic-structure/programmes/${programme._id}`,
+      { active: !programme.active },
+      { headers: authHeaders() }
+    ),
+    'Failed to update programme'
+  );
+
+  const deleteProgramme = (programme) => {
+    if (!window.confirm(`Delete ${programme.name} and all of its sections?`)) return;
+    runChange(
+      () => axios.delete(`${BACKEND_URL}/api/admin/academic-structure/programmes/${programme._id}`, { headers: authHeaders() }),
+      'Failed to delete programme'
+    );
+  };
+
+  const handleNewSectionChange = (programmeId, field, value) => {
+    setNewSections({
+      ...newSections,
+      [programmeId]: { ...(newSections[programmeId] || EMPTY_SECTION), [field]: value }
+    });
+  };
+
+  const handleCreateSection = async (e, programme) => {
+    e.preventDefault();
+    const created = await runChange(
+      () => axios.post(
+        `${BACKEND_URL}/api/admin/academic-structure/sections`,
+        { ...(newSections[programme._id] || EMPTY_SECTION), courseId: programme._id },
+        { headers: authHeaders() }
+      ),
+      'Failed to create section'
+    );
+    if (created) setNewSections({ ...newSections, [programme._id]: EMPTY_SECTION });
+  };
+
+  const updateSection = (section, updates) => runChange(
+    () => axios.put(`${BACKEND_URL}/api/admin/academic-structure/sections/${section._id}`, updates, { headers: authHeaders() }),
+    'Failed to update section'
+  );
+
+  const deleteSection = (section) => {
+    if (!window.confirm(`Delete section ${section.name}?`)) return;
+    runChange(
+      () => axios.delete(`${BACKEND_URL}/api/admin/academic-structure/sections/${section._id}`, { headers: authHeaders() }),
+      'Failed to delete section'
+    );
+  };
+
+  const handleCreateRoom = async (e) => {
+    e.preventDefault();
+    const created = await runChange(
+      () => axios.post(`${BACKEND_URL}/api/admin/academic-structure/rooms`, newRoom, { headers: authHeaders() }),
+      'Failed to create room'
+    );
+    if (created) setNewRoom(EMPTY_ROOM);
+  };
+
+  // Fill the coordinates with this device's location (e.g. while standing in the room)
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not available in this browser');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => setNewRoom(room => ({
+        ...room,
+        latitude: position.coords.latitude.toFixed(6),
+        longitude: position.coords.longitude.toFixed(6)
+      })),
+      () => setError('Allow location access to use the current location'),
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const updateRoom = (room, updates) => runChange(
+    () => axios.put(`${BACKEND_URL}/api/admin/academic-structure/rooms/${room._id}`, updates, { headers: authHeaders() }),
+    'Failed to update room'
+  );
+
+  const editRoomRadius = (room) => {
+    const radiusMeters = window.prompt(`Radius for ${room.name} in metres (blank for the default of ${defaultRadius} m)`, room.radiusMeters || '');
+    if (radiusMeters === null) return;
+    updateRoom(room, { radiusMeters });
+  };
+
+  const deleteRoom = (room) => {
+    if (!window.confirm(`Delete room ${room.name}?`)) return;
+    runChange(
+      () => axios.delete(`${BACKEND_URL}/api/admin/academic-structure/rooms/${room._id}`, { headers: authHeaders() }),
+      'Failed to delete room'
+    );
+  };
+
+  // Group programmes under their department
+  const departments = programmes.reduce((groups, programme) => {
+    const department = programme.department || 'General';
+    groups[department] = [...(groups[department] || []), programme];
+    return groups;
+  }, {});
+
+  return (
+    <div className="attendance-container">
+      <div className="audit-log-header">
+        <h2>Academic Structure</h2>
+        <button className="audit-log-back-button" onClick={() => navigate('/admin/dashboard')}>
+          &larr; Back to Dashboard
+        </button>
+      </div>
+
+      <form className="audit-log-filters" onSubmit={handleCreateProgramme}>
+        <input
+          value={newProgramme.name}
+          onChange={(e) => setNewProgramme({ ...newProgramme, name: e.target.value })}
+          placeholder="Programme (e.g. BTech)"
+          required
+        />
+        <input
+          value={newProgramme.department}
+          onChange={(e) => setNewProgramme({ ...newProgramme, department: e.target.value })}
+          placeholder="Department"
+        />
+        <input
+          value={newProgramme.semesters}
+          onChange={(e) => setNewProgramme({ ...newProgramme, semesters: e.target.value })}
+          placeholder="Semesters (1,2,3...)"
+        />
+        <button type="submit">Add Programme</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="structure-success">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : programmes.length === 0 ? (
+        <div className="no-data-message">No programmes configured yet.</div>
+      ) : (
+        Object.entries(departments).map(([department, departmentProgrammes]) => (
+          <div key={department} className="structure-department">
+            <h3>{department}</h3>
+
+            {departmentProgrammes.map(programme => (
+              <div key={programme._id} className={`structure-programme ${programme.active ? '' : 'inactive'}`}>
+                <div className="structure-programme-header">
+                  {editingProgramme && editingProgramme._id === programme._id ? (
+                    <div className="audit-log-filters">
+                      <strong>{programme.name}</strong>
+                      <input
+                        value={editingProgramme.department}
+                        onChange={(e) => setEditingProgramme({ ...editingProgramme, department: e.target.value })}
+                        placeholder="Department"
+                      />
+                      <input
+                        value={editingProgramme.semesters}
+                        onChange={(e) => setEditingProgramme({ ...editingProgramme, semesters: e.target.value })}
+                        placeholder="Semesters"
+                      />
+                      <button type="button" onClick={handleSaveProgramme}>Save</button>
+                      <button type="button" className="secondary" onClick={() => setEditingProgramme(null)}>Cancel</button>
+                    </div>
+                  ) : (
+                    <>
+                      <div>
+                        <strong>{programme.name}</strong>
+                        {!programme.active && <span className="structure-inactive-tag">inactive</span>}
+                        <div className="audit-log-muted">Semesters {programme.semesters.join(', ')}</div>
+                      </div>
+                      <div className="structure-actions">
+                        <button
+                          onClick={() => setEditingProgramme({
+                            _id: programme._id,
+                            department: programme.department,
+                            semesters: programme.semesters.join(',')
+                          })}
+                        >
+                          Edit
+                        </button>
+                        <button onClick={() => toggleProgramme(programme)}>
+                          {programme.active ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button className="danger" onClick={() => deleteProgramme(programme)}>Delete</button>
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                <table className="attendance-table">
+                  <thead>
+                    <tr>
+                      <th>Section</th>
+                      <th>Semester</th>
+                      <th>Strength</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {programme.sections.map(section => (
+                      <tr key={section._id} className={section.active ? '' : 'inactive'}>
+                        <td>{section.name}</td>
+                        <td>{section.semester || 'All'}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="1"
+                            className="structure-strength-input"
+                            value={strengths[section._id] ?? section.strength ?? ''}
+                            onChange={(e) => setStrengths({ ...strengths, [section._id]: e.target.value })}
+                            onBlur={() => {
+                              if (strengths[section._id] === undefined) return;
+                              updateSection(section, { strength: strengths[section._id] });
+                              setStrengths(({ [section._id]: _, ...rest }) => rest);
+                            }}
+                            placeholder="-"
+                          />
+                        </td>
+                        <td>{section.active ? 'Active' : 'Inactive'}</td>
+                        <td className="structure-actions">
+                          <button onClick={() => updateSection(section, { active: !section.active })}>
+                            {section.active ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button className="danger" onClick={() => deleteSection(section)}>Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <form className="audit-log-filters" onSubmit={(e) => handleCreateSection(e, programme)}>
+                  <input
+                    value={(newSections[programme._id] || EMPTY_SECTION).name}
+                    onChange={(e) => handleNewSectionChange(programme._id, 'name', e.target.value)}
+                    placeholder="Section"
+                    required
+                  />
+                  <select
+                    value={(newSections[programme._id] || EMPTY_SECTION).semester}
+                    onChange={(e) => handleNewSectionChange(programme._id, 'semester', e.target.value)}
+                  >
+                    <option value="">All semesters</option>
+                    {programme.semesters.map(semester => (
+                      <option key={semester} value={semester}>Semester {semester}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    value={(newSections[programme._id] || EMPTY_SECTION).strength}
+                    onChange={(e) => handleNewSectionChange(programme._id, 'strength', e.target.value)}
+                    placeholder="Strength"
+                  />
+                  <button type="submit">Add Section</button>
+                </form>
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+
+      <div className="structure-department">
+        <h3>Rooms</h3>
+        <p className="structure-note">
+          QR sessions in a saved room only accept scans from within its radius. Faculty choose the room
+          when starting a session; sessions without one are not geofenced.
+        </p>
+        {rooms.length > 0 && (
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Room</th>
+                <th>Building</th>
+                <th>Coordinates</th>
+                <th>Radius</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rooms.map(room => (
+                <tr key={room._id}>
+                  <td>
+                    {room.name}
+                    {!room.active && <span className="structure-inactive-tag">inactive</span>}
+                  </td>
+                  <td>{room.building || '-'}</td>
+                  <td>{room.latitude.toFixed(6)}, {room.longitude.toFixed(6)}</td>
+                  <td>{room.radiusMeters ? `${room.radiusMeters} m` : `${defaultRadius} m (default)`}</td>
+                  <td className="structure-actions">
+                    <button onClick={() => editRoomRadius(room)}>Radius</button>
+                    <button onClick={() => updateRoom(room, { active: !room.active })}>
+                      {room.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button className="danger" onClick={() => deleteRoom(room)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className="audit-log-filters" onSubmit={handleCreateRoom}>
+          <input
+            value={newRoom.name}
+            onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })}
+            placeholder="Room (e.g. LT-101)"
+            required
+          />
+          <input
+            value={newRoom.building}
+            onChange={(e) => setNewRoom({ ...newRoom, building: e.target.value })}
+            placeholder="Building"
+          />
+          <input
+            type="number"
+            step="any"
+            value={newRoom.latitude}
+            onChange={(e) => setNewRoom({ ...newRoom, latitude: e.target.value })}
+            placeholder="Latitude"
+            required
+          />
+          <input
+            type="number"
+            step="any"
+            value={newRoom.longitude}
+            onChange={(e) => setNewRoom({ ...newRoom, longitude: e.target.value })}
+            placeholder="Longitude"
+            required
+          />
+          <input
+            type="number"
+            min="10"
+            max="1000"
+            value={newRoom.radiusMeters}
+            onChange={(e) => setNewRoom({ ...newRoom, radiusMeters: e.target.value })}
+            placeholder={defaultRadius ? `Radius (${defaultRadius} m)` : 'Radius (m)'}
+          />
+          <button type="button" onClick={useCurrentLocation}>Use My Location</button>
+          <button type="submit">Add Room</button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminAcademicStructure;
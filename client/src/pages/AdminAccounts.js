@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { useAcademicStructure } from '../utils/academicStructure';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminAuditLog.css';
+import '../styles/AdminAcademicStructure.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const ROLES = [
+  { value: 'super-admin', label: 'Super admin' },
+  { value: 'department-admin', label: 'Department admin' },
+  { value: 'auditor', label: 'Auditor (read-only)' }
+];
+
+const EMPTY_ADMIN = { adminId: '', name: '', email: '', password: '', role: 'department-admin', department: '' };
+
+const AdminAccounts = () => {
+  const navigate = useNavigate();
+  const structure = useAcademicStructure();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newAdmin, setNewAdmin] = useState(EMPTY_ADMIN);
+  const [editingAdmin, setEditingAdmin] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchAdmins = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/accounts`, { headers: authHeaders() });
+      setAdmins(response.data.admins || []);
+    } catch (err) {
+      console.error('Error fetching admin accounts:', err);
+      setError(err.response?.data?.message || 'Failed to fetch admin accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAdmins();
+  }, [fetchAdmins]);
+
+  // Run a change, show its outcome and reload the accounts
+  const runChange = async (request, fallbackMessage) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await request();
+      setSuccess(response.data.message);
+      await fetchAdmins();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await runChange(
+      () => axios.post(`${BACKEND_URL}/api/admin/accounts`, newAdmin, { headers: authHeaders() }),
+      'Failed to create admin account'
+    );
+    if (created) setNewAdmin(EMPTY_ADMIN);
+  };
+
+  const handleSave = async () => {
+    const saved = await runChange(
+      () => axios.put(
+        `${BACKEND_URL}/api/admin/accounts/${editingAdmin._id}`,
+        { name: editingAdmin.name, role: editingAdmin.role, department: editingAdmin.department },
+        { headers: authHeaders() }
+      ),
+      'Failed to update admin account'
+    );
+    if (saved) setEditingAdmin(null);
+  };
+
+  const toggleActive = (admin) => runChange(
+    () => axios.put(`${BACKEND_URL}/api/admin/accounts/${admin._id}`, { active: !admin.active }, { headers: authHeaders() }),
+    'Failed to update admin account'
+  );
+
+  const resetPassword = (admin) => {
+    const password = window.prompt(`New password for ${admin.adminId} (at least 8 characters)`);
+    if (!password) return;
+    runChange(
+      () => axios.post(`${BACKEND_URL}/api/admin/accounts/${admin._id}/reset-password`, { password }, { headers: authHeaders() }),
+      'Failed to reset password'
+    );
+  };
+
+  const resetTwoFactor = (admin) => {
+    if (!window.confirm(`Remove the authenticator of ${admin.adminId}? They will set up a new one at the next login.`)) return;
+    runChange(
+      () => axios.post(`${BACKEND_URL}/api/admin/accounts/${admin._id}/reset-2fa`, {}, { headers: authHeaders() }),
+      'Failed to reset two-factor authentication'
+    );
+  };
+
+  const showHistory = async (admin) => {
+    setError('');
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/accounts/${admin._id}/login-history`, { headers: authHeaders() });
+      setHistory({ admin, entries: response.data.history || [] });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch login history');
+    }
+  };
+
+  const renderDepartmentSelect = (value, onChange) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} required>
+      <option value="">Department</option>
+      {structure.programmes.map(programme => (
+        <option key={programme} value={programme}>{programme}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="attendance-container">
+      <div className="audit-log-header">
+        <h2>Admin Accounts</h2>
+        <button className="audit-log-back-button" onClick={() => navigate('/admin/dashboard')}>
+          &larr; Back to Dashboard
+        </button>
+      </div>
+
+      <form className="audit-log-filters" onSubmit={handleCreate}>
+        <input
+          value={newAdmin.adminId}
+          onChange={(e) => setNewAdmin({ ...newAdmin, adminId: e.target.value })}
+          placeholder="Admin ID"
+          required
+        />
+        <input
+          value={newAdmin.name}
+          onChange={(e) => setNewAdmin({ ...newAdmin, name: e.target.value })}
+          placeholder="Name"
+          required
+        />
+        <input
+          type="email"
+          value={newAdmin.email}
+          onChange={(e) => setNewAdmin({ ...newAdmin, email: e.target.value })}
+          placeholder="Email"
+        />
+        <input
+          type="password"
+          value={newAdmin.password}
+          onChange={(e) => setNewAdmin({ ...newAdmin, password: e.target.value })}
+          placeholder="Password"
+          minLength={8}
+          required
+        />
+        <select value={newAdmin.role} onChange={(e) => setNewAdmin({ ...newAdmin, role: e.target.value })}>
+          {ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+        </select>
+        {newAdmin.role === 'department-admin' &&
+          renderDepartmentSelect(newAdmin.department, department => setNewAdmin({ ...newAdmin, department }))}
+        <button type="submit">Add Admin</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="structure-success">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : (
+        <table className="attendance-table">
+          <thead>
+            <tr>
+              <th>Admin ID</th>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Department</th>
+              <th>Last Login</th>
+              <th>2FA</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {admins.map(admin => (
+              editingAdmin && editingAdmin._id === admin._id ? (
+                <tr key={admin._id}>
+                  <td>{admin.adminId}</td>
+                  <td>
+                    <input
+                      value={editingAdmin.name}
+                      onChange={(e) => setEditingAdmin({ ...editingAdmin, name: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <select value={editingAdmin.role} onChange={(e) => setEditingAdmin({ ...editingAdmin, role: e.target.value })}>
+                      {ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    {editingAdmin.role === 'department-admin'
+                      ? renderDepartmentSelect(editingAdmin.department, department => setEditingAdmin({ ...editingAdmin, department }))
+                      : 'All'}
+                  </td>
+                  <td colSpan="3"></td>
+                  <td className="structure-actions">
+                    <button onClick={handleSave}>Save</button>
+                    <button onClick={() => setEditingAdmin(null)}>Cancel</button>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={admin._id} className={admin.active ? '' : 'inactive'}>
+                  <td>{admin.adminId}</td>
+                  <td>{admin.name}</td>
+                  <td>{ROLES.find(role => role.value === admin.role)?.label || admin.role}</td>
+                  <td>{admin.role === 'department-admin' ? admin.department : 'All'}</td>
+                  <td>{admin.lastLoginAt ? new Date(admin.lastLoginAt).toLocaleString('en-IN') : 'Never'}</td>
+                  <td>{admin.twoFactorEnabled ? 'On' : 'Not set up'}</td>
+                  <td>{admin.active ? 'Active' : 'Inactive'}</td>
+                  <td className="structure-actions">
+                    <button onClick={() => setEditingAdmin({ ...admin, department: admin.department || '' })}>Edit</button>
+                    <button onClick={() => resetPassword(admin)}>Reset Password</button>
+                    {admin.twoFactorEnabled && <button onClick={() => resetTwoFactor(admin)}>Reset 2FA</button>}
+                    <button onClick={() => showHistory(admin)}>Logins</button>
+                    <button className="danger" onClick={() => toggleActive(admin)}>
+                      {admin.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              )
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {history && (
+        <div className="structure-programme">
+          <div className="structure-programme-header">
+            <strong>Login history of {history.admin.adminId}</strong>
+            <div className="structure-actions">
+              <button onClick={() => setHistory(null)}>Close</button>
+            </div>
+          </div>
+          {history.entries.length === 0 ? (
+            <div className="no-data-message">No logins recorded.</div>
+          ) : (
+            <table className="attendance-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Result</th>
+                  <th>IP Address</th>
+                  <th>Browser</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.entries.map(entry => (
+                  <tr key={entry._id}>
+                    <td>{new Date(entry.timestamp).toLocaleString('en-IN')}</td>
+                    <td>{entry.success ? 'Success' : `Failed (${entry.failureReason})`}</td>
+                    <td>{entry.ipAddress || '-'}</td>
+                    <td className="audit-log-muted">{entry.userAgent || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAccounts;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminAnalytics.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const EMPTY_FILTERS = { department: '', semester: '', section: '', facultyId: '', from: '', to: '', granularity: 'day' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const getLevel = (percentage) => {
+  if (percentage >= 75) return 'good';
+  if (percentage >= 60) return 'warning';
+  return 'poor';
+};
+
+// Line chart of average attendance per period
+const TrendChart = ({ points }) => {
+  if (points.length === 0) {
+    return <div className="analytics-empty">No sessions in this period.</div>;
+  }
+
+  const width = 640;
+  const height = 200;
+  const padding = 30;
+  const step = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0;
+  const toY = (value) => height - padding - (value / 100) * (height - padding * 2);
+  const coordinates = points.map((point, index) => [padding + index * step, toY(point.averageAttendance)]);
+  const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+
+  return (
+    <svg className="analytics-trend" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      {[0, 25, 50, 75, 100].map(value => (
+        <g key={value}>
+          <line x1={padding} x2={width - padding} y1={toY(value)} y2={toY(value)} className="analytics-grid-line" />
+          <text x={padding - 6} y={toY(value) + 3} textAnchor="end" className="analytics-axis-label">{value}</text>
+        </g>
+      ))}
+      <polyline points={coordinates.map(([x, y]) => `${x},${y}`).join(' ')} className="analytics-trend-line" />
+      {coordinates.map(([x, y], index) => (
+        <g key={points[index].period}>
+          <circle cx={x} cy={y} r="3" className="analytics-trend-point">
+            <title>{`${points[index].period}: ${points[index].averageAttendance}% over ${points[index].sessions} sessions`}</title>
+          </circle>
+          {index % labelEvery === 0 && (
+            <text x={x} y={height - 8} textAnchor="middle" className="analytics-axis-label">{points[index].period}</text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Horizontal bars of average attendance per label
+const BarChart = ({ rows, labelKey }) => {
+  if (rows.length === 0) {
+    return <div className="analytics-empty">No data.</div>;
+  }
+
+  return (
+    <div className="analytics-bars">
+      {rows.map(row => (
+        <div key={row[labelKey]} className="analytics-bar-row">
+          <span className="analytics-bar-label">{row[labelKey]}</span>
+          <div className="analytics-bar-track">
+            <div
+              className={`analytics-bar-fill ${getLevel(row.averageAttendance)}`}
+              style={{ width: `${Math.min(100, row.averageAttendance)}%` }}
+            />
+          </div>
+          <span className="analytics-bar-value">{row.averageAttendance}% · {row.sessions}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const AdminAnalytics = () => {
+  const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const getParams = useCallback((extra = {}) => {
+    const params = {};
+    Object.entries({ ...appliedFilters, ...extra }).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    return params;
+  }, [appliedFilters]);
+
+  const fetchAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/analytics`, {
+        params: getParams(),
+        headers: authHeaders()
+      });
+      setAnalytics(response.data.analytics);
+    } catch (err) {
+      console.error('Error fetching analytics:', err);
+      setError(err.response?.data?.message || 'Failed to fetch attendance analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [getParams]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const downloadCSV = async (dataset) => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/analytics/export`, {
+        params: getParams({ dataset }),
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `attendance_${dataset}_${analytics.range.from}_${analytics.range.to}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting analytics:', err);
+      setError('Failed to download CSV');
+    }
+  };
+
+  const renderPanelHeader = (title, dataset) => (
+    <div className="analytics-panel-header">
+      <h3>{title}</h3>
+      <button className="analytics-csv-button" onClick={() => downloadCSV(dataset)}>
+        <i className="fas fa-download"></i> CSV
+      </button>
+    </div>
+  );
+
+  const summary = analytics && analytics.summary;
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/admin/dashboard')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Attendance Analytics</h2>
+      </div>
+
+      <form className="analytics-filters" onSubmit={applyFilters}>
+        {!storedUser.department && (
+          <input name="department" placeholder="Department" value={filters.department} onChange={handleFilterChange} />
+        )}
+        <input name="semester" placeholder="Semester" value={filters.semester} onChange={handleFilterChange} />
+        <input name="section" placeholder="Section" value={filters.section} onChange={handleFilterChange} />
+        <input name="facultyId" placeholder="Faculty ID" value={filters.facultyId} onChange={handleFilterChange} />
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        <select name="granularity" value={filters.granularity} onChange={handleFilterChange}>
+          <option value="day">Daily</option>
+          <option value="week">Weekly</option>
+        </select>
+        <button type="submit">Apply</button>
+        <button type="button" className="secondary" onClick={clearFilters}>Clear</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : analytics && (
+        <>
+          <p className="analytics-range">
+            {analytics.range.from} to {analytics.range.to}. Attendance records are kept for {analytics.range.maxDays} days, so longer ranges are shortened.
+          </p>
+
+          <div className="analytics-cards">
+            <div className="analytics-card">
+              <span className="analytics-card-value">{summary.averageAttendance}%</span>
+              <span className="analytics-card-label">Average attendance</span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">{summary.sessions}</span>
+              <span className="analytics-card-label">Sessions recorded</span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">{summary.held} / {summary.scheduled}</span>
+              <span className="analytics-card-label">
+                Timetabled classes held{summary.coverage !== null && ` (${summary.coverage}%)`}
+              </span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">{summary.missed}</span>
+              <span className="analytics-card-label">Classes missed</span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">{analytics.outliers.length}</span>
+              <span className="analytics-card-label">Outlier sections</span>
+            </div>
+          </div>
+
+          <div className="analytics-panel">
+            {renderPanelHeader('Attendance Trend', 'trend')}
+            <TrendChart points={analytics.trend} />
+          </div>
+
+          <div className="analytics-grid">
+            <div className="analytics-panel">
+              {renderPanelHeader('By Department', 'departments')}
+              <BarChart rows={analytics.departments} labelKey="department" />
+            </div>
+            <div className="analytics-panel">
+              {renderPanelHeader('By Day of Week', 'dayOfWeek')}
+              <BarChart rows={analytics.dayOfWeek} labelKey="day" />
+            </div>
+            <div className="analytics-panel">
+              {renderPanelHeader('By Time of Day', 'hourOfDay')}
+              <BarChart rows={analytics.hourOfDay} labelKey="hour" />
+            </div>
+            <div className="analytics-panel">
+              {renderPanelHeader('By Faculty', 'faculty')}
+              <BarChart
+                rows={analytics.faculty.map(row => ({ ...row, label: row.facultyName || row.facultyId }))}
+                labelKey="label"
+              />
+            </div>
+          </div>
+
+          <div className="analytics-panel">
+            {renderPanelHeader('Sections', 'sections')}
+            <div className="table-responsive">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Section</th>
+                    <th>Sessions</th>
+                    <th>Average</th>
+                    <th>Held / Scheduled</th>
+                    <th>Missed</th>
+                    <th>Deviation</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.sections.map(section => (
+                    <tr
+                      key={`${section.department}|${section.semester}|${section.section}`}
+                      className={section.outlier ? `analytics-outlier ${section.outlier}` : ''}
+                    >
+                      <td>{section.department} {section.semester}-{section.section}</td>
+                      <td>{section.sessions}</td>
+                      <td>{section.averageAttendance}%</td>
+                      <td>{section.scheduled > 0 ? `${section.held} / ${section.scheduled}` : '-'}</td>
+                      <td>{section.missed}</td>
+                      <td>
+                        {section.zScore !== null ? section.zScore : '-'}
+                        {section.outlier && <span className={`analytics-outlier-badge ${section.outlier}`}>{section.outlier === 'low' ? 'Unusually low' : 'Unusually high'}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminAnalytics;
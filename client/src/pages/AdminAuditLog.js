@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminAuditLog.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const ACTION_LABELS = {
+  'move-student': 'Moved student',
+  'record-update': 'Record edited',
+  'dispute-accepted': 'Dispute accepted',
+  'dispute-rejected': 'Dispute rejected',
+  'sheet-import': 'Imported from Google Sheet',
+  'live-mark': 'Marked present in class',
+  'live-remove': 'Removed during class'
+};
+
+const EMPTY_FILTERS = { facultyId: '', rollNumber: '', department: '', semester: '', section: '', action: '', from: '', to: '' };
+
+const AdminAuditLog = () => {
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const params = new URLSearchParams({ page, limit: 50 });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await axios.get(`${BACKEND_URL}/api/admin/audit-logs?${params}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setEntries(response.data.entries || []);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Error fetching audit logs:', err);
+      setError(err.response?.data?.message || 'Failed to fetch audit logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, appliedFilters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="audit-log-header">
+        <h2>Attendance Audit Log</h2>
+        <button className="audit-log-back-button" onClick={() => navigate('/admin/dashboard')}>
+          &larr; Back to Dashboard
+        </button>
+      </div>
+
+      <form className="audit-log-filters" onSubmit={applyFilters}>
+        <input name="facultyId" value={filters.facultyId} onChange={handleFilterChange} placeholder="Faculty ID" />
+        <input name="rollNumber" value={filters.rollNumber} onChange={handleFilterChange} placeholder="Roll number" />
+        <input name="department" value={filters.department} onChange={handleFilterChange} placeholder="Department" />
+        <input name="semester" value={filters.semester} onChange={handleFilterChange} placeholder="Semester" />
+        <input name="section" value={filters.section} onChange={handleFilterChange} placeholder="Section" />
+        <select name="action" value={filters.action} onChange={handleFilterChange}>
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </label>
+        <button type="submit">Search</button>
+        <button type="button" className="secondary" onClick={clearFilters}>Clear</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : entries.length === 0 ? (
+        <div className="no-data-message">No attendance edits match these filters.</div>
+      ) : (
+        <>
+          <div className="table-responsive">
+            <table className="attendance-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Session</th>
+                  <th>Roll No.</th>
+                  <th>Change</th>
+                  <th>Action</th>
+                  <th>Changed By</th>
+                  <th>Reason</th>
+                  <th>IP Address</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry._id}>
+                    <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>
+                      <div>{entry.subjectName || entry.subjectCode || '-'}</div>
+                      <div className="audit-log-muted">
+                        {entry.department} {entry.semester}-{entry.section}
+                        {entry.sessionDate && ` · ${new Date(entry.sessionDate).toLocaleDateString()}`}
+                      </div>
+                    </td>
+                    <td>{entry.rollNumber}</td>
+                    <td>
+                      <span className={`audit-status ${entry.fromStatus}`}>{entry.fromStatus}</span>
+                      {' → '}
+                      <span className={`audit-status ${entry.toStatus}`}>{entry.toStatus}</span>
+                    </td>
+                    <td>{ACTION_LABELS[entry.action] || entry.action}</td>
+                    <td>
+                      <div>{entry.changedBy?.name || entry.changedBy?.id}</div>
+                      <div className="audit-log-muted">{entry.changedBy?.role} {entry.changedBy?.id}</div>
+                    </td>
+                    <td>{entry.reason || '-'}</td>
+                    <td className="audit-log-muted" title={entry.userAgent}>{entry.ipAddress || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="audit-log-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} changes)</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>Next</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -51,7 +51,14 @@ const AdminDashboard = () => {
   return (
     <div className="admin-dashboard-container">
       <div className="admin-header">
-        <h1>Admin Dashboard</h1>
+        <div>
+          <h1>Admin Dashboard</h1>
+          {user.adminRole && (
+            <p className="admin-role-note">
+              {user.name} &middot; {user.adminRole}{user.department ? ` (${user.department})` : ''}
+            </p>
+          )}
+        </div>
         <button onClick={handleLogout} className="logout-button">
           <i className="fas fa-sign-out-alt"></i> Logout
         </button>
@@ -82,8 +89,58 @@ const AdminDashboard = () => {
             <i className="fas fa-upload"></i>
           </div>
           <div className="card-content">
-            <h3>Student Data Upload</h3>
-            <p>Upload student data from Excel files</p>
+            <h3>Data Upload</h3>
+            <p>Upload student data and weekly timetables from Excel files</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/at-risk-students')}>
+          <div className="card-icon">
+            <i className="fas fa-exclamation-triangle"></i>
+          </div>
+          <div className="card-content">
+            <h3>At-Risk Students</h3>
+            <p>Attendance shortages and alert thresholds</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/leave-requests')}>
+          <div className="card-icon">
+            <i className="fas fa-notes-medical"></i>
+          </div>
+          <div className="card-content">
+            <h3>Leave Requests</h3>
+            <p>Review student leave and medical excuses</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/device-requests')}>
+          <div className="card-icon">
+            <i className="fas fa-mobile-alt"></i>
+          </div>
+          <div className="card-content">
+            <h3>Device Change Requests</h3>
+            <p>Approve students moving attendance to a new phone</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/audit-logs')}>
+          <div className="card-icon">
+            <i className="fas fa-history"></i>
+          </div>
+          <div className="card-content">
+            <h3>Audit Log</h3>
+            <p>Every manual attendance edit, who made it and why</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/academic-structure')}>
+          <div className="card-icon">
+            <i className="fas fa-sitemap"></i>
+          </div>
+          <div className="card-content">
+            <h3>Academic Structure</h3>
+            <p>Departments, programmes, semesters, sections and strengths</p>
           </div>
         </div>
 
@@ -117,6 +174,66 @@ const AdminDashboard = () => {
           </div>
         </div>
 
+        <div className="admin-card" onClick={() => navigateTo('/admin/analytics')}>
+          <div className="card-icon">
+            <i className="fas fa-chart-line"></i>
+          </div>
+          <div className="card-content">
+            <h3>Attendance Analytics</h3>
+            <p>Department trends, schedule coverage and outlier sections</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/report-schedules')}>
+          <div className="card-icon">
+            <i className="fas fa-paper-plane"></i>
+          </div>
+          <div className="card-content">
+            <h3>Scheduled Reports</h3>
+            <p>Weekly and monthly registers and at-risk lists by email</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/sheet-sync')}>
+          <div className="card-icon">
+            <i className="fas fa-table"></i>
+          </div>
+          <div className="card-content">
+            <h3>Google Sheets Sync</h3>
+            <p>Sync status, errors and conflicts of mapped section sheets</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/webhooks')}>
+          <div className="card-icon">
+            <i className="fas fa-plug"></i>
+          </div>
+          <div className="card-content">
+            <h3>Webhooks</h3>
+            <p>Signed attendance events for ERP and LMS systems</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/risk-scoring')}>
+          <div className="card-icon">
+            <i className="fas fa-balance-scale"></i>
+          </div>
+          <div className="card-content">
+            <h3>Proxy Risk Scoring</h3>
+            <p>Signal weights, auto-action thresholds and event stream</p>
+          </div>
+        </div>
+
+        <div className="admin-card" onClick={() => navigateTo('/admin/cases')}>
+          <div className="card-icon">
+            <i className="fas fa-folder-open"></i>
+          </div>
+          <div className="card-content">
+            <h3>Proxy Cases</h3>
+            <p>Escalated proxy signals with preserved evidence and outcomes</p>
+          </div>
+        </div>
+
         <div className="admin-card" onClick={() => navigateTo('/admin/reports')}>
           <div className="card-icon">
             <i className="fas fa-chart-bar"></i>
@@ -127,6 +244,18 @@ const AdminDashboard = () => {
           </div>
         </div>
         
+        {(user.permissions || []).includes('admins:manage') && (
+          <div className="admin-card" onClick={() => navigateTo('/admin/accounts')}>
+            <div className="card-icon">
+              <i className="fas fa-user-shield"></i>
+            </div>
+            <div className="card-content">
+              <h3>Admin Accounts</h3>
+              <p>Admin roles, department scopes and login history</p>
+            </div>
+          </div>
+        )}
+
         <div className="admin-card" onClick={() => navigateTo('/admin/chatbot-content')}>
           <div className="card-icon">
             <i className="fas fa-robot"></i>
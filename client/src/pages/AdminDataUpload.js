@@ -7,21 +7,15 @@ import '../styles/AdminDataUpload.css';
 // Use environment variable directly
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
 
-const AdminDataUpload = () => {
-  const navigate = useNavigate();
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [previewData, setPreviewData] = useState([]);
-  const [totalRecords, setTotalRecords] = useState(0);
-  const [error, setError] = useState('');
-  const [success, setSuccess] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [uploadStats, setUploadStats] = useState(null);
-  const [fileName, setFileName] = useState('');
-
-  // Generate and download sample Excel template
-  const generateAndDownloadTemplate = () => {
-    // Create sample data with required headers
-    const sampleData = [
+// Supported bulk uploads: required headers, sample rows and backend endpoints
+const UPLOAD_TYPES = {
+  students: {
+    label: 'Student Data',
+    sheetName: 'Student Data',
+    templateFile: 'student_data_template.xlsx',
+    endpoint: 'upload-student-data',
+    requiredFields: ['name', 'email', 'studentId', 'course', 'section', 'semester', 'classRollNumber', 'universityRollNumber'],
+    sampleData: [
       {
         name: 'Himanshu Rawat',
         email: 'himanshu.rawat@vit.edu',
@@ -44,14 +38,83 @@ const AdminDataUpload = () => {
         universityRollNumber: '12345679',
         photo_url: '' // Optional
       }
-    ];
+    ]
+  },
+  timetable: {
+    label: 'Timetable',
+    sheetName: 'Timetable',
+    templateFile: 'timetable_template.xlsx',
+    endpoint: 'upload-timetable',
+    requiredFields: ['department', 'semester', 'section', 'subjectCode', 'facultyId', 'day', 'startTime', 'endTime'],
+    sampleData: [
+      {
+        department: 'BTech',
+        semester: '3',
+        section: 'A1',
+        subjectCode: 'CS301',
+        facultyId: 'FAC001',
+        day: 'Monday',
+        startTime: '09:00',
+        endTime: '09:50',
+        room: 'LT-101', // Optional
+        totalStudents: 60, // Optional
+        sessionType: 'roll', // Optional: roll or gmail
+        autoLock: 'yes', // Optional: lock the session when the slot ends
+        autoEnd: 'no' // Optional: end the session when the slot ends
+      },
+      {
+        department: 'BTech',
+        semester: '3',
+        section: 'A1',
+        subjectCode: 'CS302',
+        facultyId: 'FAC002',
+        day: 'Monday',
+        startTime: '10:00',
+        endTime: '10:50',
+        room: 'LT-101',
+        totalStudents: 60,
+        sessionType: 'roll',
+        autoLock: 'no',
+        autoEnd: 'yes'
+      }
+    ]
+  }
+};
 
+const AdminDataUpload = () => {
+  const navigate = useNavigate();
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [previewData, setPreviewData] = useState([]);
+  const [totalRecords, setTotalRecords] = useState(0);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [uploadStats, setUploadStats] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [uploadType, setUploadType] = useState('students');
+
+  const uploadConfig = UPLOAD_TYPES[uploadType];
+
+  // Switch between student data and timetable upload
+  const handleUploadTypeChange = (type) => {
+    setUploadType(type);
+    setSelectedFile(null);
+    setFileName('');
+    setPreviewData([]);
+    setTotalRecords(0);
+    setUploadStats(null);
+    setError('');
+    setSuccess('');
+  };
+
+  // Generate and download sample Excel template
+  const generateAndDownloadTemplate = () => {
     // Create a new workbook
     const workbook = XLSX.utils.book_new();
-    const worksheet = XLSX.utils.json_to_sheet(sampleData);
+    const worksheet = XLSX.utils.json_to_sheet(uploadConfig.sampleData);
     
     // Add the worksheet to the workbook
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Student Data');
+    XLSX.utils.book_append_sheet(workbook, worksheet, uploadConfig.sheetName);
     
     // Generate Excel file
     const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
@@ -63,7 +126,7 @@ const AdminDataUpload = () => {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'student_data_template.xlsx';
+    link.download = uploadConfig.templateFile;
     
     // Trigger download
     document.body.appendChild(link);
@@ -135,9 +198,8 @@ const AdminDataUpload = () => {
           }
 
           // Check required fields
-          const requiredFields = ['name', 'email', 'studentId', 'course', 'section', 'semester', 'classRollNumber', 'universityRollNumber'];
           const firstRow = jsonData[0];
-          const missingFields = requiredFields.filter(field => !firstRow.hasOwnProperty(field));
+          const missingFields = uploadConfig.requiredFields.filter(field => !firstRow.hasOwnProperty(field));
 
           if (missingFields.length > 0) {
             setError(`Missing required fields: ${missingFields.join(', ')}`);
@@ -233,7 +295,7 @@ const AdminDataUpload = () => {
 
         // Step 3: Process file via backend using S3 key (no file upload)
         const response = await axios.post(
-          `${BACKEND_URL}/api/admin/upload-student-data-s3`,
+          `${BACKEND_URL}/api/admin/${uploadConfig.endpoint}-s3`,
           { s3Key }, // Send S3 key instead of file
           {
             headers: {
@@ -244,7 +306,7 @@ const AdminDataUpload = () => {
         );
 
         setUploadStats(response.data.stats);
-        setSuccess('Student data processed successfully');
+        setSuccess(`${uploadConfig.label} processed successfully`);
 
       } catch (s3Error) {
         console.error('❌ S3 upload failed, falling back to traditional approach:', s3Error);
@@ -269,7 +331,7 @@ const AdminDataUpload = () => {
         formData.append('file', selectedFile);
 
         const response = await axios.post(
-          `${BACKEND_URL}/api/admin/upload-student-data`,
+          `${BACKEND_URL}/api/admin/${uploadConfig.endpoint}`,
           formData,
           {
             headers: {
@@ -280,7 +342,7 @@ const AdminDataUpload = () => {
         );
 
         setUploadStats(response.data.stats);
-        setSuccess('Student data processed successfully');
+        setSuccess(`${uploadConfig.label} processed successfully`);
       }
 
     } catch (error) {
@@ -312,7 +374,7 @@ const AdminDataUpload = () => {
   return (
     <div className="admin-upload-container">
       <div className="admin-header">
-        <h2>Student Data Upload</h2>
+        <h2>{uploadConfig.label} Upload</h2>
         <button 
           className="back-button" 
           onClick={() => navigate('/admin/dashboard')}
@@ -322,10 +384,23 @@ const AdminDataUpload = () => {
       </div>
 
       <div className="upload-card">
+        <div className="upload-type-toggle">
+          {Object.entries(UPLOAD_TYPES).map(([type, config]) => (
+            <button
+              key={type}
+              className={`upload-type-button ${uploadType === type ? 'active' : ''}`}
+              onClick={() => handleUploadTypeChange(type)}
+              disabled={loading}
+            >
+              {config.label}
+            </button>
+          ))}
+        </div>
+
         <div className="sample-template-section">
           <div className="sample-template-header">
             <h3>Download Sample Excel Template</h3>
-            <p>Use this template with the required headers for student data upload:</p>
+            <p>Use this template with the required headers for {uploadConfig.label.toLowerCase()} upload:</p>
             <button 
               className="download-template-button" 
               onClick={generateAndDownloadTemplate}
@@ -340,6 +415,7 @@ const AdminDataUpload = () => {
             <i className="fas fa-file-excel"></i>
             <span>Select Excel File</span>
             <input 
+              key={uploadType}
               type="file" 
               className="file-input" 
               accept=".xlsx, .xls" 
@@ -414,6 +490,12 @@ const AdminDataUpload = () => {
                 <span className="stat-label">Successfully Added</span>
                 <span className="stat-value">{uploadStats.successCount}</span>
               </div>
+              {uploadStats.assignmentsAdded !== undefined && (
+                <div className="stat-card">
+                  <span className="stat-label">Assignments Added</span>
+                  <span className="stat-value">{uploadStats.assignmentsAdded}</span>
+                </div>
+              )}
               <div className="stat-card error">
                 <span className="stat-label">Errors</span>
                 <span className="stat-value">{uploadStats.errorCount}</span>
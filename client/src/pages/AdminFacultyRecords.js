@@ -3,7 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import styled from 'styled-components';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FaSearch, FaDownload, FaPencilAlt, FaTrash, FaChevronLeft, FaChevronRight, FaTimes, FaCheck, FaExclamationCircle, FaRedo, FaBookOpen } from 'react-icons/fa';
+import { FaSearch, FaDownload, FaPencilAlt, FaTrash, FaChevronLeft, FaChevronRight, FaTimes, FaCheck, FaExclamationCircle, FaRedo, FaBookOpen, FaShieldAlt, FaKey } from 'react-icons/fa';
 
 const AdminFacultyRecords = () => {
   const navigate = useNavigate();
@@ -173,6 +173,31 @@ const AdminFacultyRecords = () => {
     }
   };
 
+  // Require/stop requiring an authenticator, or reset a lost one
+  const handleTwoFactorUpdate = async (facultyMember, changes) => {
+    if (changes.reset && !window.confirm(`Remove the authenticator of ${facultyMember.name}? They will set up a new one at the next login.`)) {
+      return;
+    }
+    setError('');
+    setSuccess('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_URL}/api/admin/faculty/${facultyMember._id}/two-factor`,
+        changes,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      setSuccess(response.data.message);
+      fetchFaculty();
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update two-factor setting');
+    }
+  };
+
   // Handle export
   const handleExport = async () => {
     try {
@@ -299,6 +324,7 @@ const AdminFacultyRecords = () => {
                   <th>Department</th>
                   <th>Teaching Load</th>
                   <th>Status</th>
+                  <th>2FA</th>
                   <th>Actions</th>
                 </tr>
               </thead>
@@ -323,8 +349,26 @@ const AdminFacultyRecords = () => {
                         {facultyMember.isVerified ? 'Verified' : 'Pending'}
                       </StatusBadge>
                     </td>
+                    <td>
+                      <StatusBadge verified={facultyMember.twoFactor?.enabled}>
+                        {facultyMember.twoFactor?.enabled ? 'On' : 'Off'}
+                        {facultyMember.twoFactorRequired && ' · Required'}
+                      </StatusBadge>
+                    </td>
                     <td>
                       <ActionGroup>
+                        <ActionButton
+                          onClick={() => handleTwoFactorUpdate(facultyMember, { required: !facultyMember.twoFactorRequired })}
+                          color="#7209b7"
+                          title={facultyMember.twoFactorRequired ? 'Stop Requiring 2FA' : 'Require 2FA'}
+                        >
+                          <FaShieldAlt />
+                        </ActionButton>
+                        {facultyMember.twoFactor?.enabled && (
+                          <ActionButton onClick={() => handleTwoFactorUpdate(facultyMember, { reset: true })} color="#f77f00" title="Reset Authenticator">
+                            <FaKey />
+                          </ActionButton>
+                        )}
                         <ActionButton onClick={() => handleEdit(facultyMember)} color="#4361ee" title="Edit Faculty">
                           <FaPencilAlt />
                         </ActionButton>
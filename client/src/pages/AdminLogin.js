@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import TwoFactorPrompt from '../components/TwoFactorPrompt';
 import '../styles/AdminLogin.css';
 
 // Use environment variable directly instead of importing from config
@@ -12,6 +13,7 @@ const AdminLogin = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
   const navigate = useNavigate();
   const { user } = useAuth();
   
@@ -59,23 +61,9 @@ const AdminLogin = () => {
         password
       });      
       
-      if (response.data.success) {        
-        // Store the token
-        localStorage.setItem('token', response.data.token);
-        
-        // Store admin user info with role
-        const adminUser = {
-          role: 'admin',
-          name: 'Administrator',
-          email: adminId
-        };
-        localStorage.setItem('user', JSON.stringify(adminUser));
-        
-        // Set auth header for future requests
-        axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
-        
-        // Redirect to admin dashboard
-        navigate('/admin/dashboard');
+      // Admins always confirm the login with their authenticator
+      if (response.data.success && response.data.twoFactorRequired) {
+        setTwoFactorChallenge(response.data);
       } else {
         setError('Login failed. Invalid response from server.');
       }
@@ -86,6 +74,30 @@ const AdminLogin = () => {
     }
   };
 
+  // Called by the authenticator step with the final login response
+  const handleTwoFactorComplete = (data) => {
+    // Store the token
+    localStorage.setItem('token', data.token);
+    
+    // Store admin user info with role, scope and permissions
+    const { name, adminRole, department, permissions } = data.user;
+    const adminUser = {
+      role: 'admin',
+      name: name || 'Administrator',
+      email: adminId,
+      adminRole,
+      department,
+      permissions: permissions || []
+    };
+    localStorage.setItem('user', JSON.stringify(adminUser));
+    
+    // Set auth header for future requests
+    axios.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+    
+    // Redirect to admin dashboard
+    navigate('/admin/dashboard');
+  };
+
   // Function to handle logout
   const handleLogout = () => {
     localStorage.removeItem('token');
@@ -127,6 +139,13 @@ const AdminLogin = () => {
               </button>
             </div>
           </div>
+        ) : twoFactorChallenge ? (
+          <TwoFactorPrompt
+            endpoint={`${BACKEND_URL}/api/admin/login`}
+            challenge={twoFactorChallenge}
+            onComplete={handleTwoFactorComplete}
+            onCancel={() => { setTwoFactorChallenge(null); setPassword(''); }}
+          />
         ) : (
           <form onSubmit={handleSubmit}>
             {error && <div className="admin-error-message">{error}</div>}
@@ -1,25 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { useAcademicStructure, getSemesters, getSections } from '../utils/academicStructure';
 import '../styles/AdminManageFacultyAssignments.css';
 
 // Use environment variable directly instead of importing from config
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
 
-// Hardcoded options for dropdowns
-const sections = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'D1', 'D2', 'E1', 'E2', 'F1', 'F2', 'G1', 'G2', 'H1', 'H2', 'I1', 'I2', 'J1', 'J2', 'K1', 'K2', 'L1', 'L2','ML1','ML2','ML3','DS1','DS2','DSA','Placement Group 1', 'Placement Group 2', 'Placement Group 3', 'Placement Group 4', 'Placement Group 5'];
-const semesters = ['1', '2', '3', '4', '5', '6', '7', '8'];
-
 const AdminManageFacultyAssignments = () => {
   const [loading, setLoading] = useState(true);
   const [faculties, setFaculties] = useState([]);
-  const [departments] = useState(['BTech', 'BCA', 'BCom', 'BBA', 'Law', 'MCA', 'MBA', 'BPharm', 'BSc']);
+  // Dropdown options come from the admin-managed academic structure
+  const academicStructure = useAcademicStructure();
+  const departments = academicStructure.programmes;
   const [selectedDepartment, setSelectedDepartment] = useState('');
   const [selectedFaculty, setSelectedFaculty] = useState(null);
-  const [newAssignment, setNewAssignment] = useState({ semester: '', section: '' });
+  const [newAssignment, setNewAssignment] = useState({ semester: '', section: '', subjectId: '' });
+  const [subjects, setSubjects] = useState([]);
+  const [newSubject, setNewSubject] = useState({ code: '', name: '', semester: '' });
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const semesters = getSemesters(academicStructure, selectedDepartment);
+  const sections = getSections(academicStructure, selectedDepartment, newAssignment.semester);
   
   // Confirmation modal states
   const [showAddConfirmation, setShowAddConfirmation] = useState(false);
@@ -40,7 +43,6 @@ const AdminManageFacultyAssignments = () => {
     };
     
     checkAuth();
-    // No need to fetch departments as they are hardcoded
     setLoading(false);
   }, [navigate]);
   
@@ -56,17 +58,17 @@ const AdminManageFacultyAssignments = () => {
     }
   }, [error, success]);
 
-  // Fetch faculties when department changes
+  // Fetch faculties and subjects when department changes
   useEffect(() => {
     if (selectedDepartment) {
       fetchFaculties(selectedDepartment);
+      fetchSubjects(selectedDepartment);
     } else {
       setFaculties([]);
+      setSubjects([]);
     }
   }, [selectedDepartment]);
 
-  // Removed fetchDepartments function as we're using hardcoded departments
-
   const fetchFaculties = async (department) => {
     try {
       setLoading(true);
@@ -88,6 +90,60 @@ const AdminManageFacultyAssignments = () => {
     }
   };
 
+  const fetchSubjects = async (department) => {
+    try {
+      const token = localStorage.getItem('token');
+      
+      const response = await axios.get(`${BACKEND_URL}/api/admin/subjects`, {
+        params: { department },
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      
+      setSubjects(response.data);
+    } catch (error) {
+      console.error('Error fetching subjects:', error);
+      setError('Failed to load subjects. Please try again.');
+    }
+  };
+
+  const handleSubjectInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewSubject(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddSubject = async () => {
+    if (!newSubject.code || !newSubject.name || !newSubject.semester) {
+      setError('Please enter subject code, name and semester');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      
+      await axios.post(
+        `${BACKEND_URL}/api/admin/subjects`,
+        { ...newSubject, department: selectedDepartment },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+
+      setNewSubject({ code: '', name: '', semester: '' });
+      setSuccess('Subject added successfully');
+      setError('');
+      fetchSubjects(selectedDepartment);
+    } catch (error) {
+      console.error('Error adding subject:', error);
+      setError(error.response?.data?.message || 'Failed to add subject. Please try again.');
+    }
+  };
+
+  const getSubjectLabel = (subject) => subject ? `${subject.code} - ${subject.name}` : 'No subject';
+
   const handleDepartmentChange = (e) => {
     setSelectedDepartment(e.target.value);
     setSelectedFaculty(null);
@@ -95,21 +151,22 @@ const AdminManageFacultyAssignments = () => {
 
   const handleFacultySelect = (faculty) => {
     setSelectedFaculty(faculty);
-    setNewAssignment({ semester: '', section: '' });
+    setNewAssignment({ semester: '', section: '', subjectId: '' });
     setError('');
     setSuccess('');
   };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    setNewAssignment(prev => ({ ...prev, [name]: value }));
+    // Subjects are semester specific, so changing semester clears the subject
+    setNewAssignment(prev => ({ ...prev, [name]: value, ...(name === 'semester' ? { subjectId: '' } : {}) }));
   };
 
   // Show add confirmation modal if inputs are valid
   const confirmAddAssignment = () => {
     // Validate inputs
-    if (!newAssignment.semester || !newAssignment.section) {
-      setError('Please select both semester and section');
+    if (!newAssignment.semester || !newAssignment.section || !newAssignment.subjectId) {
+      setError('Please select semester, section and subject');
       return;
     }
     
@@ -144,7 +201,7 @@ const AdminManageFacultyAssignments = () => {
       setSelectedFaculty(updatedFaculty);
       
       // Reset form
-      setNewAssignment({ semester: '', section: '' });
+      setNewAssignment({ semester: '', section: '', subjectId: '' });
       setSuccess('Assignment added successfully');
       setError('');
     } catch (error) {
@@ -218,6 +275,7 @@ const AdminManageFacultyAssignments = () => {
               <p><strong>Faculty:</strong> {selectedFaculty.name}</p>
               <p><strong>Semester:</strong> {newAssignment.semester}</p>
               <p><strong>Section:</strong> {newAssignment.section}</p>
+              <p><strong>Subject:</strong> {getSubjectLabel(subjects.find(sub => sub._id === newAssignment.subjectId))}</p>
             </div>
             <div className="modal-buttons">
               <button className="cancel-btn" onClick={() => setShowAddConfirmation(false)}>
@@ -239,7 +297,7 @@ const AdminManageFacultyAssignments = () => {
             <p>Are you sure you want to remove this teaching assignment?</p>
             <div className="assignment-details">
               <p><strong>Faculty:</strong> {selectedFaculty.name}</p>
-              <p><strong>Assignment:</strong> {selectedFaculty.teachingAssignments.find(a => a._id === assignmentToRemove)?.semester} - {selectedFaculty.teachingAssignments.find(a => a._id === assignmentToRemove)?.section}</p>
+              <p><strong>Assignment:</strong> {selectedFaculty.teachingAssignments.find(a => a._id === assignmentToRemove)?.semester} - {selectedFaculty.teachingAssignments.find(a => a._id === assignmentToRemove)?.section} ({getSubjectLabel(selectedFaculty.teachingAssignments.find(a => a._id === assignmentToRemove)?.subject)})</p>
             </div>
             <div className="modal-buttons">
               <button className="cancel-btn" onClick={() => setShowRemoveConfirmation(false)}>
@@ -340,6 +398,7 @@ const AdminManageFacultyAssignments = () => {
                       <tr>
                         <th>Semester</th>
                         <th>Section</th>
+                        <th>Subject</th>
                         <th>Action</th>
                       </tr>
                     </thead>
@@ -348,6 +407,7 @@ const AdminManageFacultyAssignments = () => {
                         <tr key={index}>
                           <td>{assignment.semester}</td>
                           <td>{assignment.section}</td>
+                          <td>{getSubjectLabel(assignment.subject)}</td>
                           <td>
                             <button 
                               className="remove-btn"
@@ -394,15 +454,81 @@ const AdminManageFacultyAssignments = () => {
                       ))}
                     </select>
                   </div>
+                  <div className="form-group">
+                    <label>Subject:</label>
+                    <select
+                      name="subjectId"
+                      value={newAssignment.subjectId}
+                      onChange={handleInputChange}
+                      className="dropdown-select"
+                      disabled={!newAssignment.semester}
+                    >
+                      <option value="">Select Subject</option>
+                      {subjects
+                        .filter(sub => sub.semester === newAssignment.semester)
+                        .map(sub => (
+                          <option key={sub._id} value={sub._id}>{getSubjectLabel(sub)}</option>
+                        ))}
+                    </select>
+                  </div>
                   <button 
-                    className={`add-btn ${!newAssignment.semester || !newAssignment.section ? 'disabled-btn' : ''}`}
+                    className={`add-btn ${!newAssignment.semester || !newAssignment.section || !newAssignment.subjectId ? 'disabled-btn' : ''}`}
                     onClick={confirmAddAssignment}
-                    disabled={!newAssignment.semester || !newAssignment.section}
+                    disabled={!newAssignment.semester || !newAssignment.section || !newAssignment.subjectId}
                   >
                     <i className="fas fa-plus"></i> Add Assignment
                   </button>
                 </div>
               </div>
+
+              <div className="add-assignment">
+                <h3>Add New Subject ({selectedDepartment})</h3>
+                <div className="assignment-form">
+                  <div className="form-group">
+                    <label>Code:</label>
+                    <input
+                      type="text"
+                      name="code"
+                      value={newSubject.code}
+                      onChange={handleSubjectInputChange}
+                      className="search-input"
+                      placeholder="e.g. TCS-501"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Name:</label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={newSubject.name}
+                      onChange={handleSubjectInputChange}
+                      className="search-input"
+                      placeholder="e.g. Operating Systems"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Semester:</label>
+                    <select
+                      name="semester"
+                      value={newSubject.semester}
+                      onChange={handleSubjectInputChange}
+                      className="dropdown-select"
+                    >
+                      <option value="">Select Semester</option>
+                      {semesters.map(sem => (
+                        <option key={sem} value={sem}>{sem}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button 
+                    className={`add-btn ${!newSubject.code || !newSubject.name || !newSubject.semester ? 'disabled-btn' : ''}`}
+                    onClick={handleAddSubject}
+                    disabled={!newSubject.code || !newSubject.name || !newSubject.semester}
+                  >
+                    <i className="fas fa-plus"></i> Add Subject
+                  </button>
+                </div>
+              </div>
             </div>
           )}
         </div>
@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminReportSchedules.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RECIPIENT_ROLES = [
+  { value: 'hod', label: 'HoD' },
+  { value: 'mentor', label: 'Mentor' },
+  { value: 'faculty', label: 'Faculty' },
+  { value: 'other', label: 'Other' }
+];
+const DELIVERY_STATUSES = ['sent', 'retrying', 'failed', 'skipped', 'pending'];
+
+const EMPTY_FORM = {
+  name: '',
+  frequency: 'weekly',
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  hour: 8,
+  scope: { department: '', semester: '', section: '' },
+  includeRegisters: true,
+  includeAtRisk: true,
+  formats: ['pdf', 'xlsx'],
+  recipients: [{ name: '', email: '', role: 'hod' }],
+  includeSectionFaculty: false,
+  enabled: true
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '-');
+
+const describeSchedule = (schedule) => {
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  return schedule.frequency === 'weekly'
+    ? `Every ${DAYS[schedule.dayOfWeek]} at ${time}`
+    : `Day ${schedule.dayOfMonth} of each month at ${time}`;
+};
+
+const AdminReportSchedules = () => {
+  const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canEdit = (storedUser.permissions || []).includes('settings:write');
+  const canViewLog = (storedUser.permissions || []).includes('audit:read');
+
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/report-schedules`, { headers: authHeaders() });
+      setSchedules(response.data.schedules || []);
+    } catch (err) {
+      console.error('Error fetching report schedules:', err);
+      setError(err.response?.data?.message || 'Failed to fetch report schedules');
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    if (!canViewLog) return;
+
+    try {
+      const params = { page };
+      if (statusFilter) params.status = statusFilter;
+      const response = await axios.get(`${BACKEND_URL}/api/admin/report-deliveries`, { params, headers: authHeaders() });
+      setDeliveries(response.data.deliveries || []);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Error fetching report deliveries:', err);
+      setError(err.response?.data?.message || 'Failed to fetch the delivery log');
+    }
+  }, [canViewLog, page, statusFilter]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const openForm = (schedule = null) => {
+    setError('');
+    setMessage('');
+    setEditingId(schedule ? schedule._id : null);
+    setForm(schedule ? {
+      ...EMPTY_FORM,
+      ...schedule,
+      scope: { ...EMPTY_FORM.scope, ...schedule.scope },
+      recipients: schedule.recipients.map(({ name, email, role }) => ({ name, email, role }))
+    } : { ...EMPTY_FORM, scope: { ...EMPTY_FORM.scope, department: storedUser.department || '' } });
+  };
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  const updateScope = (field, value) => setForm({ ...form, scope: { ...form.scope, [field]: value } });
+
+  const toggleFormat = (format) => {
+    const formats = form.formats.includes(format)
+      ? form.formats.filter(item => item !== format)
+      : [...form.formats, format];
+    updateForm('formats', formats);
+  };
+
+  const updateRecipient = (index, field, value) => {
+    updateForm('recipients', form.recipients.map((recipient, i) => (i === index ? { ...recipient, [field]: value } : recipient)));
+  };
+
+  const saveSchedule = async (e) => {
+    e.preventDefault();
+    setBusy('save');
+    setError('');
+
+    const payload = {
+      name: form.name,
+      frequency: form.frequency,
+      dayOfWeek: form.dayOfWeek,
+      dayOfMonth: form.dayOfMonth,
+      hour: form.hour,
+      scope: form.scope,
+      includeRegisters: form.includeRegisters,
+      includeAtRisk: form.includeAtRisk,
+      formats: form.formats,
+      recipients: form.recipients.filter(recipient => recipient.email.trim()),
+      includeSectionFaculty: form.includeSectionFaculty,
+      enabled: form.enabled
+    };
+
+    try {
+      const response = editingId
+        ? await axios.put(`${BACKEND_URL}/api/admin/report-schedules/${editingId}`, payload, { headers: authHeaders() })
+        : await axios.post(`${BACKEND_URL}/api/admin/report-schedules`, payload, { headers: authHeaders() });
+      setMessage(response.data.message);
+      setForm(null);
+      fetchSchedules();
+    } catch (err) {
+      console.error('Error saving report schedule:', err);
+      setError(err.response?.data?.message || 'Failed to save the report schedule');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    if (!window.confirm(`Delete the report schedule "${schedule.name}"? Its delivery log is kept.`)) return;
+
+    try {
+      await axios.delete(`${BACKEND_URL}/api/admin/report-schedules/${schedule._id}`, { headers: authHeaders() });
+      fetchSchedules();
+    } catch (err) {
+      console.error('Error deleting report schedule:', err);
+      setError(err.response?.data?.message || 'Failed to delete the report schedule');
+    }
+  };
+
+  const runSchedule = async (schedule) => {
+    setBusy(schedule._id);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/admin/report-schedules/${schedule._id}/run`, {}, { headers: authHeaders() });
+      setMessage(response.data.message);
+      fetchSchedules();
+      fetchDeliveries();
+    } catch (err) {
+      console.error('Error running report schedule:', err);
+      setError(err.response?.data?.message || 'Failed to send the reports');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const retryDelivery = async (delivery) => {
+    setBusy(delivery._id);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/admin/report-deliveries/${delivery._id}/retry`, {}, { headers: authHeaders() });
+      setMessage(response.data.message);
+      fetchDeliveries();
+    } catch (err) {
+      console.error('Error retrying report delivery:', err);
+      setError(err.response?.data?.message || 'Failed to retry the delivery');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const renderForm = () => (
+    <form className="report-schedule-form" onSubmit={saveSchedule}>
+      <h3>{editingId ? 'Edit Schedule' : 'New Schedule'}</h3>
+
+      <div className="report-form-row">
+        <label>
+          Name
+          <input value={form.name} onChange={(e) => updateForm('name', e.target.value)} placeholder="CSE weekly digest" required />
+        </label>
+        <label>
+          Frequency
+          <select value={form.frequency} onChange={(e) => updateForm('frequency', e.target.value)}>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </label>
+        {form.frequency === 'weekly' ? (
+          <label>
+            Day
+            <select value={form.dayOfWeek} onChange={(e) => updateForm('dayOfWeek', Number(e.target.value))}>
+              {DAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+            </select>
+          </label>
+        ) : (
+          <label>
+            Day of month
+            <input type="number" min="1" max="28" value={form.dayOfMonth} onChange={(e) => updateForm('dayOfMonth', e.target.value)} />
+          </label>
+        )}
+        <label>
+          Hour (IST)
+          <input type="number" min="0" max="23" value={form.hour} onChange={(e) => updateForm('hour', e.target.value)} />
+        </label>
+      </div>
+
+      <div className="report-form-row">
+        <label>
+          Department
+          <input
+            value={form.scope.department}
+            onChange={(e) => updateScope('department', e.target.value)}
+            disabled={Boolean(storedUser.department)}
+            required
+          />
+        </label>
+        <label>
+          Semester
+          <input value={form.scope.semester} onChange={(e) => updateScope('semester', e.target.value)} placeholder="All" />
+        </label>
+        <label>
+          Section
+          <input value={form.scope.section} onChange={(e) => updateScope('section', e.target.value)} placeholder="All" />
+        </label>
+      </div>
+
+      <div className="report-form-row report-form-checks">
+        <label>
+          <input type="checkbox" checked={form.includeRegisters} onChange={(e) => updateForm('includeRegisters', e.target.checked)} />
+          Section registers
+        </label>
+        <label>
+          <input type="checkbox" checked={form.includeAtRisk} onChange={(e) => updateForm('includeAtRisk', e.target.checked)} />
+          At-risk list
+        </label>
+        <label>
+          <input type="checkbox" checked={form.formats.includes('pdf')} onChange={() => toggleFormat('pdf')} />
+          PDF
+        </label>
+        <label>
+          <input type="checkbox" checked={form.formats.includes('xlsx')} onChange={() => toggleFormat('xlsx')} />
+          Excel
+        </label>
+        <label>
+          <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm('enabled', e.target.checked)} />
+          Enabled
+        </label>
+      </div>
+
+      <h4>Recipients</h4>
+      {form.recipients.map((recipient, index) => (
+        <div key={index} className="report-form-row report-recipient">
+          <input value={recipient.name} onChange={(e) => updateRecipient(index, 'name', e.target.value)} placeholder="Name" />
+          <input type="email" value={recipient.email} onChange={(e) => updateRecipient(index, 'email', e.target.value)} placeholder="Email" />
+          <select value={recipient.role} onChange={(e) => updateRecipient(index, 'role', e.target.value)}>
+            {RECIPIENT_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+          </select>
+          <button type="button" className="secondary" onClick={() => updateForm('recipients', form.recipients.filter((_, i) => i !== index))}>
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="report-add-recipient"
+        onClick={() => updateForm('recipients', [...form.recipients, { name: '', email: '', role: 'mentor' }])}
+      >
+        + Add recipient
+      </button>
+      <label className="report-form-checks">
+        <input
+          type="checkbox"
+          checked={form.includeSectionFaculty}
+          onChange={(e) => updateForm('includeSectionFaculty', e.target.checked)}
+        />
+        Also send each section's faculty the reports for their own classes
+      </label>
+
+      <div className="report-form-actions">
+        <button type="submit" disabled={busy === 'save'}>{busy === 'save' ? 'Saving...' : 'Save Schedule'}</button>
+        <button type="button" className="secondary" onClick={() => setForm(null)}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/admin/dashboard')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Scheduled Reports</h2>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="report-success">{message}</div>}
+
+      <div className="report-panel">
+        <div className="report-panel-header">
+          <h3>Schedules</h3>
+          {canEdit && !form && <button onClick={() => openForm()}>+ New Schedule</button>}
+        </div>
+
+        {form && renderForm()}
+
+        {schedules.length === 0 ? (
+          <div className="no-data-message">No report schedules yet.</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="attendance-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Scope</th>
+                  <th>When</th>
+                  <th>Recipients</th>
+                  <th>Next Run</th>
+                  <th>Last Run</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map(schedule => (
+                  <tr key={schedule._id} className={schedule.enabled ? '' : 'report-disabled'}>
+                    <td>{schedule.name}{!schedule.enabled && <span className="report-muted"> (paused)</span>}</td>
+                    <td>{[schedule.scope.department, schedule.scope.semester, schedule.scope.section].filter(Boolean).join(' ')}</td>
+                    <td>{describeSchedule(schedule)}</td>
+                    <td>
+                      {schedule.recipients.map(recipient => recipient.email).join(', ')}
+                      {schedule.includeSectionFaculty && <span className="report-muted"> + section faculty</span>}
+                    </td>
+                    <td>{schedule.enabled ? formatDateTime(schedule.nextRunAt) : '-'}</td>
+                    <td>{formatDateTime(schedule.lastRunAt)}</td>
+                    {canEdit && (
+                      <td className="report-actions">
+                        <button onClick={() => runSchedule(schedule)} disabled={Boolean(busy)}>
+                          {busy === schedule._id ? 'Sending...' : 'Send Now'}
+                        </button>
+                        <button onClick={() => openForm(schedule)}>Edit</button>
+                        <button className="danger" onClick={() => deleteSchedule(schedule)}>Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {canViewLog && (
+        <div className="report-panel">
+          <div className="report-panel-header">
+            <h3>Delivery Log</h3>
+            <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+              <option value="">All statuses</option>
+              {DELIVERY_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          </div>
+
+          {deliveries.length === 0 ? (
+            <div className="no-data-message">No deliveries yet.</div>
+          ) : (
+            <div className="table-responsive">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Created</th>
+                    <th>Report</th>
+                    <th>Period</th>
+                    <th>Recipient</th>
+                    <th>Attachments</th>
+                    <th>Status</th>
+                    {canEdit && <th></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map(delivery => (
+                    <tr key={delivery._id}>
+                      <td>{formatDateTime(delivery.createdAt)}</td>
+                      <td>{delivery.scheduleName}</td>
+                      <td>{delivery.period.from} to {delivery.period.to}</td>
+                      <td>
+                        {delivery.recipient.name || delivery.recipient.email}
+                        <div className="report-muted">{delivery.recipient.email}</div>
+                      </td>
+                      <td>{delivery.attachments.length}</td>
+                      <td>
+                        <span className={`report-status ${delivery.status}`}>{delivery.status}</span>
+                        <div className="report-muted">
+                          {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                          {delivery.status === 'retrying' && `, next ${formatDateTime(delivery.nextAttemptAt)}`}
+                        </div>
+                        {delivery.lastError && <div className="report-error">{delivery.lastError}</div>}
+                      </td>
+                      {canEdit && (
+                        <td>
+                          {['failed', 'retrying'].includes(delivery.status) && (
+                            <button className="report-retry" onClick={() => retryDelivery(delivery)} disabled={Boolean(busy)}>
+                              {busy === delivery._id ? 'Retrying...' : 'Retry'}
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="report-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>Next</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminReportSchedules;
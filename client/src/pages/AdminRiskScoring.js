@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminAuditLog.css';
+import '../styles/AdminRiskScoring.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const SIGNAL_LABELS = {
+  vpnDetected: 'VPN / foreign IP',
+  deviceShared: 'Device shared with another student',
+  fingerprintMismatch: 'Scan from unregistered device',
+  tokenReuse: 'Reused QR code',
+  appReport: 'Reported by the app',
+  locationFlag: 'Outside the classroom geofence',
+  fullscreenExit: 'Left full screen'
+};
+
+const EMPTY_FILTERS = { studentId: '', rollNumber: '', sessionId: '', signal: '', from: '', to: '' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const AdminRiskScoring = () => {
+  const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canEditPolicy = (storedUser.permissions || []).includes('settings:write');
+  const canEscalate = (storedUser.permissions || []).includes('reviews:write');
+
+  const [policy, setPolicy] = useState(null);
+  const [signals, setSignals] = useState([]);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [policyMessage, setPolicyMessage] = useState('');
+
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [escalatingId, setEscalatingId] = useState(null);
+
+  const escalateEvent = async (eventId) => {
+    setEscalatingId(eventId);
+    setError('');
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/admin/proxy-cases`, {
+        source: { type: 'riskEvent', id: eventId }
+      }, { headers: authHeaders() });
+      navigate(`/admin/cases?case=${response.data.case._id}`);
+    } catch (err) {
+      console.error('Error escalating risk signal:', err);
+      setError(err.response?.data?.message || 'Failed to escalate to a case');
+    } finally {
+      setEscalatingId(null);
+    }
+  };
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/risk-scoring/policy`, {
+        headers: authHeaders()
+      });
+      setPolicy(response.data.policy);
+      setSignals(response.data.signals || []);
+    } catch (err) {
+      console.error('Error fetching risk policy:', err);
+      setError(err.response?.data?.message || 'Failed to fetch the risk scoring policy');
+    }
+  }, []);
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ page, limit: 50 });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await axios.get(`${BACKEND_URL}/api/admin/risk-scoring/events?${params}`, {
+        headers: authHeaders()
+      });
+      setEvents(response.data.events || []);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Error fetching risk events:', err);
+      setError(err.response?.data?.message || 'Failed to fetch risk events');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, appliedFilters]);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, [fetchPolicy]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleWeightChange = (signal, value) => {
+    setPolicy({ ...policy, weights: { ...policy.weights, [signal]: value } });
+  };
+
+  const savePolicy = async (e) => {
+    e.preventDefault();
+    setSavingPolicy(true);
+    setPolicyMessage('');
+    setError('');
+
+    try {
+      const response = await axios.put(`${BACKEND_URL}/api/admin/risk-scoring/policy`, {
+        weights: policy.weights,
+        flagScore: policy.flagScore,
+        autoRemoveEnabled: policy.autoRemoveEnabled,
+        removeScore: policy.removeScore
+      }, {
+        headers: authHeaders()
+      });
+      setPolicy(response.data.policy);
+      setPolicyMessage('Scoring policy saved');
+    } catch (err) {
+      console.error('Error saving risk policy:', err);
+      setError(err.response?.data?.message || 'Failed to save the risk scoring policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="audit-log-header">
+        <h2>Proxy Risk Scoring</h2>
+        <button className="audit-log-back-button" onClick={() => navigate('/admin/dashboard')}>
+          &larr; Back to Dashboard
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {policy && (
+        <form className="risk-policy-form" onSubmit={savePolicy}>
+          <h3>Signal Weights</h3>
+          <p className="audit-log-muted">
+            Each occurrence of a signal adds its weight to the student's score for that session (capped at 100).
+          </p>
+          <div className="risk-weights">
+            {signals.map(signal => (
+              <label key={signal}>
+                <span>{SIGNAL_LABELS[signal] || signal}</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={policy.weights[signal] ?? 0}
+                  onChange={(e) => handleWeightChange(signal, e.target.value)}
+                  disabled={!canEditPolicy}
+                />
+              </label>
+            ))}
+          </div>
+
+          <h3>Auto-actions</h3>
+          <div className="risk-thresholds">
+            <label>
+              Flag on the live roster and alert the faculty at score
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={policy.flagScore}
+                onChange={(e) => setPolicy({ ...policy, flagScore: e.target.value })}
+                disabled={!canEditPolicy}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={policy.autoRemoveEnabled}
+                onChange={(e) => setPolicy({ ...policy, autoRemoveEnabled: e.target.checked })}
+                disabled={!canEditPolicy}
+              />
+              Remove the student from the session automatically at score
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={policy.removeScore}
+                onChange={(e) => setPolicy({ ...policy, removeScore: e.target.value })}
+                disabled={!canEditPolicy || !policy.autoRemoveEnabled}
+              />
+            </label>
+          </div>
+
+          {canEditPolicy && (
+            <div className="risk-policy-actions">
+              <button type="submit" disabled={savingPolicy}>
+                {savingPolicy ? 'Saving...' : 'Save Policy'}
+              </button>
+              {policyMessage && <span className="risk-policy-saved">{policyMessage}</span>}
+            </div>
+          )}
+        </form>
+      )}
+
+      <h3>Event Stream</h3>
+      <form className="audit-log-filters" onSubmit={applyFilters}>
+        <input name="studentId" value={filters.studentId} onChange={handleFilterChange} placeholder="Student ID" />
+        <input name="rollNumber" value={filters.rollNumber} onChange={handleFilterChange} placeholder="Roll number" />
+        <input name="sessionId" value={filters.sessionId} onChange={handleFilterChange} placeholder="Session ID" />
+        <select name="signal" value={filters.signal} onChange={handleFilterChange}>
+          <option value="">All signals</option>
+          {signals.map(signal => (
+            <option key={signal} value={signal}>{SIGNAL_LABELS[signal] || signal}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </label>
+        <button type="submit">Search</button>
+        <button type="button" className="secondary" onClick={clearFilters}>Clear</button>
+      </form>
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : events.length === 0 ? (
+        <div className="no-data-message">No risk signals match these filters.</div>
+      ) : (
+        <>
+          <div className="table-responsive">
+            <table className="attendance-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Student</th>
+                  <th>Class</th>
+                  <th>Session</th>
+                  <th>Signal</th>
+                  <th>Weight</th>
+                  <th>Details</th>
+                  {canEscalate && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr key={event._id}>
+                    <td>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td>
+                      <div>{event.name || event.studentId}</div>
+                      <div className="audit-log-muted">{event.rollNumber} · {event.studentId}</div>
+                    </td>
+                    <td>{event.department} {event.semester}-{event.section}</td>
+                    <td className="audit-log-muted">{event.sessionId || 'No session'}</td>
+                    <td>{SIGNAL_LABELS[event.signal] || event.signal}</td>
+                    <td>+{event.weight}</td>
+                    <td className="audit-log-muted">
+                      {event.details
+                        ? Object.entries(event.details).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ')
+                        : '-'}
+                    </td>
+                    {canEscalate && (
+                      <td>
+                        <button
+                          className="risk-escalate-button"
+                          onClick={() => escalateEvent(event._id)}
+                          disabled={escalatingId === event._id}
+                        >
+                          Escalate
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="audit-log-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} signals)</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>Next</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminRiskScoring;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminSheetSync.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const STATUS_LABELS = {
+  never: 'Not synced yet',
+  ok: 'In sync',
+  conflicts: 'Conflicts',
+  error: 'Error'
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '-');
+
+const AdminSheetSync = () => {
+  const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canEdit = (storedUser.permissions || []).includes('settings:write');
+
+  const [mappings, setMappings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchMappings = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/sheet-mappings`, { headers: authHeaders() });
+      setMappings(response.data.mappings || []);
+    } catch (err) {
+      console.error('Error fetching sheet mappings:', err);
+      setError(err.response?.data?.message || 'Failed to fetch sheet mappings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMappings();
+  }, [fetchMappings]);
+
+  const replaceMapping = (mapping) => {
+    setMappings(current => current.map(item => (item._id === mapping._id ? mapping : item)));
+  };
+
+  const syncNow = async (mapping) => {
+    setSyncing(mapping._id);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/admin/sheet-mappings/${mapping._id}/sync`, {}, { headers: authHeaders() });
+      replaceMapping(response.data.mapping);
+      if (response.data.success) {
+        setMessage(response.data.message);
+      } else {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error syncing sheet:', err);
+      setError(err.response?.data?.message || 'Failed to sync the sheet');
+    } finally {
+      setSyncing('');
+    }
+  };
+
+  const toggleSync = async (mapping) => {
+    try {
+      const response = await axios.patch(
+        `${BACKEND_URL}/api/admin/sheet-mappings/${mapping._id}`,
+        { syncEnabled: !mapping.syncEnabled },
+        { headers: authHeaders() }
+      );
+      replaceMapping({ ...mapping, syncEnabled: response.data.mapping.syncEnabled });
+    } catch (err) {
+      console.error('Error updating sheet mapping:', err);
+      setError(err.response?.data?.message || 'Failed to update the sheet mapping');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/admin/dashboard')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Google Sheets Sync</h2>
+      </div>
+
+      <p className="sheet-sync-help">
+        Each section's sheet gets one row per roll number and one column per session. Cells changed by hand
+        (P or A) are imported as audited corrections; edits that clash with changes made in QuickRoll are listed as conflicts and
+        overwritten with QuickRoll's value.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="sheet-sync-success">{message}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : mappings.length === 0 ? (
+        <div className="no-data-message">No sections are mapped to a Google Sheet.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Section</th>
+                <th>Sheet</th>
+                <th>Status</th>
+                <th>Last Synced</th>
+                <th>Last Sync</th>
+                <th>Auto-sync</th>
+                {canEdit && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {mappings.map(mapping => (
+                <React.Fragment key={mapping._id}>
+                  <tr>
+                    <td>{mapping.department} {mapping.semester}-{mapping.section}</td>
+                    <td>
+                      <a
+                        href={`https://docs.google.com/spreadsheets/d/${mapping.spreadsheetId}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {mapping.sheetId}
+                      </a>
+                    </td>
+                    <td>
+                      <span className={`sheet-sync-status ${mapping.syncStatus}`}>{STATUS_LABELS[mapping.syncStatus]}</span>
+                      {mapping.lastError && mapping.syncStatus === 'error' && (
+                        <div className="sheet-sync-error">
+                          {mapping.lastError}
+                          <div className="sheet-sync-muted">{formatDateTime(mapping.lastErrorAt)}</div>
+                        </div>
+                      )}
+                    </td>
+                    <td>{formatDateTime(mapping.lastSyncedAt)}</td>
+                    <td>
+                      {mapping.lastSyncedAt ? (
+                        <>
+                          {mapping.lastSyncSummary.imported} imported · {mapping.lastSyncSummary.columnsAdded} new sessions
+                          {mapping.conflicts.length > 0 && (
+                            <button className="sheet-sync-link" onClick={() => setExpanded(expanded === mapping._id ? null : mapping._id)}>
+                              {mapping.conflicts.length} conflict{mapping.conflicts.length === 1 ? '' : 's'}
+                            </button>
+                          )}
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td>
+                      <label className="sheet-sync-toggle">
+                        <input type="checkbox" checked={mapping.syncEnabled} onChange={() => toggleSync(mapping)} disabled={!canEdit} />
+                        {mapping.syncEnabled ? 'On' : 'Paused'}
+                      </label>
+                    </td>
+                    {canEdit && (
+                      <td>
+                        <button className="sheet-sync-button" onClick={() => syncNow(mapping)} disabled={Boolean(syncing)}>
+                          {syncing === mapping._id ? 'Syncing...' : 'Sync Now'}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                  {expanded === mapping._id && (
+                    <tr className="sheet-sync-conflicts">
+                      <td colSpan={canEdit ? 7 : 6}>
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Cell</th>
+                              <th>Roll No.</th>
+                              <th>Session</th>
+                              <th>Sheet</th>
+                              <th>QuickRoll</th>
+                              <th>Reason</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {mapping.conflicts.map(conflict => (
+                              <tr key={`${conflict.cell}-${conflict.rollNumber}`}>
+                                <td>{conflict.cell}</td>
+                                <td>{conflict.rollNumber}</td>
+                                <td>{conflict.header}</td>
+                                <td>{conflict.sheetValue || '(empty)'}</td>
+                                <td>{conflict.appValue || '-'}</td>
+                                <td>{conflict.reason}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminSheetSync;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import ProxyRingReport from '../components/ProxyRingReport';
 import '../styles/AdminSuspiciousDevices.css';
 
 const AdminSuspiciousDevices = () => {
@@ -8,6 +9,8 @@ const AdminSuspiciousDevices = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canRunAnalysis = (storedUser.permissions || []).includes('reviews:write');
 
   useEffect(() => {
     fetchSuspiciousDevices();
@@ -49,6 +52,18 @@ const AdminSuspiciousDevices = () => {
         </button>
       </div>
 
+      <h3 className="section-title">Proxy Rings</h3>
+      <p className="section-description">
+        Students linked by the same device fingerprint, WebRTC IP or IP address across weeks of attendance, ranked by how strongly they are connected. Select a ring to see its shared identifiers and scans.
+      </p>
+      <ProxyRingReport
+        apiPath="/api/admin/proxy-rings"
+        allowAnalyze={canRunAnalysis}
+        casesApiPath={canRunAnalysis ? '/api/admin/proxy-cases' : undefined}
+        casesPagePath="/admin/cases"
+      />
+
+      <h3 className="section-title">VPN and Foreign IP Logins</h3>
       {error && <div className="error-message">{error}</div>}
       
       {loading ? (
@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AdminWebhooks.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const EVENTS = [
+  { value: 'session.ended', label: 'Session ended', description: 'Final attendance of a session' },
+  { value: 'record.updated', label: 'Record updated', description: 'Manual edits, accepted disputes and sheet imports' },
+  { value: 'student.flagged', label: 'Student flagged', description: 'Proxy-risk score crossed the flag threshold' }
+];
+const DELIVERY_STATUSES = ['delivered', 'retrying', 'failed', 'sending', 'pending'];
+
+const EMPTY_FORM = { name: '', url: '', events: ['session.ended'], department: '', enabled: true };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+}) : '-');
+
+const AdminWebhooks = () => {
+  const navigate = useNavigate();
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canEdit = (storedUser.permissions || []).includes('settings:write');
+  const canViewLog = (storedUser.permissions || []).includes('audit:read');
+
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ webhookId: '', event: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/webhooks`, { headers: authHeaders() });
+      setWebhooks(response.data.webhooks || []);
+    } catch (err) {
+      console.error('Error fetching webhooks:', err);
+      setError(err.response?.data?.message || 'Failed to fetch webhooks');
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    if (!canViewLog) return;
+
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await axios.get(`${BACKEND_URL}/api/admin/webhook-deliveries`, { params, headers: authHeaders() });
+      setDeliveries(response.data.deliveries || []);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Error fetching webhook deliveries:', err);
+      setError(err.response?.data?.message || 'Failed to fetch the delivery history');
+    }
+  }, [canViewLog, filters, page]);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const openForm = (webhook = null) => {
+    setError('');
+    setMessage('');
+    setSecret(null);
+    setEditingId(webhook ? webhook._id : null);
+    setForm(webhook
+      ? { name: webhook.name, url: webhook.url, events: webhook.events, department: webhook.department || '', enabled: webhook.enabled }
+      : EMPTY_FORM);
+  };
+
+  const toggleEvent = (event) => {
+    const events = form.events.includes(event)
+      ? form.events.filter(item => item !== event)
+      : [...form.events, event];
+    setForm({ ...form, events });
+  };
+
+  const saveWebhook = async (e) => {
+    e.preventDefault();
+    setBusy('save');
+    setError('');
+
+    try {
+      const response = editingId
+        ? await axios.put(`${BACKEND_URL}/api/admin/webhooks/${editingId}`, form, { headers: authHeaders() })
+        : await axios.post(`${BACKEND_URL}/api/admin/webhooks`, form, { headers: authHeaders() });
+      setMessage(response.data.message);
+      if (!editingId) {
+        setSecret({ name: response.data.webhook.name, value: response.data.webhook.secret });
+      }
+      setForm(null);
+      fetchWebhooks();
+    } catch (err) {
+      console.error('Error saving webhook:', err);
+      setError(err.response?.data?.message || 'Failed to save the webhook');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const runAction = async (key, request, onSuccess) => {
+    setBusy(key);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await request();
+      if (response.data.success) {
+        setMessage(response.data.message);
+      } else {
+        setError(response.data.message);
+      }
+      if (onSuccess) onSuccess(response.data);
+    } catch (err) {
+      console.error('Webhook action failed:', err);
+      setError(err.response?.data?.message || 'Request failed');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const testWebhook = (webhook) => runAction(
+    webhook._id,
+    () => axios.post(`${BACKEND_URL}/api/admin/webhooks/${webhook._id}/test`, {}, { headers: authHeaders() }),
+    () => { fetchWebhooks(); fetchDeliveries(); }
+  );
+
+  const rotateSecret = (webhook) => {
+    if (!window.confirm(`Rotate the signing secret of "${webhook.name}"? The receiver must be updated with the new secret.`)) return;
+    runAction(
+      webhook._id,
+      () => axios.post(`${BACKEND_URL}/api/admin/webhooks/${webhook._id}/rotate-secret`, {}, { headers: authHeaders() }),
+      (data) => setSecret({ name: data.webhook.name, value: data.webhook.secret })
+    );
+  };
+
+  const deleteWebhook = (webhook) => {
+    if (!window.confirm(`Delete the webhook "${webhook.name}"?`)) return;
+    runAction(
+      webhook._id,
+      () => axios.delete(`${BACKEND_URL}/api/admin/webhooks/${webhook._id}`, { headers: authHeaders() }),
+      fetchWebhooks
+    );
+  };
+
+  const redeliver = (delivery) => runAction(
+    delivery._id,
+    () => axios.post(`${BACKEND_URL}/api/admin/webhook-deliveries/${delivery._id}/redeliver`, {}, { headers: authHeaders() }),
+    fetchDeliveries
+  );
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/admin/dashboard')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Webhooks</h2>
+      </div>
+
+      <p className="webhook-help">
+        Events are POSTed as JSON. Each request carries <code>X-QuickRoll-Timestamp</code> and
+        <code> X-QuickRoll-Signature: sha256=&lt;HMAC-SHA256 of "timestamp.body"&gt;</code> computed with the webhook's secret.
+        Failed deliveries are retried with increasing delays.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="webhook-success">{message}</div>}
+
+      {secret && (
+        <div className="webhook-secret">
+          <strong>Signing secret for "{secret.name}"</strong> (copy it now, it won't be shown again)
+          <code>{secret.value}</code>
+          <button onClick={() => setSecret(null)}>Done</button>
+        </div>
+      )}
+
+      <div className="webhook-panel">
+        <div className="webhook-panel-header">
+          <h3>Endpoints</h3>
+          {canEdit && !form && <button onClick={() => openForm()}>+ New Webhook</button>}
+        </div>
+
+        {form && (
+          <form className="webhook-form" onSubmit={saveWebhook}>
+            <div className="webhook-form-row">
+              <label>
+                Name
+                <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="University ERP" required />
+              </label>
+              <label className="webhook-url">
+                URL
+                <input type="url" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="https://erp.example.edu/quickroll" required />
+              </label>
+              {!storedUser.department && (
+                <label>
+                  Department
+                  <input value={form.department} onChange={(e) => setForm({ ...form, department: e.target.value })} placeholder="All" />
+                </label>
+              )}
+            </div>
+            <div className="webhook-events">
+              {EVENTS.map(event => (
+                <label key={event.value}>
+                  <input type="checkbox" checked={form.events.includes(event.value)} onChange={() => toggleEvent(event.value)} />
+                  <span>
+                    <code>{event.value}</code> {event.description}
+                  </span>
+                </label>
+              ))}
+              <label>
+                <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+                <span>Enabled</span>
+              </label>
+            </div>
+            <div className="webhook-form-actions">
+              <button type="submit" disabled={busy === 'save'}>{busy === 'save' ? 'Saving...' : 'Save Webhook'}</button>
+              <button type="button" className="secondary" onClick={() => setForm(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {webhooks.length === 0 ? (
+          <div className="no-data-message">No webhooks registered.</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="attendance-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>URL</th>
+                  <th>Events</th>
+                  <th>Department</th>
+                  <th>Last Delivery</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {webhooks.map(webhook => (
+                  <tr key={webhook._id} className={webhook.enabled ? '' : 'webhook-disabled'}>
+                    <td>{webhook.name}{!webhook.enabled && <span className="webhook-muted"> (disabled)</span>}</td>
+                    <td className="webhook-url-cell">{webhook.url}</td>
+                    <td>{webhook.events.map(event => <code key={event} className="webhook-event">{event}</code>)}</td>
+                    <td>{webhook.department || 'All'}</td>
+                    <td>
+                      {webhook.lastDeliveryStatus
+                        ? <span className={`webhook-status ${webhook.lastDeliveryStatus}`}>{webhook.lastDeliveryStatus}</span>
+                        : '-'}
+                      <div className="webhook-muted">{formatDateTime(webhook.lastDeliveryAt)}</div>
+                    </td>
+                    {canEdit && (
+                      <td className="webhook-actions">
+                        <button onClick={() => testWebhook(webhook)} disabled={Boolean(busy)}>
+                          {busy === webhook._id ? 'Working...' : 'Send Test'}
+                        </button>
+                        <button onClick={() => openForm(webhook)}>Edit</button>
+                        <button onClick={() => rotateSecret(webhook)} disabled={Boolean(busy)}>Rotate Secret</button>
+                        <button className="danger" onClick={() => deleteWebhook(webhook)} disabled={Boolean(busy)}>Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {canViewLog && (
+        <div className="webhook-panel">
+          <div className="webhook-panel-header">
+            <h3>Delivery History</h3>
+            <div className="webhook-filters">
+              <select name="webhookId" value={filters.webhookId} onChange={handleFilterChange}>
+                <option value="">All webhooks</option>
+                {webhooks.map(webhook => <option key={webhook._id} value={webhook._id}>{webhook.name}</option>)}
+              </select>
+              <select name="event" value={filters.event} onChange={handleFilterChange}>
+                <option value="">All events</option>
+                {EVENTS.map(event => <option key={event.value} value={event.value}>{event.value}</option>)}
+                <option value="webhook.test">webhook.test</option>
+              </select>
+              <select name="status" value={filters.status} onChange={handleFilterChange}>
+                <option value="">All statuses</option>
+                {DELIVERY_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {deliveries.length === 0 ? (
+            <div className="no-data-message">No deliveries yet.</div>
+          ) : (
+            <div className="table-responsive">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Created</th>
+                    <th>Webhook</th>
+                    <th>Event</th>
+                    <th>Status</th>
+                    <th>Response</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map(delivery => (
+                    <React.Fragment key={delivery._id}>
+                      <tr>
+                        <td>{formatDateTime(delivery.createdAt)}</td>
+                        <td>{delivery.webhookName}</td>
+                        <td><code className="webhook-event">{delivery.event}</code></td>
+                        <td>
+                          <span className={`webhook-status ${delivery.status}`}>{delivery.status}</span>
+                          <div className="webhook-muted">
+                            {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                            {delivery.status === 'retrying' && `, next ${formatDateTime(delivery.nextAttemptAt)}`}
+                          </div>
+                          {delivery.lastError && <div className="webhook-error">{delivery.lastError}</div>}
+                        </td>
+                        <td>
+                          {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '-'}
+                          {delivery.durationMs !== undefined && <div className="webhook-muted">{delivery.durationMs} ms</div>}
+                        </td>
+                        <td className="webhook-actions">
+                          <button className="secondary" onClick={() => setExpanded(expanded === delivery._id ? null : delivery._id)}>
+                            {expanded === delivery._id ? 'Hide' : 'Payload'}
+                          </button>
+                          {canEdit && ['failed', 'retrying', 'delivered'].includes(delivery.status) && (
+                            <button onClick={() => redeliver(delivery)} disabled={Boolean(busy)}>
+                              {busy === delivery._id ? 'Sending...' : 'Redeliver'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {expanded === delivery._id && (
+                        <tr className="webhook-payload">
+                          <td colSpan="6">
+                            <pre>{JSON.stringify(delivery.payload, null, 2)}</pre>
+                            {delivery.responseBody && (
+                              <>
+                                <strong>Response</strong>
+                                <pre>{delivery.responseBody}</pre>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="webhook-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>Next</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminWebhooks;
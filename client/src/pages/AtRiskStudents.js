@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AtRiskStudents.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const AtRiskStudents = ({ isAdmin = false }) => {
+  const navigate = useNavigate();
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Filters
+  const [department, setDepartment] = useState('');
+  const [semester, setSemester] = useState('');
+  const [section, setSection] = useState('');
+  const [level, setLevel] = useState('');
+
+  // Thresholds (admin only)
+  const [rules, setRules] = useState([]);
+  const [ruleForm, setRuleForm] = useState({ department: '*', warningThreshold: 75, criticalThreshold: 65, minSessions: 3, notifyFaculty: true, enabled: true });
+  const [savingRule, setSavingRule] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchStudents = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const params = new URLSearchParams();
+      if (isAdmin && department) params.append('department', department);
+      if (semester) params.append('semester', semester);
+      if (section) params.append('section', section);
+      if (level) params.append('level', level);
+
+      const endpoint = isAdmin ? '/api/admin/at-risk-students' : '/api/faculty/at-risk-students';
+      const response = await axios.get(`${BACKEND_URL}${endpoint}?${params}`, { headers: authHeaders() });
+      setStudents(response.data.students || []);
+    } catch (err) {
+      console.error('Error fetching at-risk students:', err);
+      setError('Failed to fetch at-risk students. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin, department, semester, section, level]);
+
+  const fetchRules = async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/admin/attendance-alerts/rules`, { headers: authHeaders() });
+      setRules(response.data.rules || []);
+    } catch (err) {
+      console.error('Error fetching alert rules:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStudents();
+  }, [fetchStudents]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchRules();
+    }
+  }, [isAdmin]);
+
+  const editRule = (rule) => {
+    setRuleForm({
+      department: rule.department,
+      warningThreshold: rule.warningThreshold,
+      criticalThreshold: rule.criticalThreshold,
+      minSessions: rule.minSessions,
+      notifyFaculty: rule.notifyFaculty,
+      enabled: rule.enabled
+    });
+  };
+
+  const saveRule = async (e) => {
+    e.preventDefault();
+    if (!ruleForm.department.trim()) {
+      setError('Department is required');
+      return;
+    }
+
+    setSavingRule(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      await axios.put(
+        `${BACKEND_URL}/api/admin/attendance-alerts/rules/${encodeURIComponent(ruleForm.department.trim())}`,
+        ruleForm,
+        { headers: authHeaders() }
+      );
+      setSuccess('Thresholds saved');
+      fetchRules();
+      fetchStudents();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save thresholds');
+    } finally {
+      setSavingRule(false);
+    }
+  };
+
+  const removeRule = async (ruleDepartment) => {
+    if (!window.confirm(`Remove the thresholds for ${ruleDepartment}? It will use the defaults.`)) return;
+
+    try {
+      await axios.delete(`${BACKEND_URL}/api/admin/attendance-alerts/rules/${encodeURIComponent(ruleDepartment)}`, { headers: authHeaders() });
+      setSuccess(`${ruleDepartment} now uses the default thresholds`);
+      fetchRules();
+      fetchStudents();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove thresholds');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="at-risk-header">
+        <h2>At-Risk Students</h2>
+        <button
+          className="at-risk-back-button"
+          onClick={() => navigate(isAdmin ? '/admin/dashboard' : '/faculty')}
+        >
+          &larr; Back to Dashboard
+        </button>
+      </div>
+
+      {isAdmin && (
+        <div className="at-risk-rules">
+          <h3>Shortage Thresholds</h3>
+          <p>Students get a digest when their running percentage in a subject drops below a threshold. The <strong>*</strong> rule applies to departments without their own.</p>
+
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>Warning Below</th>
+                <th>Critical Below</th>
+                <th>Min. Classes</th>
+                <th>Notify Faculty</th>
+                <th>Enabled</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule._id}>
+                  <td>{rule.department === '*' ? '* (default)' : rule.department}</td>
+                  <td>{rule.warningThreshold}%</td>
+                  <td>{rule.criticalThreshold}%</td>
+                  <td>{rule.minSessions}</td>
+                  <td>{rule.notifyFaculty ? 'Yes' : 'No'}</td>
+                  <td>{rule.enabled ? 'Yes' : 'No'}</td>
+                  <td>
+                    <button className="at-risk-link-button" onClick={() => editRule(rule)}>Edit</button>
+                    {rule.department !== '*' && (
+                      <button className="at-risk-link-button danger" onClick={() => removeRule(rule.department)}>Remove</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form className="at-risk-rule-form" onSubmit={saveRule}>
+            <input
+              type="text"
+              value={ruleForm.department}
+              onChange={(e) => setRuleForm({ ...ruleForm, department: e.target.value })}
+              placeholder="Department (* for default)"
+            />
+            <label>
+              Warning %
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={ruleForm.warningThreshold}
+                onChange={(e) => setRuleForm({ ...ruleForm, warningThreshold: e.target.value })}
+              />
+            </label>
+            <label>
+              Critical %
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={ruleForm.criticalThreshold}
+                onChange={(e) => setRuleForm({ ...ruleForm, criticalThreshold: e.target.value })}
+              />
+            </label>
+            <label>
+              Min. classes
+              <input
+                type="number"
+                min="1"
+                value={ruleForm.minSessions}
+                onChange={(e) => setRuleForm({ ...ruleForm, minSessions: e.target.value })}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={ruleForm.notifyFaculty}
+                onChange={(e) => setRuleForm({ ...ruleForm, notifyFaculty: e.target.checked })}
+              />
+              Notify faculty
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={ruleForm.enabled}
+                onChange={(e) => setRuleForm({ ...ruleForm, enabled: e.target.checked })}
+              />
+              Enabled
+            </label>
+            <button type="submit" disabled={savingRule}>
+              {savingRule ? 'Saving...' : 'Save Thresholds'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="at-risk-filters">
+        {isAdmin && (
+          <input
+            type="text"
+            value={department}
+            onChange={(e) => setDepartment(e.target.value)}
+            placeholder="Department"
+          />
+        )}
+        <input
+          type="text"
+          value={semester}
+          onChange={(e) => setSemester(e.target.value)}
+          placeholder="Semester"
+        />
+        <input
+          type="text"
+          value={section}
+          onChange={(e) => setSection(e.target.value)}
+          placeholder="Section"
+        />
+        <select value={level} onChange={(e) => setLevel(e.target.value)}>
+          <option value="">All levels</option>
+          <option value="warning">Warning</option>
+          <option value="critical">Critical</option>
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : students.length === 0 ? (
+        <div className="no-data-message">No students are below the attendance threshold</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Roll No.</th>
+                <th>Name</th>
+                <th>Class</th>
+                <th>Subject</th>
+                <th>Attended</th>
+                <th>Percentage</th>
+                <th>Classes to Recover</th>
+              </tr>
+            </thead>
+            <tbody>
+              {students.map(student => (
+                <tr key={`${student.student}-${student.subjectKey}`}>
+                  <td>{student.classRollNumber || '-'}</td>
+                  <td>{student.studentName}</td>
+                  <td>{student.department} {student.semester}-{student.section}</td>
+                  <td>{student.subjectName}</td>
+                  <td>{student.presentCount}/{student.totalSessions}</td>
+                  <td className={student.level === 'critical' ? 'attendance-danger' : 'attendance-warning'}>
+                    {student.percentage}%
+                  </td>
+                  <td>{student.sessionsToRecover ?? '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AtRiskStudents;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const AttendanceDisputeReview = () => {
+  const navigate = useNavigate();
+  const [disputes, setDisputes] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [notes, setNotes] = useState({});
+  const [actingId, setActingId] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchDisputes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${BACKEND_URL}/api/attendance-disputes/review`, {
+        params: { status },
+        headers: authHeaders()
+      });
+      setDisputes(response.data.disputes || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch disputes');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchDisputes();
+  }, [fetchDisputes]);
+
+  const handleDecision = async (disputeId, decision) => {
+    setActingId(disputeId);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_URL}/api/attendance-disputes/${disputeId}/${decision}`,
+        { note: notes[disputeId] || '' },
+        { headers: authHeaders() }
+      );
+      setSuccess(response.data.message);
+      fetchDisputes();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${decision} dispute`);
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleViewEvidence = async (disputeId) => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/attendance-disputes/${disputeId}/evidence`, { headers: authHeaders() });
+      window.open(response.data.url, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to open evidence');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/faculty')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Attendance Disputes</h2>
+        <select className="leave-status-filter" value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="accepted">Accepted</option>
+          <option value="rejected">Rejected</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="leave-success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : disputes.length === 0 ? (
+        <div className="no-data-message">No disputes found.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Session</th>
+                <th>Reason</th>
+                <th>Evidence</th>
+                <th>Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {disputes.map(dispute => (
+                <tr key={dispute._id}>
+                  <td>
+                    <div>{dispute.studentName}</div>
+                    <div className="leave-note">Roll {dispute.rollNumber}</div>
+                  </td>
+                  <td>
+                    <div>{dispute.subjectName || dispute.subjectCode || '-'}</div>
+                    <div className="leave-note">
+                      {dispute.department} {dispute.semester}-{dispute.section}
+                      {dispute.sessionDate && ` · ${new Date(dispute.sessionDate).toLocaleString('en-IN')}`}
+                    </div>
+                  </td>
+                  <td>{dispute.reason}</td>
+                  <td>
+                    {dispute.evidenceKey ? (
+                      <button className="leave-link-button" onClick={() => handleViewEvidence(dispute._id)}>View</button>
+                    ) : '-'}
+                  </td>
+                  <td>
+                    {dispute.status === 'pending' ? (
+                      <div className="leave-decision">
+                        <input
+                          type="text"
+                          placeholder="Note (optional)"
+                          value={notes[dispute._id] || ''}
+                          onChange={(e) => setNotes({ ...notes, [dispute._id]: e.target.value })}
+                        />
+                        <button
+                          className="leave-approve-button"
+                          onClick={() => handleDecision(dispute._id, 'accept')}
+                          disabled={actingId === dispute._id}
+                        >
+                          Accept
+                        </button>
+                        <button
+                          className="leave-reject-button"
+                          onClick={() => handleDecision(dispute._id, 'reject')}
+                          disabled={actingId === dispute._id}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <div>
+                        <span className={`leave-status ${dispute.status}`}>{dispute.status}</span>
+                        {dispute.reviewNote && <div className="leave-note">{dispute.reviewNote}</div>}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceDisputeReview;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import '../styles/StudentAttendance.css';
+import '../styles/AttendanceRegister.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const EXPORT_FORMATS = [
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'pdf', label: 'PDF' }
+];
+
+const CELL_CLASSES = { P: 'present', A: 'absent', E: 'excused' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const getClassKey = (option) => [option.department, option.semester, option.section, option.subjectKey].join('|');
+
+const AttendanceRegister = () => {
+  const navigate = useNavigate();
+  const [classes, setClasses] = useState([]);
+  const [selectedKey, setSelectedKey] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [register, setRegister] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchClasses = async () => {
+      try {
+        const response = await axios.get(`${BACKEND_URL}/api/attendance/register/classes`, { headers: authHeaders() });
+        setClasses(response.data.classes || []);
+        if (response.data.classes && response.data.classes.length > 0) {
+          setSelectedKey(getClassKey(response.data.classes[0]));
+        }
+      } catch (err) {
+        console.error('Error fetching register classes:', err);
+        setError('Failed to fetch your classes');
+      }
+    };
+
+    fetchClasses();
+  }, []);
+
+  const getParams = () => {
+    const selected = classes.find(option => getClassKey(option) === selectedKey);
+    const params = {
+      department: selected.department,
+      semester: selected.semester,
+      section: selected.section,
+      subjectKey: selected.subjectKey
+    };
+    if (from) params.from = from;
+    if (to) params.to = to;
+    return params;
+  };
+
+  const loadRegister = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/attendance/register`, {
+        params: getParams(),
+        headers: authHeaders()
+      });
+      setRegister(response.data.register);
+    } catch (err) {
+      console.error('Error fetching register:', err);
+      setRegister(null);
+      setError(err.response?.data?.message || 'Failed to load the register');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportRegister = async (format) => {
+    setExporting(format);
+    setError('');
+
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/attendance/register/export`, {
+        params: { ...getParams(), format },
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="(.+)"/);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', match ? match[1] : `register.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting register:', err);
+      setError('Failed to export the register');
+    } finally {
+      setExporting('');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/faculty')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Attendance Register</h2>
+      </div>
+
+      <form className="register-filters" onSubmit={loadRegister}>
+        <label>
+          Class
+          <select value={selectedKey} onChange={(e) => { setSelectedKey(e.target.value); setRegister(null); }}>
+            {classes.length === 0 && <option value="">No classes with attendance yet</option>}
+            {classes.map(option => (
+              <option key={getClassKey(option)} value={getClassKey(option)}>
+                {option.subjectName || option.facultyName} · {option.department} {option.semester}-{option.section}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <button type="submit" disabled={!selectedKey || loading}>
+          {loading ? 'Loading...' : 'View Register'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {register && (
+        <>
+          <div className="register-summary">
+            <span>
+              {register.totals.sessionCount} sessions · {register.totals.studentCount} students · Average {register.totals.averagePercentage}%
+            </span>
+            <div className="register-export">
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button key={format} onClick={() => exportRegister(format)} disabled={Boolean(exporting)}>
+                  {exporting === format ? 'Exporting...' : `Download ${label}`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {register.sessions.length === 0 ? (
+            <div className="no-data-message">No sessions in this date range.</div>
+          ) : (
+            <div className="register-table-wrapper">
+              <table className="register-table">
+                <thead>
+                  <tr>
+                    <th className="register-sticky">Roll No.</th>
+                    <th className="register-sticky register-name">Name</th>
+                    {register.sessions.map(session => (
+                      <th key={session.sessionId} className="register-session">{session.label}</th>
+                    ))}
+                    <th>P</th>
+                    <th>A</th>
+                    <th>E</th>
+                    <th>%</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {register.students.map(student => (
+                    <tr key={student.studentId} className={student.onRoster ? '' : 'register-former'}>
+                      <td className="register-sticky">{student.classRollNumber}</td>
+                      <td className="register-sticky register-name">
+                        {student.name}
+                        {!student.onRoster && <span className="register-muted"> (left section)</span>}
+                      </td>
+                      {student.cells.map((cell, index) => (
+                        <td key={register.sessions[index].sessionId} className={`register-cell ${CELL_CLASSES[cell] || ''}`}>{cell}</td>
+                      ))}
+                      <td>{student.present}</td>
+                      <td>{student.absent}</td>
+                      <td>{student.excused}</td>
+                      <td><strong>{student.percentage}%</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td className="register-sticky"></td>
+                    <td className="register-sticky register-name">Present</td>
+                    {register.totals.perSessionPresent.map((count, index) => (
+                      <td key={register.sessions[index].sessionId} className="register-cell">{count}</td>
+                    ))}
+                    <td colSpan="3"></td>
+                    <td><strong>{register.totals.averagePercentage}%</strong></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceRegister;
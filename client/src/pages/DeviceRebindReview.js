@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+// Show only the end of a fingerprint so devices can be told apart
+const shortDeviceId = (deviceId) => (deviceId ? `…${deviceId.slice(-8)}` : 'None');
+
+const DeviceRebindReview = ({ isAdmin = false }) => {
+  const navigate = useNavigate();
+  const [requests, setRequests] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [notes, setNotes] = useState({});
+  const [actingId, setActingId] = useState(null);
+
+  const apiBase = isAdmin ? `${BACKEND_URL}/api/admin/device-rebind-requests` : `${BACKEND_URL}/api/device-rebind`;
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const url = isAdmin ? apiBase : `${apiBase}/review`;
+      const response = await axios.get(url, { params: { status }, headers: authHeaders() });
+      setRequests(response.data.requests || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch device change requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase, isAdmin, status]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleDecision = async (requestId, decision) => {
+    setError('');
+    setSuccess('');
+
+    if (decision === 'approve' && !(notes[requestId] || '').trim()) {
+      setError('Enter a reason before approving a device change');
+      return;
+    }
+    setActingId(requestId);
+
+    try {
+      const response = await axios.post(
+        `${apiBase}/${requestId}/${decision}`,
+        { note: notes[requestId] || '' },
+        { headers: authHeaders() }
+      );
+      setSuccess(response.data.message);
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${decision} device change request`);
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button
+          className="back-button prominent-back"
+          onClick={() => navigate(isAdmin ? '/admin/dashboard' : '/faculty')}
+        >
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Device Change Requests</h2>
+        <select className="leave-status-filter" value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="leave-success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : requests.length === 0 ? (
+        <div className="no-data-message">No device change requests found.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Class</th>
+                <th>Requested</th>
+                <th>Devices</th>
+                <th>Reason</th>
+                <th>Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map(request => (
+                <tr key={request._id}>
+                  <td>
+                    <div>{request.studentName}</div>
+                    <div className="leave-note">{request.studentId} / Roll {request.classRollNumber}</div>
+                  </td>
+                  <td>{request.department} {request.semester}-{request.section}</td>
+                  <td>{new Date(request.createdAt).toLocaleString('en-IN')}</td>
+                  <td>
+                    <div className="leave-note">Current: {shortDeviceId(request.currentDeviceId)}</div>
+                    <div className="leave-note">New: {shortDeviceId(request.requestedDeviceId)}</div>
+                  </td>
+                  <td>{request.reason}</td>
+                  <td>
+                    {request.status === 'pending' ? (
+                      <div className="leave-decision">
+                        <input
+                          type="text"
+                          placeholder="Reason (required to approve)"
+                          value={notes[request._id] || ''}
+                          onChange={(e) => setNotes({ ...notes, [request._id]: e.target.value })}
+                        />
+                        <button
+                          className="leave-approve-button"
+                          onClick={() => handleDecision(request._id, 'approve')}
+                          disabled={actingId === request._id}
+                        >
+                          Approve
+                        </button>
+                        <button
+                          className="leave-reject-button"
+                          onClick={() => handleDecision(request._id, 'reject')}
+                          disabled={actingId === request._id}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <div>
+                        <span className={`leave-status ${request.status}`}>{request.status}</span>
+                        {request.reviewedBy?.name && <div className="leave-note">by {request.reviewedBy.name}</div>}
+                        {request.reviewNote && <div className="leave-note">{request.reviewNote}</div>}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeviceRebindReview;
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
 import io from "socket.io-client";
 import QRAttendancePanel from '../components/QRAttendancePanel';
+import { useAcademicStructure, getSectionStrength } from '../utils/academicStructure';
 import '../styles/notifications.css';
 import '../styles/GridHoverCard.css';
 
@@ -18,6 +20,9 @@ const FacultyDashboard = () => {
     const [selectedDepartment, setSelectedDepartment] = useState('');
     const [selectedSemester, setSelectedSemester] = useState('');
     const [selectedSection, setSelectedSection] = useState('');
+    const [selectedSubjectId, setSelectedSubjectId] = useState('');
+    // Subjects to choose from when the selected class was assigned without one (null otherwise)
+    const [legacySubjects, setLegacySubjects] = useState(null);
     const [totalStudents, setTotalStudents] = useState('');
     const [showNotification, setShowNotification] = useState(false);
     const [notificationType, setNotificationType] = useState('success'); // 'success' or 'error'
@@ -25,8 +30,7 @@ const FacultyDashboard = () => {
     const [sessionActive, setSessionActive] = useState(false);
     const [sessionTimer, setSessionTimer] = useState(0);
     const [timerInterval, setTimerInterval] = useState(null);
-    const [departments] = useState(['BTech', 'BCA', 'BCom', 'BBA', 'Law', 'MCA', 'MBA', 'BPharm','BSc','']);
-    const [semesters] = useState(['1', '2', '3', '4', '5', '6', '7', '8']);
+    const academicStructure = useAcademicStructure();
     const [availableSections, setAvailableSections] = useState([]);
     const [availableTeachingAssignments, setAvailableTeachingAssignments] = useState([]);
     const [availableSemesterSections, setAvailableSemesterSections] = useState({});
@@ -48,21 +52,42 @@ const FacultyDashboard = () => {
     const [groupSessionData, setGroupSessionData] = useState(null);
     const [groupSessionActive, setGroupSessionActive] = useState(false);
 
+    // Timetable: today's scheduled classes
+    const [todaysClasses, setTodaysClasses] = useState([]);
+    const [scheduledTotals, setScheduledTotals] = useState({});
+    const [startingScheduledId, setStartingScheduledId] = useState(null);
+
+    // 📍 Geofence: '' (timetabled room only), 'here' (my location) or a saved room id
+    const [rooms, setRooms] = useState([]);
+    const [geofenceChoice, setGeofenceChoice] = useState('');
+    const [geofenceMode, setGeofenceMode] = useState('reject');
+    // 🔢 Students must also type the code shown beside the QR (stricter anti-relay mode)
+    const [challengeRequired, setChallengeRequired] = useState(false);
+
     useEffect(() => {
         if (user?.role === 'faculty') {
-            const token = localStorage.getItem('token');
+            // Read the token on every (re)connect so refreshed tokens are used
             const newSocket = io(BACKEND_URL, {
-                auth: {
-                    token
-                }
+                auth: (cb) => cb({ token: localStorage.getItem('token') })
             });
             setSocket(newSocket);
 
             // Handle socket connection error
             newSocket.on('connect_error', (error) => {
                 console.error('Socket connection error:', error.message);
+                // The access token expired - renew it once and reconnect
+                if (error.message === 'Invalid authentication token' && !newSocket.retriedWithRefresh) {
+                    newSocket.retriedWithRefresh = true;
+                    authAPI.refreshSession()
+                        .then(() => newSocket.connect())
+                        .catch(() => showErrorMessage('Your session has expired. Please log in again.'));
+                    return;
+                }
                 showErrorMessage('Connection error: ' + error.message);
             });
+            newSocket.on('connect', () => {
+                newSocket.retriedWithRefresh = false;
+            });
 
             // Handle socket error
             newSocket.on('error', (error) => {
@@ -74,7 +99,11 @@ const FacultyDashboard = () => {
             newSocket.on('qr-sessionStarted', (data) => {
                 setQrSessionData(data.sessionData);
                 setQrSessionActive(true);
+                setStartingScheduledId(null);
                 showSuccessMessage('QR Session started successfully!');
+                if (data.scheduledSession) {
+                    fetchTodaysClasses();
+                }
             });
 
             newSocket.on('qr-sessionLocked', (data) => {
@@ -103,14 +132,25 @@ const FacultyDashboard = () => {
                 setQrSessionData(null);
                 setQrData(null);
                 setQrSessionActive(false);
-                showSuccessMessage('Session ended successfully!');
+                showSuccessMessage(data?.autoEnded ? 'Class slot ended - session ended automatically' : 'Session ended successfully!');
+                fetchTodaysClasses();
             });
 
             newSocket.on('qr-error', (error) => {
                 console.error('QR Error:', error);
+                setStartingScheduledId(null);
                 showErrorMessage(error.message);
             });
 
+            // One QR code scanned by unusually many devices - probably forwarded
+            newSocket.on('qr-proxyRingAlert', (alert) => {
+                showErrorMessage(`🚨 ${alert.message}`);
+            });
+
+            newSocket.on('qr-riskAlert', (alert) => {
+                showErrorMessage(`🛡️ ${alert.message}`);
+            });
+
             newSocket.on('qr-joinSessionBroadcasted', (data) => {
                 showSuccessMessage('Join session notification sent to all students!');
             });
@@ -156,6 +196,13 @@ const FacultyDashboard = () => {
         }
     }, [user]);
 
+    useEffect(() => {
+        if (user?.role === 'faculty') {
+            fetchTodaysClasses();
+            fetchRooms();
+        }
+    }, [user]);
+
     useEffect(() => {
         if (!loading && (!user || user.role !== 'faculty')) {
             navigate('/');
@@ -217,12 +264,167 @@ const FacultyDashboard = () => {
         ].join(':');
     };
 
-    const startSession = () => {
+    // Teaching assignments carry a populated subject ({ _id, code, name })
+    const getAssignmentSubjectId = (assignment) => assignment.subject?._id || assignment.subject || '';
+
+    const getAssignmentSubjectLabel = (assignment) => assignment.subject?.code
+        ? `${assignment.subject.code} - ${assignment.subject.name}`
+        : 'No subject assigned';
+
+    // Classes assigned before subjects existed: the faculty picks one of the semester's subjects
+    const fetchLegacySubjects = async (semester) => {
+        setLegacySubjects([]);
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${BACKEND_URL}/api/faculty/subjects?semester=${encodeURIComponent(semester)}`, {
+                headers: {
+                    'Authorization': token ? `Bearer ${token}` : ''
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load subjects');
+            }
+            setLegacySubjects(data.subjects || []);
+        } catch (error) {
+            showErrorMessage(error.message);
+        }
+    };
+
+    const matchesAssignment = (s, assignment) => 
+        s.department === user.department && 
+        s.semester === assignment.semester && 
+        s.section === assignment.section &&
+        s.subjectId === getAssignmentSubjectId(assignment);
+
+    const selectAssignment = (assignment) => {
+        setSelectedDepartment(user.department);
+        setSelectedSemester(assignment.semester);
+        setSelectedSection(assignment.section);
+        setSelectedSubjectId(getAssignmentSubjectId(assignment));
+        if (getAssignmentSubjectId(assignment)) {
+            setLegacySubjects(null);
+        } else {
+            fetchLegacySubjects(assignment.semester);
+        }
+
+        // Prefill the class size from the section's configured strength
+        const strength = getSectionStrength(academicStructure, user.department, assignment.semester, assignment.section);
+        if (strength) {
+            setTotalStudents(String(strength));
+        }
+    };
+
+    // Fetch today's timetabled classes for one-tap start
+    const fetchTodaysClasses = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${BACKEND_URL}/api/qr-attendance/todays-classes`, {
+                headers: {
+                    'Authorization': token ? `Bearer ${token}` : ''
+                }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setTodaysClasses(data.classes || []);
+            }
+        } catch (error) {
+            console.error('Error fetching today\'s classes:', error);
+        }
+    };
+
+    // Saved rooms a session can be geofenced to
+    const fetchRooms = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${BACKEND_URL}/api/qr-attendance/rooms`, {
+                headers: {
+                    'Authorization': token ? `Bearer ${token}` : ''
+                }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setRooms(data.rooms || []);
+            }
+        } catch (error) {
+            console.error('Error fetching rooms:', error);
+        }
+    };
+
+    // Geofence fields for a start request (asks the browser for the location when needed)
+    const getGeofenceOptions = () => new Promise((resolve, reject) => {
+        if (geofenceChoice !== 'here') {
+            resolve({ roomId: geofenceChoice || undefined, geofenceMode });
+            return;
+        }
+        if (!navigator.geolocation) {
+            reject(new Error('Location is not available in this browser. Pick a saved room instead.'));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                location: {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                },
+                geofenceMode
+            }),
+            () => reject(new Error('Allow location access to geofence this session, or pick a saved room.')),
+            { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+        );
+    });
+
+    const formatSlotTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const startScheduledClass = async (scheduledClass) => {
+        if (!socket) return;
+
+        const totalForClass = scheduledClass.totalStudents || scheduledTotals[scheduledClass._id];
+        if (scheduledClass.sessionType === 'roll' && (!totalForClass || isNaN(totalForClass) || totalForClass < 1)) {
+            showErrorMessage('Please enter the number of students for this class');
+            return;
+        }
+
+        setShowNotification(false);
+        setStartingScheduledId(scheduledClass._id);
+        setAttendanceType(scheduledClass.sessionType);
+
+        let geofenceOptions;
+        try {
+            geofenceOptions = await getGeofenceOptions();
+        } catch (error) {
+            setStartingScheduledId(null);
+            showErrorMessage(error.message);
+            return;
+        }
+
+        socket.emit('qr-startScheduledSession', {
+            scheduledSessionId: scheduledClass._id,
+            totalStudents: totalForClass ? parseInt(totalForClass) : undefined,
+            ...geofenceOptions,
+            challengeRequired
+        });
+
+        // Reset the loading state in case the server doesn't respond
+        setTimeout(() => {
+            setStartingScheduledId(null);
+        }, 5000);
+    };
+
+    const startSession = async () => {
         if (!selectedDepartment || !selectedSemester || !selectedSection) {
             showErrorMessage('Please select department, semester, and section');
             return;
         }
 
+        if (!selectedSubjectId) {
+            showErrorMessage(legacySubjects
+                ? 'Please choose the subject you are teaching'
+                : 'This class has no subject assigned. Please contact the admin.');
+            return;
+        }
+
         // For roll-based attendance, total students is required
         if (attendanceType === 'roll' && (!totalStudents || isNaN(totalStudents) || totalStudents < 1)) {
             showErrorMessage('Please enter a valid number of students');
@@ -231,14 +433,26 @@ const FacultyDashboard = () => {
 
         setShowNotification(false);
         setStartingSession(true);
+
+        let geofenceOptions;
+        try {
+            geofenceOptions = await getGeofenceOptions();
+        } catch (error) {
+            setStartingSession(false);
+            showErrorMessage(error.message);
+            return;
+        }
         
         // Use QR system instead of old grid system
         socket.emit('qr-startSession', {
             department: selectedDepartment,
             semester: selectedSemester,
             section: selectedSection,
+            subjectId: selectedSubjectId,
             totalStudents: parseInt(totalStudents || 0),
-            sessionType: attendanceType
+            sessionType: attendanceType,
+            ...geofenceOptions,
+            challengeRequired
         });
         
         // Add a timeout to reset the loading state in case the server doesn't respond
@@ -486,29 +700,33 @@ const FacultyDashboard = () => {
     const handleSectionToggle = (assignment) => {
         if (!groupMode) return;
         
-        const isSelected = selectedSections.some(s => 
-            s.department === user.department && 
-            s.semester === assignment.semester && 
-            s.section === assignment.section
-        );
+        const isSelected = selectedSections.some(s => matchesAssignment(s, assignment));
         
         if (isSelected) {
-            setSelectedSections(prev => prev.filter(s => 
-                !(s.department === user.department && 
-                  s.semester === assignment.semester && 
-                  s.section === assignment.section)
-            ));
+            setSelectedSections(prev => prev.filter(s => !matchesAssignment(s, assignment)));
         } else {
+            const subjectId = getAssignmentSubjectId(assignment);
+            if (!subjectId) {
+                showErrorMessage('This class has no subject assigned. Please contact the admin.');
+                return;
+            }
+            if (selectedSections.length > 0 && selectedSections[0].subjectId !== subjectId) {
+                showErrorMessage('All sections in a group session must be for the same subject');
+                return;
+            }
             setSelectedSections(prev => [...prev, {
                 department: user.department,
                 semester: assignment.semester,
                 section: assignment.section,
-                totalStudents: assignment.totalStudents || '' // User must enter value
+                subjectId,
+                totalStudents: assignment.totalStudents
+                    || getSectionStrength(academicStructure, user.department, assignment.semester, assignment.section)
+                    || '' // User must enter value
             }]);
         }
     };
 
-    const startGroupSession = () => {
+    const startGroupSession = async () => {
         if (selectedSections.length === 0) {
             showErrorMessage('Please select at least one section for group session');
             return;
@@ -520,10 +738,22 @@ const FacultyDashboard = () => {
         }
 
         setStartingSession(true);
+
+        let geofenceOptions;
+        try {
+            geofenceOptions = await getGeofenceOptions();
+        } catch (error) {
+            setStartingSession(false);
+            showErrorMessage(error.message);
+            return;
+        }
         
         socket.emit('qr-startGroupSession', {
             sections: selectedSections,
-            sessionType: attendanceType
+            subjectId: selectedSections[0].subjectId,
+            sessionType: attendanceType,
+            ...geofenceOptions,
+            challengeRequired
         });
 
         setTimeout(() => {
@@ -620,14 +850,141 @@ const FacultyDashboard = () => {
                     >
                         View Suspicious Devices
                     </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/device-monitoring')}
+                    >
+                        Shared Devices
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/cases')}
+                    >
+                        Proxy Cases
+                    </button>
                     <button 
                         style={{...styles.navButton, marginLeft: '10px'}} 
                         onClick={() => navigate('/faculty/past-attendance')}
                     >
                         View Past Attendance
                     </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/register')}
+                    >
+                        Attendance Register
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/at-risk-students')}
+                    >
+                        At-Risk Students
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/leave-requests')}
+                    >
+                        Leave Requests
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/disputes')}
+                    >
+                        Attendance Disputes
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/faculty/device-requests')}
+                    >
+                        Device Requests
+                    </button>
+                    <button 
+                        style={{...styles.navButton, marginLeft: '10px'}} 
+                        onClick={() => navigate('/account/sessions')}
+                    >
+                        Active Logins
+                    </button>
                 </div>
 
+                {todaysClasses.length > 0 && (
+                    <div style={styles.controlPanel}>
+                        <div style={styles.assignmentsTableContainer}>
+                            <h3 style={styles.tableTitle}>Today's Classes</h3>
+                            <p style={styles.tableSubtitle}>Start a timetabled class with one tap</p>
+
+                            <div style={styles.tableWrapper}>
+                                <table style={styles.assignmentsTable}>
+                                    <thead>
+                                        <tr>
+                                            <th style={styles.tableHeader}>Time</th>
+                                            <th style={styles.tableHeader}>Subject</th>
+                                            <th style={styles.tableHeader}>Class</th>
+                                            <th style={styles.tableHeader}>Room</th>
+                                            <th style={styles.tableHeader}>Total Students</th>
+                                            <th style={styles.tableHeader}>Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {todaysClasses.map(scheduledClass => {
+                                            const canStart = scheduledClass.status === 'scheduled' &&
+                                                new Date(scheduledClass.scheduledEnd) > new Date();
+
+                                            return (
+                                                <tr key={scheduledClass._id} style={styles.tableRow}>
+                                                    <td style={styles.tableCell}>
+                                                        {formatSlotTime(scheduledClass.scheduledStart)} - {formatSlotTime(scheduledClass.scheduledEnd)}
+                                                    </td>
+                                                    <td style={styles.tableCell}>{scheduledClass.subjectCode} - {scheduledClass.subjectName}</td>
+                                                    <td style={styles.tableCell}>
+                                                        {scheduledClass.department} {scheduledClass.semester}-{scheduledClass.section}
+                                                    </td>
+                                                    <td style={styles.tableCell}>{scheduledClass.room || '-'}</td>
+                                                    <td style={styles.tableCell}>
+                                                        {scheduledClass.totalStudents || scheduledClass.sessionType !== 'roll'
+                                                            ? (scheduledClass.totalStudents || '-')
+                                                            : (
+                                                                <input
+                                                                    type="number"
+                                                                    value={scheduledTotals[scheduledClass._id] || ''}
+                                                                    onChange={(e) => setScheduledTotals(prev => ({
+                                                                        ...prev,
+                                                                        [scheduledClass._id]: e.target.value
+                                                                    }))}
+                                                                    style={styles.tableInput}
+                                                                    placeholder="Enter total"
+                                                                    min="1"
+                                                                    disabled={!canStart}
+                                                                />
+                                                            )
+                                                        }
+                                                    </td>
+                                                    <td style={styles.tableCell}>
+                                                        {canStart ? (
+                                                            <button
+                                                                onClick={() => startScheduledClass(scheduledClass)}
+                                                                style={{
+                                                                    ...styles.button,
+                                                                    backgroundColor: '#4caf50',
+                                                                    opacity: startingScheduledId === scheduledClass._id ? 0.7 : 1
+                                                                }}
+                                                                disabled={!!startingScheduledId || qrSessionActive || groupSessionActive}
+                                                            >
+                                                                {startingScheduledId === scheduledClass._id ? 'Starting...' : 'Start'}
+                                                            </button>
+                                                        ) : (
+                                                            <span style={{ textTransform: 'capitalize' }}>{scheduledClass.status}</span>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
                 <div style={styles.controlPanel}>
                     <div style={styles.attendanceTypeSelector}>
                         <label style={styles.label}>Attendance Type:</label>
@@ -657,6 +1014,58 @@ const FacultyDashboard = () => {
                         </div>
                     </div>
 
+                    {/* Geofence: only accept scans from inside the classroom */}
+                    <div style={styles.attendanceTypeSelector}>
+                        <label style={styles.label}>Classroom Location:</label>
+                        <select
+                            value={geofenceChoice}
+                            onChange={(e) => setGeofenceChoice(e.target.value)}
+                            style={styles.select}
+                            disabled={qrSessionActive || groupSessionActive}
+                        >
+                            <option value="">Timetabled room (if saved), otherwise no location check</option>
+                            <option value="here">Use my current location</option>
+                            {rooms.map(room => (
+                                <option key={room._id} value={room._id}>
+                                    {room.building ? `${room.building} - ${room.name}` : room.name}
+                                </option>
+                            ))}
+                        </select>
+                        <div style={styles.attendanceTypeButtons}>
+                            {[['reject', 'Reject scans from outside'], ['flag', 'Accept but flag them']].map(([mode, text]) => (
+                                <button
+                                    key={mode}
+                                    onClick={() => setGeofenceMode(mode)}
+                                    style={{
+                                        ...styles.typeButton,
+                                        backgroundColor: geofenceMode === mode ? '#4caf50' : '#f0f0f0',
+                                        color: geofenceMode === mode ? 'white' : 'black'
+                                    }}
+                                    disabled={qrSessionActive || groupSessionActive}
+                                >
+                                    {text}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Projector challenge code */}
+                    <div style={styles.groupModeContainer}>
+                        <label style={styles.groupModeLabel}>
+                            <input
+                                type="checkbox"
+                                checked={challengeRequired}
+                                onChange={(e) => setChallengeRequired(e.target.checked)}
+                                style={styles.groupModeCheckbox}
+                                disabled={qrSessionActive || groupSessionActive}
+                            />
+                            <span style={styles.groupModeText}>Projector Challenge Code</span>
+                        </label>
+                        <p style={styles.groupModeDescription}>
+                            Show a short code beside the QR that students must type in when they scan, so forwarded QR screenshots don't work. Can also be switched on or off during the session.
+                        </p>
+                    </div>
+
                     {/* Group Mode Toggle */}
                     <div style={styles.groupModeContainer}>
                         <label style={styles.groupModeLabel}>
@@ -698,20 +1107,20 @@ const FacultyDashboard = () => {
                                         <th style={styles.tableHeader}>Department</th>
                                         <th style={styles.tableHeader}>Semester</th>
                                         <th style={styles.tableHeader}>Section</th>
+                                        <th style={styles.tableHeader}>Subject</th>
                                         <th style={styles.tableHeader}>Total Students</th>
                                     </tr>
                                 </thead>
                                 <tbody>
                                     {availableTeachingAssignments.map((assignment, index) => {
                                         const isSelected = groupMode 
-                                            ? selectedSections.some(s => 
-                                                s.department === user.department && 
-                                                s.semester === assignment.semester && 
-                                                s.section === assignment.section
-                                              )
+                                            ? selectedSections.some(s => matchesAssignment(s, assignment))
                                             : (selectedDepartment === user.department && 
                                                selectedSemester === assignment.semester && 
-                                               selectedSection === assignment.section);
+                                               selectedSection === assignment.section &&
+                                               (getAssignmentSubjectId(assignment)
+                                                   ? selectedSubjectId === getAssignmentSubjectId(assignment)
+                                                   : legacySubjects !== null));
                                             
                                         return (
                                             <tr 
@@ -727,9 +1136,7 @@ const FacultyDashboard = () => {
                                                         if (groupMode) {
                                                             handleSectionToggle(assignment);
                                                         } else {
-                                                            setSelectedDepartment(user.department);
-                                                            setSelectedSemester(assignment.semester);
-                                                            setSelectedSection(assignment.section);
+                                                            selectAssignment(assignment);
                                                         }
                                                     }
                                                 }}
@@ -746,25 +1153,35 @@ const FacultyDashboard = () => {
                                                 <td style={styles.tableCell}>{user.department}</td>
                                                 <td style={styles.tableCell}>{assignment.semester}</td>
                                                 <td style={styles.tableCell}>{assignment.section}</td>
+                                                <td style={styles.tableCell}>
+                                                    {isSelected && !groupMode && !getAssignmentSubjectId(assignment) ? (
+                                                        <select
+                                                            value={selectedSubjectId}
+                                                            onChange={(e) => setSelectedSubjectId(e.target.value)}
+                                                            onClick={(e) => e.stopPropagation()}
+                                                            style={styles.tableInput}
+                                                            disabled={qrSessionActive || groupSessionActive}
+                                                        >
+                                                            <option value="">Choose subject</option>
+                                                            {legacySubjects.map(subject => (
+                                                                <option key={subject._id} value={subject._id}>
+                                                                    {subject.code} - {subject.name}
+                                                                </option>
+                                                            ))}
+                                                        </select>
+                                                    ) : getAssignmentSubjectLabel(assignment)}
+                                                </td>
                                                 <td style={styles.tableCell}>
                                                     {attendanceType === 'roll' && (
                                                         <input
                                                             type="number"
                                                             value={groupMode 
-                                                                ? (selectedSections.find(s => 
-                                                                    s.department === user.department && 
-                                                                    s.semester === assignment.semester && 
-                                                                    s.section === assignment.section
-                                                                  )?.totalStudents || '')
+                                                                ? (selectedSections.find(s => matchesAssignment(s, assignment))?.totalStudents || '')
                                                                 : (isSelected ? totalStudents : '')
                                                             }
                                                             onChange={(e) => {
                                                                 if (groupMode) {
-                                                                    const sectionIndex = selectedSections.findIndex(s => 
-                                                                        s.department === user.department && 
-                                                                        s.semester === assignment.semester && 
-                                                                        s.section === assignment.section
-                                                                    );
+                                                                    const sectionIndex = selectedSections.findIndex(s => matchesAssignment(s, assignment));
                                                                     if (sectionIndex !== -1) {
                                                                         updateSectionTotalStudents(sectionIndex, e.target.value);
                                                                     }
@@ -778,9 +1195,7 @@ const FacultyDashboard = () => {
                                                                     if (groupMode) {
                                                                         handleSectionToggle(assignment);
                                                                     } else {
-                                                                        setSelectedDepartment(user.department);
-                                                                        setSelectedSemester(assignment.semester);
-                                                                        setSelectedSection(assignment.section);
+                                                                        selectAssignment(assignment);
                                                                     }
                                                                 }
                                                             }}
@@ -24,6 +24,13 @@ const FacultyPastAttendance = () => {
   const [editSuccess, setEditSuccess] = useState('');
   const [presentStudents, setPresentStudents] = useState([]);
   const [absentStudents, setAbsentStudents] = useState([]);
+  const [editReason, setEditReason] = useState('');
+
+  // Audit history states
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [auditHistory, setAuditHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState('');
   
   // 📊 REPORT GENERATION STATE
   const [showReportModal, setShowReportModal] = useState(false);
@@ -259,6 +266,10 @@ const FacultyPastAttendance = () => {
             <td style="padding: 8px; border-bottom: 1px solid #e0e0e0; font-weight: bold;">Section:</td>
             <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${record.section}</td>
           </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e0e0e0; font-weight: bold;">Subject:</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${record.subjectName ? `${record.subjectCode} - ${record.subjectName}` : 'N/A'}</td>
+          </tr>
           <tr>
             <td style="padding: 8px; border-bottom: 1px solid #e0e0e0; font-weight: bold;">Date:</td>
             <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${formatDate(record.date)}</td>
@@ -303,6 +314,7 @@ Generated on ${formatDate(record.date)}
 Session Details:
 - Department: ${record.department}
 - Section: ${record.section}
+- Subject: ${record.subjectName ? `${record.subjectCode} - ${record.subjectName}` : 'N/A'}
 - Date: ${formatDate(record.date)}
 - Faculty: ${record.facultyName || 'N/A'}
 
@@ -446,6 +458,7 @@ This is an automated email sent by the QuickRoll Attendance System.`;
     setEditingRecord(record);
     setPresentStudents([...record.presentStudents]);
     setAbsentStudents([...record.absentees]);
+    setEditReason('');
     setShowEditModal(true);
     setEditError('');
     setEditSuccess('');
@@ -456,10 +469,34 @@ This is an automated email sent by the QuickRoll Attendance System.`;
     setShowEditModal(false);
     setEditingRecord(null);
     setRollNumberToAdd('');
+    setEditReason('');
     setEditError('');
     setEditSuccess('');
   };
 
+  // Function to open the audit history of a record
+  const handleViewHistory = async (record) => {
+    setHistoryRecord(record);
+    setAuditHistory([]);
+    setHistoryError('');
+    setHistoryLoading(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+      const response = await axios.get(
+        `${BACKEND_URL}/api/attendance/records/${record._id}/audit`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setAuditHistory(response.data.history || []);
+    } catch (error) {
+      console.error('Error fetching audit history:', error);
+      setHistoryError(error.response?.data?.message || 'Failed to load edit history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
   // Function to move student from absent to present
   const moveToPresent = (rollNumber) => {
     // Check if roll number is already in present list
@@ -619,7 +656,8 @@ This is an automated email sent by the QuickRoll Attendance System.`;
         {
           presentStudents,
           absentees: absentStudents,
-          presentCount
+          presentCount,
+          reason: editReason
         },
         {
           headers: {
@@ -849,7 +887,7 @@ This is an automated email sent by the QuickRoll Attendance System.`;
             <div key={record._id} className="attendance-card">
               <div className="attendance-header">
                 <div className="attendance-title">
-                  <h3>{record.department} - {record.section}</h3>
+                  <h3>{record.department} - {record.section}{record.subjectCode ? ` - ${record.subjectCode}` : ''}</h3>
                   <span className="attendance-date">{formatDate(record.date)}</span>
                 </div>
                 <div className="attendance-stats">
@@ -895,6 +933,17 @@ This is an automated email sent by the QuickRoll Attendance System.`;
                       )}
                     </div>
                   </div>
+
+                  {record.excusedStudents && record.excusedStudents.length > 0 && (
+                    <div className="excused-list">
+                      <h4>Excused (Approved Leave)</h4>
+                      <div className="roll-numbers">
+                        {record.excusedStudents.sort().map((roll, index) => (
+                          <span key={index} className="roll-badge excused">{roll}</span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -936,6 +985,12 @@ This is an automated email sent by the QuickRoll Attendance System.`;
                 >
                   <i className="fas fa-chart-bar"></i> Report
                 </button>
+                <button 
+                  className="history-button" 
+                  onClick={() => handleViewHistory(record)}
+                >
+                  <i className="fas fa-history"></i> History
+                </button>
               </div>
             </div>
           ))}
@@ -1054,6 +1109,18 @@ This is an automated email sent by the QuickRoll Attendance System.`;
               </div>
             </div>
             
+            <div className="edit-reason">
+              <label htmlFor="edit-reason-input">Reason for change (recorded in the audit log)</label>
+              <input
+                id="edit-reason-input"
+                type="text"
+                value={editReason}
+                onChange={(e) => setEditReason(e.target.value)}
+                maxLength={500}
+                placeholder="e.g. Student was present but the scan failed"
+              />
+            </div>
+
             <div className="edit-modal-footer">
               <button 
                 className="cancel-button" 
@@ -1079,6 +1146,59 @@ This is an automated email sent by the QuickRoll Attendance System.`;
         </div>
       )}
 
+      {/* Audit History Modal */}
+      {historyRecord && (
+        <div className="edit-modal-overlay">
+          <div className="edit-modal">
+            <div className="edit-modal-header">
+              <h3>Edit History</h3>
+              <button className="close-button" onClick={() => setHistoryRecord(null)}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            <div className="edit-modal-content">
+              <div className="record-info">
+                <p><strong>Department:</strong> {historyRecord.department}</p>
+                <p><strong>Section:</strong> {historyRecord.section}</p>
+                <p><strong>Date:</strong> {formatDate(historyRecord.date)}</p>
+              </div>
+
+              {historyError && <div className="edit-error">{historyError}</div>}
+
+              {historyLoading ? (
+                <p className="empty-message">Loading history...</p>
+              ) : auditHistory.length === 0 ? (
+                <p className="empty-message">This record has not been edited.</p>
+              ) : (
+                <table className="audit-history-table">
+                  <thead>
+                    <tr>
+                      <th>When</th>
+                      <th>Roll No.</th>
+                      <th>Change</th>
+                      <th>By</th>
+                      <th>Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {auditHistory.map(entry => (
+                      <tr key={entry._id}>
+                        <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                        <td>{entry.rollNumber}</td>
+                        <td>{entry.fromStatus} &rarr; {entry.toStatus}</td>
+                        <td>{entry.changedBy?.name || entry.changedBy?.id}</td>
+                        <td>{entry.reason || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* 📊 REPORT GENERATION MODAL */}
       {showReportModal && (
         <div className="modal-overlay">
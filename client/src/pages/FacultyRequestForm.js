@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import * as THREE from 'three';
+import { useAcademicStructure, getSemesters, getSections } from '../utils/academicStructure';
 
 // Use environment variable directly instead of importing from config
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
@@ -25,11 +26,10 @@ const FacultyRequestForm = () => {
   const [notificationType, setNotificationType] = useState('error');
   const [notificationMessage, setNotificationMessage] = useState('');
 
-  const [availableSections, setAvailableSections] = useState([
-    'A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'D1', 'D2', 'E1', 'E2', 'F1', 'F2', 'G1', 'G2', 'H1', 'H2', 'I1', 'I2', 'J1', 'J2', 'K1', 'K2', 'L1', 'L2', 'ML1', 'ML2', 'ML3', 'DS1', 'DS2', 'DSA', 'Placement Group 1', 'Placement Group 2', 'Placement Group 3', 'Placement Group 4', 'Placement Group 5'
-  ]);
-  const departments = ['BTech', 'BCA', 'BCom', 'BBA', 'Law', 'MCA', 'MBA', 'BPharm', 'BSc'];
-  const semesters = ['1', '2', '3', '4', '5', '6', '7', '8'];
+  const academicStructure = useAcademicStructure();
+  const departments = academicStructure.programmes;
+  const semesters = getSemesters(academicStructure, department);
+  const availableSections = getSections(academicStructure, department, selectedSemester);
 
   const navigate = useNavigate();
   const mountRef = useRef(null);
@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import '../styles/StudentAttendance.css';
+import '../styles/ProxyCases.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const OUTCOME_LABELS = {
+  'confirmed-proxy': 'Proxy confirmed',
+  'warning-issued': 'Warning issued',
+  'no-violation': 'No violation',
+  'insufficient-evidence': 'Insufficient evidence'
+};
+
+const EVIDENCE_ICONS = {
+  vpn: '🌐',
+  camera: '📹',
+  'risk-signal': '🛡️',
+  'proxy-ring': '🕸️',
+  device: '📱',
+  photo: '📷'
+};
+
+const ProxyCases = ({ isAdmin = false }) => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [cases, setCases] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [assignedToMe, setAssignedToMe] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [selectedCase, setSelectedCase] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [recordId, setRecordId] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [outcomeNote, setOutcomeNote] = useState('');
+  const [acting, setActing] = useState(false);
+
+  const apiBase = isAdmin ? `${BACKEND_URL}/api/admin/proxy-cases` : `${BACKEND_URL}/api/proxy-cases`;
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+  const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const canEdit = !isAdmin || (storedUser.permissions || []).includes('reviews:write');
+  const selectedCaseId = searchParams.get('case');
+
+  const fetchCases = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { assignedToMe };
+      if (status !== 'all') params.status = status;
+      const response = await axios.get(apiBase, { params, headers: authHeaders() });
+      setCases(response.data.cases || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch cases');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase, status, assignedToMe]);
+
+  const showCase = (proxyCase) => {
+    setSelectedCase(proxyCase);
+    setOutcome(proxyCase.outcome || '');
+    setOutcomeNote(proxyCase.outcomeNote || '');
+  };
+
+  const fetchCase = useCallback(async (caseId) => {
+    try {
+      const response = await axios.get(`${apiBase}/${caseId}`, { headers: authHeaders() });
+      showCase(response.data.case);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch case');
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    fetchCases();
+  }, [fetchCases]);
+
+  useEffect(() => {
+    if (selectedCaseId) {
+      fetchCase(selectedCaseId);
+    } else {
+      setSelectedCase(null);
+    }
+  }, [selectedCaseId, fetchCase]);
+
+  const runAction = async (request, fallbackMessage) => {
+    setActing(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await request();
+      showCase(response.data.case);
+      setSuccess(response.data.message);
+      fetchCases();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+      return false;
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const updateCase = (updates) => runAction(
+    () => axios.patch(`${apiBase}/${selectedCase._id}`, updates, { headers: authHeaders() }),
+    'Failed to update case'
+  );
+
+  const addNote = async (e) => {
+    e.preventDefault();
+    const added = await runAction(
+      () => axios.post(`${apiBase}/${selectedCase._id}/notes`, { text: noteText }, { headers: authHeaders() }),
+      'Failed to add note'
+    );
+    if (added) setNoteText('');
+  };
+
+  const linkRecord = async (e) => {
+    e.preventDefault();
+    const linked = await runAction(
+      () => axios.post(`${apiBase}/${selectedCase._id}/records`, { attendanceRecordId: recordId.trim() }, { headers: authHeaders() }),
+      'Failed to link attendance record'
+    );
+    if (linked) setRecordId('');
+  };
+
+  const openPhoto = async (filename) => {
+    try {
+      const response = await axios.get(`${apiBase}/${selectedCase._id}/photos/${filename}`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+      window.open(URL.createObjectURL(response.data), '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      setError('Failed to open photo');
+    }
+  };
+
+  const renderEvidenceDetails = (evidence) => {
+    if (evidence.kind === 'photo') {
+      return evidence.photo?.url ? (
+        <a href={evidence.photo.url} target="_blank" rel="noopener noreferrer">
+          <img className="case-photo" src={evidence.photo.url} alt={evidence.summary} />
+        </a>
+      ) : (
+        <button className="case-link-button" onClick={() => openPhoto(evidence.photo.filename)}>View photo</button>
+      );
+    }
+    if (evidence.kind === 'device') {
+      return (
+        <table className="case-inner-table">
+          <tbody>
+            {(evidence.details?.observations || []).map((observation, index) => (
+              <tr key={index}>
+                <td>{new Date(observation.observedAt).toLocaleString()}</td>
+                <td>{observation.source === 'qr' ? 'QR' : 'Grid'}</td>
+                <td className="case-mono" title={observation.fingerprint}>{observation.fingerprint?.substring(0, 12) || '-'}</td>
+                <td className="case-mono">{observation.ipAddress || '-'}</td>
+                <td>{observation.allowed ? 'Accepted' : 'Blocked'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+    if (evidence.kind === 'proxy-ring') {
+      return (
+        <ul className="case-identifiers">
+          {(evidence.details?.identifiers || []).map(identifier => (
+            <li key={`${identifier.type}:${identifier.value}`}>
+              {identifier.type}: <span className="case-mono">{identifier.value}</span> ({identifier.userIds.length} students, {identifier.sameDayShares} same-day)
+            </li>
+          ))}
+        </ul>
+      );
+    }
+    return evidence.details ? (
+      <div className="case-muted">
+        {Object.entries(evidence.details)
+          .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+          .map(([key, value]) => `${key}: ${value}`)
+          .join(' · ')}
+      </div>
+    ) : null;
+  };
+
+  const renderCase = () => (
+    <div className="case-detail">
+      <div className="case-detail-header">
+        <div>
+          <h3>{selectedCase.title}</h3>
+          <div className="case-muted">
+            Opened {new Date(selectedCase.createdAt).toLocaleString()} by {selectedCase.openedBy?.name} ({selectedCase.openedBy?.role})
+          </div>
+        </div>
+        <button className="case-link-button" onClick={() => setSearchParams({})}>Close</button>
+      </div>
+
+      <div className="case-controls">
+        <span className={`case-status ${selectedCase.status}`}>{selectedCase.status}</span>
+        <span>
+          Assignee: <strong>{selectedCase.assignee?.name || 'Unassigned'}</strong>
+        </span>
+        {canEdit && (
+          <>
+            <button onClick={() => updateCase({ assignee: 'me' })} disabled={acting}>Assign to me</button>
+            {selectedCase.assignee?.id && (
+              <button className="secondary" onClick={() => updateCase({ assignee: null })} disabled={acting}>Unassign</button>
+            )}
+            {selectedCase.status === 'open' && (
+              <button onClick={() => updateCase({ status: 'investigating' })} disabled={acting}>Start investigating</button>
+            )}
+            {selectedCase.status === 'closed' && (
+              <button onClick={() => updateCase({ status: 'investigating' })} disabled={acting}>Reopen</button>
+            )}
+          </>
+        )}
+      </div>
+
+      <h4>Students</h4>
+      <div className="case-students">
+        {selectedCase.students.map((student, index) => (
+          <span key={student.userId || index} className="case-student">
+            {student.name} ({student.rollNumber}) · {selectedCase.department} {student.semester}-{student.section}
+          </span>
+        ))}
+      </div>
+
+      <h4>Evidence ({selectedCase.evidence.length})</h4>
+      <ul className="case-evidence">
+        {selectedCase.evidence.map(evidence => (
+          <li key={evidence._id}>
+            <div>
+              {EVIDENCE_ICONS[evidence.kind]} <strong>{evidence.summary}</strong>
+              <span className="case-muted">
+                {evidence.occurredAt && ` · ${new Date(evidence.occurredAt).toLocaleString()}`}
+                {evidence.addedBy?.name && ` · added by ${evidence.addedBy.name}`}
+              </span>
+            </div>
+            {renderEvidenceDetails(evidence)}
+          </li>
+        ))}
+      </ul>
+
+      <h4>Affected Attendance Records ({selectedCase.attendanceRecords.length})</h4>
+      {selectedCase.attendanceRecords.length > 0 && (
+        <table className="attendance-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Subject</th>
+              <th>Class</th>
+              <th>Status when linked</th>
+              <th>Record</th>
+            </tr>
+          </thead>
+          <tbody>
+            {selectedCase.attendanceRecords.map(entry => (
+              <tr key={entry.record}>
+                <td>{new Date(entry.date).toLocaleString()}</td>
+                <td>{entry.subjectName || entry.subjectCode || entry.facultyId}</td>
+                <td>{entry.semester}-{entry.section}</td>
+                <td>{entry.studentStatuses.map(student => `${student.rollNumber}: ${student.status}`).join(', ') || '-'}</td>
+                <td className="case-mono">{entry.record}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {canEdit && (
+        <form className="case-inline-form" onSubmit={linkRecord}>
+          <input
+            type="text"
+            placeholder="Attendance record ID"
+            value={recordId}
+            onChange={(e) => setRecordId(e.target.value)}
+          />
+          <button type="submit" disabled={acting || !recordId.trim()}>Link record</button>
+        </form>
+      )}
+
+      <h4>Notes</h4>
+      <ul className="case-notes">
+        {selectedCase.notes.map(note => (
+          <li key={note._id}>
+            <div className="case-muted">{note.author?.name} · {new Date(note.createdAt).toLocaleString()}</div>
+            <div>{note.text}</div>
+          </li>
+        ))}
+      </ul>
+      {canEdit && (
+        <form className="case-inline-form" onSubmit={addNote}>
+          <input
+            type="text"
+            placeholder="Add a note"
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+          />
+          <button type="submit" disabled={acting || !noteText.trim()}>Add note</button>
+        </form>
+      )}
+
+      <h4>Outcome</h4>
+      {canEdit ? (
+        <div className="case-inline-form">
+          <select value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+            <option value="">No outcome yet</option>
+            {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Outcome note"
+            value={outcomeNote}
+            onChange={(e) => setOutcomeNote(e.target.value)}
+          />
+          <button onClick={() => updateCase({ outcome: outcome || null, outcomeNote })} disabled={acting}>Save outcome</button>
+          {selectedCase.status !== 'closed' && (
+            <button
+              onClick={() => updateCase({ outcome: outcome || null, outcomeNote, status: 'closed' })}
+              disabled={acting || !outcome}
+            >
+              Close case
+            </button>
+          )}
+        </div>
+      ) : (
+        <div>{OUTCOME_LABELS[selectedCase.outcome] || 'No outcome yet'} {selectedCase.outcomeNote && `· ${selectedCase.outcomeNote}`}</div>
+      )}
+
+      <h4>History</h4>
+      <ul className="case-history">
+        {selectedCase.history.map((entry, index) => (
+          <li key={index} className="case-muted">
+            {new Date(entry.at).toLocaleString()} · {entry.by?.name}: {entry.action}
+            {entry.from && ` from ${entry.from}`}
+            {entry.to && ` to ${entry.to}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button
+          className="back-button prominent-back"
+          onClick={() => navigate(isAdmin ? '/admin/dashboard' : '/faculty')}
+        >
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Proxy Cases</h2>
+        <div className="case-filters">
+          <label>
+            <input type="checkbox" checked={assignedToMe} onChange={(e) => setAssignedToMe(e.target.checked)} />
+            Assigned to me
+          </label>
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="open">Open</option>
+            <option value="investigating">Investigating</option>
+            <option value="closed">Closed</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="case-success-message">{success}</div>}
+
+      {selectedCase && renderCase()}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : cases.length === 0 ? (
+        <div className="no-data-message">No cases found.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Case</th>
+                <th>Students</th>
+                <th>Evidence</th>
+                <th>Records</th>
+                <th>Assignee</th>
+                <th>Status</th>
+                <th>Updated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cases.map(proxyCase => (
+                <tr
+                  key={proxyCase._id}
+                  className={`case-row ${selectedCase?._id === proxyCase._id ? 'selected' : ''}`}
+                  onClick={() => setSearchParams({ case: proxyCase._id })}
+                >
+                  <td>{proxyCase.title}</td>
+                  <td>{proxyCase.students.map(student => student.rollNumber || student.name).join(', ')}</td>
+                  <td>{proxyCase.evidence.map(evidence => EVIDENCE_ICONS[evidence.kind]).join(' ')}</td>
+                  <td>{proxyCase.attendanceRecords.length}</td>
+                  <td>{proxyCase.assignee?.name || '-'}</td>
+                  <td>
+                    <span className={`case-status ${proxyCase.status}`}>{proxyCase.status}</span>
+                    {proxyCase.outcome && <div className="case-muted">{OUTCOME_LABELS[proxyCase.outcome]}</div>}
+                  </td>
+                  <td>{new Date(proxyCase.updatedAt).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProxyCases;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { authAPI } from '../services/api';
+import { useAcademicStructure, getSections } from '../utils/academicStructure';
 import '../styles/global.css';
 import '../styles/login.css';
 
@@ -24,8 +25,9 @@ const ResetPassword = () => {
   const [success, setSuccess] = useState(false);
   
   // Course and section options
-  const courses = ['BTech', 'BCA', 'BCom', 'BBA', 'Law', 'MCA', 'MBA', 'BPharm', 'BSc'];
-  const sections = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'D1', 'D2', 'E1', 'E2', 'F1', 'F2', 'G1', 'G2', 'H1', 'H2', 'I1', 'I2', 'J1', 'J2', 'K1', 'K2', 'L1', 'L2','ML1','ML2','ML3','DS1','DS2','DSA','Placement Group 1', 'Placement Group 2', 'Placement Group 3', 'Placement Group 4', 'Placement Group 5'];
+  const academicStructure = useAcademicStructure();
+  const courses = academicStructure.programmes;
+  const sections = getSections(academicStructure, formData.course);
 
   useEffect(() => {
     // Get email and userId from location state if available
@@ -2,15 +2,47 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useParams, useNavigate } from 'react-router-dom';
 import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
 
 const StudentAttendanceDetails = () => {
   const [attendanceDetails, setAttendanceDetails] = useState([]);
   const [facultyName, setFacultyName] = useState('');
+  const [subjectName, setSubjectName] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const { facultyId } = useParams();
+  const { subjectKey } = useParams();
   const navigate = useNavigate();
 
+  // Disputes
+  const [disputes, setDisputes] = useState({});
+  const [disputingRecordId, setDisputingRecordId] = useState(null);
+  const [disputeReason, setDisputeReason] = useState('');
+  const [evidenceFile, setEvidenceFile] = useState(null);
+  const [submittingDispute, setSubmittingDispute] = useState(false);
+  const [disputeError, setDisputeError] = useState('');
+  const [disputeSuccess, setDisputeSuccess] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchDisputes = async () => {
+    try {
+      const response = await axios.get(
+        `${process.env.REACT_APP_BACKEND_URL}/api/attendance-disputes/my`,
+        { headers: authHeaders() }
+      );
+      // Latest non-cancelled dispute per attendance record
+      const byRecord = {};
+      (response.data.disputes || []).forEach(dispute => {
+        if (dispute.status !== 'cancelled' && !byRecord[dispute.attendanceRecord]) {
+          byRecord[dispute.attendanceRecord] = dispute;
+        }
+      });
+      setDisputes(byRecord);
+    } catch (err) {
+      console.error('Error fetching disputes:', err);
+    }
+  };
+
   useEffect(() => {
     const fetchAttendanceDetails = async () => {
       try {
@@ -22,7 +54,7 @@ const StudentAttendanceDetails = () => {
         }
 
         const response = await axios.get(
-          `${process.env.REACT_APP_BACKEND_URL}/api/student/attendance/details/${facultyId}`,
+          `${process.env.REACT_APP_BACKEND_URL}/api/student/attendance/details/${encodeURIComponent(subjectKey)}`,
           {
             headers: {
               Authorization: `Bearer ${token}`
@@ -32,6 +64,7 @@ const StudentAttendanceDetails = () => {
 
         setAttendanceDetails(response.data.attendanceDetails);
         setFacultyName(response.data.facultyName);
+        setSubjectName(response.data.subjectName);
         setLoading(false);
       } catch (error) {
         setError(error.response?.data?.message || 'Failed to fetch attendance details');
@@ -40,7 +73,95 @@ const StudentAttendanceDetails = () => {
     };
 
     fetchAttendanceDetails();
-  }, [facultyId]);
+    fetchDisputes();
+  }, [subjectKey]);
+
+  const openDisputeForm = (recordId) => {
+    setDisputingRecordId(recordId);
+    setDisputeReason('');
+    setEvidenceFile(null);
+    setDisputeError('');
+    setDisputeSuccess('');
+  };
+
+  const handleEvidenceChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (!['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'].includes(file.type)) {
+      setDisputeError('Please upload a PDF, JPG or PNG file');
+      event.target.value = '';
+      return;
+    }
+
+    // Check file size (5MB max)
+    if (file.size > 5 * 1024 * 1024) {
+      setDisputeError('Evidence must be smaller than 5MB');
+      event.target.value = '';
+      return;
+    }
+
+    setDisputeError('');
+    setEvidenceFile(file);
+  };
+
+  // Upload the evidence directly to S3 and return its key
+  const uploadEvidence = async () => {
+    const uploadUrlResponse = await axios.get(`${process.env.REACT_APP_BACKEND_URL}/api/attendance-disputes/upload-url`, {
+      params: { fileName: evidenceFile.name, fileType: evidenceFile.type },
+      headers: authHeaders()
+    });
+
+    const { uploadUrl, s3Key } = uploadUrlResponse.data;
+
+    // We use fetch() here to avoid global Axios interceptors
+    // which add an 'Authorization' header and break the S3 request.
+    const res = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': evidenceFile.type },
+      body: evidenceFile
+    });
+
+    if (!res.ok) {
+      throw new Error('Evidence upload failed');
+    }
+
+    return s3Key;
+  };
+
+  const submitDispute = async (e) => {
+    e.preventDefault();
+    if (!disputeReason.trim()) {
+      setDisputeError('Please explain why you should be marked present');
+      return;
+    }
+
+    setSubmittingDispute(true);
+    setDisputeError('');
+
+    try {
+      const evidenceKey = evidenceFile ? await uploadEvidence() : undefined;
+
+      await axios.post(
+        `${process.env.REACT_APP_BACKEND_URL}/api/attendance-disputes`,
+        {
+          attendanceRecordId: disputingRecordId,
+          reason: disputeReason,
+          evidenceKey,
+          evidenceName: evidenceFile?.name
+        },
+        { headers: authHeaders() }
+      );
+
+      setDisputeSuccess('Dispute submitted. Your faculty will review it.');
+      setDisputingRecordId(null);
+      fetchDisputes();
+    } catch (err) {
+      setDisputeError(err.response?.data?.message || err.message || 'Failed to submit dispute');
+    } finally {
+      setSubmittingDispute(false);
+    }
+  };
 
   const handleBackClick = () => {
     navigate('/student/attendance/summary');
@@ -73,11 +194,41 @@ const StudentAttendanceDetails = () => {
         <button className="back-button prominent-back" onClick={handleBackClick}>
           <span className="back-arrow">&larr;</span> Back to Summary
         </button>
-        <h2>Attendance Details: {facultyName}</h2>
+        <h2>Attendance Details: {subjectName || facultyName}</h2>
       </div>
+
+      {disputeSuccess && <div className="leave-success-message">{disputeSuccess}</div>}
+
+      {disputingRecordId && (
+        <form className="leave-form" onSubmit={submitDispute}>
+          <label>
+            Why should you be marked present?
+            <textarea
+              value={disputeReason}
+              onChange={(e) => setDisputeReason(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder="e.g. I scanned the QR code but was removed after a camera glitch"
+            />
+          </label>
+          <label>
+            Evidence (PDF, JPG or PNG, optional)
+            <input type="file" accept=".pdf,.jpg,.jpeg,.png" onChange={handleEvidenceChange} />
+          </label>
+          {disputeError && <div className="error-message">{disputeError}</div>}
+          <div className="leave-decision">
+            <button type="submit" className="leave-submit-button" disabled={submittingDispute}>
+              {submittingDispute ? 'Submitting...' : 'Submit Dispute'}
+            </button>
+            <button type="button" className="leave-link-button" onClick={() => setDisputingRecordId(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
       
       {attendanceDetails.length === 0 ? (
-        <div className="no-data-message">No attendance records found for this faculty.</div>
+        <div className="no-data-message">No attendance records found for this subject.</div>
       ) : (
         <div className="table-responsive">
           <table className="attendance-table details-table">
@@ -85,20 +236,32 @@ const StudentAttendanceDetails = () => {
               <tr>
                 <th>Date</th>
                 <th>Status</th>
+                <th>Dispute</th>
               </tr>
             </thead>
             <tbody>
               {attendanceDetails.map((record, index) => (
                 <tr 
                   key={index} 
-                  className={`status-row ${record.status === 'present' ? 'present-row' : 'absent-row'}`}
+                  className={`status-row ${record.status}-row`}
                 >
                   <td>{record.formattedDate}</td>
                   <td>
                     <span className={`status-indicator ${record.status}`}>
-                      {record.status === 'present' ? 'Present' : 'Absent'}
+                      {record.status === 'present' ? 'Present' : record.status === 'excused' ? 'Excused' : 'Absent'}
                     </span>
                   </td>
+                  <td>
+                    {disputes[record.attendanceRecordId] ? (
+                      <span className={`leave-status ${disputes[record.attendanceRecordId].status}`}>
+                        {disputes[record.attendanceRecordId].status}
+                      </span>
+                    ) : record.status === 'absent' && record.attendanceRecordId ? (
+                      <button className="leave-link-button" onClick={() => openDisputeForm(record.attendanceRecordId)}>
+                        Dispute
+                      </button>
+                    ) : '-'}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -115,6 +278,10 @@ const StudentAttendanceDetails = () => {
           <span className="legend-color status-indicator absent"></span>
           <span>Absent</span>
         </div>
+        <div className="legend-item">
+          <span className="legend-color status-indicator excused"></span>
+          <span>Excused (not counted)</span>
+        </div>
       </div>
     </div>
   );
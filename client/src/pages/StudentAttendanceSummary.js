@@ -39,8 +39,8 @@ const StudentAttendanceSummary = () => {
     fetchAttendanceSummary();
   }, []);
 
-  const handleRowClick = (facultyId) => {
-    navigate(`/student/attendance/details/${facultyId}`);
+  const handleRowClick = (subjectKey) => {
+    navigate(`/student/attendance/details/${encodeURIComponent(subjectKey)}`);
   };
 
   // Function to determine attendance status color
@@ -79,17 +79,22 @@ const StudentAttendanceSummary = () => {
           <span className="back-arrow">&larr;</span> Back to Dashboard
         </button>
         <h2>Attendance Summary</h2>
+        <button className="back-button" onClick={() => navigate('/student/leave-requests')}>
+          Leave Requests
+        </button>
       </div>
       
       {attendanceSummary.length === 0 ? (
-        <div className="no-data-message">No attendance records found for the last 30 days.</div>
+        <div className="no-data-message">No attendance records found for this semester.</div>
       ) : (
         <div className="table-responsive">
           <table className="attendance-table">
             <thead>
               <tr>
+                <th>Subject</th>
                 <th>Faculty Name</th>
                 <th>Present Days</th>
+                <th>Excused Days</th>
                 <th>Total Days</th>
                 <th>Attendance %</th>
               </tr>
@@ -97,12 +102,14 @@ const StudentAttendanceSummary = () => {
             <tbody>
               {attendanceSummary.map((faculty) => (
                 <tr 
-                  key={faculty.facultyId} 
-                  onClick={() => handleRowClick(faculty.facultyId)}
+                  key={faculty.subjectKey} 
+                  onClick={() => handleRowClick(faculty.subjectKey)}
                   className="clickable-row"
                 >
+                  <td>{faculty.subjectName}</td>
                   <td>{faculty.facultyName}</td>
                   <td>{faculty.presentDays}</td>
+                  <td>{faculty.excusedDays || 0}</td>
                   <td>{faculty.totalDays}</td>
                   <td className={getAttendanceStatusColor(faculty.attendancePercentage)}>
                     {faculty.attendancePercentage}%
@@ -130,7 +137,7 @@ const StudentAttendanceSummary = () => {
       </div>
       
       <div className="attendance-info">
-        <p>Click on any row to view detailed attendance history.</p>
+        <p>Click on any row to view detailed attendance history. Excused absences (approved leave) are not counted in the percentage.</p>
       </div>
     </div>
   );
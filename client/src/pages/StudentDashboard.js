@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
 import io from "socket.io-client";
 import FingerprintJS from '@fingerprintjs/fingerprintjs';
 import getWebRTCIPs from '../utils/webRTCDetector';
@@ -78,12 +79,20 @@ const StudentDashboard = () => {
     // Socket connection effect
     useEffect(() => {
         if (user?.role === 'student') {
-            const token = localStorage.getItem('token');
+            // Read the token on every (re)connect so refreshed tokens are used
             const newSocket = io(BACKEND_URL, {
-                auth: {
-                    token
+                auth: (cb) => cb({ token: localStorage.getItem('token') })
+            });
+            // The access token expired - renew it once and reconnect
+            newSocket.on('connect_error', (error) => {
+                if (error.message === 'Invalid authentication token' && !newSocket.retriedWithRefresh) {
+                    newSocket.retriedWithRefresh = true;
+                    authAPI.refreshSession().then(() => newSocket.connect()).catch(() => {});
                 }
             });
+            newSocket.on('connect', () => {
+                newSocket.retriedWithRefresh = false;
+            });
             setSocket(newSocket);
             return () => newSocket.close();
         }
@@ -703,6 +712,18 @@ const StudentDashboard = () => {
                     >
                         View Past Attendance
                     </button>
+                    <button 
+                        className="view-attendance-btn"
+                        onClick={() => navigate('/student/device-change')}
+                    >
+                        Change Device
+                    </button>
+                    <button 
+                        className="view-attendance-btn"
+                        onClick={() => navigate('/account/sessions')}
+                    >
+                        Active Logins
+                    </button>
                 </div>
                 
                 {isFullScreen && (
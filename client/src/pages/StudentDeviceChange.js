@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import FingerprintJS from '@fingerprintjs/fingerprintjs';
+import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+// Show only the end of a fingerprint so devices can be told apart
+const shortDeviceId = (deviceId) => (deviceId ? `…${deviceId.slice(-8)}` : '-');
+
+const StudentDeviceChange = () => {
+  const navigate = useNavigate();
+  const [requests, setRequests] = useState([]);
+  const [deviceHistory, setDeviceHistory] = useState([]);
+  const [cooldownEndsAt, setCooldownEndsAt] = useState(null);
+  const [fingerprint, setFingerprint] = useState(null);
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchOverview = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${BACKEND_URL}/api/device-rebind/my`, { headers: authHeaders() });
+      setRequests(response.data.requests || []);
+      setDeviceHistory(response.data.deviceHistory || []);
+      setCooldownEndsAt(response.data.cooldownEndsAt);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch device change requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOverview();
+
+    // Identify this device the same way attendance scans do
+    FingerprintJS.load()
+      .then(fp => fp.get())
+      .then(result => setFingerprint(result.visitorId))
+      .catch(() => setError('Failed to identify this device'));
+  }, []);
+
+  const hasPending = requests.some(request => request.status === 'pending');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!reason.trim()) {
+      setError('Please describe why you need to change devices');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await axios.post(
+        `${BACKEND_URL}/api/device-rebind`,
+        { deviceId: fingerprint, reason },
+        { headers: authHeaders() }
+      );
+      setSuccess('Request submitted. You can mark attendance from this device once it is approved.');
+      setReason('');
+      fetchOverview();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit device change request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    if (!window.confirm('Cancel this device change request?')) return;
+
+    try {
+      await axios.delete(`${BACKEND_URL}/api/device-rebind/${requestId}`, { headers: authHeaders() });
+      fetchOverview();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel device change request');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/student')}>
+          <span className="back-arrow">&larr;</span> Back to Dashboard
+        </button>
+        <h2>Change Device</h2>
+      </div>
+
+      <p className="leave-note">
+        Attendance can only be marked from the device registered to your account.
+        If you have a new or reset phone, submit this request <strong>from the new device</strong>.
+      </p>
+
+      {cooldownEndsAt ? (
+        <div className="no-data-message">
+          You changed devices recently. You can request another change after {new Date(cooldownEndsAt).toLocaleDateString('en-IN')}.
+        </div>
+      ) : !hasPending && (
+        <form className="leave-form" onSubmit={handleSubmit}>
+          <div className="leave-note">This device: {fingerprint ? shortDeviceId(fingerprint) : 'identifying...'}</div>
+          <label>
+            Reason
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder="e.g. Phone replaced after it was lost"
+            />
+          </label>
+          <button type="submit" className="leave-submit-button" disabled={submitting || !fingerprint}>
+            {submitting ? 'Submitting...' : 'Request Device Change'}
+          </button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="leave-success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : (
+        <>
+          <h3>Requests</h3>
+          {requests.length === 0 ? (
+            <div className="no-data-message">You have not requested a device change.</div>
+          ) : (
+            <div className="table-responsive">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Requested</th>
+                    <th>New Device</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                    <th>Review</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {requests.map(request => (
+                    <tr key={request._id}>
+                      <td>{new Date(request.createdAt).toLocaleString('en-IN')}</td>
+                      <td>{shortDeviceId(request.requestedDeviceId)}</td>
+                      <td>{request.reason}</td>
+                      <td>
+                        <span className={`leave-status ${request.status}`}>{request.status}</span>
+                      </td>
+                      <td>
+                        {request.reviewedBy?.name && <div>{request.reviewedBy.name}</div>}
+                        {request.reviewNote && <div className="leave-note">{request.reviewNote}</div>}
+                      </td>
+                      <td>
+                        {request.status === 'pending' && (
+                          <button className="leave-link-button danger" onClick={() => handleCancel(request._id)}>Cancel</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <h3>Device History</h3>
+          {deviceHistory.length === 0 ? (
+            <div className="no-data-message">No device has been registered yet.</div>
+          ) : (
+            <div className="table-responsive">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Device</th>
+                    <th>Registered</th>
+                    <th>Replaced</th>
+                    <th>How</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deviceHistory.map((entry, index) => (
+                    <tr key={`${entry.deviceId}-${index}`}>
+                      <td>{shortDeviceId(entry.deviceId)}</td>
+                      <td>{entry.boundAt ? new Date(entry.boundAt).toLocaleString('en-IN') : '-'}</td>
+                      <td>{entry.unboundAt ? new Date(entry.unboundAt).toLocaleString('en-IN') : 'Current'}</td>
+                      <td>{entry.source === 'rebind' ? `Approved by ${entry.approvedBy?.name || 'reviewer'}` : 'First login'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StudentDeviceChange;
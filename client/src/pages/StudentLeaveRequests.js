@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import '../styles/StudentAttendance.css';
+import '../styles/LeaveRequests.css';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const LEAVE_TYPES = [
+  { value: 'medical', label: 'Medical' },
+  { value: 'personal', label: 'Personal' },
+  { value: 'official', label: 'Official Duty' },
+  { value: 'other', label: 'Other' }
+];
+
+const StudentLeaveRequests = () => {
+  const navigate = useNavigate();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [leaveType, setLeaveType] = useState('medical');
+  const [reason, setReason] = useState('');
+  const [documentFile, setDocumentFile] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${BACKEND_URL}/api/leave-requests/my`, { headers: authHeaders() });
+      setRequests(response.data.requests || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch leave requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (!['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'].includes(file.type)) {
+      setError('Please upload a PDF, JPG or PNG document');
+      event.target.value = '';
+      return;
+    }
+
+    // Check file size (5MB max)
+    if (file.size > 5 * 1024 * 1024) {
+      setError('Document must be smaller than 5MB');
+      event.target.value = '';
+      return;
+    }
+
+    setError('');
+    setDocumentFile(file);
+  };
+
+  // Upload the supporting document directly to S3 and return its key
+  const uploadDocument = async () => {
+    const uploadUrlResponse = await axios.get(`${BACKEND_URL}/api/leave-requests/upload-url`, {
+      params: { fileName: documentFile.name, fileType: documentFile.type },
+      headers: authHeaders()
+    });
+
+    const { uploadUrl, s3Key } = uploadUrlResponse.data;
+
+    // We use fetch() here to avoid global Axios interceptors
+    // which add an 'Authorization' header and break the S3 request.
+    const res = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': documentFile.type },
+      body: documentFile
+    });
+
+    if (!res.ok) {
+      throw new Error('Document upload failed');
+    }
+
+    return s3Key;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!fromDate || !toDate || !reason.trim()) {
+      setError('Please fill in the dates and reason');
+      return;
+    }
+    if (toDate < fromDate) {
+      setError('End date cannot be before start date');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const documentKey = documentFile ? await uploadDocument() : undefined;
+
+      await axios.post(
+        `${BACKEND_URL}/api/leave-requests`,
+        {
+          fromDate,
+          toDate,
+          leaveType,
+          reason,
+          documentKey,
+          documentName: documentFile?.name
+        },
+        { headers: authHeaders() }
+      );
+
+      setSuccess('Leave request submitted. Your faculty will review it.');
+      setFromDate('');
+      setToDate('');
+      setReason('');
+      setDocumentFile(null);
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to submit leave request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    if (!window.confirm('Cancel this leave request?')) return;
+
+    try {
+      await axios.delete(`${BACKEND_URL}/api/leave-requests/${requestId}`, { headers: authHeaders() });
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel leave request');
+    }
+  };
+
+  const handleViewDocument = async (requestId) => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/leave-requests/${requestId}/document`, { headers: authHeaders() });
+      window.open(response.data.url, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to open document');
+    }
+  };
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-header">
+        <button className="back-button prominent-back" onClick={() => navigate('/student/attendance/summary')}>
+          <span className="back-arrow">&larr;</span> Back to Attendance
+        </button>
+        <h2>Leave Requests</h2>
+      </div>
+
+      <form className="leave-form" onSubmit={handleSubmit}>
+        <div className="leave-form-row">
+          <label>
+            From
+            <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+          </label>
+          <label>
+            Type
+            <select value={leaveType} onChange={(e) => setLeaveType(e.target.value)}>
+              {LEAVE_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <label>
+          Reason
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={1000}
+            rows={3}
+            placeholder="Describe the reason for your absence"
+          />
+        </label>
+        <label>
+          Supporting document (PDF, JPG or PNG, optional)
+          <input type="file" accept=".pdf,.jpg,.jpeg,.png" onChange={handleFileChange} />
+        </label>
+        <button type="submit" className="leave-submit-button" disabled={submitting}>
+          {submitting ? 'Submitting...' : 'Submit Request'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="leave-success-message">{success}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Loading...</div>
+      ) : requests.length === 0 ? (
+        <div className="no-data-message">You have not submitted any leave requests.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="attendance-table">
+            <thead>
+              <tr>
+                <th>Dates</th>
+                <th>Type</th>
+                <th>Reason</th>
+                <th>Status</th>
+                <th>Review</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map(request => (
+                <tr key={request._id}>
+                  <td>{request.fromDate === request.toDate ? request.fromDate : `${request.fromDate} to ${request.toDate}`}</td>
+                  <td className="leave-type">{request.leaveType}</td>
+                  <td>{request.reason}</td>
+                  <td>
+                    <span className={`leave-status ${request.status}`}>{request.status}</span>
+                  </td>
+                  <td>
+                    {request.reviewedBy?.name && <div>{request.reviewedBy.name}</div>}
+                    {request.reviewNote && <div className="leave-note">{request.reviewNote}</div>}
+                    {request.status === 'approved' && <div className="leave-note">{request.excusedLedgerCount} absences excused</div>}
+                  </td>
+                  <td>
+                    {request.documentKey && (
+                      <button className="leave-link-button" onClick={() => handleViewDocument(request._id)}>Document</button>
+                    )}
+                    {request.status === 'pending' && (
+                      <button className="leave-link-button danger" onClick={() => handleCancel(request._id)}>Cancel</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudentLeaveRequests;
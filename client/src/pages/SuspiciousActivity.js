@@ -9,6 +9,7 @@ const SuspiciousActivity = () => {
     const [suspiciousUsers, setSuspiciousUsers] = useState([]);
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(true);
+    const [escalatingId, setEscalatingId] = useState(null);
 
     useEffect(() => {
         if (!loading && (!user || user.role !== 'faculty')) {
@@ -42,6 +43,28 @@ const SuspiciousActivity = () => {
         }
     }, [user]);
 
+    const escalateToCase = async (violation) => {
+        try {
+            setEscalatingId(violation._id);
+            setError('');
+            const token = localStorage.getItem('token');
+            const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+            const response = await axios.post(`${BACKEND_URL}/api/proxy-cases`, {
+                source: {
+                    type: violation.violationType === 'CAMERA_MONITORING' ? 'cameraViolation' : 'proxyMarker',
+                    id: violation._id
+                }
+            }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            navigate(`/faculty/cases?case=${response.data.case._id}`);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to escalate to a case');
+        } finally {
+            setEscalatingId(null);
+        }
+    };
+
     const styles = {
         container: {
             padding: '20px',
@@ -151,6 +174,18 @@ const SuspiciousActivity = () => {
             marginTop: '10px',
             textAlign: 'right'
         },
+        escalateButton: {
+            backgroundColor: '#1a237e',
+            color: 'white',
+            border: 'none',
+            padding: '8px 16px',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontSize: '13px',
+            fontWeight: '500',
+            marginTop: '12px',
+            width: '100%'
+        },
         badge: {
             backgroundColor: '#ff5252',
             color: 'white',
@@ -181,12 +216,20 @@ const SuspiciousActivity = () => {
         <div style={styles.container}>
             <div style={styles.header}>
                 <h2 style={styles.title}>Suspicious Activity Report</h2>
-                <button 
-                    style={styles.backButton}
-                    onClick={() => navigate('/faculty')}
-                >
-                    ← Back to Dashboard
-                </button>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button 
+                        style={styles.backButton}
+                        onClick={() => navigate('/faculty/cases')}
+                    >
+                        📁 View Cases
+                    </button>
+                    <button 
+                        style={styles.backButton}
+                        onClick={() => navigate('/faculty')}
+                    >
+                        ← Back to Dashboard
+                    </button>
+                </div>
             </div>
 
             {error && <div style={styles.error}>{error}</div>}
@@ -347,6 +390,14 @@ const SuspiciousActivity = () => {
                                         🕐 <span style={{ fontFamily: 'monospace', fontWeight: '600' }}>{indianTime}</span>
                                     </div>
                                 </div>
+
+                                <button
+                                    style={{ ...styles.escalateButton, opacity: escalatingId === user._id ? 0.6 : 1 }}
+                                    onClick={() => escalateToCase(user)}
+                                    disabled={escalatingId === user._id}
+                                >
+                                    {escalatingId === user._id ? 'Escalating...' : '📁 Escalate to Case'}
+                                </button>
                             </div>
                         );
                     })
@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { API_URL } from '../services/api';
+import TwoFactorPrompt from '../components/TwoFactorPrompt';
 import * as THREE from 'three';
 
 const Login = () => {
     const navigate = useNavigate();
-    const { login, resendVerification } = useAuth();
+    const { login, completeTwoFactorLogin, resendVerification } = useAuth();
 
     // State
     const [loading, setLoading] = useState(false);
@@ -24,6 +26,7 @@ const Login = () => {
     const [showPasswordChangeRequired, setShowPasswordChangeRequired] = useState(false);
     const [userEmail, setUserEmail] = useState('');
     const [showAppPopup, setShowAppPopup] = useState(true);
+    const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
     // Refs for Three.js cleanup
     const mountRef = useRef(null);
@@ -191,44 +194,68 @@ const Login = () => {
         try {
             const result = await login(credentials.identifier, credentials.password);
 
-            if (result.isVerified === false) {
-                setUnverifiedEmail(result.email);
-                setShowVerificationMessage(true);
+            if (result.twoFactorRequired) {
+                setTwoFactorChallenge(result);
                 setLoading(false);
                 return;
             }
 
-            if (result.passwordChangeRequired) {
-                setUserEmail(credentials.email);
-                setShowPasswordChangeRequired(true);
-                setLoading(false);
-                return;
-            }
-
-            const user = result.userData;
-
-            if (userType === 'faculty' && user.role !== 'faculty') {
-                throw new Error('Access denied. This login is for faculty only.');
-            }
-
-            if (userType === 'student' && user.role !== 'student') {
-                throw new Error('Access denied. This login is for students only.');
-            }
-
-            if (user.role === 'student' && (!user.course || !user.section || !user.classRollNumber)) {
-                throw new Error('Your profile is missing required information. Please contact your administrator.');
-            }
+            handleLoginResult(result);
+        } catch (err) {
+            setError(err.message || 'Invalid credentials or access denied');
+            setShowNotification(true);
+            setNotificationType('error');
+            setLoading(false);
+        }
+    };
 
-            if (user.role === 'faculty') {
-                navigate('/faculty');
-            } else {
-                navigate('/student');
-            }
+    // Called by the authenticator step with the final login response
+    const handleTwoFactorComplete = async (response) => {
+        try {
+            const result = await completeTwoFactorLogin(response);
+            setTwoFactorChallenge(null);
+            handleLoginResult(result);
         } catch (err) {
+            setTwoFactorChallenge(null);
             setError(err.message || 'Invalid credentials or access denied');
             setShowNotification(true);
             setNotificationType('error');
+        }
+    };
+
+    const handleLoginResult = (result) => {
+        if (result.isVerified === false) {
+            setUnverifiedEmail(result.email);
+            setShowVerificationMessage(true);
             setLoading(false);
+            return;
+        }
+
+        if (result.passwordChangeRequired) {
+            setUserEmail(credentials.email);
+            setShowPasswordChangeRequired(true);
+            setLoading(false);
+            return;
+        }
+
+        const user = result.userData;
+
+        if (userType === 'faculty' && user.role !== 'faculty') {
+            throw new Error('Access denied. This login is for faculty only.');
+        }
+
+        if (userType === 'student' && user.role !== 'student') {
+            throw new Error('Access denied. This login is for students only.');
+        }
+
+        if (user.role === 'student' && (!user.course || !user.section || !user.classRollNumber)) {
+            throw new Error('Your profile is missing required information. Please contact your administrator.');
+        }
+
+        if (user.role === 'faculty') {
+            navigate('/faculty');
+        } else {
+            navigate('/student');
         }
     };
 
@@ -366,7 +393,14 @@ const Login = () => {
                             </div>
                         )}
 
-                        {showPasswordChangeRequired ? (
+                        {twoFactorChallenge ? (
+                            <TwoFactorPrompt
+                                endpoint={`${API_URL}/auth/login`}
+                                challenge={twoFactorChallenge}
+                                onComplete={handleTwoFactorComplete}
+                                onCancel={() => setTwoFactorChallenge(null)}
+                            />
+                        ) : showPasswordChangeRequired ? (
                             <div className="text-center space-y-5">
                                 <div className="bg-yellow-500/10 border border-yellow-500/20 p-5 rounded-xl">
                                     <i className="fas fa-exclamation-circle text-3xl text-yellow-500 mb-3"></i>
@@ -499,7 +533,7 @@ const Login = () => {
                             </form>
                         )}
 
-                        {!showVerificationMessage && !showPasswordChangeRequired && (
+                        {!showVerificationMessage && !showPasswordChangeRequired && !twoFactorChallenge && (
                             <div className="mt-6 text-center relative z-10">
                                 <p className="text-slate-500 text-xs font-medium">
                                     {userType === 'student' ? (
@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 // Add token management to the api instance
 export const api = axios.create({
@@ -10,6 +10,66 @@ export const api = axios.create({
   }
 });
 
+// ==================== ACCESS TOKEN REFRESH ====================
+
+// Access tokens are short-lived; a rotating refresh token renews them.
+// Concurrent 401s share one refresh request.
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  // Plain axios so the refresh call is not intercepted itself
+  let response;
+  try {
+    response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+  } catch (error) {
+    // Another tab shares these tokens and may have rotated them meanwhile
+    const storedToken = localStorage.getItem('token');
+    if (localStorage.getItem('refreshToken') !== refreshToken && storedToken) {
+      api.defaults.headers.common['Authorization'] = `Bearer ${storedToken}`;
+      return storedToken;
+    }
+    throw error;
+  }
+  localStorage.setItem('token', response.data.token);
+  localStorage.setItem('refreshToken', response.data.refreshToken);
+  api.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+  return response.data.token;
+};
+
+const retryWithRefreshedToken = (instance) => async (error) => {
+  const originalRequest = error.config;
+  const isAuthRequest = originalRequest && /\/(login(\/2fa(\/\w+)?)?|refresh)$/.test(originalRequest.url || '');
+
+  if (error.response?.status !== 401 || !originalRequest || originalRequest._retried || isAuthRequest ||
+    !localStorage.getItem('refreshToken')) {
+    return Promise.reject(error);
+  }
+
+  try {
+    refreshPromise = refreshPromise || refreshAccessToken();
+    const token = await refreshPromise;
+    originalRequest._retried = true;
+    originalRequest.headers = { ...originalRequest.headers, Authorization: `Bearer ${token}` };
+    return instance(originalRequest);
+  } catch (refreshError) {
+    // Session expired or was revoked - force a fresh login
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    return Promise.reject(error);
+  } finally {
+    refreshPromise = null;
+  }
+};
+
+// Pages call the backend with both this instance and the default axios instance
+api.interceptors.response.use(response => response, retryWithRefreshedToken(api));
+axios.interceptors.response.use(response => response, retryWithRefreshedToken(axios));
+
 // Add token management functions
 export const authAPI = {
   setAuthToken: (token) => {
@@ -31,6 +91,98 @@ export const authAPI = {
     }
   },
 
+  // Renew the access token (e.g. before reconnecting a socket)
+  refreshSession: async () => {
+    refreshPromise = refreshPromise || refreshAccessToken();
+    try {
+      return await refreshPromise;
+    } finally {
+      refreshPromise = null;
+    }
+  },
+
+  logout: async () => {
+    try {
+      const response = await api.post('/auth/logout');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  logoutAll: async () => {
+    try {
+      const response = await api.post('/auth/logout-all');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  getSessions: async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Authenticator-app second factor (faculty)
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  beginTwoFactorSetup: async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  disableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
   getProfile: async () => {
     try {
       const response = await api.get('/auth/profile');
@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const EMPTY_STRUCTURE = { departments: [], programmes: [], semesters: [], sections: [] };
+
+// Fetch the admin-managed departments -> programmes -> semesters -> sections
+export const fetchAcademicStructure = async () => {
+  const response = await axios.get(`${BACKEND_URL}/api/academic-structure`);
+  return response.data;
+};
+
+// React hook returning the academic structure (empty lists until loaded)
+export const useAcademicStructure = () => {
+  const [structure, setStructure] = useState(EMPTY_STRUCTURE);
+
+  useEffect(() => {
+    fetchAcademicStructure()
+      .then(setStructure)
+      .catch(error => console.error('Error fetching academic structure:', error));
+  }, []);
+
+  return structure;
+};
+
+const findProgramme = (structure, programmeName) =>
+  structure.departments
+    .flatMap(department => department.programmes)
+    .find(programme => programme.name === programmeName);
+
+// Semesters offered by a programme
+export const getSemesters = (structure, programmeName) => {
+  const programme = findProgramme(structure, programmeName);
+  return programme ? programme.semesters.map(item => item.semester) : structure.semesters;
+};
+
+// Sections of a programme, in one semester or across all of them
+export const getSections = (structure, programmeName, semester) => {
+  const programme = findProgramme(structure, programmeName);
+  if (!programme) return structure.sections;
+
+  const semesters = programme.semesters.filter(item => !semester || item.semester === semester);
+  return [...new Set(semesters.flatMap(item => item.sections.map(section => section.name)))];
+};
+
+// Configured strength of a section, or null
+export const getSectionStrength = (structure, programmeName, semester, sectionName) => {
+  const programme = findProgramme(structure, programmeName);
+  const semesterEntry = programme && programme.semesters.find(item => item.semester === semester);
+  const section = semesterEntry && semesterEntry.sections.find(item => item.name === sectionName);
+  return section ? section.strength : null;
+};
@@ -6,8 +6,9 @@ const morgan = require('morgan');
 const http = require('http');
 const { Server } = require('socket.io');
 const attendanceService = require('./services/attendanceService');
-const jwt = require('jsonwebtoken');
-const User = require('./models/User');
+const academicStructureService = require('./services/academicStructureService');
+const authSessionService = require('./services/authSessionService');
+const scheduledJobService = require('./services/scheduledJobService');
 require('dotenv').config();
 const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
@@ -21,6 +22,10 @@ const facultyAssignmentRoutes = require('./routes/facultyAssignmentRoutes');
 const studentAttendanceRoutes = require('./routes/studentAttendanceRoutes');
 const qrAttendanceRoutes = require('./routes/qrAttendanceRoutes');
 const proxyDetectionRoutes = require('./routes/proxyDetectionRoutes');
+const leaveRequestRoutes = require('./routes/leaveRequestRoutes');
+const attendanceDisputeRoutes = require('./routes/attendanceDisputeRoutes');
+const deviceRebindRoutes = require('./routes/deviceRebindRoutes');
+const proxyCaseRoutes = require('./routes/proxyCaseRoutes');
 const qrSessionService = require('./services/qrSessionService');
 const GroupSession = require('./models/GroupSession');
 const qrTokenService = require('./services/qrTokenService');
@@ -52,7 +57,7 @@ const corsOptions = {
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Type', 'Authorization']
+    exposedHeaders: ['Content-Type', 'Authorization', 'Content-Disposition']
 };
 
 app.use(cors(corsOptions));
@@ -88,19 +93,6 @@ if (cluster.isWorker) {
 // Initialize QR session service with socket.io instance
 qrSessionService.setSocketIO(io);
 
-// Sample course data (you can replace this with database queries)
-const courses = [
-    { id: 'CSE201', name: 'Data Structures' },
-    { id: 'CSE301', name: 'Database Management' },
-    { id: 'CSE401', name: 'Software Engineering' },
-    // Add your courses here
-    { id: 'ECE101', name: 'Basic Electronics' },
-    { id: 'MECH101', name: 'Engineering Mechanics' },
-    { id: 'CIVIL101', name: 'Structural Engineering' }
-];
-
-const sections = ['A', 'B', 'C', 'D', 'E', 'F'];
-
 // Middleware
 app.use(morgan('dev'));
 app.use(express.json({ limit: '10mb' }));
@@ -126,6 +118,10 @@ app.use('/api/attendance', attendanceRecordRoutes);
 app.use('/api/photo-verification', photoVerificationRoutes);
 app.use('/api/qr-attendance', qrAttendanceRoutes);
 app.use('/api/proxy-detection', proxyDetectionRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/attendance-disputes', attendanceDisputeRoutes);
+app.use('/api/device-rebind', deviceRebindRoutes);
+app.use('/api/proxy-cases', proxyCaseRoutes);
 
 // MongoDB connection with proper options for cluster mode
 mongoose.connect(process.env.MONGODB_URI, {
@@ -154,13 +150,29 @@ attendanceService.setCodeRegenerationCallback((data) => {
     }
 });
 
-// API routes for course and section data
+// API routes for the admin-managed academic structure (public, used by signup)
+app.get('/api/academic-structure', (req, res) => {
+    res.json(academicStructureService.getPublicStructure());
+});
+
 app.get('/api/courses', (req, res) => {
-    res.json(courses);
+    res.json(academicStructureService.getPublicStructure().programmes);
 });
 
 app.get('/api/sections', (req, res) => {
-    res.json(sections);
+    const { course, semester } = req.query;
+    if (!course) {
+        return res.json(academicStructureService.getPublicStructure().sections);
+    }
+
+    const programme = academicStructureService.getProgramme(course);
+    if (!programme) {
+        return res.status(404).json({ message: 'Course not found' });
+    }
+    const sections = semester
+        ? academicStructureService.getSectionsFor(programme, semester)
+        : programme.sections.filter(section => section.active);
+    res.json([...new Set(sections.map(section => section.name))]);
 });
 
 // Socket.IO Connection Handling with JWT Authentication
@@ -171,15 +183,12 @@ io.use(async (socket, next) => {
             return next(new Error('Authentication token is required'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
-        
-        if (!user) {
-            return next(new Error('User not found'));
-        }
+        // Same checks as the HTTP auth middleware, including session revocation
+        const { user, decoded } = await authSessionService.verifyAccessToken(token);
 
         // Attach user to socket for later use
         socket.user = user;
+        socket.sessionId = decoded.sid;
         next();
     } catch (error) {
         next(new Error('Invalid authentication token'));
@@ -214,15 +223,26 @@ io.on('connection', (socket) => {
                 throw new Error('Only faculty members can start QR sessions');
             }
 
+            if (!data.subjectId) {
+                throw new Error('Please select a subject to start the session');
+            }
+
             const sessionData = {
                 department: data.department,
                 semester: data.semester,
                 section: data.section,
+                subjectId: data.subjectId,
                 totalStudents: parseInt(data.totalStudents),
-                sessionType: data.sessionType || 'roll'
+                sessionType: data.sessionType || 'roll',
+                location: data.location,
+                roomId: data.roomId,
+                radiusMeters: data.radiusMeters,
+                geofenceMode: data.geofenceMode,
+                challengeRequired: data.challengeRequired
             };
 
             const facultyData = {
+                userId: socket.user._id,
                 facultyId: socket.user.facultyId,
                 name: socket.user.name,
                 email: socket.user.email
@@ -244,6 +264,8 @@ io.on('connection', (socket) => {
                 department: data.department,
                 semester: data.semester,
                 section: data.section,
+                subjectCode: result.sessionData.subjectCode,
+                subjectName: result.sessionData.subjectName,
                 message: 'New session started - you can join now!'
             };
             
@@ -256,6 +278,62 @@ io.on('connection', (socket) => {
         }
     });
 
+    // 📅 One-tap start of a timetabled class
+    socket.on('qr-startScheduledSession', async (data) => {
+        try {
+            if (socket.user.role !== 'faculty') {
+                throw new Error('Only faculty members can start QR sessions');
+            }
+
+            if (!data.scheduledSessionId) {
+                throw new Error('Scheduled session ID is required');
+            }
+
+            const facultyData = {
+                userId: socket.user._id,
+                facultyId: socket.user.facultyId,
+                name: socket.user.name,
+                email: socket.user.email
+            };
+
+            const result = await qrSessionService.startScheduledSession(data.scheduledSessionId, facultyData, {
+                totalStudents: data.totalStudents,
+                location: data.location,
+                roomId: data.roomId,
+                radiusMeters: data.radiusMeters,
+                geofenceMode: data.geofenceMode,
+                challengeRequired: data.challengeRequired
+            });
+
+            // Emit to faculty
+            socket.emit('qr-sessionStarted', result);
+
+            // Notify all students in this section with standardized format
+            const { department, semester, section } = result.sessionData;
+            const roomName = `${department}-${semester}-${section}`;
+            const sessionStatusData = {
+                sessionId: result.sessionId,
+                status: 'created',
+                canJoin: true,
+                canScanQR: false,
+                facultyName: socket.user.name,
+                department,
+                semester,
+                section,
+                subjectCode: result.sessionData.subjectCode,
+                subjectName: result.sessionData.subjectName,
+                message: 'New session started - you can join now!'
+            };
+
+            socket.to(roomName).emit('qr-sessionStarted', sessionStatusData);
+            socket.to(roomName).emit('sessionStatusUpdate', sessionStatusData);
+
+        } catch (error) {
+            console.error('QR Start scheduled session error:', error);
+            socket.emit('qr-error', { message: error.message });
+        }
+    });
+
     socket.on('qr-lockSession', async (data) => {
         try {
             if (socket.user.role !== 'faculty') {
@@ -410,6 +488,7 @@ io.on('connection', (socket) => {
                 department: result.sessionData.department,
                 semester: result.sessionData.semester,
                 section: result.sessionData.section,
+                challengeRequired: Boolean(result.qrData.challengeCode),
                 message: 'Attendance started - scan QR code now!'
             };
             
@@ -493,12 +572,17 @@ io.on('connection', (socket) => {
                 throw new Error('Only faculty members can start group QR sessions');
             }
 
-            const { sections } = data; // Array of section objects with {department, semester, section, totalStudents}
+            const { sections, subjectId } = data; // Array of section objects with {department, semester, section, totalStudents}
             if (!sections || !Array.isArray(sections) || sections.length === 0) {
                 throw new Error('At least one section must be selected for group session');
             }
 
+            if (!subjectId) {
+                throw new Error('Please select a subject to start the group session');
+            }
+
             const facultyData = {
+                userId: socket.user._id,
                 facultyId: socket.user.facultyId,
                 name: socket.user.name,
                 email: socket.user.email
@@ -507,6 +591,7 @@ io.on('connection', (socket) => {
             // Create group session record
             const groupSessionId = uuidv4();
             const individualSessions = [];
+            let groupSubject = null;
 
             // Start individual sessions for each section
             for (const sectionData of sections) {
@@ -514,12 +599,24 @@ io.on('connection', (socket) => {
                     department: sectionData.department,
                     semester: sectionData.semester,
                     section: sectionData.section,
+                    subjectId,
                     totalStudents: parseInt(sectionData.totalStudents),
-                    sessionType: data.sessionType || 'roll'
+                    sessionType: data.sessionType || 'roll',
+                    // Every section of the group is taught in the same room
+                    location: data.location,
+                    roomId: data.roomId,
+                    radiusMeters: data.radiusMeters,
+                    geofenceMode: data.geofenceMode,
+                    challengeRequired: data.challengeRequired
                 };
 
                 // Call existing startSession function
                 const result = await qrSessionService.startSession(sessionData, facultyData);
+                groupSubject = {
+                    subjectId: result.sessionData.subjectId,
+                    subjectCode: result.sessionData.subjectCode,
+                    subjectName: result.sessionData.subjectName
+                };
                 
                 individualSessions.push({
                     sessionId: result.sessionId,
@@ -540,6 +637,8 @@ io.on('connection', (socket) => {
                     department: sectionData.department,
                     semester: sectionData.semester,
                     section: sectionData.section,
+                    subjectCode: result.sessionData.subjectCode,
+                    subjectName: result.sessionData.subjectName,
                     message: 'New session started - you can join now!'
                 };
                 
@@ -553,8 +652,12 @@ io.on('connection', (socket) => {
                 facultyId: socket.user.facultyId,
                 facultyName: socket.user.name,
                 facultyEmail: socket.user.email,
+                subjectId: groupSubject.subjectId,
+                subjectCode: groupSubject.subjectCode,
+                subjectName: groupSubject.subjectName,
                 sections: individualSessions,
                 status: 'created',
+                challengeRequired: Boolean(data.challengeRequired),
                 totalStudentsAcrossSections: individualSessions.reduce((sum, s) => sum + s.totalStudents, 0)
             });
 
@@ -569,9 +672,11 @@ io.on('connection', (socket) => {
                 groupSessionData: {
                     groupSessionId,
                     sections: individualSessions,
+                    ...groupSubject,
                     status: 'created',
                     totalSections: individualSessions.length,
                     totalStudentsAcrossSections: groupSession.totalStudentsAcrossSections,
+                    challengeRequired: groupSession.challengeRequired,
                     canLock: true,
                     canStartAttendance: false
                 }
@@ -646,6 +751,8 @@ io.on('connection', (socket) => {
                 groupSessionData: {
                     groupSessionId,
                     sections: groupSession.sections,
+                    subjectCode: groupSession.subjectCode,
+                    subjectName: groupSession.subjectName,
                     status: 'locked',
                     canLock: false,
                     canStartAttendance: true,
@@ -723,6 +830,8 @@ io.on('connection', (socket) => {
                 groupSessionData: {
                     groupSessionId,
                     sections: groupSession.sections,
+                    subjectCode: groupSession.subjectCode,
+                    subjectName: groupSession.subjectName,
                     status: 'created',
                     canLock: true,
                     canStartAttendance: false,
@@ -827,7 +936,8 @@ io.on('connection', (socket) => {
             const groupQRData = await qrTokenService.generateGroupQRToken({
                 groupSessionId: groupSessionId,
                 facultyId: socket.user.facultyId,
-                sections: groupSession.sections
+                sections: groupSession.sections,
+                challengeRequired: groupSession.challengeRequired
             });
 
             const facultyData = {
@@ -865,6 +975,7 @@ io.on('connection', (socket) => {
                     department: sectionInfo.department,
                     semester: sectionInfo.semester,
                     section: sectionInfo.section,
+                    challengeRequired: groupSession.challengeRequired,
                     message: 'Attendance started - scan QR code now!'
                 };
                 
@@ -896,11 +1007,14 @@ io.on('connection', (socket) => {
                     token: groupQRData.token,
                     expiryTime: groupQRData.expiryTime,
                     refreshCount: 1,
-                    timerSeconds: 5
+                    timerSeconds: 5,
+                    challengeCode: groupQRData.challengeCode
                 },
                 groupSessionData: {
                     groupSessionId,
                     sections: groupSession.sections,
+                    subjectCode: groupSession.subjectCode,
+                    subjectName: groupSession.subjectName,
                     status: 'active',
                     totalSections: groupSession.sections.length,
                     totalStudentsAcrossSections: groupSession.totalStudentsAcrossSections,
@@ -1099,4 +1213,9 @@ if (!cluster.isWorker) {
 } else {
     // Worker process - don't listen, just export the server for cluster master
     console.log(` Worker ${process.pid} ready (not listening on port)`);
-}
\ No newline at end of file
+}
+
+// Periodic jobs registered by the services run on one elected process
+scheduledJobService.start().catch(error => {
+    console.error('❌ Error starting scheduled jobs:', error);
+});
\ No newline at end of file
@@ -162,6 +162,32 @@ const generateAdminUploadKey = (originalName) => {
   return `admin-uploads/${timestamp}_${randomSuffix}.${extension}`;
 };
 
+/**
+ * Generate unique S3 key for student leave supporting documents
+ * @param {string} studentId - Student ID
+ * @param {string} originalName - Original filename
+ * @returns {string} - Unique S3 key
+ */
+const generateLeaveDocumentKey = (studentId, originalName) => {
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
+  const extension = originalName.split('.').pop();
+  return `leave-documents/${studentId}/${timestamp}_${randomSuffix}.${extension}`;
+};
+
+/**
+ * Generate unique S3 key for attendance dispute evidence
+ * @param {string} studentId - Student ID
+ * @param {string} originalName - Original filename
+ * @returns {string} - Unique S3 key
+ */
+const generateDisputeEvidenceKey = (studentId, originalName) => {
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
+  const extension = originalName.split('.').pop();
+  return `attendance-disputes/${studentId}/${timestamp}_${randomSuffix}.${extension}`;
+};
+
 module.exports = {
   s3,
   BUCKET_NAME,
@@ -172,5 +198,7 @@ module.exports = {
   fileExists,
   getFileUrl,
   generateFacultyPhotoKey,
-  generateAdminUploadKey
+  generateAdminUploadKey,
+  generateLeaveDocumentKey,
+  generateDisputeEvidenceKey
 };
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const academicStructureService = require('../services/academicStructureService');
+const geofenceService = require('../services/geofenceService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Get the full academic structure, including inactive entries
+exports.getStructure = async (req, res) => {
+  try {
+    const programmes = await academicStructureService.getAdminStructure();
+    res.json({ success: true, programmes });
+  } catch (error) {
+    console.error('Error fetching academic structure:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch academic structure' });
+  }
+};
+
+// Create a programme
+exports.createProgramme = async (req, res) => {
+  try {
+    const programme = await academicStructureService.createProgramme(req.body);
+    console.log(`🏫 Programme created: ${programme.name}`);
+    res.status(201).json({ success: true, message: 'Programme created', programme });
+  } catch (error) {
+    console.error('Error creating programme:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Update a programme's department, semesters or active flag
+exports.updateProgramme = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid programme ID' });
+    }
+
+    const programme = await academicStructureService.updateProgramme(req.params.id, req.body);
+    res.json({ success: true, message: 'Programme updated', programme });
+  } catch (error) {
+    console.error('Error updating programme:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a programme that has no users
+exports.deleteProgramme = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid programme ID' });
+    }
+
+    await academicStructureService.deleteProgramme(req.params.id);
+    res.json({ success: true, message: 'Programme deleted' });
+  } catch (error) {
+    console.error('Error deleting programme:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Create a section
+exports.createSection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.courseId)) {
+      return res.status(400).json({ success: false, message: 'Invalid programme ID' });
+    }
+
+    const section = await academicStructureService.createSection(req.body);
+    res.status(201).json({ success: true, message: 'Section created', section });
+  } catch (error) {
+    console.error('Error creating section:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Update a section's strength or active flag
+exports.updateSection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid section ID' });
+    }
+
+    const section = await academicStructureService.updateSection(req.params.id, req.body);
+    res.json({ success: true, message: 'Section updated', section });
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a section that has no students
+exports.deleteSection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid section ID' });
+    }
+
+    await academicStructureService.deleteSection(req.params.id);
+    res.json({ success: true, message: 'Section deleted' });
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get saved rooms (including inactive) for geofenced sessions
+exports.getRooms = async (req, res) => {
+  try {
+    const rooms = await geofenceService.listRooms(true);
+    res.json({ success: true, rooms, defaultRadiusMeters: geofenceService.DEFAULT_RADIUS_METERS });
+  } catch (error) {
+    console.error('Error fetching rooms:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch rooms' });
+  }
+};
+
+// Save a room with its coordinates
+exports.createRoom = async (req, res) => {
+  try {
+    const room = await geofenceService.createRoom(req.body);
+    console.log(`📍 Room created: ${room.name}`);
+    res.status(201).json({ success: true, message: 'Room created', room });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Update a room's coordinates, radius or active flag
+exports.updateRoom = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid room ID' });
+    }
+
+    const room = await geofenceService.updateRoom(req.params.id, req.body);
+    res.json({ success: true, message: 'Room updated', room });
+  } catch (error) {
+    console.error('Error updating room:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a room
+exports.deleteRoom = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid room ID' });
+    }
+
+    await geofenceService.deleteRoom(req.params.id);
+    res.json({ success: true, message: 'Room deleted' });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const adminAccountService = require('../services/adminAccountService');
+const twoFactorService = require('../services/twoFactorService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Get the signed-in admin's role, department and permissions
+exports.getCurrentAdmin = async (req, res) => {
+  res.json({ success: true, admin: req.admin });
+};
+
+// List all admin accounts (super-admin)
+exports.listAdmins = async (req, res) => {
+  try {
+    const admins = await adminAccountService.listAdmins();
+    res.json({ success: true, admins });
+  } catch (error) {
+    console.error('Error fetching admin accounts:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch admin accounts' });
+  }
+};
+
+// Create an admin account (super-admin)
+exports.createAdmin = async (req, res) => {
+  try {
+    const admin = await adminAccountService.createAdmin(req.body, req.admin);
+    res.status(201).json({ success: true, message: 'Admin account created', admin });
+  } catch (error) {
+    console.error('Error creating admin account:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Update role, department, details or active flag (super-admin)
+exports.updateAdmin = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid admin ID' });
+    }
+
+    const admin = await adminAccountService.updateAdmin(req.params.id, req.body, req.admin);
+    res.json({ success: true, message: 'Admin account updated', admin });
+  } catch (error) {
+    console.error('Error updating admin account:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Set a new password for an admin (super-admin)
+exports.resetPassword = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid admin ID' });
+    }
+
+    await adminAccountService.resetPassword(req.params.id, req.body.password);
+    res.json({ success: true, message: 'Password updated' });
+  } catch (error) {
+    console.error('Error resetting admin password:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get recent login attempts of an admin (super-admin)
+exports.getLoginHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid admin ID' });
+    }
+
+    const history = await adminAccountService.getLoginHistory(req.params.id);
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching admin login history:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Remove an admin's authenticator after a lost device (super-admin)
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid admin ID' });
+    }
+    if (req.params.id === req.admin._id.toString()) {
+      return res.status(400).json({ success: false, message: 'Ask another super-admin to reset your own authenticator' });
+    }
+
+    const admin = await twoFactorService.loadAccount('admin', req.params.id);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+
+    await twoFactorService.disable('admin', admin._id);
+    res.json({ success: true, message: `${admin.adminId} will set up a new authenticator at the next login` });
+  } catch (error) {
+    console.error('Error resetting admin 2FA:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset two-factor authentication' });
+  }
+};
+
+// Get the signed-in admin's second-factor status
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const admin = await twoFactorService.loadAccount('admin', req.admin._id);
+    res.json({ success: true, twoFactor: twoFactorService.getStatus('admin', admin) });
+  } catch (error) {
+    console.error('Error fetching admin 2FA status:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch two-factor status' });
+  }
+};
+
+// Replace the signed-in admin's recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const admin = await twoFactorService.loadAccount('admin', req.admin._id);
+    const { valid, lockout } = await twoFactorService.verifyAttempt(
+      'admin',
+      admin,
+      { code: req.body.code },
+      req.ip || req.connection.remoteAddress
+    );
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout.message, locked: true, retryAfter: lockout.retryAfter });
+    }
+    if (!valid) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes('admin', admin);
+    res.json({ success: true, message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating admin recovery codes:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -2,6 +2,8 @@ const User = require('../models/User');
 const FacultyRequest = require('../models/facultyRequest');
 const Course = require('../models/Course');
 const Section = require('../models/Section');
+const academicStructureService = require('../services/academicStructureService');
+const adminAccountService = require('../services/adminAccountService');
 const bcrypt = require('bcryptjs');
 const xlsx = require('xlsx');
 const crypto = require('crypto');
@@ -12,7 +14,9 @@ const { downloadFile, deleteFile, generatePresignedViewUrl } = require('../confi
 // Get all faculty requests
 exports.getFacultyRequests = async (req, res) => {
   try {
-    const requests = await FacultyRequest.find().sort({ createdAt: -1 });
+    // Department admins only see applicants to their own department
+    const department = adminAccountService.scopeDepartment(req.admin);
+    const requests = await FacultyRequest.find(department ? { department } : {}).sort({ createdAt: -1 });
     
     // Generate presigned URLs for S3 images
     const requestsWithPresignedUrls = await Promise.all(
@@ -59,6 +63,9 @@ exports.approveFacultyRequest = async (req, res) => {
     if (!request) {
       return res.status(404).json({ message: 'Faculty request not found' });
     }
+    if (!adminAccountService.canAccessUser(req.admin, { role: 'faculty', department: request.department })) {
+      return res.status(403).json({ message: 'You are not authorized to process requests of this department' });
+    }
     
     // Check if request is already processed
     if (request.status !== 'pending') {
@@ -176,6 +183,9 @@ exports.rejectFacultyRequest = async (req, res) => {
     if (!request) {
       return res.status(404).json({ message: 'Faculty request not found' });
     }
+    if (!adminAccountService.canAccessUser(req.admin, { role: 'faculty', department: request.department })) {
+      return res.status(403).json({ message: 'You are not authorized to process requests of this department' });
+    }
     
     if (request.status !== 'pending') {
       return res.status(400).json({ message: `Request is already ${request.status}` });
@@ -344,6 +354,16 @@ exports.uploadStudentData = async (req, res) => {
         results.errors.push({ row: rowNum, message: `Missing required fields: ${missingFields.join(', ')}` });
         continue;
       }
+      if (!adminAccountService.canAccessUser(req.admin, { role: 'student', course: String(row.course) })) {
+        results.errors.push({ row: rowNum, message: `You can only add students of ${req.admin.department}` });
+        continue;
+      }
+      try {
+        academicStructureService.validateClass(String(row.course), String(row.semester), String(row.section));
+      } catch (classError) {
+        results.errors.push({ row: rowNum, message: `${classError.message}: ${row.course} ${row.semester}-${row.section}` });
+        continue;
+      }
       if (emailsInFile.has(row.email)) {
         results.errors.push({ row: rowNum, message: `Duplicate email in file: ${row.email}` });
         continue;
@@ -0,0 +1,35 @@
+const attendanceAnalyticsService = require('../services/attendanceAnalyticsService');
+const adminAccountService = require('../services/adminAccountService');
+
+// Department-admins only see their own department
+const getFilters = (req) => ({
+  ...req.query,
+  department: adminAccountService.scopeDepartment(req.admin, req.query.department)
+});
+
+// Attendance trends, breakdowns, patterns and outlier sections
+exports.getAnalytics = async (req, res) => {
+  try {
+    const analytics = await attendanceAnalyticsService.getAnalytics(getFilters(req));
+    res.json({ success: true, analytics });
+  } catch (error) {
+    console.error('Error fetching attendance analytics:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Download one analytics dataset as CSV
+exports.exportAnalytics = async (req, res) => {
+  try {
+    const { dataset = 'sections' } = req.query;
+    const analytics = await attendanceAnalyticsService.getAnalytics(getFilters(req));
+    const csv = attendanceAnalyticsService.toCSV(analytics, dataset);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance_${dataset}_${analytics.range.from}_${analytics.range.to}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting attendance analytics:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const attendanceDisputeService = require('../services/attendanceDisputeService');
+const attendanceAuditService = require('../services/attendanceAuditService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Get presigned URL for uploading dispute evidence (student)
+exports.getEvidenceUploadUrl = async (req, res) => {
+  try {
+    const { fileName, fileType } = req.query;
+    if (!fileName || !fileType) {
+      return res.status(400).json({ success: false, message: 'fileName and fileType are required' });
+    }
+
+    const result = await attendanceDisputeService.getEvidenceUploadUrl(req.user, fileName, fileType);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error generating dispute evidence upload URL:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Dispute an absence (student)
+exports.createDispute = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.attendanceRecordId)) {
+      return res.status(400).json({ success: false, message: 'Invalid attendance record ID' });
+    }
+
+    const dispute = await attendanceDisputeService.createDispute(req.user, req.body);
+    res.status(201).json({ success: true, message: 'Dispute submitted', dispute });
+  } catch (error) {
+    console.error('Error creating attendance dispute:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get own disputes (student)
+exports.getMyDisputes = async (req, res) => {
+  try {
+    const disputes = await attendanceDisputeService.getStudentDisputes(req.user);
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error fetching attendance disputes:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch disputes' });
+  }
+};
+
+// Cancel a pending dispute (student)
+exports.cancelDispute = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid dispute ID' });
+    }
+
+    const dispute = await attendanceDisputeService.cancelDispute(req.params.id, req.user);
+    res.json({ success: true, message: 'Dispute cancelled', dispute });
+  } catch (error) {
+    console.error('Error cancelling attendance dispute:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get disputes of the faculty's records (faculty)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const disputes = await attendanceDisputeService.getFacultyQueue(req.user, status === 'all' ? undefined : status);
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error fetching dispute review queue:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch disputes' });
+  }
+};
+
+// Get a viewing URL for dispute evidence (owner student or reviewing faculty)
+exports.getEvidence = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid dispute ID' });
+    }
+
+    const url = await attendanceDisputeService.getEvidenceUrl(req.params.id, req.user);
+    if (!url) {
+      return res.status(404).json({ success: false, message: 'No evidence attached to this dispute' });
+    }
+    res.json({ success: true, url });
+  } catch (error) {
+    console.error('Error fetching dispute evidence:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Accept a dispute and mark the student present (faculty)
+exports.acceptDispute = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid dispute ID' });
+    }
+
+    const context = attendanceAuditService.getRequestContext(req, req.body.note);
+    const dispute = await attendanceDisputeService.reviewDispute(req.params.id, req.user, 'accepted', context);
+    res.json({ success: true, message: `Dispute accepted. ${dispute.rollNumber} marked present.`, dispute });
+  } catch (error) {
+    console.error('Error accepting attendance dispute:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Reject a dispute (faculty)
+exports.rejectDispute = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid dispute ID' });
+    }
+
+    const context = attendanceAuditService.getRequestContext(req, req.body.note);
+    const dispute = await attendanceDisputeService.reviewDispute(req.params.id, req.user, 'rejected', context);
+    res.json({ success: true, message: 'Dispute rejected', dispute });
+  } catch (error) {
+    console.error('Error rejecting attendance dispute:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -1,20 +1,20 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { sendVerificationEmail, sendPasswordResetCode } = require('../services/emailService');
 const Course = require('../models/Course');
 const Section = require('../models/Section');
+const academicStructureService = require('../services/academicStructureService');
 const bcrypt = require('bcryptjs');
 const FacultyRequest = require('../models/facultyRequest');
 const { upload } = require('../config/cloudinary');
 const PasswordResetCode = require('../models/PasswordResetCode');
 const PasswordResetAttempt = require('../models/PasswordResetAttempt');
+const LoginHistory = require('../models/LoginHistory');
+const authSessionService = require('../services/authSessionService');
+const twoFactorService = require('../services/twoFactorService');
 const { getFileUrl } = require('../config/s3');
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
 exports.register = async (req, res) => {
   try {
     return res.status(400).json({ message: 'Registration not allowed' });
@@ -46,19 +46,19 @@ exports.register = async (req, res) => {
       verificationExpires
     });
 
-    // Find or create the course
-    let foundCourse = await Course.findOne({ name: course });
-    if (!foundCourse) {
-      foundCourse = new Course({ name: course });
-      await foundCourse.save();
+    // Course and section must exist in the admin-managed academic structure
+    try {
+      academicStructureService.validateClass(course, semester, section);
+    } catch (classError) {
+      return res.status(400).json({ message: classError.message });
     }
 
-    // Find or create the section
-    let foundSection = await Section.findOne({ name: section, courseId: foundCourse._id });
-    if (!foundSection) {
-      foundSection = new Section({ name: section, courseId: foundCourse._id });
-      await foundSection.save();
-    }
+    const foundCourse = await Course.findOne({ name: course });
+    const foundSection = await Section.findOne({
+      name: section,
+      courseId: foundCourse._id,
+      $or: [{ semester }, { semester: { $exists: false } }, { semester: null }]
+    });
 
     // Link user to the section
     user.sectionId = foundSection._id;
@@ -331,6 +331,37 @@ exports.verifyEmail = async (req, res) => {
   }
 };
 
+// Start a session for a fully authenticated user and build the login response
+const completeLogin = async (user, req, extra = {}) => {
+  LoginHistory.record(req, { accountType: 'user', account: user, identifier: user.email, success: true });
+
+  // Short-lived access token plus a rotating refresh token for this login
+  const { token, refreshToken, expiresIn } = await authSessionService.createSession(user, req);
+
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    ...extra,
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      studentId: user.studentId,
+      facultyId: user.facultyId,
+      course: user.course,
+      department: user.department,
+      semester: user.semester,
+      section: user.section,
+      classRollNumber: user.classRollNumber,
+      photorequired : user.passwordChangeRequired,
+      photo_url: user.photo_url
+    }
+  };
+};
+
 exports.login = async (req, res) => {
   try {
     const { identifier, password, deviceId } = req.body;
@@ -346,38 +377,42 @@ exports.login = async (req, res) => {
       ]
     }).collation({ locale: 'en', strength: 2 });
 
-    if (!user || !(await user.comparePassword(password))) {
+    const passwordMatches = Boolean(user) && await user.comparePassword(password);
+    if (!passwordMatches) {
+      LoginHistory.record(req, {
+        accountType: 'user',
+        account: user,
+        identifier,
+        success: false,
+        failureReason: user ? 'invalid-password' : 'unknown-account'
+      });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Faculty with an authenticator (or required to set one up) finish on /login/2fa
+    const twoFactorEnabled = twoFactorService.isEnabled(user);
+    if (twoFactorEnabled || twoFactorService.isRequired('user', user)) {
+      return res.json({
+        twoFactorRequired: true,
+        enrolmentRequired: !twoFactorEnabled,
+        challengeToken: twoFactorService.createChallenge('user', user, twoFactorEnabled ? 'verify' : 'enrol')
+      });
+    }
+
     if (deviceId && !user.deviceId) {
-      User.updateOne({ _id: user._id }, { $set: { deviceId: deviceId } })
+      User.updateOne(
+        { _id: user._id, deviceId: null },
+        {
+          $set: { deviceId: deviceId },
+          $push: { deviceHistory: { deviceId, boundAt: new Date(), source: 'login' } }
+        }
+      )
         .catch(err => {
           console.error(`Background deviceId update failed for user ${user._id}:`, err);
         });
     }
 
-    const token = generateToken(user._id);
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        studentId: user.studentId,
-        facultyId: user.facultyId,
-        course: user.course,
-        department: user.department,
-        semester: user.semester,
-        section: user.section,
-        classRollNumber: user.classRollNumber,
-        photorequired : user.passwordChangeRequired,
-        photo_url: user.photo_url
-      }
-    });
+    res.json(await completeLogin(user, req));
 
   } catch (error) {
     console.error('Login Server Error:', error);
@@ -385,9 +420,137 @@ exports.login = async (req, res) => {
   }
 };
 
+// Second login step with an authenticator or recovery code
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { account: user, valid, lockout } = await twoFactorService.verifyChallenge(
+      'user',
+      challengeToken,
+      { code, recoveryCode },
+      req.ip || req.connection.remoteAddress
+    );
+
+    if (lockout) {
+      return res.status(429).json({ message: lockout.message, locked: true, retryAfter: lockout.retryAfter });
+    }
+
+    if (!valid) {
+      LoginHistory.record(req, {
+        accountType: 'user',
+        account: user,
+        identifier: user.email,
+        success: false,
+        failureReason: 'invalid-2fa'
+      });
+      return res.status(401).json({ message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+
+    res.json(await completeLogin(user, req));
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    res.status(401).json({ message: error.message });
+  }
+};
+
+// Start authenticator enrolment for a faculty required to use one
+exports.beginTwoFactorLoginSetup = async (req, res) => {
+  try {
+    const user = await twoFactorService.resolveChallenge(req.body.challengeToken, 'user', ['enrol']);
+    const provisioning = await twoFactorService.beginEnrolment('user', user);
+    res.json(provisioning);
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Confirm enrolment with the first code, then complete the login
+exports.enableTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const user = await twoFactorService.resolveChallenge(challengeToken, 'user', ['enrol']);
+    const recoveryCodes = await twoFactorService.confirmEnrolment('user', user, code);
+
+    res.json(await completeLogin(user, req, { recoveryCodes }));
+  } catch (error) {
+    console.error('Two-factor enable error:', error.message);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await authSessionService.refresh(refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(401).json({ message: error.message });
+  }
+};
+
+// Sign out the current login
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await authSessionService.revokeUserSession(req.user._id, req.sessionId, 'logout');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// Sign out every device, including the current one
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await authSessionService.revokeAllSessions(req.user._id, 'logout-all');
+    res.json({ message: `Logged out of ${revoked} active logins`, revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// List the user's active logins
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await authSessionService.listSessions(req.user._id, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Error fetching active logins', error: error.message });
+  }
+};
+
+// Revoke one of the user's logins
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+
+    await authSessionService.revokeUserSession(req.user._id, req.params.sessionId, 'revoked');
+    res.json({ message: 'Login revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ message: error.message });
+  }
+};
+
 exports.getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id)
+      .select('-password')
+      .populate('teachingAssignments.subject', 'code name');
     res.json(user);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching profile', error: error.message });
@@ -551,6 +714,9 @@ exports.resetPassword = async (req, res) => {
       
       // Delete the used verification code
       await PasswordResetCode.deleteOne({ _id: resetCodeDoc._id });
+
+      // Sign out every device that used the old password
+      await authSessionService.revokeAllSessions(user._id, 'password-reset');
       
       return res.json({ message: 'Password reset successful. You can now login with your new password.' });
     } else if (token) {
@@ -572,6 +738,8 @@ exports.resetPassword = async (req, res) => {
       user.passwordChangeRequired = false; // Reset the flag
       await user.save();
 
+      await authSessionService.revokeAllSessions(user._id, 'password-reset');
+
       res.json({ message: 'Password reset successful. You can now login with your new password.' });
     } else {
       return res.status(400).json({ message: 'Missing verification code or token' });
@@ -643,6 +811,8 @@ exports.resetFacultyPassword = async (req, res) => {
       }
     );
 
+    await authSessionService.revokeAllSessions(user._id, 'password-reset');
+
     res.json({ message: 'Password reset successful. You can now login with your new password.' });
   } catch (error) {
     console.error('Faculty reset password error:', error);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const deviceRebindService = require('../services/deviceRebindService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Build the reviewer descriptor from an authenticated faculty or admin request
+const getReviewer = (req) => {
+  if (req.admin) {
+    return { role: 'admin', id: req.admin.id, name: req.admin.name, department: req.admin.department };
+  }
+  return { role: 'faculty', id: req.user.facultyId, name: req.user.name, user: req.user };
+};
+
+// Submit a device change request from the new device (student)
+exports.createRequest = async (req, res) => {
+  try {
+    const request = await deviceRebindService.createRequest(req.user, req.body);
+    res.status(201).json({ success: true, message: 'Device change request submitted', request });
+  } catch (error) {
+    console.error('Error creating device change request:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Get own requests, device history and cooldown (student)
+exports.getMyRequests = async (req, res) => {
+  try {
+    const overview = await deviceRebindService.getStudentOverview(req.user);
+    res.json({ success: true, ...overview });
+  } catch (error) {
+    console.error('Error fetching device change requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch device change requests' });
+  }
+};
+
+// Cancel a pending request (student)
+exports.cancelRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await deviceRebindService.cancelRequest(req.params.id, req.user);
+    res.json({ success: true, message: 'Device change request cancelled', request });
+  } catch (error) {
+    console.error('Error cancelling device change request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get requests to review (faculty or admin)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending', department, semester, section } = req.query;
+    const requests = await deviceRebindService.getRequestsForReview(getReviewer(req), {
+      status: status === 'all' ? undefined : status,
+      department,
+      semester,
+      section
+    });
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error fetching device change review queue:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch device change requests' });
+  }
+};
+
+// Approve a request and bind the new device (faculty or admin)
+exports.approveRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await deviceRebindService.reviewRequest(req.params.id, getReviewer(req), 'approved', req.body.note);
+    res.json({ success: true, message: `New device bound for ${request.studentName}`, request });
+  } catch (error) {
+    console.error('Error approving device change request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Reject a request (faculty or admin)
+exports.rejectRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await deviceRebindService.reviewRequest(req.params.id, getReviewer(req), 'rejected', req.body.note);
+    res.json({ success: true, message: 'Device change request rejected', request });
+  } catch (error) {
+    console.error('Error rejecting device change request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get a student's device history (admin)
+exports.getStudentDeviceHistory = async (req, res) => {
+  try {
+    const history = await deviceRebindService.getStudentDeviceHistory(req.params.studentId, req.admin.department);
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error('Error fetching device history:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const leaveRequestService = require('../services/leaveRequestService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Build the reviewer descriptor from an authenticated faculty or admin request
+const getReviewer = (req) => {
+  if (req.admin) {
+    return { role: 'admin', id: req.admin.id, name: req.admin.name, department: req.admin.department };
+  }
+  return { role: 'faculty', id: req.user.facultyId, name: req.user.name, user: req.user };
+};
+
+// Get presigned URL for uploading a supporting document (student)
+exports.getDocumentUploadUrl = async (req, res) => {
+  try {
+    const { fileName, fileType } = req.query;
+    if (!fileName || !fileType) {
+      return res.status(400).json({ success: false, message: 'fileName and fileType are required' });
+    }
+
+    const result = await leaveRequestService.getDocumentUploadUrl(req.user, fileName, fileType);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error generating leave document upload URL:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Submit a leave request (student)
+exports.createRequest = async (req, res) => {
+  try {
+    const request = await leaveRequestService.createRequest(req.user, req.body);
+    res.status(201).json({ success: true, message: 'Leave request submitted', request });
+  } catch (error) {
+    console.error('Error creating leave request:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Get own leave requests (student)
+exports.getMyRequests = async (req, res) => {
+  try {
+    const requests = await leaveRequestService.getStudentRequests(req.user);
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error fetching leave requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch leave requests' });
+  }
+};
+
+// Cancel a pending leave request (student)
+exports.cancelRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await leaveRequestService.cancelRequest(req.params.id, req.user);
+    res.json({ success: true, message: 'Leave request cancelled', request });
+  } catch (error) {
+    console.error('Error cancelling leave request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Get leave requests to review (faculty or admin)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending', department, semester, section } = req.query;
+    const requests = await leaveRequestService.getRequestsForReview(getReviewer(req), {
+      status: status === 'all' ? undefined : status,
+      department,
+      semester,
+      section
+    });
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error fetching leave review queue:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch leave requests' });
+  }
+};
+
+// Get a viewing URL for the supporting document (owner student, faculty or admin)
+exports.getDocument = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const viewer = req.admin ? getReviewer(req) : { role: req.user.role, user: req.user };
+    const url = await leaveRequestService.getDocumentUrl(req.params.id, viewer);
+    if (!url) {
+      return res.status(404).json({ success: false, message: 'No document attached to this request' });
+    }
+    res.json({ success: true, url });
+  } catch (error) {
+    console.error('Error fetching leave document:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Approve a leave request (faculty or admin)
+exports.approveRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await leaveRequestService.reviewRequest(req.params.id, getReviewer(req), 'approved', req.body.note);
+    res.json({
+      success: true,
+      message: `Leave approved. ${request.excusedLedgerCount} absences excused.`,
+      request
+    });
+  } catch (error) {
+    console.error('Error approving leave request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Reject a leave request (faculty or admin)
+exports.rejectRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid request ID' });
+    }
+
+    const request = await leaveRequestService.reviewRequest(req.params.id, getReviewer(req), 'rejected', req.body.note);
+    res.json({ success: true, message: 'Leave request rejected', request });
+  } catch (error) {
+    console.error('Error rejecting leave request:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,97 @@
+const proxyCaseService = require('../services/proxyCaseService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Build the actor descriptor from an authenticated faculty or admin request
+const getActor = (req) => {
+  if (req.admin) {
+    return { role: 'admin', id: req.admin.id, name: req.admin.name, department: req.admin.department };
+  }
+  return { role: 'faculty', id: req.user.facultyId, name: req.user.name, user: req.user };
+};
+
+// Escalate a proxy signal into a new case
+exports.escalate = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.escalate(getActor(req), req.body);
+    res.status(201).json({ success: true, message: 'Case opened', case: proxyCase });
+  } catch (error) {
+    console.error('Error escalating proxy signal:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// List cases visible to the faculty or admin
+exports.listCases = async (req, res) => {
+  try {
+    const cases = await proxyCaseService.listCases(getActor(req), req.query);
+    res.json({ success: true, cases });
+  } catch (error) {
+    console.error('Error fetching cases:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cases' });
+  }
+};
+
+// Get a case with its evidence, linked records, notes and history
+exports.getCase = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.getCase(req.params.id, getActor(req));
+    res.json({ success: true, case: proxyCase });
+  } catch (error) {
+    console.error('Error fetching case:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Change status, assignee or outcome
+exports.updateCase = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.updateCase(req.params.id, getActor(req), req.body);
+    res.json({ success: true, message: 'Case updated', case: proxyCase });
+  } catch (error) {
+    console.error('Error updating case:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Add an investigation note
+exports.addNote = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.addNote(req.params.id, getActor(req), req.body.text);
+    res.json({ success: true, message: 'Note added', case: proxyCase });
+  } catch (error) {
+    console.error('Error adding case note:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Add another signal's evidence to the case
+exports.addEvidence = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.addEvidence(req.params.id, getActor(req), req.body.source);
+    res.json({ success: true, message: 'Evidence added', case: proxyCase });
+  } catch (error) {
+    console.error('Error adding case evidence:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Link an affected attendance record
+exports.linkRecord = async (req, res) => {
+  try {
+    const proxyCase = await proxyCaseService.linkAttendanceRecord(req.params.id, getActor(req), req.body.attendanceRecordId);
+    res.json({ success: true, message: 'Attendance record linked', case: proxyCase });
+  } catch (error) {
+    console.error('Error linking attendance record to case:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Stream a preserved evidence photo kept on local storage
+exports.getEvidencePhoto = async (req, res) => {
+  try {
+    const filePath = await proxyCaseService.getEvidencePhotoPath(req.params.id, getActor(req), req.params.filename);
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
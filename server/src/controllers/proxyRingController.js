@@ -0,0 +1,46 @@
+const proxyRingService = require('../services/proxyRingService');
+
+// Department-admins only see rings involving their department
+const getAdminScope = (req) => (req.admin.department ? { department: req.admin.department } : {});
+
+// Latest ranked proxy-ring report
+exports.getReport = async (req, res) => {
+  try {
+    const report = await proxyRingService.getLatestReport(getAdminScope(req), Number(req.query.minScore) || 0);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error fetching proxy-ring report:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch proxy-ring report' });
+  }
+};
+
+// Re-run the analysis now instead of waiting for the nightly run
+exports.runAnalysis = async (req, res) => {
+  try {
+    const report = await proxyRingService.analyze({ windowDays: req.body.windowDays, triggeredBy: req.admin.id });
+    if (!report) {
+      return res.status(409).json({ success: false, message: 'An analysis is already running. Try again in a few minutes.' });
+    }
+
+    res.json({
+      success: true,
+      message: `Analysis complete: ${report.clusters.length} proxy ring(s) found`,
+      report: await proxyRingService.getLatestReport(getAdminScope(req))
+    });
+  } catch (error) {
+    console.error('Error running proxy-ring analysis:', error);
+    res.status(500).json({ success: false, message: 'Failed to run proxy-ring analysis' });
+  }
+};
+
+// Drill-down of one ring
+exports.getRing = async (req, res) => {
+  try {
+    const result = await proxyRingService.getRing(req.params.ringId, getAdminScope(req));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    if (status === 500) console.error('Error fetching proxy ring:', error);
+    res.status(status).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,88 @@
+const reportScheduleService = require('../services/reportScheduleService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// List report schedules
+exports.listSchedules = async (req, res) => {
+  try {
+    const schedules = await reportScheduleService.listSchedules(req.admin);
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('Error fetching report schedules:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch report schedules' });
+  }
+};
+
+// Create a weekly or monthly report schedule
+exports.createSchedule = async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.createSchedule(req.body, req.admin);
+    res.status(201).json({ success: true, message: 'Report schedule created', schedule });
+  } catch (error) {
+    console.error('Error creating report schedule:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Update a report schedule
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.updateSchedule(req.params.id, req.body, req.admin);
+    res.json({ success: true, message: 'Report schedule updated', schedule });
+  } catch (error) {
+    console.error('Error updating report schedule:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a report schedule
+exports.deleteSchedule = async (req, res) => {
+  try {
+    await reportScheduleService.deleteSchedule(req.params.id, req.admin);
+    res.json({ success: true, message: 'Report schedule deleted' });
+  } catch (error) {
+    console.error('Error deleting report schedule:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Send a schedule's reports now
+exports.runSchedule = async (req, res) => {
+  try {
+    const result = await reportScheduleService.runNow(req.params.id, req.admin);
+    res.json({
+      success: true,
+      message: `${result.sent} of ${result.deliveries} reports sent`,
+      result
+    });
+  } catch (error) {
+    console.error('Error running report schedule:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Browse the delivery log
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const result = await reportScheduleService.listDeliveries(req.admin, filters, page, limit);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching report deliveries:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch report deliveries' });
+  }
+};
+
+// Retry a delivery that could not be sent
+exports.retryDelivery = async (req, res) => {
+  try {
+    const delivery = await reportScheduleService.retryDelivery(req.params.id, req.admin);
+    res.json({
+      success: delivery.status === 'sent',
+      message: delivery.status === 'sent' ? 'Report delivered' : `Delivery ${delivery.status}: ${delivery.lastError}`,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error retrying report delivery:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
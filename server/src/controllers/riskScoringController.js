@@ -0,0 +1,40 @@
+const riskScoringService = require('../services/riskScoringService');
+const RiskEvent = require('../models/RiskEvent');
+
+// Get the scoring weights and auto-action thresholds
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await riskScoringService.getPolicy();
+    res.json({ success: true, policy, signals: RiskEvent.SIGNALS });
+  } catch (error) {
+    console.error('Error fetching risk policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch risk scoring policy' });
+  }
+};
+
+// Update the scoring weights and auto-action thresholds
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await riskScoringService.updatePolicy(req.body, req.admin.id);
+    res.json({ success: true, message: 'Risk scoring policy updated', policy });
+  } catch (error) {
+    console.error('Error updating risk policy:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// Browse the event stream (department-admins only see their department)
+exports.getEvents = async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    if (req.admin.department) {
+      filters.department = req.admin.department;
+    }
+
+    const result = await riskScoringService.listEvents(filters, page, limit);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching risk events:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch risk events' });
+  }
+};
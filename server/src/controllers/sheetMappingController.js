@@ -97,10 +97,10 @@ exports.updateSheetMapping = async (req, res) => {
       return res.status(400).json({ message: 'Spreadsheet ID and Sheet ID are required' });
     }
 
-    // Find and update the mapping
+    // Find and update the mapping; a different sheet starts its sync from scratch
     const mapping = await SheetMapping.findOneAndUpdate(
       { department, semester, section },
-      { spreadsheetId, sheetId },
+      { spreadsheetId, sheetId, columns: [], conflicts: [], syncStatus: 'never' },
       { new: true, runValidators: true }
     );
 
@@ -0,0 +1,39 @@
+const sheetSyncService = require('../services/sheetSyncService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// Sheet mappings with sync status, last error and conflicts
+exports.listMappings = async (req, res) => {
+  try {
+    const mappings = await sheetSyncService.listMappings(req.admin);
+    res.json({ success: true, mappings });
+  } catch (error) {
+    console.error('Error fetching sheet mappings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sheet mappings' });
+  }
+};
+
+// Import sheet edits and push attendance to a mapped sheet now
+exports.syncMapping = async (req, res) => {
+  try {
+    const mapping = await sheetSyncService.syncNow(req.params.id, req.admin);
+    res.json({
+      success: mapping.syncStatus !== 'error',
+      message: mapping.syncStatus === 'error' ? `Sync failed: ${mapping.lastError}` : 'Sheet synced',
+      mapping
+    });
+  } catch (error) {
+    console.error('Error syncing sheet mapping:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Turn scheduled sync of a mapping on or off
+exports.updateMapping = async (req, res) => {
+  try {
+    const mapping = await sheetSyncService.setSyncEnabled(req.params.id, req.body.syncEnabled, req.admin);
+    res.json({ success: true, message: `Sync ${mapping.syncEnabled ? 'enabled' : 'paused'}`, mapping });
+  } catch (error) {
+    console.error('Error updating sheet mapping:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,175 @@
+const xlsx = require('xlsx');
+const mongoose = require('mongoose');
+const TimetableSlot = require('../models/TimetableSlot');
+const timetableService = require('../services/timetableService');
+const { downloadFile, deleteFile } = require('../config/s3');
+
+// Read the first sheet of an uploaded timetable (S3 key or multer buffer)
+const readTimetableRows = async (req) => {
+  const { s3Key } = req.body;
+  let fileBuffer;
+
+  if (s3Key) {
+    try {
+      fileBuffer = await downloadFile(s3Key);
+    } catch (downloadError) {
+      throw new Error('Failed to download file from S3: ' + downloadError.message);
+    }
+  } else if (req.file && req.file.buffer) {
+    fileBuffer = req.file.buffer;
+  } else {
+    return null;
+  }
+
+  const workbook = xlsx.read(fileBuffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return xlsx.utils.sheet_to_json(sheet);
+};
+
+// Delete the temporary S3 upload, never failing the request
+const cleanupUpload = async (s3Key) => {
+  if (!s3Key) return;
+  try {
+    await deleteFile(s3Key);
+    console.log('🗑️  Temporary S3 timetable file deleted:', s3Key);
+  } catch (deleteError) {
+    console.error('Error deleting temporary S3 file:', deleteError);
+  }
+};
+
+// Preview timetable from Excel file
+exports.previewTimetable = async (req, res) => {
+  const { s3Key } = req.body;
+
+  try {
+    const data = await readTimetableRows(req);
+
+    if (data === null) {
+      return res.status(400).json({ message: 'No file uploaded or S3 key provided' });
+    }
+    if (data.length === 0) {
+      await cleanupUpload(s3Key);
+      return res.status(400).json({ message: 'Excel file is empty' });
+    }
+
+    const missingFields = timetableService.getMissingFields(data[0]);
+    await cleanupUpload(s3Key);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      });
+    }
+
+    res.json({
+      message: 'File preview generated successfully',
+      totalRecords: data.length,
+      previewData: data.slice(0, 5)
+    });
+  } catch (error) {
+    console.error('Error previewing timetable:', error);
+    await cleanupUpload(s3Key);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Import timetable slots from Excel file
+exports.uploadTimetable = async (req, res) => {
+  const { s3Key } = req.body;
+
+  try {
+    const data = await readTimetableRows(req);
+
+    if (data === null) {
+      return res.status(400).json({ message: 'No file uploaded or S3 key provided' });
+    }
+    if (data.length === 0) {
+      await cleanupUpload(s3Key);
+      return res.status(400).json({ message: 'Excel file is empty' });
+    }
+
+    const results = await timetableService.importSlots(data);
+    await cleanupUpload(s3Key);
+
+    console.log(`📅 Timetable import: ${results.successCount} slots saved, ${results.errorCount} errors out of ${results.totalRecords} rows`);
+
+    res.json({
+      message: 'Timetable processed',
+      stats: results
+    });
+  } catch (error) {
+    console.error('Error uploading timetable:', error);
+    await cleanupUpload(s3Key);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get timetable slots
+exports.getTimetable = async (req, res) => {
+  try {
+    const { department, semester, section, facultyId } = req.query;
+    const slots = await timetableService.getSlots({ department, semester, section, facultyId });
+
+    res.json({ success: true, slots });
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch timetable' });
+  }
+};
+
+// Update a timetable slot's options
+exports.updateSlot = async (req, res) => {
+  try {
+    const { slotId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+      return res.status(400).json({ success: false, message: 'Invalid slot ID' });
+    }
+
+    const slot = await TimetableSlot.findById(slotId);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Timetable slot not found' });
+    }
+
+    const { room, totalStudents, autoLock, autoEnd, isActive } = req.body;
+
+    if (totalStudents !== undefined) {
+      const parsed = parseInt(totalStudents);
+      if (isNaN(parsed) || parsed < 1) {
+        return res.status(400).json({ success: false, message: 'totalStudents must be a positive number' });
+      }
+      slot.totalStudents = parsed;
+    }
+    if (room !== undefined) slot.room = String(room).trim();
+    if (autoLock !== undefined) slot.autoLock = Boolean(autoLock);
+    if (autoEnd !== undefined) slot.autoEnd = Boolean(autoEnd);
+    if (isActive !== undefined) slot.isActive = Boolean(isActive);
+
+    await slot.save();
+    await slot.populate('subject', 'code name');
+
+    res.json({ success: true, message: 'Timetable slot updated', slot });
+  } catch (error) {
+    console.error('Error updating timetable slot:', error);
+    res.status(500).json({ success: false, message: 'Failed to update timetable slot' });
+  }
+};
+
+// Remove a slot from the timetable (deactivated, scheduled history is kept)
+exports.deleteSlot = async (req, res) => {
+  try {
+    const { slotId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+      return res.status(400).json({ success: false, message: 'Invalid slot ID' });
+    }
+
+    const slot = await TimetableSlot.findByIdAndUpdate(slotId, { isActive: false }, { new: true });
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Timetable slot not found' });
+    }
+
+    res.json({ success: true, message: 'Timetable slot removed' });
+  } catch (error) {
+    console.error('Error removing timetable slot:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove timetable slot' });
+  }
+};
@@ -0,0 +1,81 @@
+const twoFactorService = require('../services/twoFactorService');
+
+const getIpAddress = (req) => req.ip || req.connection.remoteAddress;
+
+// Get the faculty's second-factor status
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadAccount('user', req.user._id);
+    res.json({ twoFactor: twoFactorService.getStatus('user', user) });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor status' });
+  }
+};
+
+// Start authenticator enrolment (returns the QR provisioning URI)
+exports.beginSetup = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadAccount('user', req.user._id);
+    const provisioning = await twoFactorService.beginEnrolment('user', user);
+    res.json(provisioning);
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Confirm enrolment with the first code and return recovery codes
+exports.enable = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadAccount('user', req.user._id);
+    const recoveryCodes = await twoFactorService.confirmEnrolment('user', user, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Turn the second factor off (not allowed when an admin requires it)
+exports.disable = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadAccount('user', req.user._id);
+    if (twoFactorService.isRequired('user', user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your account by an administrator' });
+    }
+    const { valid, lockout } = await twoFactorService.verifyAttempt('user', user, { code: req.body.code }, getIpAddress(req));
+    if (lockout) {
+      return res.status(429).json({ message: lockout.message, locked: true, retryAfter: lockout.retryAfter });
+    }
+    if (!valid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await twoFactorService.disable('user', user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+  }
+};
+
+// Replace the recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadAccount('user', req.user._id);
+    const { valid, lockout } = await twoFactorService.verifyAttempt('user', user, { code: req.body.code }, getIpAddress(req));
+    if (lockout) {
+      return res.status(429).json({ message: lockout.message, locked: true, retryAfter: lockout.retryAfter });
+    }
+    if (!valid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes('user', user);
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
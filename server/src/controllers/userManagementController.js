@@ -1,4 +1,7 @@
 const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const adminAccountService = require('../services/adminAccountService');
+const twoFactorService = require('../services/twoFactorService');
 
 // ==================== USER MANAGEMENT APIS ====================
 
@@ -21,6 +24,7 @@ exports.getStudents = async (req, res) => {
     if (course) query.course = course;
     if (semester) query.semester = parseInt(semester);
     if (section) query.section = section;
+    Object.assign(query, adminAccountService.getUserScopeQuery(req.admin, 'student'));
 
     // Add search (studentId, name, email)
     if (search) {
@@ -75,6 +79,7 @@ exports.getFaculty = async (req, res) => {
 
     // Add filters
     if (course) query.course = course;
+    Object.assign(query, adminAccountService.getUserScopeQuery(req.admin, 'faculty'));
 
     // Add search (facultyId, name, email)
     if (search) {
@@ -121,7 +126,7 @@ exports.getUserById = async (req, res) => {
 
     const user = await User.findById(id).select('-password').lean();
 
-    if (!user) {
+    if (!user || !adminAccountService.canAccessUser(req.admin, user)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -144,10 +149,15 @@ exports.updateUser = async (req, res) => {
 
     // Get current user to check role
     const currentUser = await User.findById(id);
-    if (!currentUser) {
+    if (!currentUser || !adminAccountService.canAccessUser(req.admin, currentUser)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Department admins cannot move users out of their department
+    if (!adminAccountService.canAccessUser(req.admin, { ...currentUser.toObject(), ...updates })) {
+      return res.status(403).json({ message: `You can only manage users of ${req.admin.department}` });
+    }
+
     // Validate unique fields based on role
     if (updates.email) {
       const existingUser = await User.findOne({
@@ -207,12 +217,14 @@ exports.deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
 
-    if (!user) {
+    if (!user || !adminAccountService.canAccessUser(req.admin, user)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await User.deleteOne({ _id: user._id });
+
     res.json({
       message: 'User deleted successfully',
       deletedUser: {
@@ -228,15 +240,60 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
+// Get recent login attempts of a student or faculty user
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('role course department').lean();
+
+    if (!user || !adminAccountService.canAccessUser(req.admin, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const history = await LoginHistory.findForAccount('user', user._id);
+    res.json({ history });
+  } catch (error) {
+    console.error('Error fetching login history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Require (or stop requiring) an authenticator for a faculty, or reset a lost one
+exports.updateFacultyTwoFactor = async (req, res) => {
+  try {
+    const { required, reset } = req.body;
+    const faculty = await User.findOne({ _id: req.params.id, role: 'faculty' });
+
+    if (!faculty || !adminAccountService.canAccessUser(req.admin, faculty)) {
+      return res.status(404).json({ message: 'Faculty not found' });
+    }
+
+    if (required !== undefined) {
+      await User.updateOne({ _id: faculty._id }, { $set: { twoFactorRequired: Boolean(required) } });
+    }
+    if (reset) {
+      await twoFactorService.disable('user', faculty._id);
+    }
+
+    res.json({
+      message: reset ? 'Authenticator reset. The faculty will set up a new one at the next login.' : 'Two-factor setting updated',
+      twoFactorRequired: required !== undefined ? Boolean(required) : faculty.twoFactorRequired
+    });
+  } catch (error) {
+    console.error('Error updating faculty 2FA:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Get filter options (departments, semesters, sections)
 exports.getFilterOptions = async (req, res) => {
   try {
     const { role } = req.query;
 
     if (role === 'student') {
-      const courses = await User.distinct('course', { role: 'student' });
-      const semesters = await User.distinct('semester', { role: 'student' });
-      const sections = await User.distinct('section', { role: 'student' });
+      const scope = { role: 'student', ...adminAccountService.getUserScopeQuery(req.admin, 'student') };
+      const courses = await User.distinct('course', scope);
+      const semesters = await User.distinct('semester', scope);
+      const sections = await User.distinct('section', scope);
 
       res.json({
         courses: courses.filter(c => c).sort(),
@@ -244,7 +301,7 @@ exports.getFilterOptions = async (req, res) => {
         sections: sections.filter(s => s).sort()
       });
     } else if (role === 'faculty') {
-      const courses = await User.distinct('course', { role: 'faculty' });
+      const courses = await User.distinct('course', { role: 'faculty', ...adminAccountService.getUserScopeQuery(req.admin, 'faculty') });
 
       res.json({
         courses: courses.filter(c => c).sort()
@@ -269,6 +326,7 @@ exports.exportUsers = async (req, res) => {
     if (course) query.course = course;
     if (semester) query.semester = parseInt(semester);
     if (section) query.section = section;
+    Object.assign(query, adminAccountService.getUserScopeQuery(req.admin, role));
 
     // Fetch users
     const users = await User.find(query).select('-password').lean();
@@ -0,0 +1,104 @@
+const webhookService = require('../services/webhookService');
+const { getErrorStatus } = require('../utils/errorStatus');
+
+// List registered webhooks
+exports.listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.admin);
+    res.json({ success: true, webhooks });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch webhooks' });
+  }
+};
+
+// Register a webhook (the signing secret is only returned here and on rotation)
+exports.createWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.createWebhook(req.body, req.admin);
+    res.status(201).json({ success: true, message: 'Webhook registered', webhook });
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Update a webhook's URL, events, department filter or enabled flag
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.updateWebhook(req.params.id, req.body, req.admin);
+    res.json({ success: true, message: 'Webhook updated', webhook });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a webhook
+exports.deleteWebhook = async (req, res) => {
+  try {
+    await webhookService.deleteWebhook(req.params.id, req.admin);
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Replace a webhook's signing secret
+exports.rotateSecret = async (req, res) => {
+  try {
+    const webhook = await webhookService.rotateSecret(req.params.id, req.admin);
+    res.json({ success: true, message: 'Signing secret rotated', webhook });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Send a test event and report the endpoint's response
+exports.testWebhook = async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id, req.admin);
+    res.json({
+      success: delivery.status === 'delivered',
+      message: delivery.status === 'delivered'
+        ? `Test delivered (HTTP ${delivery.responseStatus})`
+        : `Test failed: ${delivery.lastError}`,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
+
+// Browse the delivery history
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const result = await webhookService.listDeliveries(req.admin, filters, page, limit);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries' });
+  }
+};
+
+// Send a delivery again
+exports.redeliver = async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id, req.admin);
+    if (!delivery) {
+      return res.status(409).json({ success: false, message: 'This delivery is being sent' });
+    }
+    res.json({
+      success: delivery.status === 'delivered',
+      message: delivery.status === 'delivered' ? 'Delivered' : `Delivery ${delivery.status}: ${delivery.lastError}`,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(getErrorStatus(error)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,47 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const adminAccountService = require('../services/adminAccountService');
+
+/**
+ * Middleware factory that authenticates an admin account and checks a permission.
+ * Sets req.admin to { id, _id, name, adminRole, department, permissions }.
+ * @param {string} [permission] - Required permission (omit for any active admin)
+ */
+const ensureAdmin = (permission) => async (req, res, next) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  if (decoded.role !== 'admin' || !decoded.adminId) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+
+  try {
+    // Load the account on every request so role changes and deactivation apply immediately
+    const admin = await Admin.findById(decoded.adminId);
+    if (!admin || !admin.active) {
+      return res.status(401).json({ message: 'Admin account is inactive or no longer exists' });
+    }
+
+    req.admin = adminAccountService.toRequestAdmin(admin);
+
+    if (permission && !adminAccountService.hasPermission(req.admin, permission)) {
+      return res.status(403).json({ message: `Your admin role does not allow this action (${permission})` });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin authentication error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = ensureAdmin;
@@ -1,23 +1,15 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const authSessionService = require('../services/authSessionService');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      throw new Error('No token provided');
-    }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      throw new Error('User not found');
-    }
+    // Rejects expired tokens, revoked sessions and tokens issued before a password reset
+    const { user, decoded } = await authSessionService.verifyAccessToken(token);
 
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Please authenticate' });
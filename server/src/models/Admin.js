@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const twoFactorFields = require('./twoFactorFields');
+
+/**
+ * Administrator account. Roles:
+ *  - super-admin:      full access, manages other admin accounts
+ *  - department-admin: users, reviews and reports of one department only
+ *  - auditor:          read-only access to users, reviews and reports
+ */
+const adminSchema = new mongoose.Schema({
+  // Login identifier
+  adminId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['super-admin', 'department-admin', 'auditor'],
+    required: true
+  },
+  // Department (programme) a department-admin is limited to
+  department: {
+    type: String,
+    required: function() {
+      return this.role === 'department-admin';
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Authenticator-app second factor (mandatory for every admin)
+  twoFactor: twoFactorFields,
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Static method to find an active admin by login identifier
+adminSchema.statics.findActiveByAdminId = function(adminId) {
+  return this.findOne({ adminId, active: true });
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
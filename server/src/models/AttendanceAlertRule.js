@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attendance shortage thresholds, one document per department.
+ * The '*' department holds the institution-wide defaults.
+ */
+const attendanceAlertRuleSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Running percentage below which a warning digest is sent
+  warningThreshold: {
+    type: Number,
+    default: 75,
+    min: 0,
+    max: 100
+  },
+  // Running percentage below which a critical digest is sent
+  criticalThreshold: {
+    type: Number,
+    default: 65,
+    min: 0,
+    max: 100
+  },
+  // Do not alert until a subject has held at least this many sessions
+  minSessions: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  // Also send the subject faculty a digest of newly at-risk students
+  notifyFaculty: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the rule for a department, falling back to the defaults
+attendanceAlertRuleSchema.statics.getRuleForDepartment = async function(department) {
+  const rule = await this.findOne({ department });
+  if (rule) {
+    return rule;
+  }
+
+  let defaults = await this.findOne({ department: '*' });
+  if (!defaults) {
+    defaults = await this.create({ department: '*' });
+  }
+  return defaults;
+};
+
+module.exports = mongoose.model('AttendanceAlertRule', attendanceAlertRuleSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Immutable audit trail of manual attendance edits.
+ * One entry per student whose status changed. Entries are never updated or
+ * deleted and, unlike AttendanceRecord, never expire. Edits made while a QR
+ * session is still running have no record yet and are kept by sessionId.
+ */
+const attendanceAuditLogSchema = new mongoose.Schema({
+  attendanceRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRecord'
+  },
+  sessionId: {
+    type: String
+  },
+  // Snapshot of the record's session so entries stay meaningful after it expires
+  facultyId: {
+    type: String,
+    required: true
+  },
+  department: {
+    type: String
+  },
+  semester: {
+    type: String
+  },
+  section: {
+    type: String
+  },
+  subjectCode: {
+    type: String
+  },
+  subjectName: {
+    type: String
+  },
+  sessionDate: {
+    type: Date
+  },
+  rollNumber: {
+    type: String,
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    enum: ['present', 'absent', 'excused', 'none'],
+    required: true
+  },
+  toStatus: {
+    type: String,
+    enum: ['present', 'absent', 'excused', 'none'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['move-student', 'record-update', 'dispute-accepted', 'dispute-rejected', 'sheet-import', 'live-mark', 'live-remove'],
+    required: true
+  },
+  changedBy: {
+    role: { type: String, required: true },
+    id: { type: String, required: true },
+    name: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceAuditLogSchema.index({ attendanceRecord: 1, createdAt: -1 });
+attendanceAuditLogSchema.index({ sessionId: 1, createdAt: -1 });
+attendanceAuditLogSchema.index({ facultyId: 1, createdAt: -1 });
+attendanceAuditLogSchema.index({ rollNumber: 1, createdAt: -1 });
+attendanceAuditLogSchema.index({ department: 1, semester: 1, section: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Attendance audit log entries are immutable'));
+};
+
+attendanceAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'].forEach(operation => {
+  attendanceAuditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('AttendanceAuditLog', attendanceAuditLogSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Student dispute of an absence in a specific attendance record.
+ * The faculty who owns the record accepts (student is moved to present)
+ * or rejects it; both decisions are written to the attendance audit log.
+ */
+const attendanceDisputeSchema = new mongoose.Schema({
+  attendanceRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRecord',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  // Identifier the student appears under in the record (roll number or email)
+  rollNumber: {
+    type: String,
+    required: true
+  },
+  // Snapshot of the disputed session
+  facultyId: {
+    type: String,
+    required: true
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  subjectCode: {
+    type: String
+  },
+  subjectName: {
+    type: String
+  },
+  sessionDate: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Supporting evidence uploaded to S3 via presigned URL
+  evidenceKey: {
+    type: String
+  },
+  evidenceName: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    role: String,
+    id: String,
+    name: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+attendanceDisputeSchema.index({ student: 1, createdAt: -1 });
+attendanceDisputeSchema.index({ facultyId: 1, status: 1, createdAt: -1 });
+attendanceDisputeSchema.index({ attendanceRecord: 1, student: 1 });
+
+module.exports = mongoose.model('AttendanceDispute', attendanceDisputeSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// One entry per ended session in which the student was on the roster
+const ledgerEntrySchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+  attendanceRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRecord'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['present', 'absent', 'excused'],
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Durable per-student, per-subject attendance ledger.
+ * Unlike AttendanceRecord this collection has no TTL index; old ledgers are
+ * only ever archived according to the admin-configured LedgerArchivePolicy.
+ */
+const attendanceLedgerSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  classRollNumber: {
+    type: String
+  },
+  universityRollNumber: {
+    type: String
+  },
+  // Subject ID as a string (faculty ID for sessions recorded before subjects existed)
+  subjectKey: {
+    type: String,
+    required: true
+  },
+  subjectName: {
+    type: String
+  },
+  facultyId: {
+    type: String,
+    required: true
+  },
+  facultyName: {
+    type: String
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  totalSessions: {
+    type: Number,
+    default: 0
+  },
+  presentCount: {
+    type: Number,
+    default: 0
+  },
+  // Absences covered by approved leave; excluded from the percentage
+  excusedCount: {
+    type: Number,
+    default: 0
+  },
+  entries: [ledgerEntrySchema],
+  lastSessionAt: {
+    type: Date
+  },
+  // Last shortage level a digest was sent for (reset when the student recovers)
+  alertLevel: {
+    type: String,
+    enum: ['none', 'warning', 'critical'],
+    default: 'none'
+  },
+  lastAlertedAt: {
+    type: Date
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+attendanceLedgerSchema.index({ student: 1, subjectKey: 1, semester: 1 }, { unique: true });
+attendanceLedgerSchema.index({ department: 1, semester: 1, section: 1, subjectKey: 1 });
+attendanceLedgerSchema.index({ archived: 1, lastSessionAt: 1 });
+
+attendanceLedgerSchema.virtual('attendancePercentage').get(function() {
+  const countedSessions = this.totalSessions - (this.excusedCount || 0);
+  return countedSessions > 0
+    ? Math.round((this.presentCount / countedSessions) * 100)
+    : 0;
+});
+
+// Static method to get the active (non-archived) ledgers of a student
+attendanceLedgerSchema.statics.findActiveForStudent = function(studentObjectId, semester) {
+  return this.find({
+    student: studentObjectId,
+    semester,
+    archived: false
+  });
+};
+
+module.exports = mongoose.model('AttendanceLedger', attendanceLedgerSchema);
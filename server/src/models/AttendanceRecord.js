@@ -38,12 +38,36 @@ const attendanceRecordSchema = new mongoose.Schema({
     type: Number, 
     required: true 
   },
+  // Subject (course offering) this session is taken for
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    index: true
+  },
+  subjectCode: {
+    type: String
+  },
+  subjectName: {
+    type: String
+  },
   presentCount: { 
     type: Number, 
     required: true 
   },
   absentees: [String],
   presentStudents: [String],
+  // Absentees covered by approved leave (moved out of absentees)
+  excusedStudents: [String],
+  // Enrolled students of the section when the session ended
+  roster: [{
+    _id: false,
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    studentId: String,
+    name: String,
+    email: String,
+    classRollNumber: String,
+    universityRollNumber: String
+  }],
   pdfUrl: { 
     type: String 
   },
@@ -54,6 +78,10 @@ const attendanceRecordSchema = new mongoose.Schema({
     type: Number, 
     default: 0 
   },
+  // QR session the record was created from (absent for manually created records)
+  sessionId: {
+    type: String
+  },
   sessionType: { 
     type: String, 
     enum: ['roll', 'gmail'] 
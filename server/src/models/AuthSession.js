@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * One signed-in login (browser / device) of a student or faculty user.
+ * Holds the hash of the current refresh token, which is rotated on every
+ * refresh. Access tokens carry the session ID so revoking the session
+ * invalidates them as well.
+ */
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token it replaced, to detect reuse of a rotated token
+  previousTokenHash: {
+    type: String
+  },
+  // When the current refresh token was issued (concurrent refreshes shortly after are not reuse)
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'password-reset', 'token-reuse']
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Drop sessions a week after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Static method to find the active sessions of a user
+authSessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+// Method to check whether the session can still be used
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
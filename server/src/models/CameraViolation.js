@@ -2,10 +2,19 @@ const mongoose = require('mongoose');
 
 const cameraViolationSchema = new mongoose.Schema({
     // Basic student information
+    userId: {
+        type: String
+    },
     name: {
         type: String,
         required: true
     },
+    course: {
+        type: String
+    },
+    semester: {
+        type: String
+    },
     section: {
         type: String,
         required: true
@@ -1,7 +1,20 @@
 const mongoose = require('mongoose');
 
+/**
+ * Programme (e.g. BTech, BCA). Its name is the value stored as `course` on
+ * users and as `department` on sessions and attendance records.
+ */
 const courseSchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true }
+  name: { type: String, required: true, unique: true, trim: true },
+  // Academic department the programme belongs to
+  department: { type: String, trim: true, default: 'General' },
+  semesters: {
+    type: [String],
+    default: () => ['1', '2', '3', '4', '5', '6', '7', '8']
+  },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
 });
 
 // Remove any existing indexes that might be causing issues
@@ -19,4 +32,4 @@ if (mongoose.connection.readyState === 1) {
 }
 
 const Course = mongoose.model('Course', courseSchema);
-module.exports = Course;
\ No newline at end of file
+module.exports = Course;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * One sighting of a student's device identifiers while marking attendance.
+ * DeviceSession only lives for the 15-minute cooldown; these are kept for
+ * weeks so the proxy-ring analyzer can link students who share devices.
+ */
+const deviceObservationSchema = new mongoose.Schema({
+  // User _id of the student
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  studentId: String,
+  name: String,
+  rollNumber: String,
+  department: String,
+  semester: String,
+  section: String,
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  ipAddress: String,
+  webRTCIPs: [String],
+  // Attendance flow the identifiers were reported from
+  source: {
+    type: String,
+    enum: ['grid', 'qr'],
+    required: true
+  },
+  // QR session ID (QR scans only)
+  sessionId: String,
+  // Whether the device check let the student through
+  allowed: {
+    type: Boolean,
+    default: true
+  },
+  observedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 24 * 60 * 60 // Analysis window is at most 60 days
+  }
+});
+
+deviceObservationSchema.index({ observedAt: -1 });
+deviceObservationSchema.index({ userId: 1, observedAt: -1 });
+
+module.exports = mongoose.model('DeviceObservation', deviceObservationSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Student request to move their bound device to a new phone.
+ * Once approved, the new device replaces User.deviceId and the change is
+ * appended to the student's device history.
+ */
+const deviceRebindRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  classRollNumber: {
+    type: String
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  // Device bound when the request was made (null if none)
+  currentDeviceId: {
+    type: String,
+    default: null
+  },
+  // Fingerprint of the device the student is requesting from
+  requestedDeviceId: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    role: String,
+    id: String,
+    name: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+deviceRebindRequestSchema.index({ student: 1, createdAt: -1 });
+deviceRebindRequestSchema.index({ department: 1, semester: 1, section: 1, status: 1 });
+
+// Static method to find the student's most recent approved re-binding
+deviceRebindRequestSchema.statics.findLastApproved = function(studentObjectId) {
+  return this.findOne({ student: studentObjectId, status: 'approved' }).sort({ reviewedAt: -1 });
+};
+
+module.exports = mongoose.model('DeviceRebindRequest', deviceRebindRequestSchema);
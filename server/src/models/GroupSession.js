@@ -20,6 +20,18 @@ const groupSessionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Subject (course offering) shared by all sections of the group
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        index: true
+    },
+    subjectCode: {
+        type: String
+    },
+    subjectName: {
+        type: String
+    },
     sections: [{
         department: { type: String, required: true },
         semester: { type: String, required: true },
@@ -45,6 +57,11 @@ const groupSessionSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Anti-relay mode: students must also type the code shown beside the QR on the projector
+    challengeRequired: {
+        type: Boolean,
+        default: false
+    },
     // Aggregated counters from individual sessions
     totalStudentsAcrossSections: {
         type: Number,
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * Student leave / medical excuse request.
+ * Once approved, absences of the student within the date range are marked
+ * as excused in attendance records and the attendance ledger.
+ */
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  email: {
+    type: String
+  },
+  classRollNumber: {
+    type: String
+  },
+  universityRollNumber: {
+    type: String
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  // Local calendar dates "YYYY-MM-DD" (inclusive)
+  fromDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  toDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  leaveType: {
+    type: String,
+    enum: ['medical', 'personal', 'official', 'other'],
+    default: 'medical'
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Supporting document uploaded to S3 via presigned URL
+  documentKey: {
+    type: String
+  },
+  documentName: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    role: String,
+    id: String,
+    name: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  },
+  // Absences excused when the request was approved
+  excusedRecordCount: {
+    type: Number,
+    default: 0
+  },
+  excusedLedgerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ student: 1, createdAt: -1 });
+leaveRequestSchema.index({ department: 1, semester: 1, section: 1, status: 1 });
+leaveRequestSchema.index({ status: 1, fromDate: 1, toDate: 1 });
+
+// Static method to find approved leave covering a date for a section
+leaveRequestSchema.statics.findApprovedCovering = function(department, semester, section, date) {
+  return this.find({
+    department,
+    semester,
+    section,
+    status: 'approved',
+    fromDate: { $lte: date },
+    toDate: { $gte: date }
+  });
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
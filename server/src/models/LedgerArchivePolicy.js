@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-configurable archive policy for AttendanceLedger.
+ * Only a single document (key: 'default') is ever stored.
+ */
+const ledgerArchivePolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Ledgers with no session for this many days are archived
+  archiveAfterDays: {
+    type: Number,
+    default: 365,
+    min: 30
+  },
+  // Archive ledgers of semesters other than the student's current one
+  archivePreviousSemesters: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: String
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastRunArchivedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to fetch the policy, creating the default one if missing
+ledgerArchivePolicySchema.statics.getPolicy = async function() {
+  let policy = await this.findOne({ key: 'default' });
+  if (!policy) {
+    policy = await this.create({ key: 'default' });
+  }
+  return policy;
+};
+
+module.exports = mongoose.model('LedgerArchivePolicy', ledgerArchivePolicySchema);
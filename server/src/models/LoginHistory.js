@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login attempts of students, faculty and admins
+ */
+const loginHistorySchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  // User or Admin document (null when the identifier matched no account)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Identifier entered on the login form
+  identifier: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginHistorySchema.index({ accountType: 1, account: 1, timestamp: -1 });
+loginHistorySchema.index({ timestamp: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Static method to record a login attempt from an Express request.
+// Failures to write history never block the login itself.
+loginHistorySchema.statics.record = function(req, { accountType, account, identifier, success, failureReason }) {
+  return this.create({
+    accountType,
+    account: account ? account._id : null,
+    identifier: String(identifier || '').slice(0, 200),
+    success,
+    failureReason,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+  }).catch(err => {
+    console.error('Failed to record login history:', err.message);
+  });
+};
+
+// Static method to get the recent logins of an account
+loginHistorySchema.statics.findForAccount = function(accountType, accountId, limit = 50) {
+  return this.find({ accountType, account: accountId }).sort({ timestamp: -1 }).limit(limit).lean();
+};
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const actorSchema = {
+  role: String,
+  id: String,
+  name: String
+};
+
+const evidenceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['vpn', 'camera', 'risk-signal', 'proxy-ring', 'device', 'photo'],
+    required: true
+  },
+  // Signal the evidence was copied from (the original may expire)
+  source: {
+    type: { type: String },
+    id: String
+  },
+  occurredAt: Date,
+  summary: String,
+  details: mongoose.Schema.Types.Mixed,
+  // Preserved copy of an attendance photo
+  photo: {
+    url: String,
+    filename: String
+  },
+  addedBy: actorSchema,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Investigation of suspected proxy attendance. Escalating a signal copies its
+ * evidence into the case, since ProxyMarkers, camera violations, device
+ * sessions and attendance photos all expire long before a review is finished.
+ */
+const proxyCaseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'closed'],
+    default: 'open'
+  },
+  outcome: {
+    type: String,
+    enum: ['confirmed-proxy', 'warning-issued', 'no-violation', 'insufficient-evidence', null],
+    default: null
+  },
+  outcomeNote: {
+    type: String,
+    maxlength: 2000
+  },
+  students: [{
+    _id: false,
+    userId: String,
+    studentId: String,
+    name: String,
+    rollNumber: String,
+    semester: String,
+    section: String
+  }],
+  department: {
+    type: String,
+    required: true
+  },
+  evidence: [evidenceSchema],
+  // Sessions the suspected proxy affected, with a snapshot of the students' status
+  // (attendance records expire after 30 days)
+  attendanceRecords: [{
+    _id: false,
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AttendanceRecord'
+    },
+    date: Date,
+    facultyId: String,
+    subjectCode: String,
+    subjectName: String,
+    semester: String,
+    section: String,
+    studentStatuses: [{
+      _id: false,
+      rollNumber: String,
+      status: String
+    }],
+    linkedBy: actorSchema,
+    linkedAt: Date
+  }],
+  assignee: actorSchema,
+  notes: [{
+    author: actorSchema,
+    text: {
+      type: String,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Status, assignee and outcome changes
+  history: [{
+    _id: false,
+    action: String,
+    from: String,
+    to: String,
+    by: actorSchema,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  openedBy: actorSchema,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+proxyCaseSchema.index({ department: 1, status: 1, updatedAt: -1 });
+proxyCaseSchema.index({ 'students.userId': 1 });
+proxyCaseSchema.index({ 'evidence.source.id': 1 });
+proxyCaseSchema.index({ 'attendanceRecords.record': 1 });
+
+proxyCaseSchema.statics.STATUSES = ['open', 'investigating', 'closed'];
+proxyCaseSchema.statics.OUTCOMES = ['confirmed-proxy', 'warning-issued', 'no-violation', 'insufficient-evidence'];
+
+module.exports = mongoose.model('ProxyCase', proxyCaseSchema);
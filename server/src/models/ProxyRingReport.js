@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const ringStudentSchema = new mongoose.Schema({
+  userId: String,
+  studentId: String,
+  name: String,
+  rollNumber: String,
+  department: String,
+  semester: String,
+  section: String,
+  observations: Number,
+  lastSeen: Date
+}, { _id: false });
+
+const ringIdentifierSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['fingerprint', 'webrtc', 'ip']
+  },
+  value: String,
+  // Students (userId) seen with this identifier
+  userIds: [String],
+  observations: Number,
+  // Days on which two or more of those students used it
+  sameDayShares: Number,
+  firstSeen: Date,
+  lastSeen: Date
+}, { _id: false });
+
+/**
+ * Result of one run of the proxy-ring analyzer: clusters of students linked by
+ * shared device fingerprints, WebRTC IPs or IP addresses, ranked by score.
+ */
+const proxyRingReportSchema = new mongoose.Schema({
+  windowDays: {
+    type: Number,
+    required: true
+  },
+  // 'schedule' for the nightly run, otherwise the admin ID that started it
+  triggeredBy: {
+    type: String,
+    default: 'schedule'
+  },
+  observationCount: Number,
+  studentCount: Number,
+  sharedIdentifierCount: Number,
+  // Identifiers used by too many students to be a device (lab machines, campus NAT)
+  ignoredIdentifierCount: Number,
+  durationMs: Number,
+  clusters: [{
+    score: Number,
+    studentCount: Number,
+    departments: [String],
+    blockedAttempts: Number,
+    firstSeen: Date,
+    lastSeen: Date,
+    students: [ringStudentSchema],
+    identifiers: [ringIdentifierSchema]
+  }],
+  generatedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+proxyRingReportSchema.index({ 'clusters._id': 1 });
+
+// Static method to fetch the most recent report
+proxyRingReportSchema.statics.findLatest = function() {
+  return this.findOne().sort({ generatedAt: -1 });
+};
+
+module.exports = mongoose.model('ProxyRingReport', proxyRingReportSchema);
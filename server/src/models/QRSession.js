@@ -39,6 +39,18 @@ const qrSessionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Subject (course offering) this session is taken for
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    index: true
+  },
+  subjectCode: {
+    type: String
+  },
+  subjectName: {
+    type: String
+  },
   status: {
     type: String,
     enum: ['created', 'locked', 'active', 'ended'],
@@ -73,6 +85,37 @@ const qrSessionSchema = new mongoose.Schema({
       default: 7 // seconds - backend validity (5 + 2 buffer)
     }
   },
+  // Geofence: scans must report a location within radiusMeters of this point
+  geofence: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    latitude: Number,
+    longitude: Number,
+    radiusMeters: Number,
+    // 'faculty' (faculty's own location) or 'room' (saved room)
+    source: {
+      type: String,
+      enum: ['faculty', 'room']
+    },
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    roomName: String,
+    // 'reject' refuses out-of-radius scans, 'flag' accepts them for review
+    mode: {
+      type: String,
+      enum: ['reject', 'flag'],
+      default: 'reject'
+    }
+  },
+  // Anti-relay mode: students must also type the code shown beside the QR on the projector
+  challengeRequired: {
+    type: Boolean,
+    default: false
+  },
   // Student Management - Optimized with Counters
   studentsJoinedCount: {
     type: Number,
@@ -112,6 +155,50 @@ const qrSessionSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    geofenceRejected: {
+      type: Number,
+      default: 0
+    },
+    geofenceFlagged: {
+      type: Number,
+      default: 0
+    },
+    // Scans whose location failed the geofence check
+    locationFlags: [{
+      studentId: String,
+      rollNumber: String,
+      name: String,
+      reason: {
+        type: String,
+        enum: ['missing', 'inaccurate', 'outside']
+      },
+      action: {
+        type: String,
+        enum: ['rejected', 'flagged']
+      },
+      distanceMeters: Number,
+      accuracyMeters: Number,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Scans rejected for reusing a token (another student's device, or a second device)
+    tokenReuseRejected: {
+      type: Number,
+      default: 0
+    },
+    // Tokens used by unusually many devices within their refresh window
+    proxyRingAlerts: [{
+      tokenIssuedAt: Date,
+      deviceCount: Number,
+      useCount: Number,
+      studentIds: [String],
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     averageJoinTime: Number, // seconds from creation to join
     averageMarkTime: Number  // seconds from start to mark attendance
   },
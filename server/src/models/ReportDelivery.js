@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * One scheduled report email to one recipient. Attachments are regenerated
+ * from the schedule scope and period when a failed delivery is retried.
+ */
+const reportDeliverySchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSchedule',
+    required: true,
+    index: true
+  },
+  scheduleName: String,
+  // Reporting period as local dates "YYYY-MM-DD" (inclusive)
+  period: {
+    from: String,
+    to: String
+  },
+  scope: {
+    department: String,
+    semester: String,
+    section: String,
+    // Only these faculty's classes (section faculty recipients)
+    facultyId: String
+  },
+  recipient: {
+    name: String,
+    email: {
+      type: String,
+      required: true
+    },
+    role: String
+  },
+  subject: String,
+  attachments: [{
+    _id: false,
+    filename: String,
+    size: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'retrying', 'failed', 'skipped'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  nextAttemptAt: Date,
+  messageId: String,
+  sentAt: Date,
+  triggeredBy: {
+    type: String,
+    default: 'schedule'
+  }
+}, {
+  timestamps: true
+});
+
+reportDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+reportDeliverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReportDelivery', reportDeliverySchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recurring delivery of section registers and at-risk lists by email.
+ * Run by ReportScheduleService on the cluster primary; each email sent is
+ * recorded as a ReportDelivery.
+ */
+const reportScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  // Weekly: 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  // Monthly: capped at 28 so every month has the day
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28,
+    default: 1
+  },
+  // Hour of the day in institution local time
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  // Sections covered; semester and section are optional (all of the department)
+  scope: {
+    department: {
+      type: String,
+      required: true
+    },
+    semester: String,
+    section: String
+  },
+  includeRegisters: {
+    type: Boolean,
+    default: true
+  },
+  includeAtRisk: {
+    type: Boolean,
+    default: true
+  },
+  formats: {
+    type: [{ type: String, enum: ['pdf', 'xlsx'] }],
+    default: ['pdf', 'xlsx']
+  },
+  // HoDs, mentors and other fixed recipients receive every section in scope
+  recipients: [{
+    _id: false,
+    name: String,
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ['hod', 'mentor', 'faculty', 'other'],
+      default: 'other'
+    }
+  }],
+  // Also send each faculty the registers of the classes they teach
+  includeSectionFaculty: {
+    type: Boolean,
+    default: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  lastRunAt: Date,
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
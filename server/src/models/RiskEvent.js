@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const RISK_SIGNALS = [
+  'vpnDetected',         // ProxyMarker: IP outside the country
+  'deviceShared',        // DeviceSession: device recently used by another student
+  'fingerprintMismatch', // QR scan from a device other than the registered one
+  'tokenReuse',          // QR token already used by another student/device
+  'appReport',           // Proxy report from the Android app (camera blocked, ...)
+  'locationFlag',        // QR scan failed the geofence check
+  'fullscreenExit'       // Left full screen during grid attendance
+];
+
+/**
+ * One proxy-detection signal for a student, in the session it happened in.
+ * Together they form the event stream the risk score is computed from.
+ */
+const riskEventSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  rollNumber: String,
+  department: String,
+  semester: String,
+  section: String,
+  // QR session the signal belongs to (null when no session was running)
+  sessionId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  signal: {
+    type: String,
+    enum: RISK_SIGNALS,
+    required: true
+  },
+  // Weight applied when the event was recorded
+  weight: {
+    type: Number,
+    default: 0
+  },
+  // Signal-specific context (reason, distance, IP, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60 // Keep the stream for 90 days
+  }
+});
+
+riskEventSchema.index({ sessionId: 1, studentId: 1 });
+riskEventSchema.index({ studentId: 1, createdAt: -1 });
+
+riskEventSchema.statics.SIGNALS = RISK_SIGNALS;
+
+module.exports = mongoose.model('RiskEvent', riskEventSchema);
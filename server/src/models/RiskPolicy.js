@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const weight = (value) => ({
+  type: Number,
+  default: value,
+  min: 0,
+  max: 100
+});
+
+/**
+ * Admin-tunable weights and auto-action thresholds of the proxy-risk score.
+ * Only a single document (key: 'default') is ever stored.
+ */
+const riskPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Points each occurrence of a signal adds to a student's session score (capped at 100)
+  weights: {
+    vpnDetected: weight(40),
+    deviceShared: weight(35),
+    fingerprintMismatch: weight(30),
+    tokenReuse: weight(25),
+    appReport: weight(25),
+    locationFlag: weight(20),
+    fullscreenExit: weight(15)
+  },
+  // Score at which the student is flagged on the live roster and the faculty alerted
+  flagScore: {
+    type: Number,
+    default: 40,
+    min: 1,
+    max: 100
+  },
+  // Score at which the student is removed from the session automatically
+  autoRemoveEnabled: {
+    type: Boolean,
+    default: false
+  },
+  removeScore: {
+    type: Number,
+    default: 80,
+    min: 1,
+    max: 100
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to fetch the policy, creating the default one if missing
+riskPolicySchema.statics.getPolicy = async function() {
+  let policy = await this.findOne({ key: 'default' });
+  if (!policy) {
+    policy = await this.create({ key: 'default' });
+  }
+  return policy;
+};
+
+module.exports = mongoose.model('RiskPolicy', riskPolicySchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Classroom with GPS coordinates. Faculty can pick a room when starting a QR
+ * session so that scans are only accepted from within its radius.
+ */
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  building: {
+    type: String,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Allowed distance from the coordinates; the service default applies when unset
+  radiusMeters: {
+    type: Number,
+    min: 10,
+    max: 1000
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Room', roomSchema);
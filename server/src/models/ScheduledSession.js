@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * A timetable slot instantiated for a specific date.
+ * Pre-created by QRSessionService so faculty can start it with a single tap;
+ * linked to the QRSession once started.
+ */
+const scheduledSessionSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimetableSlot',
+    required: true
+  },
+  // Local calendar date "YYYY-MM-DD"
+  date: {
+    type: String,
+    required: true
+  },
+  facultyId: {
+    type: String,
+    required: true
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  subjectCode: {
+    type: String
+  },
+  subjectName: {
+    type: String
+  },
+  room: {
+    type: String
+  },
+  totalStudents: {
+    type: Number
+  },
+  sessionType: {
+    type: String,
+    enum: ['roll', 'gmail'],
+    default: 'roll'
+  },
+  scheduledStart: {
+    type: Date,
+    required: true
+  },
+  scheduledEnd: {
+    type: Date,
+    required: true
+  },
+  autoLock: {
+    type: Boolean,
+    default: false
+  },
+  autoEnd: {
+    type: Boolean,
+    default: false
+  },
+  // 'starting' while the faculty's start request is creating the QR session
+  status: {
+    type: String,
+    enum: ['scheduled', 'starting', 'started', 'completed', 'missed', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  // QRSession.sessionId once the faculty starts the class
+  sessionId: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  autoLockedAt: Date,
+  autoEndedAt: Date
+}, {
+  timestamps: true
+});
+
+scheduledSessionSchema.index({ slot: 1, date: 1 }, { unique: true });
+scheduledSessionSchema.index({ facultyId: 1, date: 1 });
+scheduledSessionSchema.index({ status: 1, scheduledEnd: 1 });
+
+module.exports = mongoose.model('ScheduledSession', scheduledSessionSchema);
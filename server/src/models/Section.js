@@ -1,9 +1,18 @@
 const mongoose = require('mongoose');
 
 const sectionSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true }
+  name: { type: String, required: true, trim: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  // Semester the section runs in; sections without one run in every semester of the programme
+  semester: { type: String },
+  // Number of students enrolled in the section
+  strength: { type: Number, min: 0 },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
 });
 
+sectionSchema.index({ courseId: 1, semester: 1, name: 1 });
+
 const Section = mongoose.model('Section', sectionSchema);
 module.exports = Section;
@@ -20,6 +20,47 @@ const sheetMappingSchema = new mongoose.Schema({
   sheetId: {
     type: String,
     required: true
+  },
+  syncEnabled: {
+    type: Boolean,
+    default: true
+  },
+  syncStatus: {
+    type: String,
+    enum: ['never', 'ok', 'conflicts', 'error'],
+    default: 'never'
+  },
+  lastSyncedAt: Date,
+  lastError: String,
+  lastErrorAt: Date,
+  // Set while a sync runs so the scheduler and a manual sync don't overlap
+  syncStartedAt: Date,
+  lastSyncSummary: {
+    columnsAdded: { type: Number, default: 0 },
+    rowsAdded: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    conflicts: { type: Number, default: 0 }
+  },
+  // Sheet edits that were not imported in the last sync (QuickRoll's value was kept)
+  conflicts: [{
+    _id: false,
+    rollNumber: String,
+    header: String,
+    cell: String,
+    sheetValue: String,
+    appValue: String,
+    reason: String
+  }],
+  // One column per attendance record, with the values last written to the sheet.
+  // Comparing them with the sheet tells manual edits apart from pushed values.
+  columns: {
+    type: [{
+      _id: false,
+      attendanceRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'AttendanceRecord' },
+      header: String,
+      values: { type: Map, of: String }
+    }],
+    select: false
   }
 }, {
   timestamps: true
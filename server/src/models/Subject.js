@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subject (course offering) taught in a department and semester.
+ * Faculty teaching assignments point to a subject so that a section taught
+ * two subjects by the same faculty can be told apart.
+ */
+const subjectSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  department: {
+    type: String,
+    required: true,
+    index: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  credits: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+subjectSchema.index({ department: 1, semester: 1, code: 1 }, { unique: true });
+
+// Human readable label used in session and report headers
+subjectSchema.virtual('displayName').get(function() {
+  return `${this.code} - ${this.name}`;
+});
+
+// Static method to list active subjects of a department/semester
+subjectSchema.statics.findActive = function(department, semester) {
+  const query = { isActive: true };
+  if (department) query.department = department;
+  if (semester) query.semester = semester;
+  return this.find(query).sort({ code: 1 });
+};
+
+module.exports = mongoose.model('Subject', subjectSchema);
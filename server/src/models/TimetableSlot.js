@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Weekly timetable slot: one class of a subject for a section,
+ * taught by a faculty in a room on a given day and time.
+ */
+const timetableSlotSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  facultyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // 24-hour "HH:mm" in institution local time
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  totalStudents: {
+    type: Number,
+    min: 1
+  },
+  sessionType: {
+    type: String,
+    enum: ['roll', 'gmail'],
+    default: 'roll'
+  },
+  // Lock the session (no more joins) when the slot ends
+  autoLock: {
+    type: Boolean,
+    default: false
+  },
+  // End the session and save the attendance record when the slot ends
+  autoEnd: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+timetableSlotSchema.index({ department: 1, semester: 1, section: 1, dayOfWeek: 1, startTime: 1 }, { unique: true });
+timetableSlotSchema.index({ dayOfWeek: 1, isActive: 1 });
+
+module.exports = mongoose.model('TimetableSlot', timetableSlotSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Second-factor code attempts, counted per account and per login challenge
+// (attempts from account settings use the challenge id 'settings')
+const twoFactorAttemptSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  challengeId: {
+    type: String,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    expires: 900 // Automatically expire documents after the 15 minute lockout window
+  }
+});
+
+// Indexes for efficient queries
+twoFactorAttemptSchema.index({ accountType: 1, account: 1, timestamp: -1 });
+twoFactorAttemptSchema.index({ challengeId: 1 });
+
+const TwoFactorAttempt = mongoose.model('TwoFactorAttempt', twoFactorAttemptSchema);
+module.exports = TwoFactorAttempt;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorFields = require('./twoFactorFields');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -83,6 +84,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Tokens issued before this time are rejected (set when all logins are revoked)
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Authenticator-app second factor (faculty)
+  twoFactor: twoFactorFields,
+  // Set by an admin to make the second factor mandatory for this faculty
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
   department: {
     type: String,
     required: function() {
@@ -100,6 +113,12 @@ const userSchema = new mongoose.Schema({
       section: {
         type: String,
         required: true
+      },
+      // Subject taught to this section (course offering)
+      subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
       }
     }],
     validate: {
@@ -118,7 +137,28 @@ const userSchema = new mongoose.Schema({
   deviceId: {
     type: String,
     default: null
-  }
+  },
+  // Every device the student has been bound to, oldest first
+  deviceHistory: [{
+    _id: false,
+    deviceId: String,
+    boundAt: Date,
+    unboundAt: Date,
+    source: {
+      type: String,
+      enum: ['login', 'rebind']
+    },
+    rebindRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceRebindRequest'
+    },
+    approvedBy: {
+      role: String,
+      id: String,
+      name: String
+    },
+    reason: String
+  }]
 }, {
   timestamps: true
 });
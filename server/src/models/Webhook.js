@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const EVENTS = ['session.ended', 'record.updated', 'student.flagged'];
+
+/**
+ * Outbound webhook registered by an admin (ERP/LMS connectors).
+ * Payloads are signed with the webhook's secret (HMAC-SHA256).
+ */
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Only events from this department (empty for all departments)
+  department: {
+    type: String,
+    default: null
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed', null],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ enabled: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
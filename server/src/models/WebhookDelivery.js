@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * One event sent to one webhook. Doubles as the retry queue: failed deliveries
+ * wait in 'retrying' until nextAttemptAt. History is kept for 30 days.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  webhookName: String,
+  url: String,
+  event: {
+    type: String,
+    required: true
+  },
+  department: String,
+  // Body sent to the endpoint: { id, event, createdAt, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'retrying', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  // When the current attempt started (a stale 'sending' delivery is picked up again)
+  sendingAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  durationMs: Number,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30 // Expire documents after 30 days
+  }
+}, {
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,33 @@
+/**
+ * TOTP second-factor fields shared by User (faculty) and Admin accounts.
+ * Secrets and recovery code hashes are never selected unless asked for.
+ */
+module.exports = {
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 secret of the confirmed authenticator
+  secret: {
+    type: String,
+    select: false
+  },
+  // Secret shown during enrolment, until the first code confirms it
+  pendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  recoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted time step, so a code cannot be replayed
+  lastUsedStep: {
+    type: Number,
+    default: -1
+  },
+  enabledAt: {
+    type: Date
+  }
+};
@@ -10,6 +10,24 @@ const nodemailer = require('nodemailer');
 const multer = require('multer');
 const adminController = require('../controllers/adminController');
 const userManagementController = require('../controllers/userManagementController');
+const timetableController = require('../controllers/timetableController');
+const academicStructureController = require('../controllers/academicStructureController');
+const leaveRequestController = require('../controllers/leaveRequestController');
+const deviceRebindController = require('../controllers/deviceRebindController');
+const adminAccountController = require('../controllers/adminAccountController');
+const riskScoringController = require('../controllers/riskScoringController');
+const proxyRingController = require('../controllers/proxyRingController');
+const proxyCaseController = require('../controllers/proxyCaseController');
+const attendanceAnalyticsController = require('../controllers/attendanceAnalyticsController');
+const reportScheduleController = require('../controllers/reportScheduleController');
+const sheetSyncController = require('../controllers/sheetSyncController');
+const webhookController = require('../controllers/webhookController');
+const attendanceLedgerService = require('../services/attendanceLedgerService');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const attendanceAuditService = require('../services/attendanceAuditService');
+const adminAccountService = require('../services/adminAccountService');
+const twoFactorService = require('../services/twoFactorService');
+const ensureAdmin = require('../middleware/adminAuth');
 const { generatePresignedUploadUrl, generateAdminUploadKey } = require('../config/s3');
 
 // Configure multer for memory storage (for Excel files)
@@ -90,54 +108,191 @@ router.get('/suspicious-devices', auth, ensureAdminOrFaculty, async (req, res) =
     }
 });
 
-// Admin login route
+// Sign the admin JWT once both factors have passed
+const completeAdminLogin = async (admin, req) => {
+  await adminAccountService.recordLogin(admin, req);
+
+  const payload = { id: admin.adminId, adminId: admin._id.toString(), role: 'admin' };
+  const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+  const { id, name, adminRole, department, permissions } = adminAccountService.toRequestAdmin(admin);
+  return { token, user: { role: 'admin', id, name, adminRole, department, permissions } };
+};
+
+/**
+ * @route   POST /api/admin/login
+ * @desc    Password step of the admin login. Always answers with a second-factor
+ *          challenge (enrolment on the first login, since 2FA is mandatory for admins)
+ * @access  Public
+ */
 router.post('/login', async (req, res) => {
-  const { adminId, password } = req.body;
-  
-  // Check if environment variables are set
-  if (!process.env.ADMIN_ID || !process.env.ADMIN_PASSWORD) {
-    return res.status(500).json({ message: 'Server configuration error' });
-  }
-  // Hard-coded admin credentials (should be stored in environment variables in production)
-  if (adminId === process.env.ADMIN_ID && password === process.env.ADMIN_PASSWORD) {
-    const payload = { id: 'admin', role: 'admin' };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
-    return res.json({ success: true, token, user: { role: 'admin' } });
+  try {
+    const { adminId, password } = req.body;
+
+    if (!adminId || !password) {
+      return res.status(400).json({ message: 'Admin ID and password are required' });
+    }
+
+    const admin = await adminAccountService.verifyCredentials(adminId, password, req);
+    if (!admin) {
+      return res.status(401).json({ message: 'Invalid admin credentials' });
+    }
+
+    const enrolmentRequired = !twoFactorService.isEnabled(admin);
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      enrolmentRequired,
+      challengeToken: twoFactorService.createChallenge('admin', admin, enrolmentRequired ? 'enrol' : 'verify')
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return res.status(500).json({ message: 'Login Failed !' });
   }
-  return res.status(401).json({ message: 'Invalid admin credentials' });
 });
 
-// Middleware to ensure admin role
-const ensureAdmin = (req, res, next) => {
+/**
+ * @route   POST /api/admin/login/2fa
+ * @desc    Second step of the admin login with an authenticator or recovery code
+ * @access  Public (requires a login challenge)
+ */
+router.post('/login/2fa', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' });
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { account: admin, valid, lockout } = await twoFactorService.verifyChallenge(
+      'admin',
+      challengeToken,
+      { code, recoveryCode },
+      req.ip || req.connection.remoteAddress
+    );
+
+    if (lockout) {
+      return res.status(429).json({ message: lockout.message, locked: true, retryAfter: lockout.retryAfter });
     }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+
+    if (!admin.active || !valid) {
+      await adminAccountService.recordFailure(req, admin, admin.adminId, 'invalid-2fa');
+      return res.status(401).json({ message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
     }
-    
-    req.admin = decoded;
-    next();
+
+    const login = await completeAdminLogin(admin, req);
+    return res.json({ success: true, ...login });
   } catch (error) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+    console.error('Admin 2FA login error:', error.message);
+    return res.status(401).json({ message: error.message });
   }
-};
+});
+
+/**
+ * @route   POST /api/admin/login/2fa/setup
+ * @desc    Start authenticator enrolment during the first login
+ * @access  Public (requires an enrolment challenge)
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const admin = await twoFactorService.resolveChallenge(req.body.challengeToken, 'admin', ['enrol']);
+    const provisioning = await twoFactorService.beginEnrolment('admin', admin);
+    return res.json({ success: true, ...provisioning });
+  } catch (error) {
+    console.error('Admin 2FA setup error:', error.message);
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/login/2fa/enable
+ * @desc    Confirm enrolment with the first code, then complete the login
+ * @access  Public (requires an enrolment challenge)
+ */
+router.post('/login/2fa/enable', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const admin = await twoFactorService.resolveChallenge(challengeToken, 'admin', ['enrol']);
+    const recoveryCodes = await twoFactorService.confirmEnrolment('admin', admin, code);
+
+    const login = await completeAdminLogin(admin, req);
+    return res.json({ success: true, recoveryCodes, ...login });
+  } catch (error) {
+    console.error('Admin 2FA enable error:', error.message);
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+// ==================== ADMIN ACCOUNT ROUTES ====================
+
+/**
+ * @route   GET /api/admin/me
+ * @desc    Get the signed-in admin's role, department and permissions
+ * @access  Private (Any admin)
+ */
+router.get('/me', ensureAdmin(), adminAccountController.getCurrentAdmin);
+
+/**
+ * @route   GET /api/admin/accounts
+ * @desc    List admin accounts
+ * @access  Private (Super-admin only)
+ */
+router.get('/accounts', ensureAdmin('admins:manage'), adminAccountController.listAdmins);
+
+/**
+ * @route   POST /api/admin/accounts
+ * @desc    Create an admin account with a role (and department for department admins)
+ * @access  Private (Super-admin only)
+ */
+router.post('/accounts', ensureAdmin('admins:manage'), adminAccountController.createAdmin);
+
+/**
+ * @route   PUT /api/admin/accounts/:id
+ * @desc    Update an admin's details, role, department or active flag
+ * @access  Private (Super-admin only)
+ */
+router.put('/accounts/:id', ensureAdmin('admins:manage'), adminAccountController.updateAdmin);
+
+/**
+ * @route   POST /api/admin/accounts/:id/reset-password
+ * @desc    Set a new password for an admin
+ * @access  Private (Super-admin only)
+ */
+router.post('/accounts/:id/reset-password', ensureAdmin('admins:manage'), adminAccountController.resetPassword);
+
+/**
+ * @route   GET /api/admin/accounts/:id/login-history
+ * @desc    Recent login attempts of an admin
+ * @access  Private (Super-admin only)
+ */
+router.get('/accounts/:id/login-history', ensureAdmin('admins:manage'), adminAccountController.getLoginHistory);
+
+/**
+ * @route   POST /api/admin/accounts/:id/reset-2fa
+ * @desc    Remove an admin's authenticator so they enrol again at the next login
+ * @access  Private (Super-admin only)
+ */
+router.post('/accounts/:id/reset-2fa', ensureAdmin('admins:manage'), adminAccountController.resetTwoFactor);
+
+/**
+ * @route   GET /api/admin/2fa
+ * @desc    Second-factor status of the signed-in admin
+ * @access  Private (Any admin)
+ */
+router.get('/2fa', ensureAdmin(), adminAccountController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/admin/2fa/recovery-codes
+ * @desc    Replace the signed-in admin's recovery codes (requires a current code)
+ * @access  Private (Any admin)
+ */
+router.post('/2fa/recovery-codes', ensureAdmin(), adminAccountController.regenerateRecoveryCodes);
 
 // Get all faculty requests - use the controller which generates presigned URLs
-router.get('/faculty-requests', ensureAdmin, adminController.getFacultyRequests);
+router.get('/faculty-requests', ensureAdmin('users:read'), adminController.getFacultyRequests);
 
 // Approve faculty request - use the controller instead of implementing in the route
-router.post('/approve-faculty/:requestId', ensureAdmin, adminController.approveFacultyRequest);
+router.post('/approve-faculty/:requestId', ensureAdmin('users:write'), adminController.approveFacultyRequest);
 
 // Reject faculty request - use the controller instead of implementing in the route
-router.post('/reject-faculty/:requestId', ensureAdmin, adminController.rejectFacultyRequest);
+router.post('/reject-faculty/:requestId', ensureAdmin('users:write'), adminController.rejectFacultyRequest);
 
 // Get presigned URL for admin file uploads (Excel/CSV)
-router.get('/get-upload-url', ensureAdmin, async (req, res) => {
+router.get('/get-upload-url', ensureAdmin('users:write'), async (req, res) => {
   try {
     const { fileName, fileType } = req.query;
     
@@ -195,33 +350,308 @@ const handleMulterError = (err, req, res, next) => {
 };
 
 // Preview student data from Excel file (traditional approach)
-router.post('/preview-student-data', ensureAdmin, upload.single('file'), handleMulterError, adminController.previewStudentData);
+router.post('/preview-student-data', ensureAdmin('users:write'), upload.single('file'), handleMulterError, adminController.previewStudentData);
 
 // Upload and process student data from Excel file (traditional approach)
-router.post('/upload-student-data', ensureAdmin, upload.single('file'), handleMulterError, adminController.uploadStudentData);
+router.post('/upload-student-data', ensureAdmin('users:write'), upload.single('file'), handleMulterError, adminController.uploadStudentData);
 
 // NEW S3-only routes (no file upload, just S3 key processing)
-router.post('/preview-student-data-s3', ensureAdmin, adminController.previewStudentData);
-router.post('/upload-student-data-s3', ensureAdmin, adminController.uploadStudentData);
+router.post('/preview-student-data-s3', ensureAdmin('users:write'), adminController.previewStudentData);
+router.post('/upload-student-data-s3', ensureAdmin('users:write'), adminController.uploadStudentData);
+
+// ==================== TIMETABLE ROUTES ====================
+
+// Preview and import weekly timetable from Excel file (traditional approach)
+router.post('/preview-timetable', ensureAdmin('settings:write'), upload.single('file'), handleMulterError, timetableController.previewTimetable);
+router.post('/upload-timetable', ensureAdmin('settings:write'), upload.single('file'), handleMulterError, timetableController.uploadTimetable);
+
+// S3-only timetable routes
+router.post('/preview-timetable-s3', ensureAdmin('settings:write'), timetableController.previewTimetable);
+router.post('/upload-timetable-s3', ensureAdmin('settings:write'), timetableController.uploadTimetable);
+
+// Timetable slot management
+router.get('/timetable', ensureAdmin('settings:read'), timetableController.getTimetable);
+router.put('/timetable/:slotId', ensureAdmin('settings:write'), timetableController.updateSlot);
+router.delete('/timetable/:slotId', ensureAdmin('settings:write'), timetableController.deleteSlot);
+
+// ==================== ACADEMIC STRUCTURE ROUTES ====================
+
+// Departments -> programmes -> semesters -> sections
+router.get('/academic-structure', ensureAdmin('settings:read'), academicStructureController.getStructure);
+router.post('/academic-structure/programmes', ensureAdmin('settings:write'), academicStructureController.createProgramme);
+router.put('/academic-structure/programmes/:id', ensureAdmin('settings:write'), academicStructureController.updateProgramme);
+router.delete('/academic-structure/programmes/:id', ensureAdmin('settings:write'), academicStructureController.deleteProgramme);
+router.post('/academic-structure/sections', ensureAdmin('settings:write'), academicStructureController.createSection);
+router.put('/academic-structure/sections/:id', ensureAdmin('settings:write'), academicStructureController.updateSection);
+router.delete('/academic-structure/sections/:id', ensureAdmin('settings:write'), academicStructureController.deleteSection);
+
+// Rooms with coordinates for geofenced attendance
+router.get('/academic-structure/rooms', ensureAdmin('settings:read'), academicStructureController.getRooms);
+router.post('/academic-structure/rooms', ensureAdmin('settings:write'), academicStructureController.createRoom);
+router.put('/academic-structure/rooms/:id', ensureAdmin('settings:write'), academicStructureController.updateRoom);
+router.delete('/academic-structure/rooms/:id', ensureAdmin('settings:write'), academicStructureController.deleteRoom);
 
 // ==================== USER MANAGEMENT ROUTES ====================
 
 // Student Management
-router.get('/students', ensureAdmin, userManagementController.getStudents);
-router.get('/students/:id', ensureAdmin, userManagementController.getUserById);
-router.put('/students/:id', ensureAdmin, userManagementController.updateUser);
-router.delete('/students/:id', ensureAdmin, userManagementController.deleteUser);
+router.get('/students', ensureAdmin('users:read'), userManagementController.getStudents);
+router.get('/students/:id', ensureAdmin('users:read'), userManagementController.getUserById);
+router.put('/students/:id', ensureAdmin('users:write'), userManagementController.updateUser);
+router.delete('/students/:id', ensureAdmin('users:write'), userManagementController.deleteUser);
+router.get('/students/:id/login-history', ensureAdmin('users:read'), userManagementController.getLoginHistory);
 
 // Faculty Management
-router.get('/faculty', ensureAdmin, userManagementController.getFaculty);
-router.get('/faculty/:id', ensureAdmin, userManagementController.getUserById);
-router.put('/faculty/:id', ensureAdmin, userManagementController.updateUser);
-router.delete('/faculty/:id', ensureAdmin, userManagementController.deleteUser);
+router.get('/faculty', ensureAdmin('users:read'), userManagementController.getFaculty);
+router.get('/faculty/:id', ensureAdmin('users:read'), userManagementController.getUserById);
+router.put('/faculty/:id', ensureAdmin('users:write'), userManagementController.updateUser);
+router.delete('/faculty/:id', ensureAdmin('users:write'), userManagementController.deleteUser);
+router.get('/faculty/:id/login-history', ensureAdmin('users:read'), userManagementController.getLoginHistory);
+router.put('/faculty/:id/two-factor', ensureAdmin('users:write'), userManagementController.updateFacultyTwoFactor);
 
 // Filter Options
-router.get('/filter-options', ensureAdmin, userManagementController.getFilterOptions);
+router.get('/filter-options', ensureAdmin('users:read'), userManagementController.getFilterOptions);
 
 // Export
-router.get('/export-users', ensureAdmin, userManagementController.exportUsers);
+router.get('/export-users', ensureAdmin('users:read'), userManagementController.exportUsers);
+
+// ==================== ATTENDANCE LEDGER ROUTES ====================
+
+/**
+ * @route   GET /api/admin/ledger/archive-policy
+ * @desc    Get the attendance ledger archive policy
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/archive-policy', ensureAdmin('settings:read'), async (req, res) => {
+  try {
+    const policy = await attendanceLedgerService.getArchivePolicy();
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Error fetching ledger archive policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch archive policy' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/ledger/archive-policy
+ * @desc    Update the attendance ledger archive policy
+ * @access  Private (Admin only)
+ */
+router.put('/ledger/archive-policy', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const { archiveAfterDays } = req.body;
+    if (archiveAfterDays !== undefined && (isNaN(archiveAfterDays) || Number(archiveAfterDays) < 30)) {
+      return res.status(400).json({ success: false, message: 'archiveAfterDays must be a number of at least 30' });
+    }
+
+    const policy = await attendanceLedgerService.updateArchivePolicy(req.body, req.admin.id);
+    res.json({ success: true, message: 'Archive policy updated', policy });
+  } catch (error) {
+    console.error('Error updating ledger archive policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to update archive policy' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/ledger/archive-policy/run
+ * @desc    Apply the archive policy immediately
+ * @access  Private (Admin only)
+ */
+router.post('/ledger/archive-policy/run', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const result = await attendanceLedgerService.applyArchivePolicy({ force: true });
+    res.json({ success: true, message: `Archived ${result.archived} ledgers`, ...result });
+  } catch (error) {
+    console.error('Error applying ledger archive policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply archive policy' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/attendance-alerts/rules
+ * @desc    Get attendance shortage thresholds ('*' holds the defaults)
+ * @access  Private (Admin only)
+ */
+router.get('/attendance-alerts/rules', ensureAdmin('settings:read'), async (req, res) => {
+  try {
+    const rules = await attendanceAlertService.getRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error fetching attendance alert rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch attendance alert rules' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/attendance-alerts/rules/:department
+ * @desc    Create or update the shortage thresholds of a department
+ * @access  Private (Admin only)
+ */
+router.put('/attendance-alerts/rules/:department', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const { warningThreshold, criticalThreshold, minSessions } = req.body;
+    const isPercentage = value => value === undefined || (!isNaN(value) && Number(value) >= 0 && Number(value) <= 100);
+
+    if (!isPercentage(warningThreshold) || !isPercentage(criticalThreshold)) {
+      return res.status(400).json({ success: false, message: 'Thresholds must be percentages between 0 and 100' });
+    }
+    if (minSessions !== undefined && (isNaN(minSessions) || Number(minSessions) < 1)) {
+      return res.status(400).json({ success: false, message: 'minSessions must be at least 1' });
+    }
+
+    const rule = await attendanceAlertService.updateRule(req.params.department, req.body, req.admin.id);
+    res.json({ success: true, message: 'Attendance alert rule saved', rule });
+  } catch (error) {
+    console.error('Error updating attendance alert rule:', error);
+    const status = error.message.includes('threshold') ? 400 : 500;
+    res.status(status).json({ success: false, message: error.message || 'Failed to update attendance alert rule' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/attendance-alerts/rules/:department
+ * @desc    Remove a department override (falls back to the defaults)
+ * @access  Private (Admin only)
+ */
+router.delete('/attendance-alerts/rules/:department', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const removed = await attendanceAlertService.deleteRule(req.params.department);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    res.json({ success: true, message: 'Department now uses the default thresholds' });
+  } catch (error) {
+    console.error('Error removing attendance alert rule:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to remove attendance alert rule' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/at-risk-students
+ * @desc    Students below their department's attendance threshold
+ * @access  Private (Admin only)
+ */
+router.get('/at-risk-students', ensureAdmin('audit:read'), async (req, res) => {
+  try {
+    const { department, semester, section, subjectKey, level } = req.query;
+    const students = await attendanceAlertService.getAtRiskStudents({
+      department: adminAccountService.scopeDepartment(req.admin, department),
+      semester,
+      section,
+      subjectKey,
+      level
+    });
+    res.json({ success: true, students });
+  } catch (error) {
+    console.error('Error fetching at-risk students:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch at-risk students' });
+  }
+});
+
+// ==================== LEAVE REQUEST ROUTES ====================
+
+// Review student leave / medical excuse requests
+router.get('/leave-requests', ensureAdmin('reviews:read'), leaveRequestController.getReviewQueue);
+router.get('/leave-requests/:id/document', ensureAdmin('reviews:read'), leaveRequestController.getDocument);
+router.post('/leave-requests/:id/approve', ensureAdmin('reviews:write'), leaveRequestController.approveRequest);
+router.post('/leave-requests/:id/reject', ensureAdmin('reviews:write'), leaveRequestController.rejectRequest);
+
+// ==================== DEVICE RE-BINDING ROUTES ====================
+
+// Review student device change requests and inspect device history
+router.get('/device-rebind-requests', ensureAdmin('reviews:read'), deviceRebindController.getReviewQueue);
+router.post('/device-rebind-requests/:id/approve', ensureAdmin('reviews:write'), deviceRebindController.approveRequest);
+router.post('/device-rebind-requests/:id/reject', ensureAdmin('reviews:write'), deviceRebindController.rejectRequest);
+router.get('/students/:studentId/device-history', ensureAdmin('users:read'), deviceRebindController.getStudentDeviceHistory);
+
+// ==================== PROXY RISK SCORING ROUTES ====================
+
+// Tune signal weights and auto-action thresholds, and browse the risk event stream
+router.get('/risk-scoring/policy', ensureAdmin('settings:read'), riskScoringController.getPolicy);
+router.put('/risk-scoring/policy', ensureAdmin('settings:write'), riskScoringController.updatePolicy);
+router.get('/risk-scoring/events', ensureAdmin('reviews:read'), riskScoringController.getEvents);
+
+// ==================== PROXY RING ROUTES ====================
+
+// Ranked clusters of students sharing devices across sessions, with drill-down
+router.get('/proxy-rings', ensureAdmin('reviews:read'), proxyRingController.getReport);
+router.post('/proxy-rings/analyze', ensureAdmin('reviews:write'), proxyRingController.runAnalysis);
+router.get('/proxy-rings/:ringId', ensureAdmin('reviews:read'), proxyRingController.getRing);
+
+// ==================== PROXY CASE ROUTES ====================
+
+// Escalate proxy signals into cases with preserved evidence and work them to an outcome
+router.post('/proxy-cases', ensureAdmin('reviews:write'), proxyCaseController.escalate);
+router.get('/proxy-cases', ensureAdmin('reviews:read'), proxyCaseController.listCases);
+router.get('/proxy-cases/:id', ensureAdmin('reviews:read'), proxyCaseController.getCase);
+router.patch('/proxy-cases/:id', ensureAdmin('reviews:write'), proxyCaseController.updateCase);
+router.post('/proxy-cases/:id/notes', ensureAdmin('reviews:write'), proxyCaseController.addNote);
+router.post('/proxy-cases/:id/evidence', ensureAdmin('reviews:write'), proxyCaseController.addEvidence);
+router.post('/proxy-cases/:id/records', ensureAdmin('reviews:write'), proxyCaseController.linkRecord);
+router.get('/proxy-cases/:id/photos/:filename', ensureAdmin('reviews:read'), proxyCaseController.getEvidencePhoto);
+
+// ==================== ATTENDANCE ANALYTICS ROUTES ====================
+
+// Department and institution attendance trends, schedule coverage and outlier sections
+router.get('/analytics', ensureAdmin('audit:read'), attendanceAnalyticsController.getAnalytics);
+router.get('/analytics/export', ensureAdmin('audit:read'), attendanceAnalyticsController.exportAnalytics);
+
+// ==================== REPORT SCHEDULE ROUTES ====================
+
+// Weekly/monthly register and at-risk digests emailed to HoDs, mentors and section faculty
+router.get('/report-schedules', ensureAdmin('settings:read'), reportScheduleController.listSchedules);
+router.post('/report-schedules', ensureAdmin('settings:write'), reportScheduleController.createSchedule);
+router.put('/report-schedules/:id', ensureAdmin('settings:write'), reportScheduleController.updateSchedule);
+router.delete('/report-schedules/:id', ensureAdmin('settings:write'), reportScheduleController.deleteSchedule);
+router.post('/report-schedules/:id/run', ensureAdmin('settings:write'), reportScheduleController.runSchedule);
+
+// Delivery log, with manual retry of failed deliveries
+router.get('/report-deliveries', ensureAdmin('audit:read'), reportScheduleController.listDeliveries);
+router.post('/report-deliveries/:id/retry', ensureAdmin('settings:write'), reportScheduleController.retryDelivery);
+
+// ==================== GOOGLE SHEETS SYNC ROUTES ====================
+
+// Two-way sync status of each section's mapped sheet
+router.get('/sheet-mappings', ensureAdmin('settings:read'), sheetSyncController.listMappings);
+router.patch('/sheet-mappings/:id', ensureAdmin('settings:write'), sheetSyncController.updateMapping);
+router.post('/sheet-mappings/:id/sync', ensureAdmin('settings:write'), sheetSyncController.syncMapping);
+
+// ==================== WEBHOOK ROUTES ====================
+
+// Outbound webhooks (session.ended, record.updated, student.flagged) for ERP/LMS connectors
+router.get('/webhooks', ensureAdmin('settings:read'), webhookController.listWebhooks);
+router.post('/webhooks', ensureAdmin('settings:write'), webhookController.createWebhook);
+router.put('/webhooks/:id', ensureAdmin('settings:write'), webhookController.updateWebhook);
+router.delete('/webhooks/:id', ensureAdmin('settings:write'), webhookController.deleteWebhook);
+router.post('/webhooks/:id/rotate-secret', ensureAdmin('settings:write'), webhookController.rotateSecret);
+router.post('/webhooks/:id/test', ensureAdmin('settings:write'), webhookController.testWebhook);
+
+// Delivery history and manual redelivery
+router.get('/webhook-deliveries', ensureAdmin('audit:read'), webhookController.listDeliveries);
+router.post('/webhook-deliveries/:id/redeliver', ensureAdmin('settings:write'), webhookController.redeliver);
+
+// ==================== ATTENDANCE AUDIT ROUTES ====================
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Search the audit trail of manual attendance edits
+ * @access  Private (Admin only)
+ */
+router.get('/audit-logs', ensureAdmin('audit:read'), async (req, res) => {
+  try {
+    const { facultyId, rollNumber, department, semester, section, action, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await attendanceAuditService.search(
+      { facultyId, rollNumber, department: adminAccountService.scopeDepartment(req.admin, department), semester, section, action, from, to },
+      page,
+      limit
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching attendance audit logs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit logs' });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
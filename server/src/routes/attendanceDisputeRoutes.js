@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const attendanceDisputeController = require('../controllers/attendanceDisputeController');
+
+// Middleware to ensure the user is a student
+const ensureStudent = (req, res, next) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ message: 'Access denied. Student role required.' });
+  }
+  next();
+};
+
+// Middleware to ensure faculty role
+const ensureFaculty = (req, res, next) => {
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({ message: 'Access denied. Faculty privileges required.' });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/attendance-disputes/upload-url
+ * @desc    Get presigned URL for uploading dispute evidence
+ * @access  Private (Students only)
+ */
+router.get('/upload-url', auth, ensureStudent, attendanceDisputeController.getEvidenceUploadUrl);
+
+/**
+ * @route   POST /api/attendance-disputes
+ * @desc    Dispute an absence in an attendance record
+ * @access  Private (Students only)
+ */
+router.post('/', auth, ensureStudent, attendanceDisputeController.createDispute);
+
+/**
+ * @route   GET /api/attendance-disputes/my
+ * @desc    Get the student's own disputes
+ * @access  Private (Students only)
+ */
+router.get('/my', auth, ensureStudent, attendanceDisputeController.getMyDisputes);
+
+/**
+ * @route   DELETE /api/attendance-disputes/:id
+ * @desc    Cancel a pending dispute
+ * @access  Private (Students only)
+ */
+router.delete('/:id', auth, ensureStudent, attendanceDisputeController.cancelDispute);
+
+/**
+ * @route   GET /api/attendance-disputes/review
+ * @desc    Get disputes of the faculty's attendance records
+ * @access  Private (Faculty only)
+ */
+router.get('/review', auth, ensureFaculty, attendanceDisputeController.getReviewQueue);
+
+/**
+ * @route   POST /api/attendance-disputes/:id/accept
+ * @desc    Accept a dispute and mark the student present
+ * @access  Private (Faculty only, record owner)
+ */
+router.post('/:id/accept', auth, ensureFaculty, attendanceDisputeController.acceptDispute);
+
+/**
+ * @route   POST /api/attendance-disputes/:id/reject
+ * @desc    Reject a dispute
+ * @access  Private (Faculty only, record owner)
+ */
+router.post('/:id/reject', auth, ensureFaculty, attendanceDisputeController.rejectDispute);
+
+/**
+ * @route   GET /api/attendance-disputes/:id/evidence
+ * @desc    Get a short-lived URL to view the dispute evidence
+ * @access  Private (Owner student or reviewing faculty)
+ */
+router.get('/:id/evidence', auth, attendanceDisputeController.getEvidence);
+
+module.exports = router;
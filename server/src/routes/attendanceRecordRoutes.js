@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const attendanceRecordService = require('../services/attendanceRecordService');
+const attendanceAuditService = require('../services/attendanceAuditService');
+const attendanceLedgerService = require('../services/attendanceLedgerService');
+const attendanceRegisterService = require('../services/attendanceRegisterService');
+const webhookService = require('../services/webhookService');
 const reportService = require('../services/reportService'); // Added reportService
 const fs = require('fs'); // Added fs module
 
@@ -48,13 +52,14 @@ const handleQueryToken = (req, res, next) => {
 router.get('/records', auth, ensureFaculty, async (req, res) => {
   try {
     const { facultyId } = req.user;
-    const { date, department, section } = req.query;
+    const { date, department, section, subjectId } = req.query;
     
     // Build filters object
     const filters = {};
     if (date) filters.date = date;
     if (department) filters.department = department;
     if (section) filters.section = section;
+    if (subjectId) filters.subjectId = subjectId;
     
     const records = await attendanceRecordService.getFacultyAttendanceRecords(
       facultyId,
@@ -133,7 +138,7 @@ router.post('/records', auth, ensureFaculty, async (req, res) => {
 router.put('/records/:id', auth, ensureFaculty, async (req, res) => {
   try {
     const { id } = req.params;
-    const { presentStudents, absentees, presentCount } = req.body;
+    const { presentStudents, absentees, presentCount, reason } = req.body;
     
     // Validate required fields
     if (!presentStudents || !absentees) {
@@ -171,6 +176,23 @@ router.put('/records/:id', auth, ensureFaculty, async (req, res) => {
       }
     );
     
+    // Audit every student whose status changed
+    const changes = attendanceAuditService.diffRecord(record, updatedRecord);
+    const context = attendanceAuditService.getRequestContext(req, reason);
+    await attendanceAuditService.logChanges(record, changes, 'record-update', context);
+
+    // Keep each student's durable ledger in step with the corrected record
+    for (const change of changes) {
+      if (change.toStatus === 'none') continue;
+      try {
+        await attendanceLedgerService.applyRecordCorrection(updatedRecord, change.rollNumber, change.toStatus);
+      } catch (ledgerError) {
+        console.error('⚠️ Failed to apply correction to attendance ledger:', ledgerError);
+      }
+    }
+
+    webhookService.emitRecordUpdated(updatedRecord, changes, 'record-update', context.changedBy);
+    
     res.json({
       success: true,
       message: 'Attendance record updated successfully',
@@ -197,6 +219,17 @@ router.get('/records/:id', auth, ensureFaculty, ensureOwnAttendance, async (req,
   }
 });
 
+// Get the audit history of an attendance record
+router.get('/records/:id/audit', auth, ensureFaculty, ensureOwnAttendance, async (req, res) => {
+  try {
+    const history = await attendanceAuditService.getRecordHistory(req.attendanceRecord);
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching attendance audit history:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 // Generate and download PDF for an attendance record
 router.get('/records/:id/generate-pdf', auth, ensureFaculty, ensureOwnAttendance, async (req, res) => {
   try {
@@ -243,6 +276,8 @@ router.get('/records/:id/download-pdf', handleQueryToken, auth, ensureFaculty, e
       department: req.attendanceRecord.department,
       semester: req.attendanceRecord.semester,
       section: req.attendanceRecord.section,
+      subjectCode: req.attendanceRecord.subjectCode,
+      subjectName: req.attendanceRecord.subjectName,
       totalStudents: req.attendanceRecord.totalStudents,
       presentStudents: req.attendanceRecord.presentStudents,
       absentees: req.attendanceRecord.absentees,
@@ -284,6 +319,51 @@ router.get('/records/:id/download-pdf', handleQueryToken, auth, ensureFaculty, e
   }
 });
 
+// List the classes (section and subject) the faculty can export a register for
+router.get('/register/classes', auth, ensureFaculty, async (req, res) => {
+  try {
+    const classes = await attendanceRegisterService.listRegisters(
+      attendanceRegisterService.getFacultyScopeQuery(req.user)
+    );
+    res.json({ success: true, classes });
+  } catch (error) {
+    console.error('Error fetching register classes:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// Consolidated register (students x sessions) of a section and subject over a date range
+router.get('/register', auth, ensureFaculty, async (req, res) => {
+  try {
+    const register = await attendanceRegisterService.buildRegister(
+      attendanceRegisterService.getFacultyScopeQuery(req.user),
+      req.query
+    );
+    res.json({ success: true, register });
+  } catch (error) {
+    console.error('Error building attendance register:', error);
+    res.status(error.message.includes('No attendance') ? 404 : 400).json({ success: false, message: error.message });
+  }
+});
+
+// Download the register as XLSX, CSV or PDF
+router.get('/register/export', handleQueryToken, auth, ensureFaculty, async (req, res) => {
+  try {
+    const register = await attendanceRegisterService.buildRegister(
+      attendanceRegisterService.getFacultyScopeQuery(req.user),
+      req.query
+    );
+    const { buffer, contentType, filename } = await attendanceRegisterService.export(register, req.query.format || 'xlsx');
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting attendance register:', error);
+    res.status(error.message.includes('No attendance') ? 404 : 400).json({ success: false, message: error.message });
+  }
+});
+
 // Generate section-wise report for attendance record
 router.post('/records/:id/section-report', auth, ensureFaculty, async (req, res) => {
   try {
@@ -344,7 +424,7 @@ router.post('/records/:id/section-report', auth, ensureFaculty, async (req, res)
 router.post('/records/:id/move-student', auth, ensureFaculty, async (req, res) => {
   try {
     const { id } = req.params;
-    const { givenRollNumber, fromStatus, toStatus } = req.body;
+    const { givenRollNumber, fromStatus, toStatus, reason } = req.body;
     
     // Validate input
     if (!givenRollNumber || !fromStatus || !toStatus) {
@@ -389,47 +469,23 @@ router.post('/records/:id/move-student', auth, ensureFaculty, async (req, res) =
     // Convert givenRollNumber to string for consistent comparison
     const rollNumberStr = givenRollNumber.toString();
     
-    // Get current arrays
-    let presentStudents = record.presentStudents || [];
-    let absentees = record.absentees || [];
-    
     // Check if student exists in the expected source array
-    if (fromStatus === 'present') {
-      if (!presentStudents.includes(rollNumberStr)) {
-        return res.status(400).json({
-          success: false,
-          message: `Student with roll number ${rollNumberStr} is not in present list`
-        });
-      }
-      // Remove from present, add to absent
-      presentStudents = presentStudents.filter(roll => roll !== rollNumberStr);
-      if (!absentees.includes(rollNumberStr)) {
-        absentees.push(rollNumberStr);
-      }
-    } else {
-      if (!absentees.includes(rollNumberStr)) {
-        return res.status(400).json({
-          success: false,
-          message: `Student with roll number ${rollNumberStr} is not in absent list`
-        });
-      }
-      // Remove from absent, add to present
-      absentees = absentees.filter(roll => roll !== rollNumberStr);
-      if (!presentStudents.includes(rollNumberStr)) {
-        presentStudents.push(rollNumberStr);
-      }
+    const sourceList = fromStatus === 'present' ? record.presentStudents : record.absentees;
+    if (!(sourceList || []).includes(rollNumberStr)) {
+      return res.status(400).json({
+        success: false,
+        message: `Student with roll number ${rollNumberStr} is not in ${fromStatus} list`
+      });
     }
     
-    // Sort the arrays for consistency
-    presentStudents.sort((a, b) => parseInt(a) - parseInt(b));
-    absentees.sort((a, b) => parseInt(a) - parseInt(b));
+    // Update the record (and the student's ledger)
+    const updatedRecord = await attendanceRecordService.moveStudent(record, rollNumberStr, fromStatus, toStatus);
+    const { presentStudents, absentees } = updatedRecord;
     
-    // Update the record
-    const updatedRecord = await attendanceRecordService.updateAttendanceRecord(id, {
-      presentStudents,
-      absentees,
-      presentCount: presentStudents.length
-    });
+    const changes = [{ rollNumber: rollNumberStr, fromStatus, toStatus }];
+    const context = attendanceAuditService.getRequestContext(req, reason);
+    await attendanceAuditService.logChanges(updatedRecord, changes, 'move-student', context);
+    webhookService.emitRecordUpdated(updatedRecord, changes, 'move-student', context.changedBy);
     
     res.json({
       success: true,
@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const auth = require('../middleware/auth');
 const { handleUpload } = require('../middleware/uploadMiddleware');
 const { generatePresignedUploadUrl, generateFacultyPhotoKey } = require('../config/s3');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+router.post('/login/2fa/setup', authController.beginTwoFactorLoginSetup);
+router.post('/login/2fa/enable', authController.enableTwoFactorLogin);
 router.get('/profile', auth, authController.getProfile);
 router.get('/verify-email', authController.verifyEmail);
 router.post('/resend-verification', authController.resendVerificationEmail);
@@ -15,6 +19,28 @@ router.post('/verify-code', authController.verifyCode);
 router.post('/reset-password', authController.resetPassword);
 router.post('/reset-faculty-password', authController.resetFacultyPassword);
 
+// Access token refresh and login (session) management
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions/:sessionId', auth, authController.revokeSession);
+
+// Middleware to ensure faculty role
+const ensureFaculty = (req, res, next) => {
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({ message: 'Access denied. Faculty privileges required.' });
+  }
+  next();
+};
+
+// Authenticator-app second factor (faculty)
+router.get('/2fa', auth, ensureFaculty, twoFactorController.getStatus);
+router.post('/2fa/setup', auth, ensureFaculty, twoFactorController.beginSetup);
+router.post('/2fa/enable', auth, ensureFaculty, twoFactorController.enable);
+router.post('/2fa/disable', auth, ensureFaculty, twoFactorController.disable);
+router.post('/2fa/recovery-codes', auth, ensureFaculty, twoFactorController.regenerateRecoveryCodes);
+
 // NEW: Get presigned URL for faculty photo upload
 router.get('/get-upload-url', async (req, res) => {
   try {
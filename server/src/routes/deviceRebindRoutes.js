@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const deviceRebindController = require('../controllers/deviceRebindController');
+
+// Middleware to ensure the user is a student
+const ensureStudent = (req, res, next) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ message: 'Access denied. Student role required.' });
+  }
+  next();
+};
+
+// Middleware to ensure faculty role
+const ensureFaculty = (req, res, next) => {
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({ message: 'Access denied. Faculty privileges required.' });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/device-rebind
+ * @desc    Request to bind the current (new) device to the student's account
+ * @access  Private (Students only)
+ */
+router.post('/', auth, ensureStudent, deviceRebindController.createRequest);
+
+/**
+ * @route   GET /api/device-rebind/my
+ * @desc    Get the student's own requests, device history and cooldown
+ * @access  Private (Students only)
+ */
+router.get('/my', auth, ensureStudent, deviceRebindController.getMyRequests);
+
+/**
+ * @route   DELETE /api/device-rebind/:id
+ * @desc    Cancel a pending device change request
+ * @access  Private (Students only)
+ */
+router.delete('/:id', auth, ensureStudent, deviceRebindController.cancelRequest);
+
+/**
+ * @route   GET /api/device-rebind/review
+ * @desc    Get device change requests of the faculty's sections
+ * @access  Private (Faculty only)
+ */
+router.get('/review', auth, ensureFaculty, deviceRebindController.getReviewQueue);
+
+/**
+ * @route   POST /api/device-rebind/:id/approve
+ * @desc    Approve a device change (reason required) and bind the new device
+ * @access  Private (Faculty only)
+ */
+router.post('/:id/approve', auth, ensureFaculty, deviceRebindController.approveRequest);
+
+/**
+ * @route   POST /api/device-rebind/:id/reject
+ * @desc    Reject a device change request
+ * @access  Private (Faculty only)
+ */
+router.post('/:id/reject', auth, ensureFaculty, deviceRebindController.rejectRequest);
+
+module.exports = router;
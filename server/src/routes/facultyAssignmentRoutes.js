@@ -1,34 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Subject = require('../models/Subject');
+const academicStructureService = require('../services/academicStructureService');
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
-
-// Middleware to ensure admin role - matches the approach in adminRoutes.js
-const ensureAdmin = (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-    
-    req.admin = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-};
+const ensureAdmin = require('../middleware/adminAuth');
+const adminAccountService = require('../services/adminAccountService');
 
 // Get all departments (unique values from faculty users)
-router.get('/departments', ensureAdmin, async (req, res) => {
+router.get('/departments', ensureAdmin('users:read'), async (req, res) => {
   try {
     // Find all faculty users and get unique departments
-    const faculties = await User.find({ role: 'faculty' });
+    const faculties = await User.find({ role: 'faculty', ...adminAccountService.getUserScopeQuery(req.admin, 'faculty') });
     
     // Extract unique departments
     const departments = [...new Set(faculties.map(faculty => faculty.department))].filter(Boolean);
@@ -41,9 +24,9 @@ router.get('/departments', ensureAdmin, async (req, res) => {
 });
 
 // Get faculties by department
-router.get('/faculties', ensureAdmin, async (req, res) => {
+router.get('/faculties', ensureAdmin('users:read'), async (req, res) => {
   try {
-    const { department } = req.query;
+    const department = adminAccountService.scopeDepartment(req.admin, req.query.department);
     
     if (!department) {
       return res.status(400).json({ message: 'Department is required' });
@@ -53,7 +36,8 @@ router.get('/faculties', ensureAdmin, async (req, res) => {
     const faculties = await User.find({ 
       role: 'faculty',
       department
-    }).select('name email facultyId department teachingAssignments');
+    }).select('name email facultyId department teachingAssignments')
+      .populate('teachingAssignments.subject', 'code name department semester');
     
     res.json(faculties);
   } catch (error) {
@@ -63,26 +47,50 @@ router.get('/faculties', ensureAdmin, async (req, res) => {
 });
 
 // Add teaching assignment to faculty
-router.post('/faculty/:id/assignment', ensureAdmin, async (req, res) => {
+router.post('/faculty/:id/assignment', ensureAdmin('users:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { semester, section } = req.body;
+    const { semester, section, subjectId } = req.body;
     
     // Validate inputs
-    if (!semester || !section) {
-      return res.status(400).json({ message: 'Semester and section are required' });
+    if (!semester || !section || !subjectId) {
+      return res.status(400).json({ message: 'Semester, section and subject are required' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return res.status(400).json({ message: 'Invalid subject' });
     }
     
     // Find the faculty user
     const faculty = await User.findOne({ _id: id, role: 'faculty' });
     
-    if (!faculty) {
+    if (!faculty || !adminAccountService.canAccessUser(req.admin, faculty)) {
       return res.status(404).json({ message: 'Faculty not found' });
     }
     
+    // Subject must be offered in the faculty's department for this semester
+    const subject = await Subject.findById(subjectId);
+    
+    if (!subject || !subject.isActive) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    
+    if (subject.department !== faculty.department || subject.semester !== semester) {
+      return res.status(400).json({ message: `Subject ${subject.code} is not offered for ${faculty.department} semester ${semester}` });
+    }
+    
+    // Section must exist in the admin-managed academic structure
+    try {
+      academicStructureService.validateClass(faculty.department, semester, section);
+    } catch (classError) {
+      return res.status(400).json({ message: `${classError.message}: ${faculty.department} ${semester}-${section}` });
+    }
+    
     // Check if assignment already exists
     const assignmentExists = faculty.teachingAssignments.some(
-      assignment => assignment.semester === semester && assignment.section === section
+      assignment => assignment.semester === semester && 
+        assignment.section === section &&
+        assignment.subject && assignment.subject.toString() === subjectId
     );
     
     if (assignmentExists) {
@@ -93,11 +101,13 @@ router.post('/faculty/:id/assignment', ensureAdmin, async (req, res) => {
     const newAssignment = { 
       _id: new mongoose.Types.ObjectId(), // Generate a new ID for the assignment
       semester, 
-      section 
+      section,
+      subject: subject._id
     };
     
     faculty.teachingAssignments.push(newAssignment);
     await faculty.save();
+    await faculty.populate('teachingAssignments.subject', 'code name department semester');
     
     res.json(faculty);
   } catch (error) {
@@ -107,14 +117,14 @@ router.post('/faculty/:id/assignment', ensureAdmin, async (req, res) => {
 });
 
 // Remove teaching assignment from faculty
-router.delete('/faculty/:id/assignment/:assignmentId', ensureAdmin, async (req, res) => {
+router.delete('/faculty/:id/assignment/:assignmentId', ensureAdmin('users:write'), async (req, res) => {
   try {
     const { id, assignmentId } = req.params;
     
     // Find the faculty user
     const faculty = await User.findOne({ _id: id, role: 'faculty' });
     
-    if (!faculty) {
+    if (!faculty || !adminAccountService.canAccessUser(req.admin, faculty)) {
       return res.status(404).json({ message: 'Faculty not found' });
     }
     
@@ -130,6 +140,7 @@ router.delete('/faculty/:id/assignment/:assignmentId', ensureAdmin, async (req,
     // Remove the assignment
     faculty.teachingAssignments.splice(assignmentIndex, 1);
     await faculty.save();
+    await faculty.populate('teachingAssignments.subject', 'code name department semester');
     
     res.json(faculty);
   } catch (error) {
@@ -138,4 +149,93 @@ router.delete('/faculty/:id/assignment/:assignmentId', ensureAdmin, async (req,
   }
 });
 
+// ==================== SUBJECT ROUTES ====================
+
+// Get subjects, optionally filtered by department and semester
+router.get('/subjects', ensureAdmin('settings:read'), async (req, res) => {
+  try {
+    const { department, semester, includeInactive } = req.query;
+    
+    const query = {};
+    if (department) query.department = department;
+    if (semester) query.semester = semester;
+    if (includeInactive !== 'true') query.isActive = true;
+    
+    const subjects = await Subject.find(query).sort({ department: 1, semester: 1, code: 1 });
+    
+    res.json(subjects);
+  } catch (error) {
+    console.error('Error fetching subjects:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a subject
+router.post('/subjects', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const { code, name, department, semester, credits } = req.body;
+    
+    if (!code || !name || !department || !semester) {
+      return res.status(400).json({ message: 'Code, name, department and semester are required' });
+    }
+    
+    const subject = await Subject.create({ code, name, department, semester: String(semester), credits });
+    
+    res.status(201).json(subject);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A subject with this code already exists for this department and semester' });
+    }
+    console.error('Error creating subject:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update a subject
+router.put('/subjects/:subjectId', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { code, name, credits, isActive } = req.body;
+    
+    const subject = await Subject.findById(subjectId);
+    
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    
+    if (code !== undefined) subject.code = code;
+    if (name !== undefined) subject.name = name;
+    if (credits !== undefined) subject.credits = credits;
+    if (isActive !== undefined) subject.isActive = Boolean(isActive);
+    
+    await subject.save();
+    
+    res.json(subject);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A subject with this code already exists for this department and semester' });
+    }
+    console.error('Error updating subject:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Deactivate a subject (kept for historical attendance records)
+router.delete('/subjects/:subjectId', ensureAdmin('settings:write'), async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    
+    const subject = await Subject.findByIdAndUpdate(subjectId, { isActive: false }, { new: true });
+    
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    
+    res.json(subject);
+  } catch (error) {
+    console.error('Error deactivating subject:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const ProxyMarker = require('../models/ProxyMarker');
 const CameraViolation = require('../models/CameraViolation');
+const Subject = require('../models/Subject');
 const auth = require('../middleware/auth');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const proxyRingService = require('../services/proxyRingService');
 
 // Get suspicious activity data
 router.get('/suspicious-activity', auth, async (req, res) => {
@@ -31,7 +34,7 @@ router.get('/suspicious-activity', auth, async (req, res) => {
             ...cameraViolations.map(violation => ({
                 ...violation.toObject(),
                 violationType: 'CAMERA_MONITORING',
-                course: null, // Not available in camera violations
+                course: violation.course || null,
                 ipAddress: null, // Not available in camera violations
                 country: null // Not available in camera violations
             }))
@@ -49,4 +52,88 @@ router.get('/suspicious-activity', auth, async (req, res) => {
     }
 });
 
+// Get the subjects offered in the faculty's department for a semester
+// (used to pick the subject of a class assigned before subjects existed)
+router.get('/subjects', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'faculty') {
+            return res.status(403).json({ message: 'Access denied. Faculty only.' });
+        }
+
+        const subjects = await Subject.findActive(req.user.department, req.query.semester).select('code name semester');
+        res.json({ success: true, subjects });
+    } catch (error) {
+        console.error('Error fetching subjects:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get students of the faculty's subjects who are below the attendance threshold
+router.get('/at-risk-students', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'faculty') {
+            return res.status(403).json({ message: 'Access denied. Faculty only.' });
+        }
+
+        const subjectKeys = (req.user.teachingAssignments || [])
+            .filter(assignment => assignment.subject)
+            .map(assignment => assignment.subject.toString());
+
+        const { semester, section, subjectKey, level } = req.query;
+        const students = await attendanceAlertService.getAtRiskStudents({
+            department: req.user.department,
+            semester,
+            section,
+            subjectKey,
+            level,
+            facultyId: req.user.facultyId,
+            subjectKeys
+        });
+
+        res.json({ success: true, students });
+    } catch (error) {
+        console.error('Error fetching at-risk students:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Faculty only see proxy rings involving a section they teach
+const getFacultyRingScope = (user) => ({
+    department: user.department,
+    sections: (user.teachingAssignments || []).map(({ semester, section }) => ({ semester, section }))
+});
+
+// Get the latest proxy-ring report for the faculty's sections
+router.get('/proxy-rings', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'faculty') {
+            return res.status(403).json({ message: 'Access denied. Faculty only.' });
+        }
+
+        const report = await proxyRingService.getLatestReport(getFacultyRingScope(req.user));
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error fetching proxy rings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Drill-down of one proxy ring
+router.get('/proxy-rings/:ringId', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'faculty') {
+            return res.status(403).json({ message: 'Access denied. Faculty only.' });
+        }
+
+        const result = await proxyRingService.getRing(req.params.ringId, getFacultyRingScope(req.user));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error('Error fetching proxy ring:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const leaveRequestController = require('../controllers/leaveRequestController');
+
+// Middleware to ensure the user is a student
+const ensureStudent = (req, res, next) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ message: 'Access denied. Student role required.' });
+  }
+  next();
+};
+
+// Middleware to ensure faculty role
+const ensureFaculty = (req, res, next) => {
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({ message: 'Access denied. Faculty privileges required.' });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/leave-requests/upload-url
+ * @desc    Get presigned URL for uploading a supporting document
+ * @access  Private (Students only)
+ */
+router.get('/upload-url', auth, ensureStudent, leaveRequestController.getDocumentUploadUrl);
+
+/**
+ * @route   POST /api/leave-requests
+ * @desc    Submit a leave / medical excuse request
+ * @access  Private (Students only)
+ */
+router.post('/', auth, ensureStudent, leaveRequestController.createRequest);
+
+/**
+ * @route   GET /api/leave-requests/my
+ * @desc    Get the student's own leave requests
+ * @access  Private (Students only)
+ */
+router.get('/my', auth, ensureStudent, leaveRequestController.getMyRequests);
+
+/**
+ * @route   DELETE /api/leave-requests/:id
+ * @desc    Cancel a pending leave request
+ * @access  Private (Students only)
+ */
+router.delete('/:id', auth, ensureStudent, leaveRequestController.cancelRequest);
+
+/**
+ * @route   GET /api/leave-requests/review
+ * @desc    Get leave requests of the faculty's sections
+ * @access  Private (Faculty only)
+ */
+router.get('/review', auth, ensureFaculty, leaveRequestController.getReviewQueue);
+
+/**
+ * @route   POST /api/leave-requests/:id/approve
+ * @desc    Approve a leave request and excuse matching absences
+ * @access  Private (Faculty only)
+ */
+router.post('/:id/approve', auth, ensureFaculty, leaveRequestController.approveRequest);
+
+/**
+ * @route   POST /api/leave-requests/:id/reject
+ * @desc    Reject a leave request
+ * @access  Private (Faculty only)
+ */
+router.post('/:id/reject', auth, ensureFaculty, leaveRequestController.rejectRequest);
+
+/**
+ * @route   GET /api/leave-requests/:id/document
+ * @desc    Get a short-lived URL to view the supporting document
+ * @access  Private (Owner student or reviewing faculty)
+ */
+router.get('/:id/document', auth, leaveRequestController.getDocument);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const proxyCaseController = require('../controllers/proxyCaseController');
+
+// Middleware to ensure faculty role
+const ensureFaculty = (req, res, next) => {
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({ message: 'Access denied. Faculty privileges required.' });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/proxy-cases
+ * @desc    Escalate a proxy signal (VPN marker, camera violation, risk event, proxy ring) into a case
+ * @access  Private (Faculty only, own sections)
+ */
+router.post('/', auth, ensureFaculty, proxyCaseController.escalate);
+
+/**
+ * @route   GET /api/proxy-cases
+ * @desc    Get cases involving the faculty's sections
+ * @access  Private (Faculty only)
+ */
+router.get('/', auth, ensureFaculty, proxyCaseController.listCases);
+
+/**
+ * @route   GET /api/proxy-cases/:id
+ * @desc    Get a case with its evidence, linked records, notes and history
+ * @access  Private (Faculty only, own sections)
+ */
+router.get('/:id', auth, ensureFaculty, proxyCaseController.getCase);
+
+/**
+ * @route   PATCH /api/proxy-cases/:id
+ * @desc    Change status, assignee or outcome of a case
+ * @access  Private (Faculty only, own sections)
+ */
+router.patch('/:id', auth, ensureFaculty, proxyCaseController.updateCase);
+
+/**
+ * @route   POST /api/proxy-cases/:id/notes
+ * @desc    Add an investigation note
+ * @access  Private (Faculty only, own sections)
+ */
+router.post('/:id/notes', auth, ensureFaculty, proxyCaseController.addNote);
+
+/**
+ * @route   POST /api/proxy-cases/:id/evidence
+ * @desc    Add another signal's evidence to a case
+ * @access  Private (Faculty only, own sections)
+ */
+router.post('/:id/evidence', auth, ensureFaculty, proxyCaseController.addEvidence);
+
+/**
+ * @route   POST /api/proxy-cases/:id/records
+ * @desc    Link an affected attendance record to a case
+ * @access  Private (Faculty only, own sections)
+ */
+router.post('/:id/records', auth, ensureFaculty, proxyCaseController.linkRecord);
+
+/**
+ * @route   GET /api/proxy-cases/:id/photos/:filename
+ * @desc    View a preserved evidence photo
+ * @access  Private (Faculty only, own sections)
+ */
+router.get('/:id/photos/:filename', auth, ensureFaculty, proxyCaseController.getEvidencePhoto);
+
+module.exports = router;
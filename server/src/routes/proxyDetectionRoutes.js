@@ -7,6 +7,7 @@ const GroupSession = require('../models/GroupSession');
 const CameraViolation = require('../models/CameraViolation');
 const User = require('../models/User');
 const redisCache = require('../services/redisCache');
+const riskScoringService = require('../services/riskScoringService');
 
 // 🔒 SECURITY: All proxy detection routes require authentication
 router.use(auth);
@@ -161,7 +162,10 @@ router.post('/remove-student',ensureStudentOwnership, async (req, res) => {
                 const userDetails = await User.findById(req.user.id);
                 if (userDetails) {
                     await CameraViolation.create({
+                        userId: userDetails._id.toString(),
                         name: userDetails.name,
+                        course: course,
+                        semester: semester,
                         section: section,
                         classRollNumber: actualRollNumber,
                         reason: reason
@@ -173,6 +177,19 @@ router.post('/remove-student',ensureStudentOwnership, async (req, res) => {
                 // Don't fail the main operation if logging fails
             }
 
+            // 🛡️ Feed the proxy-risk score
+            await riskScoringService.recordSignal('appReport', {
+                studentId: actualStudentId,
+                name: req.user.name,
+                rollNumber: actualRollNumber,
+                department: course,
+                semester,
+                section
+            }, {
+                sessionId: activeSession.sessionId,
+                details: { reason, detectionMethod }
+            });
+
         } catch (error) {
             errors.push(`Error finding or removing from active session: ${error.message}`);
         }
@@ -3,6 +3,10 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const qrSessionService = require('../services/qrSessionService');
 const qrTokenService = require('../services/qrTokenService');
+const geofenceService = require('../services/geofenceService');
+const riskScoringService = require('../services/riskScoringService');
+const attendanceAuditService = require('../services/attendanceAuditService');
+const QRSession = require('../models/QRSession');
 
 // Middleware to ensure faculty role
 const ensureFaculty = (req, res, next) => {
@@ -37,13 +41,16 @@ const ensureStudent = (req, res, next) => {
  */
 router.post('/start-session', auth, ensureFaculty, async (req, res) => {
     try {
-        const { department, semester, section, totalStudents, sessionType = 'roll' } = req.body;
+        const {
+            department, semester, section, subjectId, totalStudents, sessionType = 'roll',
+            location, roomId, radiusMeters, geofenceMode, challengeRequired
+        } = req.body;
 
         // Validate required fields
-        if (!department || !semester || !section || !totalStudents) {
+        if (!department || !semester || !section || !subjectId || !totalStudents) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: department, semester, section, totalStudents'
+                message: 'Missing required fields: department, semester, section, subjectId, totalStudents'
             });
         }
 
@@ -55,6 +62,7 @@ router.post('/start-session', auth, ensureFaculty, async (req, res) => {
         }
 
         const facultyData = {
+            userId: req.user._id,
             facultyId: req.user.facultyId,
             name: req.user.name,
             email: req.user.email
@@ -64,8 +72,14 @@ router.post('/start-session', auth, ensureFaculty, async (req, res) => {
             department,
             semester,
             section,
+            subjectId,
             totalStudents: parseInt(totalStudents),
-            sessionType
+            sessionType,
+            location,
+            roomId,
+            radiusMeters,
+            geofenceMode,
+            challengeRequired
         };
 
         const result = await qrSessionService.startSession(sessionData, facultyData);
@@ -81,6 +95,28 @@ router.post('/start-session', auth, ensureFaculty, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/qr-attendance/rooms
+ * @desc    Saved rooms a session can be geofenced to
+ * @access  Private (Faculty only)
+ */
+router.get('/rooms', auth, ensureFaculty, async (req, res) => {
+    try {
+        const rooms = await geofenceService.listRooms();
+        res.json({
+            success: true,
+            rooms,
+            defaultRadiusMeters: geofenceService.DEFAULT_RADIUS_METERS
+        });
+    } catch (error) {
+        console.error('Rooms fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rooms'
+        });
+    }
+});
+
 /**
  * @route   POST /api/qr-attendance/lock-session
  * @desc    Lock a session (Faculty clicks "Lock Session")
@@ -168,6 +204,64 @@ router.post('/end-session', auth, ensureFaculty, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/qr-attendance/todays-classes
+ * @desc    Get the faculty's timetabled classes for today
+ * @access  Private (Faculty only)
+ */
+router.get('/todays-classes', auth, ensureFaculty, async (req, res) => {
+    try {
+        const classes = await qrSessionService.getTodaysClasses(req.user.facultyId);
+
+        res.json({
+            success: true,
+            classes
+        });
+
+    } catch (error) {
+        console.error('Todays classes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch today\'s classes'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/qr-attendance/scheduled-sessions/:id/start
+ * @desc    Start the QR session of a timetabled class (one-tap start)
+ * @access  Private (Faculty only)
+ */
+router.post('/scheduled-sessions/:id/start', auth, ensureFaculty, async (req, res) => {
+    try {
+        const facultyData = {
+            userId: req.user._id,
+            facultyId: req.user.facultyId,
+            name: req.user.name,
+            email: req.user.email
+        };
+
+        const { totalStudents, location, roomId, radiusMeters, geofenceMode, challengeRequired } = req.body;
+        const result = await qrSessionService.startScheduledSession(req.params.id, facultyData, {
+            totalStudents,
+            location,
+            roomId,
+            radiusMeters,
+            geofenceMode,
+            challengeRequired
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Start scheduled session error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to start scheduled session'
+        });
+    }
+});
+
 /**
  * @route   GET /api/qr-attendance/faculty-dashboard
  * @desc    Get faculty dashboard data with active sessions
@@ -228,6 +322,31 @@ router.get('/session/:sessionId/stats', auth, ensureFaculty, async (req, res) =>
             totalJoined: redisStats.studentsJoined,
         };
 
+        // 🛡️ Proxy-risk scores of students in this session
+        stats.risk = await riskScoringService.getSessionRiskSummary(sessionId);
+
+        const stored = await QRSession.findOne({ sessionId })
+            .select('analytics.geofenceRejected analytics.geofenceFlagged analytics.tokenReuseRejected analytics.proxyRingAlerts')
+            .lean();
+        const analytics = (stored && stored.analytics) || {};
+
+        // 🔁 Rejected token reuse and proxy-ring alerts
+        stats.replay = {
+            reuseRejected: analytics.tokenReuseRejected || 0,
+            proxyRingAlerts: (analytics.proxyRingAlerts || []).length
+        };
+
+        // 📍 Location-flagged scans of geofenced sessions
+        if (session.geofence && session.geofence.enabled) {
+            stats.geofence = {
+                radiusMeters: session.geofence.radiusMeters,
+                roomName: session.geofence.roomName || null,
+                mode: session.geofence.mode,
+                rejected: analytics.geofenceRejected || 0,
+                flagged: analytics.geofenceFlagged || 0
+            };
+        }
+
         res.json(stats);
 
     } catch (error) {
@@ -239,6 +358,163 @@ router.get('/session/:sessionId/stats', auth, ensureFaculty, async (req, res) =>
     }
 });
 
+// Map live roster errors to HTTP status codes
+const getRosterErrorStatus = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('Unauthorized')) return 403;
+    return 400;
+};
+
+/**
+ * @route   GET /api/qr-attendance/session/:sessionId/risk
+ * @desc    Proxy-risk scores and signal breakdown of every student with signals in a session
+ * @access  Private (Faculty only)
+ */
+router.get('/session/:sessionId/risk', auth, ensureFaculty, async (req, res) => {
+    try {
+        const session = await qrSessionService.getSessionById(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+        if (session.facultyId !== req.user.facultyId) {
+            return res.status(403).json({ success: false, message: 'Unauthorized access to this session' });
+        }
+
+        const [students, policy] = await Promise.all([
+            riskScoringService.getSessionScores(req.params.sessionId),
+            riskScoringService.getPolicy()
+        ]);
+        res.json({
+            success: true,
+            sessionId: req.params.sessionId,
+            flagScore: policy.flagScore,
+            students
+        });
+    } catch (error) {
+        console.error('Error fetching session risk scores:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch risk scores'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/qr-attendance/session/:sessionId/roster
+ * @desc    Get the live roster (joined / present / device flags) for a session
+ * @access  Private (Faculty only)
+ */
+router.get('/session/:sessionId/roster', auth, ensureFaculty, async (req, res) => {
+    try {
+        const roster = await qrSessionService.getLiveRoster(req.params.sessionId, req.user.facultyId);
+        res.json({ success: true, ...roster });
+    } catch (error) {
+        console.error('Error fetching live roster:', error);
+        res.status(getRosterErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to fetch live roster'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/qr-attendance/session/:sessionId/roster/:rollNumber/mark
+ * @desc    Manually mark a student present mid-session
+ * @access  Private (Faculty only)
+ */
+router.post('/session/:sessionId/roster/:rollNumber/mark', auth, ensureFaculty, async (req, res) => {
+    try {
+        const student = await qrSessionService.manualMarkStudent(
+            req.params.sessionId,
+            req.user.facultyId,
+            req.params.rollNumber,
+            attendanceAuditService.getRequestContext(req, req.body && req.body.reason)
+        );
+        res.json({ success: true, message: `Marked ${req.params.rollNumber} present`, student });
+    } catch (error) {
+        console.error('Error manually marking student:', error);
+        res.status(getRosterErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to mark student'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/qr-attendance/session/:sessionId/roster/:rollNumber
+ * @desc    Manually remove a student from a live session
+ * @access  Private (Faculty only)
+ */
+router.delete('/session/:sessionId/roster/:rollNumber', auth, ensureFaculty, async (req, res) => {
+    try {
+        const student = await qrSessionService.manualRemoveStudent(
+            req.params.sessionId,
+            req.user.facultyId,
+            req.params.rollNumber,
+            attendanceAuditService.getRequestContext(req, req.body && req.body.reason)
+        );
+        res.json({ success: true, message: `Removed ${req.params.rollNumber} from the session`, student });
+    } catch (error) {
+        console.error('Error manually removing student:', error);
+        res.status(getRosterErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to remove student'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/qr-attendance/session/:sessionId/challenge-mode
+ * @desc    Turn the projector challenge code on or off for a session
+ * @access  Private (Faculty only)
+ */
+router.post('/session/:sessionId/challenge-mode', auth, ensureFaculty, async (req, res) => {
+    try {
+        const result = await qrSessionService.setChallengeMode(
+            req.params.sessionId,
+            req.user.facultyId,
+            req.body.enabled
+        );
+        res.json({
+            success: true,
+            message: result.challengeRequired ? 'Challenge code enabled' : 'Challenge code disabled',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error changing challenge mode:', error);
+        res.status(getRosterErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to change challenge mode'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/qr-attendance/group-session/:groupSessionId/challenge-mode
+ * @desc    Turn the projector challenge code on or off for a group session
+ * @access  Private (Faculty only)
+ */
+router.post('/group-session/:groupSessionId/challenge-mode', auth, ensureFaculty, async (req, res) => {
+    try {
+        const result = await qrSessionService.setGroupChallengeMode(
+            req.params.groupSessionId,
+            req.user.facultyId,
+            req.body.enabled
+        );
+        res.json({
+            success: true,
+            message: result.challengeRequired ? 'Challenge code enabled' : 'Challenge code disabled',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error changing group challenge mode:', error);
+        res.status(getRosterErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to change challenge mode'
+        });
+    }
+});
+
 /**
  * @route   GET /api/qr-attendance/group-session/:groupSessionId/stats
  * @desc    Get live attendance stats for a group session (aggregated from all sections)
@@ -379,6 +655,8 @@ router.post('/scan-qr', auth, ensureStudent, async (req, res) => {
         const { 
             qrToken, 
             fingerprint,
+            location,
+            challengeCode,
         } = req.body;
 
         if (!qrToken) {
@@ -389,6 +667,7 @@ router.post('/scan-qr', auth, ensureStudent, async (req, res) => {
         }
 
         const studentData = {
+            userId: student._id,
             studentId: student.studentId,
             name: student.name,
             classRollNumber: student.classRollNumber,
@@ -397,6 +676,9 @@ router.post('/scan-qr', auth, ensureStudent, async (req, res) => {
             semester: student.semester,
             section: student.section,
             fingerprint,
+            ipAddress: req.ip,
+            location,
+            challengeCode,
         };
 
         const result = await qrSessionService.markAttendance(qrToken, studentData);
@@ -407,7 +689,8 @@ router.post('/scan-qr', auth, ensureStudent, async (req, res) => {
         console.error('QR scan error:', error);
         res.status(400).json({
             success: false,
-            message: error.message || 'Failed to mark attendance'
+            message: error.message || 'Failed to mark attendance',
+            code: error.code
         });
     }
 });
@@ -428,7 +711,8 @@ router.post('/validate-qr', auth, ensureStudent, async (req, res) => {
             });
         }
 
-        const validation = await qrTokenService.validateQRToken(qrToken);
+        // Preview only: the projector code is checked when the scan is submitted
+        const validation = await qrTokenService.validateQRToken(qrToken, null, { skipChallenge: true });
 
         if (!validation.valid) {
             return res.status(400).json({
@@ -458,7 +742,8 @@ router.post('/validate-qr', auth, ensureStudent, async (req, res) => {
                 semester: session.semester,
                 section: session.section,
                 totalStudents: session.totalStudents,
-                studentsPresent: session.studentsPresent.length
+                studentsPresent: session.studentsPresentCount,
+                challengeRequired: Boolean(session.challengeRequired)
             }
         });
 
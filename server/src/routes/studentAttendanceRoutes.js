@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const AttendanceRecord = require('../models/AttendanceRecord');
+const attendanceLedgerService = require('../services/attendanceLedgerService');
 
 // Middleware to ensure the user is a student
 const ensureStudent = (req, res, next) => {
@@ -13,61 +13,14 @@ const ensureStudent = (req, res, next) => {
 
 /**
  * @route   GET /api/student/attendance/summary
- * @desc    Get attendance summary grouped by faculty
+ * @desc    Get attendance summary grouped by subject for the current semester
  * @access  Private (Students only)
  */
 router.get('/summary', auth, ensureStudent, async (req, res) => {
   try {
-    const { semester, section, classRollNumber, universityRollNumber } = req.user;
-    
-    // Find all attendance records for this student's semester and section
-    const attendanceRecords = await AttendanceRecord.find({
-      semester,
-      section,
-      date: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Last 30 days
-    }).sort({ date: -1 });
+    // Read from the durable ledger so semester-long percentages are correct
+    const summary = await attendanceLedgerService.getStudentSummary(req.user);
 
-    // Group records by faculty
-    const facultyMap = new Map();
-    
-    attendanceRecords.forEach(record => {
-      const { facultyId, facultyName, date } = record;
-      
-      // Check if student was present
-      const isPresent = record.presentStudents.some(id => 
-        id === classRollNumber || id === universityRollNumber
-      );
-      
-      // If faculty not in map, initialize
-      if (!facultyMap.has(facultyId)) {
-        facultyMap.set(facultyId, {
-          facultyId,
-          facultyName,
-          totalDays: 0,
-          presentDays: 0,
-          attendancePercentage: 0,
-          lastDate: date
-        });
-      }
-      
-      // Update faculty stats
-      const facultyStats = facultyMap.get(facultyId);
-      facultyStats.totalDays += 1;
-      if (isPresent) {
-        facultyStats.presentDays += 1;
-      }
-      facultyStats.attendancePercentage = Math.round((facultyStats.presentDays / facultyStats.totalDays) * 100);
-      
-      // Update last date if this record is more recent
-      if (date > facultyStats.lastDate) {
-        facultyStats.lastDate = date;
-      }
-    });
-    
-    // Convert map to array and sort by faculty name
-    const summary = Array.from(facultyMap.values())
-      .sort((a, b) => a.facultyName.localeCompare(b.facultyName));
-    
     res.json(summary);
   } catch (error) {
     console.error('Error fetching student attendance summary:', error);
@@ -76,39 +29,38 @@ router.get('/summary', auth, ensureStudent, async (req, res) => {
 });
 
 /**
- * @route   GET /api/student/attendance/details/:facultyId
- * @desc    Get detailed attendance for a specific faculty
+ * @route   GET /api/student/attendance/details/:subjectKey
+ * @desc    Get detailed attendance for a specific subject
  * @access  Private (Students only)
  */
-router.get('/details/:facultyId', auth, ensureStudent, async (req, res) => {
+router.get('/details/:subjectKey', auth, ensureStudent, async (req, res) => {
   try {
-    const { facultyId } = req.params;
-    const { semester, section, classRollNumber, universityRollNumber } = req.user;
-    
-    // Find all attendance records for this faculty and student's semester/section in the last 30 days
-    const attendanceRecords = await AttendanceRecord.find({
-      facultyId,
-      semester,
-      section,
-      date: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Last 30 days
-    }).sort({ date: 1 }); // Sort by date ascending
-    
-    // Process records to determine if student was present or absent
-    const attendanceDetails = attendanceRecords.map(record => {
-      const isPresent = record.presentStudents.some(id => 
-        id === classRollNumber || id === universityRollNumber
-      );
-      
-      return {
-        date: record.date,
-        formattedDate: new Date(record.date).toLocaleDateString('en-IN'),
-        status: isPresent ? 'present' : 'absent',
-        facultyName: record.facultyName
-      };
-    });
-    
+    const { subjectKey } = req.params;
+
+    const details = await attendanceLedgerService.getStudentSubjectDetails(req.user, subjectKey);
+
+    if (!details) {
+      return res.json({
+        subjectName: '',
+        facultyName: '',
+        attendanceDetails: []
+      });
+    }
+
+    const attendanceDetails = details.entries.map(entry => ({
+      date: entry.date,
+      formattedDate: new Date(entry.date).toLocaleDateString('en-IN'),
+      status: entry.status,
+      attendanceRecordId: entry.attendanceRecordId,
+      facultyName: details.facultyName
+    }));
+
     res.json({
-      facultyName: attendanceRecords.length > 0 ? attendanceRecords[0].facultyName : '',
+      subjectName: details.subjectName,
+      facultyName: details.facultyName,
+      totalDays: details.totalDays,
+      presentDays: details.presentDays,
+      attendancePercentage: details.attendancePercentage,
       attendanceDetails
     });
   } catch (error) {
@@ -117,4 +69,4 @@ router.get('/details/:facultyId', auth, ensureStudent, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,377 @@
+const Course = require('../models/Course');
+const Section = require('../models/Section');
+const User = require('../models/User');
+const cluster = require('cluster');
+
+// Structure used before anything is configured (and to seed an empty database)
+const DEFAULT_PROGRAMMES = ['BTech', 'BCA', 'Law', 'MBA', 'BBA', 'BCom', 'BSc', 'MCA'];
+const DEFAULT_SEMESTERS = ['1', '2', '3', '4', '5', '6', '7', '8'];
+const DEFAULT_SECTIONS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'D1', 'D2', 'E1', 'E2', 'F1', 'F2', 'G1', 'G2', 'H1', 'H2', 'I1', 'I2', 'J1', 'J2', 'K1', 'K2', 'L1', 'L2', 'ML1', 'ML2', 'ML3', 'DS1', 'DS2', 'DSA', 'Placement Group 1', 'Placement Group 2', 'Placement Group 3', 'Placement Group 4', 'Placement Group 5'];
+
+/**
+ * Admin-managed academic structure: departments -> programmes -> semesters -> sections.
+ * Programmes are Course documents and sections are Section documents. The
+ * structure is cached in memory so validation stays synchronous; every process
+ * reloads it periodically and immediately after its own changes.
+ */
+class AcademicStructureService {
+  constructor() {
+    this.REFRESH_INTERVAL_MS = 60 * 1000; // 1 minute
+    this.programmes = null;
+
+    this.refresh().catch(error => {
+      console.error('❌ Error loading academic structure:', error.message);
+    });
+
+    setInterval(() => {
+      this.refresh().catch(error => {
+        console.error('❌ Error refreshing academic structure:', error.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload the structure from the database (seeding the defaults if empty)
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    // Only the primary process seeds, so workers never insert duplicate sections
+    if (!cluster.isWorker && await Course.estimatedDocumentCount() === 0) {
+      await this.seedDefaults();
+    }
+
+    const [courses, sections] = await Promise.all([
+      Course.find().sort({ department: 1, name: 1 }).lean(),
+      Section.find().sort({ name: 1 }).lean()
+    ]);
+
+    // Keep using the defaults until the primary has seeded the database
+    if (courses.length === 0) {
+      this.programmes = null;
+      return;
+    }
+
+    const programmes = new Map();
+    courses.forEach(course => {
+      programmes.set(course.name, {
+        _id: course._id,
+        name: course.name,
+        department: course.department || 'General',
+        semesters: course.semesters && course.semesters.length > 0 ? course.semesters : DEFAULT_SEMESTERS,
+        active: course.active !== false,
+        sections: []
+      });
+    });
+
+    const programmesById = new Map([...programmes.values()].map(programme => [programme._id.toString(), programme]));
+    sections.forEach(section => {
+      const programme = programmesById.get(section.courseId.toString());
+      if (!programme) return;
+      programme.sections.push({
+        _id: section._id,
+        name: section.name,
+        semester: section.semester || null,
+        strength: section.strength,
+        active: section.active !== false
+      });
+    });
+
+    this.programmes = programmes;
+  }
+
+  /**
+   * Create the legacy hard-coded structure in an empty database
+   * @returns {Promise<void>}
+   */
+  async seedDefaults() {
+    for (const name of DEFAULT_PROGRAMMES) {
+      const course = await Course.findOneAndUpdate(
+        { name },
+        { $setOnInsert: { name, department: 'General', semesters: DEFAULT_SEMESTERS } },
+        { upsert: true, new: true }
+      );
+
+      if (await Section.exists({ courseId: course._id })) continue;
+      await Section.insertMany(DEFAULT_SECTIONS.map(section => ({ name: section, courseId: course._id })));
+    }
+    console.log('🏫 Seeded default academic structure');
+  }
+
+  /**
+   * Cached programmes, falling back to the defaults until the first load
+   * @returns {Array<Object>}
+   */
+  getProgrammes() {
+    if (this.programmes) {
+      return [...this.programmes.values()];
+    }
+    return DEFAULT_PROGRAMMES.map(name => ({
+      name,
+      department: 'General',
+      semesters: DEFAULT_SEMESTERS,
+      active: true,
+      sections: DEFAULT_SECTIONS.map(section => ({ name: section, semester: null, active: true }))
+    }));
+  }
+
+  /**
+   * Active programme by name
+   * @param {string} name
+   * @returns {Object|undefined}
+   */
+  getProgramme(name) {
+    return this.getProgrammes().find(programme => programme.name === name && programme.active);
+  }
+
+  /**
+   * Active sections of a programme in a semester
+   * @param {Object} programme
+   * @param {string} semester
+   * @returns {Array<Object>}
+   */
+  getSectionsFor(programme, semester) {
+    return programme.sections.filter(section =>
+      section.active && (!section.semester || section.semester === semester)
+    );
+  }
+
+  /**
+   * Throw if a department/semester/section combination is not configured
+   * @param {string} department - Programme name
+   * @param {string} semester
+   * @param {string} section
+   */
+  validateClass(department, semester, section) {
+    const programme = this.getProgramme(department);
+    if (!programme) {
+      throw new Error('Invalid department');
+    }
+
+    if (!programme.semesters.includes(semester)) {
+      throw new Error('Invalid semester');
+    }
+
+    if (!this.getSectionsFor(programme, semester).some(item => item.name === section)) {
+      throw new Error('Invalid section');
+    }
+  }
+
+  /**
+   * Configured strength of a section, if any
+   * @param {string} department
+   * @param {string} semester
+   * @param {string} section
+   * @returns {number|null}
+   */
+  getSectionStrength(department, semester, section) {
+    const programme = this.getProgramme(department);
+    if (!programme) return null;
+
+    // A semester-specific section takes precedence over a programme-wide one
+    const matches = this.getSectionsFor(programme, semester).filter(item => item.name === section);
+    const match = matches.find(item => item.semester === semester) || matches[0];
+    return match && match.strength ? match.strength : null;
+  }
+
+  /**
+   * Active structure grouped by department, for forms and pickers
+   * @returns {Object} - { departments, programmes, semesters, sections }
+   */
+  getPublicStructure() {
+    const departments = new Map();
+    const allSemesters = new Set();
+    const allSections = new Set();
+
+    this.getProgrammes()
+      .filter(programme => programme.active)
+      .forEach(programme => {
+        const semesters = programme.semesters.map(semester => {
+          const sections = [...new Set(this.getSectionsFor(programme, semester).map(section => section.name))]
+            .map(name => ({ name, strength: this.getSectionStrength(programme.name, semester, name) }));
+          sections.forEach(section => allSections.add(section.name));
+          allSemesters.add(semester);
+          return { semester, sections };
+        });
+
+        if (!departments.has(programme.department)) {
+          departments.set(programme.department, []);
+        }
+        departments.get(programme.department).push({ name: programme.name, semesters });
+      });
+
+    return {
+      departments: [...departments.entries()].map(([name, programmes]) => ({ name, programmes })),
+      programmes: [...departments.values()].flat().map(programme => programme.name),
+      semesters: [...allSemesters].sort((a, b) => parseInt(a) - parseInt(b)),
+      sections: [...allSections]
+    };
+  }
+
+  /**
+   * Full structure including inactive entries (admin)
+   * @returns {Promise<Array>}
+   */
+  async getAdminStructure() {
+    await this.refresh();
+    return this.getProgrammes();
+  }
+
+  /**
+   * Normalise a list of semesters from an array or comma-separated string
+   * @param {Array|string} semesters
+   * @returns {Array<string>}
+   */
+  parseSemesters(semesters) {
+    const list = Array.isArray(semesters) ? semesters : String(semesters || '').split(',');
+    const parsed = [...new Set(list.map(semester => String(semester).trim()).filter(Boolean))];
+    if (parsed.length === 0) {
+      throw new Error('At least one semester is required');
+    }
+    return parsed.sort((a, b) => parseInt(a) - parseInt(b));
+  }
+
+  /**
+   * Create a programme
+   * @param {Object} data - { name, department, semesters }
+   * @returns {Promise<Object>}
+   */
+  async createProgramme(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Programme name is required');
+    }
+    if (await Course.exists({ name })) {
+      throw new Error(`Programme ${name} already exists`);
+    }
+
+    const course = await Course.create({
+      name,
+      department: (data.department || '').trim() || 'General',
+      semesters: this.parseSemesters(data.semesters || DEFAULT_SEMESTERS)
+    });
+    await this.refresh();
+    return course;
+  }
+
+  /**
+   * Update a programme. Renaming is not allowed because the name is stored on users and records.
+   * @param {string} courseId
+   * @param {Object} updates - { department, semesters, active }
+   * @returns {Promise<Object>}
+   */
+  async updateProgramme(courseId, updates) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw new Error('Programme not found');
+    }
+
+    if (updates.department !== undefined) course.department = String(updates.department).trim() || 'General';
+    if (updates.semesters !== undefined) course.semesters = this.parseSemesters(updates.semesters);
+    if (updates.active !== undefined) course.active = Boolean(updates.active);
+
+    await course.save();
+    await this.refresh();
+    return course;
+  }
+
+  /**
+   * Delete a programme and its sections if no user belongs to it
+   * @param {string} courseId
+   * @returns {Promise<void>}
+   */
+  async deleteProgramme(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw new Error('Programme not found');
+    }
+
+    const userCount = await User.countDocuments({ course: course.name });
+    if (userCount > 0) {
+      throw new Error(`${userCount} users belong to ${course.name}. Deactivate it instead.`);
+    }
+
+    await Section.deleteMany({ courseId: course._id });
+    await course.deleteOne();
+    await this.refresh();
+  }
+
+  /**
+   * Create a section in a programme
+   * @param {Object} data - { courseId, name, semester, strength }
+   * @returns {Promise<Object>}
+   */
+  async createSection(data) {
+    const course = await Course.findById(data.courseId);
+    if (!course) {
+      throw new Error('Programme not found');
+    }
+
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Section name is required');
+    }
+
+    const semester = data.semester ? String(data.semester) : undefined;
+    if (semester && !course.semesters.includes(semester)) {
+      throw new Error(`${course.name} has no semester ${semester}`);
+    }
+    if (await Section.exists({ courseId: course._id, name, semester })) {
+      throw new Error(`Section ${name} already exists`);
+    }
+
+    const section = await Section.create({
+      courseId: course._id,
+      name,
+      semester,
+      strength: data.strength ? Number(data.strength) : undefined
+    });
+    await this.refresh();
+    return section;
+  }
+
+  /**
+   * Update a section's strength or active flag
+   * @param {string} sectionId
+   * @param {Object} updates - { strength, active }
+   * @returns {Promise<Object>}
+   */
+  async updateSection(sectionId, updates) {
+    const section = await Section.findById(sectionId);
+    if (!section) {
+      throw new Error('Section not found');
+    }
+
+    if (updates.strength !== undefined) section.strength = updates.strength === '' || updates.strength === null ? undefined : Number(updates.strength);
+    if (updates.active !== undefined) section.active = Boolean(updates.active);
+
+    await section.save();
+    await this.refresh();
+    return section;
+  }
+
+  /**
+   * Delete a section if no student belongs to it
+   * @param {string} sectionId
+   * @returns {Promise<void>}
+   */
+  async deleteSection(sectionId) {
+    const section = await Section.findById(sectionId);
+    if (!section) {
+      throw new Error('Section not found');
+    }
+
+    const course = await Course.findById(section.courseId);
+    const query = { role: 'student', course: course ? course.name : null, section: section.name };
+    if (section.semester) query.semester = section.semester;
+
+    const studentCount = await User.countDocuments(query);
+    if (studentCount > 0) {
+      throw new Error(`${studentCount} students belong to section ${section.name}. Deactivate it instead.`);
+    }
+
+    await section.deleteOne();
+    await this.refresh();
+  }
+}
+
+module.exports = new AcademicStructureService();
@@ -0,0 +1,361 @@
+const Admin = require('../models/Admin');
+const LoginHistory = require('../models/LoginHistory');
+
+// Permissions granted to each admin role
+const ROLE_PERMISSIONS = {
+  'super-admin': [
+    'users:read', 'users:write',
+    'reviews:read', 'reviews:write',
+    'audit:read',
+    'settings:read', 'settings:write',
+    'admins:manage'
+  ],
+  'department-admin': [
+    'users:read', 'users:write',
+    'reviews:read', 'reviews:write',
+    'audit:read',
+    'settings:read'
+  ],
+  auditor: [
+    'users:read',
+    'reviews:read',
+    'audit:read',
+    'settings:read'
+  ]
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Service for database-backed admin accounts, roles and permissions
+ */
+class AdminAccountService {
+  /**
+   * Permissions of an admin role
+   * @param {string} role
+   * @returns {Array<string>}
+   */
+  getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Whether an authenticated admin holds a permission
+   * @param {Object} admin - req.admin
+   * @param {string} permission
+   * @returns {boolean}
+   */
+  hasPermission(admin, permission) {
+    return Boolean(admin && admin.permissions && admin.permissions.includes(permission));
+  }
+
+  /**
+   * Build the req.admin descriptor of an admin account
+   * @param {Object} admin - Admin document
+   * @returns {Object} - { id, _id, name, adminRole, department, permissions }
+   */
+  toRequestAdmin(admin) {
+    return {
+      id: admin.adminId,
+      _id: admin._id,
+      name: admin.name,
+      adminRole: admin.role,
+      // Only department-admins are scoped; others see every department
+      department: admin.role === 'department-admin' ? admin.department : null,
+      permissions: this.getPermissions(admin.role)
+    };
+  }
+
+  /**
+   * Safe public view of an admin account
+   * @param {Object} admin - Admin document
+   * @returns {Object}
+   */
+  toPublic(admin) {
+    return {
+      _id: admin._id,
+      adminId: admin.adminId,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      department: admin.department,
+      active: admin.active,
+      lastLoginAt: admin.lastLoginAt,
+      twoFactorEnabled: Boolean(admin.twoFactor && admin.twoFactor.enabled),
+      createdBy: admin.createdBy,
+      createdAt: admin.createdAt
+    };
+  }
+
+  // ==================== AUTHENTICATION ====================
+
+  /**
+   * Verify admin credentials, recording failed attempts in the login history.
+   * Successful attempts are recorded by recordLogin once the second factor passes.
+   * While no admin account exists yet, the ADMIN_ID / ADMIN_PASSWORD
+   * environment credentials create the first super-admin.
+   * @param {string} adminId
+   * @param {string} password
+   * @param {Object} req - Express request (for IP and user agent)
+   * @returns {Promise<Object|null>} - Admin document or null on failure
+   */
+  async verifyCredentials(adminId, password, req) {
+    let admin = await Admin.findOne({ adminId });
+
+    if (!admin) {
+      admin = await this.bootstrapSuperAdmin(adminId, password);
+    }
+
+    let failureReason = null;
+    if (!admin) {
+      failureReason = 'unknown-account';
+    } else if (!admin.active) {
+      failureReason = 'inactive';
+    } else if (!(await admin.comparePassword(password))) {
+      failureReason = 'invalid-password';
+    }
+
+    if (failureReason) {
+      await this.recordFailure(req, admin, adminId, failureReason);
+      return null;
+    }
+    return admin;
+  }
+
+  /**
+   * Record a failed admin login attempt
+   * @param {Object} req
+   * @param {Object|null} admin
+   * @param {string} identifier
+   * @param {string} failureReason
+   * @returns {Promise<void>}
+   */
+  async recordFailure(req, admin, identifier, failureReason) {
+    await LoginHistory.record(req, {
+      accountType: 'admin',
+      account: admin,
+      identifier,
+      success: false,
+      failureReason
+    });
+  }
+
+  /**
+   * Record a completed admin login
+   * @param {Object} admin - Admin document
+   * @param {Object} req
+   * @returns {Promise<void>}
+   */
+  async recordLogin(admin, req) {
+    await LoginHistory.record(req, {
+      accountType: 'admin',
+      account: admin,
+      identifier: admin.adminId,
+      success: true
+    });
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+  }
+
+  /**
+   * Create the first super-admin from the environment credentials
+   * @param {string} adminId
+   * @param {string} password
+   * @returns {Promise<Object|null>} - Created admin, or null if not applicable
+   */
+  async bootstrapSuperAdmin(adminId, password) {
+    if (!process.env.ADMIN_ID || !process.env.ADMIN_PASSWORD) return null;
+    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) return null;
+    if (await Admin.exists({})) return null;
+
+    const admin = await Admin.create({
+      adminId,
+      name: 'Administrator',
+      password,
+      role: 'super-admin',
+      createdBy: 'environment'
+    });
+    console.log(`🔑 Created initial super-admin account '${adminId}'`);
+    return admin;
+  }
+
+  // ==================== ACCOUNT MANAGEMENT ====================
+
+  /**
+   * Validate role / department combination
+   * @param {string} role
+   * @param {string} department
+   */
+  validateRole(role, department) {
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Invalid role. Must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`);
+    }
+    if (role === 'department-admin' && !department) {
+      throw new Error('Department is required for a department admin');
+    }
+  }
+
+  /**
+   * Validate a new password
+   * @param {string} password
+   */
+  validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+  }
+
+  /**
+   * All admin accounts
+   * @returns {Promise<Array>}
+   */
+  async listAdmins() {
+    const admins = await Admin.find().sort({ role: 1, adminId: 1 });
+    return admins.map(admin => this.toPublic(admin));
+  }
+
+  /**
+   * Create an admin account
+   * @param {Object} data - { adminId, name, email, password, role, department }
+   * @param {Object} actor - req.admin of the creating super-admin
+   * @returns {Promise<Object>}
+   */
+  async createAdmin(data, actor) {
+    const adminId = (data.adminId || '').trim();
+    const name = (data.name || '').trim();
+
+    if (!adminId || !name) {
+      throw new Error('Admin ID and name are required');
+    }
+    this.validateRole(data.role, data.department);
+    this.validatePassword(data.password);
+
+    if (await Admin.exists({ adminId })) {
+      throw new Error('An admin with this ID already exists');
+    }
+
+    const admin = await Admin.create({
+      adminId,
+      name,
+      email: data.email,
+      password: data.password,
+      role: data.role,
+      department: data.role === 'department-admin' ? data.department : undefined,
+      createdBy: actor.id
+    });
+
+    console.log(`🔑 Admin '${adminId}' (${admin.role}) created by ${actor.id}`);
+    return this.toPublic(admin);
+  }
+
+  /**
+   * Update name, email, role, department or active flag of an admin
+   * @param {string} id - Admin document ID
+   * @param {Object} data
+   * @param {Object} actor - req.admin of the updating super-admin
+   * @returns {Promise<Object>}
+   */
+  async updateAdmin(id, data, actor) {
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    const role = data.role || admin.role;
+    const department = data.department !== undefined ? data.department : admin.department;
+    this.validateRole(role, department);
+
+    const isSelf = admin._id.toString() === actor._id.toString();
+    if (isSelf && (role !== 'super-admin' || data.active === false)) {
+      throw new Error('You cannot demote or deactivate your own account');
+    }
+
+    // Never leave the system without an active super-admin
+    const losesSuperAdmin = admin.role === 'super-admin' && admin.active &&
+      (role !== 'super-admin' || data.active === false);
+    if (losesSuperAdmin) {
+      const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'super-admin', active: true });
+      if (others === 0) {
+        throw new Error('At least one active super-admin is required');
+      }
+    }
+
+    if (data.name !== undefined) admin.name = String(data.name).trim();
+    if (data.email !== undefined) admin.email = data.email;
+    if (data.active !== undefined) admin.active = Boolean(data.active);
+    admin.role = role;
+    admin.department = role === 'department-admin' ? department : undefined;
+
+    await admin.save();
+    console.log(`🔑 Admin '${admin.adminId}' updated by ${actor.id}`);
+    return this.toPublic(admin);
+  }
+
+  /**
+   * Set a new password for an admin
+   * @param {string} id - Admin document ID
+   * @param {string} password
+   * @returns {Promise<void>}
+   */
+  async resetPassword(id, password) {
+    this.validatePassword(password);
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    admin.password = password;
+    await admin.save();
+  }
+
+  /**
+   * Recent login attempts of an admin
+   * @param {string} id - Admin document ID
+   * @returns {Promise<Array>}
+   */
+  async getLoginHistory(id) {
+    const admin = await Admin.findById(id).select('_id');
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+    return LoginHistory.findForAccount('admin', admin._id);
+  }
+
+  // ==================== DEPARTMENT SCOPE ====================
+
+  /**
+   * Department an admin is limited to, or the requested one for unscoped admins
+   * @param {Object} admin - req.admin
+   * @param {string} requested - Department from the query
+   * @returns {string|undefined}
+   */
+  scopeDepartment(admin, requested) {
+    return (admin && admin.department) || requested;
+  }
+
+  /**
+   * User query conditions that restrict an admin to their department
+   * @param {Object} admin - req.admin
+   * @param {string} role - 'student' or 'faculty'
+   * @returns {Object} - Empty for unscoped admins
+   */
+  getUserScopeQuery(admin, role) {
+    if (!admin || !admin.department) return {};
+    // Students belong to a programme via course, faculty via department
+    return role === 'faculty' ? { department: admin.department } : { course: admin.department };
+  }
+
+  /**
+   * Whether a student or faculty user falls within an admin's department
+   * @param {Object} admin - req.admin
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  canAccessUser(admin, user) {
+    if (!admin || !admin.department) return true;
+    const userDepartment = user.role === 'faculty' ? user.department : user.course;
+    return userDepartment === admin.department;
+  }
+}
+
+module.exports = new AdminAccountService();
@@ -0,0 +1,260 @@
+const AttendanceLedger = require('../models/AttendanceLedger');
+const AttendanceAlertRule = require('../models/AttendanceAlertRule');
+const User = require('../models/User');
+const attendanceLedgerService = require('./attendanceLedgerService');
+const { sendAttendanceShortageDigest, sendFacultyShortageDigest } = require('./emailService');
+
+const LEVEL_SEVERITY = { none: 0, warning: 1, critical: 2 };
+
+/**
+ * Rules engine for attendance shortage alerts based on the attendance ledger
+ */
+class AttendanceAlertService {
+  /**
+   * Running attendance percentage of a ledger
+   * @param {Object} ledger
+   * @returns {number}
+   */
+  getPercentage(ledger) {
+    return attendanceLedgerService.calculatePercentage(ledger);
+  }
+
+  /**
+   * Shortage level of a ledger under a rule
+   * @param {Object} ledger
+   * @param {Object} rule - AttendanceAlertRule
+   * @returns {string} - 'none', 'warning' or 'critical'
+   */
+  classify(ledger, rule) {
+    if (attendanceLedgerService.getCountedSessions(ledger) < rule.minSessions) return 'none';
+
+    const percentage = this.getPercentage(ledger);
+    if (percentage < rule.criticalThreshold) return 'critical';
+    if (percentage < rule.warningThreshold) return 'warning';
+    return 'none';
+  }
+
+  /**
+   * Consecutive classes a student must attend to get back to the warning threshold
+   * @param {Object} ledger
+   * @param {Object} rule
+   * @returns {number|null}
+   */
+  getSessionsToRecover(ledger, rule) {
+    if (rule.warningThreshold >= 100) return null;
+    const countedSessions = attendanceLedgerService.getCountedSessions(ledger);
+    const needed = (rule.warningThreshold * countedSessions - 100 * ledger.presentCount) / (100 - rule.warningThreshold);
+    return Math.max(0, Math.ceil(needed));
+  }
+
+  /**
+   * Get all configured rules (the '*' rule holds the defaults)
+   * @returns {Promise<Array>}
+   */
+  async getRules() {
+    await AttendanceAlertRule.getRuleForDepartment('*');
+    return AttendanceAlertRule.find().sort({ department: 1 });
+  }
+
+  /**
+   * Create or update the thresholds of a department
+   * @param {string} department - Department name or '*' for the defaults
+   * @param {Object} updates - { enabled, warningThreshold, criticalThreshold, minSessions, notifyFaculty }
+   * @param {string} updatedBy - Admin identifier
+   * @returns {Promise<Object>} - Saved rule
+   */
+  async updateRule(department, updates, updatedBy) {
+    const rule = await AttendanceAlertRule.findOne({ department }) || new AttendanceAlertRule({ department });
+    const { enabled, warningThreshold, criticalThreshold, minSessions, notifyFaculty } = updates;
+
+    if (enabled !== undefined) rule.enabled = Boolean(enabled);
+    if (warningThreshold !== undefined) rule.warningThreshold = Number(warningThreshold);
+    if (criticalThreshold !== undefined) rule.criticalThreshold = Number(criticalThreshold);
+    if (minSessions !== undefined) rule.minSessions = Number(minSessions);
+    if (notifyFaculty !== undefined) rule.notifyFaculty = Boolean(notifyFaculty);
+
+    if (rule.criticalThreshold > rule.warningThreshold) {
+      throw new Error('Critical threshold cannot be higher than the warning threshold');
+    }
+
+    rule.updatedBy = updatedBy;
+    await rule.save();
+    return rule;
+  }
+
+  /**
+   * Remove a department override so it falls back to the defaults
+   * @param {string} department
+   * @returns {Promise<boolean>} - Whether a rule was removed
+   */
+  async deleteRule(department) {
+    if (department === '*') {
+      throw new Error('The default rule cannot be removed');
+    }
+    const result = await AttendanceAlertRule.deleteOne({ department });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Map of department -> rule, with '*' as the fallback
+   * @returns {Promise<Object>} - { get(department) }
+   */
+  async getRuleResolver() {
+    const rules = await this.getRules();
+    const ruleMap = new Map(rules.map(rule => [rule.department, rule]));
+    const defaults = ruleMap.get('*');
+    return department => ruleMap.get(department) || defaults;
+  }
+
+  /**
+   * Evaluate the ledgers touched by an ended session and send digests to
+   * students whose shortage level got worse (and to the subject faculty)
+   * @param {Object} session - Ended QR session
+   * @returns {Promise<Object>} - { alerted }
+   */
+  async evaluateSession(session) {
+    const rule = await AttendanceAlertRule.getRuleForDepartment(session.department);
+    if (!rule.enabled) {
+      return { alerted: 0 };
+    }
+
+    const { subjectKey, subjectName } = attendanceLedgerService.getSubjectForSession(session);
+    const ledgers = await AttendanceLedger.find({
+      subjectKey,
+      semester: session.semester,
+      department: session.department,
+      section: session.section,
+      archived: false
+    }).select('-entries').lean();
+
+    const now = new Date();
+    const escalated = [];
+    const operations = [];
+
+    for (const ledger of ledgers) {
+      const level = this.classify(ledger, rule);
+      const previousLevel = ledger.alertLevel || 'none';
+      if (level === previousLevel) continue;
+
+      const update = { alertLevel: level };
+      // Only a worse level triggers a digest; recovering just resets the level
+      if (LEVEL_SEVERITY[level] > LEVEL_SEVERITY[previousLevel]) {
+        update.lastAlertedAt = now;
+        escalated.push({ ...ledger, level, percentage: this.getPercentage(ledger) });
+      }
+      operations.push({ updateOne: { filter: { _id: ledger._id }, update: { $set: update } } });
+    }
+
+    if (operations.length > 0) {
+      await AttendanceLedger.bulkWrite(operations, { ordered: false });
+    }
+
+    if (escalated.length === 0) {
+      return { alerted: 0 };
+    }
+
+    // Each student's digest lists every subject they are currently short in
+    const studentIds = escalated.map(ledger => ledger.student);
+    const [students, studentLedgers] = await Promise.all([
+      User.find({ _id: { $in: studentIds } }).select('name email').lean(),
+      AttendanceLedger.find({ student: { $in: studentIds }, semester: session.semester, archived: false })
+        .select('-entries')
+        .lean()
+    ]);
+
+    for (const student of students) {
+      const subjects = studentLedgers
+        .filter(ledger => ledger.student.toString() === student._id.toString())
+        .map(ledger => ({
+          subjectName: ledger.subjectName,
+          facultyName: ledger.facultyName,
+          presentDays: ledger.presentCount,
+          totalDays: attendanceLedgerService.getCountedSessions(ledger),
+          percentage: this.getPercentage(ledger),
+          level: this.classify(ledger, rule)
+        }))
+        .filter(subject => subject.level !== 'none')
+        .sort((a, b) => a.percentage - b.percentage);
+
+      if (subjects.length === 0 || !student.email) continue;
+
+      try {
+        await sendAttendanceShortageDigest(student.email, student.name, subjects);
+      } catch (error) {
+        console.error(`⚠️ Failed to send shortage digest to ${student.email}:`, error.message);
+      }
+    }
+
+    if (rule.notifyFaculty && session.facultyEmail) {
+      const classLabel = `${subjectName} (${session.department} ${session.semester}-${session.section})`;
+      try {
+        await sendFacultyShortageDigest(
+          session.facultyEmail,
+          session.facultyName,
+          classLabel,
+          escalated.sort((a, b) => a.percentage - b.percentage)
+        );
+      } catch (error) {
+        console.error(`⚠️ Failed to send faculty shortage digest to ${session.facultyEmail}:`, error.message);
+      }
+    }
+
+    console.log(`📉 Shortage alerts sent for ${escalated.length} students in ${subjectName}`);
+    return { alerted: escalated.length };
+  }
+
+  /**
+   * List students currently below their department's warning threshold
+   * @param {Object} filters - { department, semester, section, subjectKey, subjectKeys, facultyId, level }
+   * @returns {Promise<Array>} - At-risk rows sorted by percentage (lowest first)
+   */
+  async getAtRiskStudents(filters = {}) {
+    const query = { archived: false };
+    if (filters.department) query.department = filters.department;
+    if (filters.semester) query.semester = filters.semester;
+    if (filters.section) query.section = filters.section;
+    if (filters.subjectKey) query.subjectKey = filters.subjectKey;
+
+    // Faculty see the subjects they are assigned or have taken sessions for
+    if (filters.facultyId || filters.subjectKeys) {
+      query.$or = [];
+      if (filters.facultyId) query.$or.push({ facultyId: filters.facultyId });
+      if (filters.subjectKeys && filters.subjectKeys.length > 0) query.$or.push({ subjectKey: { $in: filters.subjectKeys } });
+    }
+
+    const [ledgers, getRule] = await Promise.all([
+      AttendanceLedger.find(query).select('-entries').lean(),
+      this.getRuleResolver()
+    ]);
+
+    return ledgers
+      .map(ledger => {
+        const rule = getRule(ledger.department);
+        return {
+          student: ledger.student,
+          studentId: ledger.studentId,
+          studentName: ledger.studentName,
+          classRollNumber: ledger.classRollNumber,
+          universityRollNumber: ledger.universityRollNumber,
+          department: ledger.department,
+          semester: ledger.semester,
+          section: ledger.section,
+          subjectKey: ledger.subjectKey,
+          subjectName: ledger.subjectName,
+          facultyName: ledger.facultyName,
+          totalSessions: ledger.totalSessions,
+          presentCount: ledger.presentCount,
+          excusedCount: ledger.excusedCount || 0,
+          percentage: this.getPercentage(ledger),
+          level: rule.enabled ? this.classify(ledger, rule) : 'none',
+          warningThreshold: rule.warningThreshold,
+          sessionsToRecover: this.getSessionsToRecover(ledger, rule),
+          lastAlertedAt: ledger.lastAlertedAt
+        };
+      })
+      .filter(row => row.level !== 'none' && (!filters.level || row.level === filters.level))
+      .sort((a, b) => a.percentage - b.percentage);
+  }
+}
+
+module.exports = new AttendanceAlertService();
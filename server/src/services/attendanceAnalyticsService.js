@@ -0,0 +1,347 @@
+const AttendanceRecord = require('../models/AttendanceRecord');
+const ScheduledSession = require('../models/ScheduledSession');
+const TimetableSlot = require('../models/TimetableSlot');
+const timetableService = require('./timetableService');
+
+// Same institution offset the timetable is interpreted in
+const TIMEZONE = process.env.TIMETABLE_UTC_OFFSET || '+05:30';
+
+// AttendanceRecord documents expire after 30 days
+const MAX_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sections this many standard deviations from the mean are outliers
+const OUTLIER_Z_SCORE = 1.5;
+const OUTLIER_MIN_SESSIONS = 3;
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const CSV_DATASETS = {
+  trend: ['period', 'sessions', 'averageAttendance', 'presentCount', 'expectedCount'],
+  departments: ['department', 'sessions', 'averageAttendance', 'presentCount', 'expectedCount'],
+  sections: ['department', 'semester', 'section', 'sessions', 'averageAttendance', 'scheduled', 'held', 'missed', 'zScore', 'outlier'],
+  faculty: ['facultyId', 'facultyName', 'sessions', 'averageAttendance', 'presentCount', 'expectedCount'],
+  dayOfWeek: ['day', 'sessions', 'averageAttendance'],
+  hourOfDay: ['hour', 'sessions', 'averageAttendance']
+};
+
+/**
+ * Department and institution attendance analytics over AttendanceRecord,
+ * compared against the timetable for sessions held vs scheduled.
+ */
+class AttendanceAnalyticsService {
+  /**
+   * Resolve the analysed period, limited to the attendance record retention
+   * @param {string} from - "YYYY-MM-DD"
+   * @param {string} to - "YYYY-MM-DD" (inclusive)
+   * @returns {Object} - { from, to (exclusive), fromDate, toDate } with local date strings
+   */
+  getRange(from, to) {
+    const toDate = to || timetableService.getLocalDateString();
+    const end = new Date(`${toDate}T00:00:00${TIMEZONE}`);
+    if (isNaN(end.getTime())) {
+      throw new Error('Invalid end date');
+    }
+    end.setTime(end.getTime() + DAY_MS);
+
+    const earliest = new Date(end.getTime() - MAX_RANGE_DAYS * DAY_MS);
+    let start = from ? new Date(`${from}T00:00:00${TIMEZONE}`) : earliest;
+    if (isNaN(start.getTime())) {
+      throw new Error('Invalid start date');
+    }
+    if (start < earliest) start = earliest;
+    if (start >= end) {
+      throw new Error('The start date must be on or before the end date');
+    }
+
+    return {
+      from: start,
+      to: end,
+      fromDate: timetableService.getLocalDateString(start),
+      toDate
+    };
+  }
+
+  /**
+   * Record filter for the requested scope and period
+   * @param {Object} filters - { department, semester, section, facultyId }
+   * @param {Object} range - From getRange
+   * @returns {Object}
+   */
+  buildMatch(filters, range) {
+    const match = { date: { $gte: range.from, $lt: range.to } };
+    ['department', 'semester', 'section', 'facultyId'].forEach(field => {
+      if (filters[field]) match[field] = String(filters[field]);
+    });
+    return match;
+  }
+
+  /**
+   * Aggregation stages that summarise a group of sessions
+   * @returns {Object} - $group accumulators
+   */
+  getGroupAccumulators() {
+    return {
+      sessions: { $sum: 1 },
+      averageAttendance: { $avg: '$attendanceRate' },
+      presentCount: { $sum: '$presentCount' },
+      expectedCount: { $sum: '$totalStudents' }
+    };
+  }
+
+  /**
+   * Round a rate (0-1) to a percentage with one decimal
+   * @param {number} rate
+   * @returns {number}
+   */
+  toPercentage(rate) {
+    return Math.round((rate || 0) * 1000) / 10;
+  }
+
+  /**
+   * Format an aggregation group as a row
+   * @param {Object} group
+   * @param {Object} key - Fields identifying the group
+   * @returns {Object}
+   */
+  toRow(group, key) {
+    return {
+      ...key,
+      sessions: group.sessions,
+      averageAttendance: this.toPercentage(group.averageAttendance),
+      presentCount: group.presentCount,
+      expectedCount: group.expectedCount
+    };
+  }
+
+  /**
+   * Scheduled (timetabled) classes in a period and how many were held, per section
+   * @param {Object} filters - { department, semester, section, facultyId }
+   * @param {Object} range - From getRange
+   * @returns {Promise<Map>} - "department|semester|section" -> { scheduled, held, missed, cancelled }
+   */
+  async getScheduleCoverage(filters, range) {
+    const query = {};
+    ['department', 'semester', 'section', 'facultyId'].forEach(field => {
+      if (filters[field]) query[field] = String(filters[field]);
+    });
+
+    const [slots, scheduledSessions] = await Promise.all([
+      TimetableSlot.find({ ...query, isActive: true }).select('department semester section dayOfWeek').lean(),
+      ScheduledSession.find({ ...query, date: { $gte: range.fromDate, $lte: range.toDate } })
+        .select('department semester section status scheduledEnd')
+        .lean()
+    ]);
+
+    // Count past occurrences of each weekday in the period (future classes are not due yet)
+    const today = timetableService.getLocalDateString();
+    const weekdayCounts = new Array(7).fill(0);
+    for (let time = range.from.getTime(); time < range.to.getTime(); time += DAY_MS) {
+      const date = timetableService.getLocalDateString(new Date(time));
+      if (date > today) break;
+      weekdayCounts[timetableService.getDayOfWeek(date)]++;
+    }
+
+    const coverage = new Map();
+    const getEntry = (item) => {
+      const key = [item.department, item.semester, item.section].join('|');
+      if (!coverage.has(key)) coverage.set(key, { scheduled: 0, held: 0, missed: 0, cancelled: 0 });
+      return coverage.get(key);
+    };
+
+    slots.forEach(slot => {
+      getEntry(slot).scheduled += weekdayCounts[slot.dayOfWeek];
+    });
+
+    const now = new Date();
+    scheduledSessions.forEach(session => {
+      const entry = getEntry(session);
+      if (session.status === 'started' || session.status === 'completed') {
+        entry.held++;
+      } else if (session.status === 'cancelled') {
+        entry.cancelled++;
+        entry.scheduled = Math.max(0, entry.scheduled - 1);
+      } else if (session.status === 'missed' || session.scheduledEnd < now) {
+        entry.missed++;
+      }
+    });
+
+    return coverage;
+  }
+
+  /**
+   * Flag sections whose average attendance is far from the mean of all sections
+   * @param {Array} sections - Section rows
+   * @returns {Array} - Rows with zScore and outlier ('low', 'high' or null)
+   */
+  flagOutliers(sections) {
+    const eligible = sections.filter(section => section.sessions >= OUTLIER_MIN_SESSIONS);
+    if (eligible.length < 3) {
+      return sections.map(section => ({ ...section, zScore: null, outlier: null }));
+    }
+
+    const mean = eligible.reduce((sum, section) => sum + section.averageAttendance, 0) / eligible.length;
+    const variance = eligible.reduce((sum, section) => sum + Math.pow(section.averageAttendance - mean, 2), 0) / eligible.length;
+    const deviation = Math.sqrt(variance);
+
+    return sections.map(section => {
+      if (section.sessions < OUTLIER_MIN_SESSIONS || deviation === 0) {
+        return { ...section, zScore: null, outlier: null };
+      }
+      const zScore = Math.round(((section.averageAttendance - mean) / deviation) * 100) / 100;
+      let outlier = null;
+      if (zScore <= -OUTLIER_Z_SCORE) outlier = 'low';
+      else if (zScore >= OUTLIER_Z_SCORE) outlier = 'high';
+      return { ...section, zScore, outlier };
+    });
+  }
+
+  /**
+   * Aggregation pipeline computing every analytics breakdown in one pass
+   * @param {Object} filters - { department, semester, section, facultyId }
+   * @param {Object} range - From getRange
+   * @param {string} granularity - 'day' or 'week'
+   * @returns {Array}
+   */
+  buildPipeline(filters, range, granularity) {
+    const accumulators = this.getGroupAccumulators();
+
+    const periodExpression = granularity === 'week'
+      ? { $dateToString: { format: '%G-W%V', date: '$date', timezone: TIMEZONE } }
+      : { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: TIMEZONE } };
+
+    return [
+      { $match: this.buildMatch(filters, range) },
+      // Count the present list itself - it is what corrections and disputes edit
+      { $addFields: { presentCount: { $size: { $ifNull: ['$presentStudents', []] } } } },
+      {
+        $addFields: {
+          attendanceRate: {
+            $cond: [
+              { $gt: ['$totalStudents', 0] },
+              { $min: [1, { $divide: ['$presentCount', '$totalStudents'] }] },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $facet: {
+          summary: [{ $group: { _id: null, ...accumulators } }],
+          trend: [
+            { $group: { _id: periodExpression, ...accumulators } },
+            { $sort: { _id: 1 } }
+          ],
+          departments: [
+            { $group: { _id: '$department', ...accumulators } },
+            { $sort: { _id: 1 } }
+          ],
+          sections: [
+            { $group: { _id: { department: '$department', semester: '$semester', section: '$section' }, ...accumulators } }
+          ],
+          faculty: [
+            { $group: { _id: '$facultyId', facultyName: { $last: '$facultyName' }, ...accumulators } },
+            { $sort: { sessions: -1 } }
+          ],
+          dayOfWeek: [
+            { $group: { _id: { $dayOfWeek: { date: '$date', timezone: TIMEZONE } }, ...accumulators } },
+            { $sort: { _id: 1 } }
+          ],
+          hourOfDay: [
+            { $group: { _id: { $hour: { date: '$date', timezone: TIMEZONE } }, ...accumulators } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ];
+  }
+
+  /**
+   * Attendance analytics for a department, semester, section or faculty (or the whole institution)
+   * @param {Object} filters - { department, semester, section, facultyId, from, to, granularity: 'day'|'week' }
+   * @returns {Promise<Object>} - Summary, trend, breakdowns, day/hour patterns and outlier sections
+   */
+  async getAnalytics(filters = {}) {
+    const range = this.getRange(filters.from, filters.to);
+    const granularity = filters.granularity === 'week' ? 'week' : 'day';
+
+    const [result] = await AttendanceRecord.aggregate(this.buildPipeline(filters, range, granularity));
+
+    const coverage = await this.getScheduleCoverage(filters, range);
+
+    const sectionRows = result.sections.map(group => {
+      const key = [group._id.department, group._id.semester, group._id.section].join('|');
+      const schedule = coverage.get(key) || { scheduled: 0, held: 0, missed: 0, cancelled: 0 };
+      coverage.delete(key);
+      return { ...this.toRow(group, group._id), ...schedule };
+    });
+
+    // Timetabled sections that recorded no attendance at all in the period
+    coverage.forEach((schedule, key) => {
+      if (schedule.scheduled === 0) return;
+      const [department, semester, section] = key.split('|');
+      sectionRows.push({
+        department, semester, section,
+        sessions: 0, averageAttendance: 0, presentCount: 0, expectedCount: 0,
+        ...schedule
+      });
+    });
+
+    const sections = this.flagOutliers(sectionRows)
+      .sort((a, b) => a.department.localeCompare(b.department) ||
+        a.semester.localeCompare(b.semester, undefined, { numeric: true }) ||
+        a.section.localeCompare(b.section));
+
+    const summaryGroup = result.summary[0] || { sessions: 0, averageAttendance: 0, presentCount: 0, expectedCount: 0 };
+    const schedule = sections.reduce((totals, section) => ({
+      scheduled: totals.scheduled + section.scheduled,
+      held: totals.held + section.held,
+      missed: totals.missed + section.missed,
+      cancelled: totals.cancelled + section.cancelled
+    }), { scheduled: 0, held: 0, missed: 0, cancelled: 0 });
+
+    return {
+      range: { from: range.fromDate, to: range.toDate, granularity, maxDays: MAX_RANGE_DAYS },
+      summary: {
+        ...this.toRow(summaryGroup, {}),
+        weightedAttendance: summaryGroup.expectedCount > 0
+          ? this.toPercentage(summaryGroup.presentCount / summaryGroup.expectedCount)
+          : 0,
+        ...schedule,
+        coverage: schedule.scheduled > 0 ? this.toPercentage(schedule.held / schedule.scheduled) : null
+      },
+      trend: result.trend.map(group => this.toRow(group, { period: group._id })),
+      departments: result.departments.map(group => this.toRow(group, { department: group._id })),
+      sections,
+      outliers: sections.filter(section => section.outlier),
+      faculty: result.faculty.map(group => this.toRow(group, { facultyId: group._id, facultyName: group.facultyName })),
+      // MongoDB numbers days 1 (Sunday) to 7
+      dayOfWeek: result.dayOfWeek.map(group => this.toRow(group, { day: DAY_LABELS[group._id - 1] })),
+      hourOfDay: result.hourOfDay.map(group => this.toRow(group, { hour: `${String(group._id).padStart(2, '0')}:00` }))
+    };
+  }
+
+  /**
+   * Export one dataset of the analytics as CSV
+   * @param {Object} analytics - Result of getAnalytics
+   * @param {string} dataset - Key of CSV_DATASETS
+   * @returns {string}
+   */
+  toCSV(analytics, dataset) {
+    const columns = CSV_DATASETS[dataset];
+    if (!columns) {
+      throw new Error(`Dataset must be one of ${Object.keys(CSV_DATASETS).join(', ')}`);
+    }
+
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns, ...analytics[dataset].map(row => columns.map(column => row[column]))]
+      .map(line => line.map(escape).join(','));
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new AttendanceAnalyticsService();
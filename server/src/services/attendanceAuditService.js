@@ -0,0 +1,180 @@
+const AttendanceAuditLog = require('../models/AttendanceAuditLog');
+
+/**
+ * Service for the immutable audit trail of manual attendance edits
+ */
+class AttendanceAuditService {
+  /**
+   * Build the actor/request context of an edit from an Express request
+   * @param {Object} req - Express request (faculty via auth middleware or admin)
+   * @param {string} reason - Optional reason given for the edit
+   * @returns {Object} - { changedBy, ipAddress, userAgent, reason }
+   */
+  getRequestContext(req, reason) {
+    const changedBy = req.admin
+      ? { role: 'admin', id: req.admin.id, name: req.admin.name }
+      : { role: req.user.role, id: req.user.facultyId || req.user.studentId || req.user._id.toString(), name: req.user.name };
+
+    return {
+      changedBy,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      reason: reason ? String(reason).trim().slice(0, 500) : undefined
+    };
+  }
+
+  /**
+   * Status of every roll number in a record
+   * @param {Object} record - { presentStudents, absentees, excusedStudents }
+   * @returns {Map<string, string>}
+   */
+  getStatusMap(record) {
+    const statuses = new Map();
+    (record.absentees || []).forEach(roll => statuses.set(String(roll), 'absent'));
+    (record.excusedStudents || []).forEach(roll => statuses.set(String(roll), 'excused'));
+    (record.presentStudents || []).forEach(roll => statuses.set(String(roll), 'present'));
+    return statuses;
+  }
+
+  /**
+   * Per-student status changes between two versions of a record
+   * @param {Object} before - Record before the edit
+   * @param {Object} after - Record after the edit
+   * @returns {Array<Object>} - [{ rollNumber, fromStatus, toStatus }]
+   */
+  diffRecord(before, after) {
+    const beforeStatuses = this.getStatusMap(before);
+    const afterStatuses = this.getStatusMap(after);
+    const rollNumbers = new Set([...beforeStatuses.keys(), ...afterStatuses.keys()]);
+    const changes = [];
+
+    rollNumbers.forEach(rollNumber => {
+      const fromStatus = beforeStatuses.get(rollNumber) || 'none';
+      const toStatus = afterStatuses.get(rollNumber) || 'none';
+      if (fromStatus !== toStatus) {
+        changes.push({ rollNumber, fromStatus, toStatus });
+      }
+    });
+
+    return changes.sort((a, b) => a.rollNumber.localeCompare(b.rollNumber, undefined, { numeric: true }));
+  }
+
+  /**
+   * Append audit entries for changes made to a record
+   * @param {Object} record - AttendanceRecord (before or after, used for the session snapshot)
+   * @param {Array<Object>} changes - From diffRecord
+   * @param {string} action - One of the AttendanceAuditLog actions
+   * @param {Object} context - From getRequestContext
+   * @returns {Promise<Array>} - Created entries
+   */
+  async logChanges(record, changes, action, context) {
+    return this.insertEntries({
+      attendanceRecord: record._id,
+      sessionId: record.sessionId,
+      sessionDate: record.date
+    }, record, changes, action, context);
+  }
+
+  /**
+   * Append audit entries for changes made while a QR session is running
+   * (before its attendance record exists)
+   * @param {Object} session - QR session
+   * @param {Array<Object>} changes - [{ rollNumber, fromStatus, toStatus }]
+   * @param {string} action - One of the AttendanceAuditLog actions
+   * @param {Object} context - From getRequestContext
+   * @returns {Promise<Array>} - Created entries
+   */
+  async logSessionChanges(session, changes, action, context) {
+    return this.insertEntries({
+      sessionId: session.sessionId,
+      sessionDate: session.createdAt
+    }, session, changes, action, context);
+  }
+
+  /**
+   * Insert one audit entry per change with a snapshot of the session
+   * @param {Object} reference - { attendanceRecord, sessionId, sessionDate }
+   * @param {Object} source - Record or session the snapshot is taken from
+   * @param {Array<Object>} changes
+   * @param {string} action
+   * @param {Object} context
+   * @returns {Promise<Array>}
+   */
+  async insertEntries(reference, source, changes, action, context) {
+    if (changes.length === 0) {
+      return [];
+    }
+
+    const entries = changes.map(change => ({
+      ...reference,
+      facultyId: source.facultyId,
+      department: source.department,
+      semester: source.semester,
+      section: source.section,
+      subjectCode: source.subjectCode,
+      subjectName: source.subjectName,
+      rollNumber: change.rollNumber,
+      fromStatus: change.fromStatus,
+      toStatus: change.toStatus,
+      action,
+      ...context
+    }));
+
+    const created = await AttendanceAuditLog.insertMany(entries);
+    console.log(`🧾 Audit: ${created.length} change(s) on ${reference.attendanceRecord ? `record ${reference.attendanceRecord}` : `session ${reference.sessionId}`} by ${context.changedBy.role} ${context.changedBy.id}`);
+    return created;
+  }
+
+  /**
+   * Audit history of one attendance record, including edits made while its session ran, newest first
+   * @param {Object} record - AttendanceRecord
+   * @returns {Promise<Array>}
+   */
+  async getRecordHistory(record) {
+    const query = record.sessionId
+      ? { $or: [{ attendanceRecord: record._id }, { sessionId: record.sessionId }] }
+      : { attendanceRecord: record._id };
+    return AttendanceAuditLog.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Search the audit log
+   * @param {Object} filters - { facultyId, rollNumber, department, semester, section, action, changedById, from, to }
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>} - { entries, pagination }
+   */
+  async search(filters = {}, page = 1, limit = 50) {
+    const query = {};
+    if (filters.facultyId) query.facultyId = filters.facultyId;
+    if (filters.rollNumber) query.rollNumber = filters.rollNumber;
+    if (filters.department) query.department = filters.department;
+    if (filters.semester) query.semester = filters.semester;
+    if (filters.section) query.section = filters.section;
+    if (filters.action) query.action = filters.action;
+    if (filters.changedById) query['changedBy.id'] = filters.changedById;
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      AttendanceAuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AttendanceAuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new AttendanceAuditService();
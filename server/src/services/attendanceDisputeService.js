@@ -0,0 +1,240 @@
+const AttendanceDispute = require('../models/AttendanceDispute');
+const AttendanceRecord = require('../models/AttendanceRecord');
+const attendanceRecordService = require('./attendanceRecordService');
+const attendanceAuditService = require('./attendanceAuditService');
+const webhookService = require('./webhookService');
+const { generatePresignedUploadUrl, generatePresignedViewUrl, generateDisputeEvidenceKey, deleteFile } = require('../config/s3');
+
+const ALLOWED_EVIDENCE_TYPES = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+
+/**
+ * Service for student disputes of absences in attendance records
+ */
+class AttendanceDisputeService {
+  /**
+   * Presigned S3 upload URL for dispute evidence
+   * @param {Object} student - Authenticated student user
+   * @param {string} fileName
+   * @param {string} fileType
+   * @returns {Promise<Object>} - { uploadUrl, s3Key }
+   */
+  async getEvidenceUploadUrl(student, fileName, fileType) {
+    if (!ALLOWED_EVIDENCE_TYPES.includes(fileType)) {
+      throw new Error('Invalid file type. Please upload a PDF, JPG or PNG file.');
+    }
+
+    const s3Key = generateDisputeEvidenceKey(student.studentId, fileName);
+    const uploadUrl = await generatePresignedUploadUrl(s3Key, fileType, 300);
+    return { uploadUrl, s3Key };
+  }
+
+  /**
+   * Identifiers the student may appear under in records (roll number or email)
+   * @param {Object} student
+   * @returns {Array<string>}
+   */
+  getStudentIdentifiers(student) {
+    return [student.classRollNumber, student.universityRollNumber, student.email].filter(Boolean);
+  }
+
+  /**
+   * Dispute an absence in an attendance record
+   * @param {Object} student - Authenticated student user
+   * @param {Object} data - { attendanceRecordId, reason, evidenceKey, evidenceName }
+   * @returns {Promise<Object>} - Created dispute
+   */
+  async createDispute(student, data) {
+    const { attendanceRecordId, reason, evidenceKey, evidenceName } = data;
+
+    if (!reason || !reason.trim()) {
+      throw new Error('Reason is required');
+    }
+
+    // Evidence must have been uploaded through this student's presigned URL
+    if (evidenceKey && !evidenceKey.startsWith(`attendance-disputes/${student.studentId}/`)) {
+      throw new Error('Invalid evidence file');
+    }
+
+    const record = await AttendanceRecord.findById(attendanceRecordId);
+    if (!record) {
+      throw new Error('Attendance record not found. It may have expired.');
+    }
+    if (record.department !== student.course || record.semester !== student.semester || record.section !== student.section) {
+      throw new Error('You are not authorized to dispute this attendance record');
+    }
+
+    const identifiers = this.getStudentIdentifiers(student);
+    if ((record.presentStudents || []).some(id => identifiers.includes(id))) {
+      throw new Error('You are already marked present in this session');
+    }
+
+    const rollNumber = (record.absentees || []).find(id => identifiers.includes(id));
+    if (!rollNumber) {
+      throw new Error('You are not marked absent in this session. Please contact your faculty.');
+    }
+
+    const existing = await AttendanceDispute.findOne({
+      attendanceRecord: record._id,
+      student: student._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (existing) {
+      throw new Error(`You have already disputed this session (${existing.status})`);
+    }
+
+    return AttendanceDispute.create({
+      attendanceRecord: record._id,
+      student: student._id,
+      studentId: student.studentId,
+      studentName: student.name,
+      rollNumber,
+      facultyId: record.facultyId,
+      department: record.department,
+      semester: record.semester,
+      section: record.section,
+      subjectCode: record.subjectCode,
+      subjectName: record.subjectName,
+      sessionDate: record.date,
+      reason: reason.trim(),
+      evidenceKey,
+      evidenceName
+    });
+  }
+
+  /**
+   * Disputes of a student, newest first
+   * @param {Object} student
+   * @returns {Promise<Array>}
+   */
+  async getStudentDisputes(student) {
+    return AttendanceDispute.find({ student: student._id }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Cancel a pending dispute (student)
+   * @param {string} disputeId
+   * @param {Object} student
+   * @returns {Promise<Object>}
+   */
+  async cancelDispute(disputeId, student) {
+    const dispute = await AttendanceDispute.findOne({ _id: disputeId, student: student._id });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.status !== 'pending') {
+      throw new Error('Only pending disputes can be cancelled');
+    }
+
+    dispute.status = 'cancelled';
+    await dispute.save();
+
+    if (dispute.evidenceKey) {
+      try {
+        await deleteFile(dispute.evidenceKey);
+      } catch (deleteError) {
+        console.error('Error deleting dispute evidence:', deleteError);
+      }
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Disputes of the records a faculty owns
+   * @param {Object} faculty - Authenticated faculty user
+   * @param {string} status - Optional status filter
+   * @returns {Promise<Array>}
+   */
+  async getFacultyQueue(faculty, status) {
+    const query = { facultyId: faculty.facultyId };
+    if (status) query.status = status;
+    return AttendanceDispute.find(query).sort({ createdAt: -1 }).limit(500).lean();
+  }
+
+  /**
+   * Short-lived URL to view a dispute's evidence
+   * @param {string} disputeId
+   * @param {Object} viewer - Authenticated student or faculty user
+   * @returns {Promise<string|null>}
+   */
+  async getEvidenceUrl(disputeId, viewer) {
+    const dispute = await AttendanceDispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    const isOwner = viewer.role === 'student' && dispute.student.toString() === viewer._id.toString();
+    const isReviewer = viewer.role === 'faculty' && dispute.facultyId === viewer.facultyId;
+    if (!isOwner && !isReviewer) {
+      throw new Error('Unauthorized');
+    }
+
+    if (!dispute.evidenceKey) return null;
+    return generatePresignedViewUrl(dispute.evidenceKey, 900);
+  }
+
+  /**
+   * Accept or reject a pending dispute. Accepting moves the student from
+   * absent to present in the record; both decisions go to the audit log.
+   * @param {string} disputeId
+   * @param {Object} faculty - Authenticated faculty user (record owner)
+   * @param {string} decision - 'accepted' or 'rejected'
+   * @param {Object} context - Audit context from attendanceAuditService.getRequestContext
+   * @returns {Promise<Object>} - Updated dispute
+   */
+  async reviewDispute(disputeId, faculty, decision, context) {
+    const dispute = await AttendanceDispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.facultyId !== faculty.facultyId) {
+      throw new Error('You are not authorized to review this dispute');
+    }
+    if (dispute.status !== 'pending') {
+      throw new Error(`This dispute has already been ${dispute.status}`);
+    }
+
+    const record = await AttendanceRecord.findById(dispute.attendanceRecord);
+    if (!record) {
+      throw new Error('Attendance record not found. It may have expired.');
+    }
+
+    let toStatus = 'absent';
+    let updatedRecord = null;
+    if (decision === 'accepted') {
+      toStatus = 'present';
+      if ((record.absentees || []).includes(dispute.rollNumber)) {
+        updatedRecord = await attendanceRecordService.moveStudent(record, dispute.rollNumber, 'absent', 'present');
+      } else if (!(record.presentStudents || []).includes(dispute.rollNumber)) {
+        throw new Error(`Roll number ${dispute.rollNumber} is no longer on this attendance record`);
+      }
+    }
+
+    dispute.status = decision;
+    dispute.reviewedBy = { role: 'faculty', id: faculty.facultyId, name: faculty.name };
+    dispute.reviewedAt = new Date();
+    dispute.reviewNote = context.reason;
+    await dispute.save();
+
+    await attendanceAuditService.logChanges(
+      record,
+      [{ rollNumber: dispute.rollNumber, fromStatus: 'absent', toStatus }],
+      decision === 'accepted' ? 'dispute-accepted' : 'dispute-rejected',
+      { ...context, reason: context.reason || `Student dispute: ${dispute.reason}`.slice(0, 500) }
+    );
+
+    if (updatedRecord) {
+      webhookService.emitRecordUpdated(
+        updatedRecord,
+        [{ rollNumber: dispute.rollNumber, fromStatus: 'absent', toStatus: 'present' }],
+        'dispute-accepted',
+        context.changedBy
+      );
+    }
+
+    console.log(`⚖️ Attendance dispute ${dispute._id} ${decision} by faculty ${faculty.facultyId}`);
+    return dispute;
+  }
+}
+
+module.exports = new AttendanceDisputeService();
@@ -0,0 +1,356 @@
+const AttendanceLedger = require('../models/AttendanceLedger');
+const LedgerArchivePolicy = require('../models/LedgerArchivePolicy');
+const User = require('../models/User');
+const subjectService = require('./subjectService');
+const scheduledJobService = require('./scheduledJobService');
+
+/**
+ * Service for the durable per-student, per-subject attendance ledger
+ */
+class AttendanceLedgerService {
+  constructor() {
+    this.ARCHIVE_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily
+
+    // Apply archive policy periodically - on one process only
+    scheduledJobService.register('ledger-archive', this.ARCHIVE_INTERVAL_MS, () => this.applyArchivePolicy());
+  }
+
+  /**
+   * Sessions that count towards the percentage (excused absences are excluded)
+   * @param {Object} ledger
+   * @returns {number}
+   */
+  getCountedSessions(ledger) {
+    return ledger.totalSessions - (ledger.excusedCount || 0);
+  }
+
+  /**
+   * Running attendance percentage of a ledger
+   * @param {Object} ledger
+   * @returns {number}
+   */
+  calculatePercentage(ledger) {
+    const countedSessions = this.getCountedSessions(ledger);
+    return countedSessions > 0
+      ? Math.round((ledger.presentCount / countedSessions) * 100)
+      : 0;
+  }
+
+  /**
+   * Build the subject key used to group a session in the ledger
+   * @param {Object} session - Ended QR session
+   * @returns {Object} - { subjectKey, subjectName }
+   */
+  getSubjectForSession(session) {
+    // Sessions started before subjects existed are grouped by faculty
+    if (!session.subjectId) {
+      return {
+        subjectKey: session.facultyId,
+        subjectName: session.facultyName
+      };
+    }
+
+    return {
+      subjectKey: session.subjectId.toString(),
+      subjectName: subjectService.formatSubject(session)
+    };
+  }
+
+  /**
+   * Record an ended session in the ledger of every student on the section roster
+   * @param {Object} session - Ended QR session document
+   * @param {Object} attendanceRecord - AttendanceRecord created for the session
+   * @returns {Promise<Object>} - Counts of ledgers written
+   */
+  async recordSession(session, attendanceRecord) {
+    try {
+      const students = await User.find({
+        role: 'student',
+        course: session.department,
+        semester: session.semester,
+        section: session.section
+      }).select('_id studentId name email classRollNumber universityRollNumber').lean();
+
+      if (students.length === 0) {
+        return { written: 0, present: 0 };
+      }
+
+      const present = new Set(attendanceRecord.presentStudents || []);
+      const excused = new Set(attendanceRecord.excusedStudents || []);
+      const { subjectKey, subjectName } = this.getSubjectForSession(session);
+      const date = attendanceRecord.date || session.createdAt;
+      let presentTotal = 0;
+
+      const operations = students.map(student => {
+        const isPresent = present.has(student.classRollNumber) ||
+          present.has(student.universityRollNumber) ||
+          present.has(student.email);
+        const isExcused = !isPresent && (excused.has(student.classRollNumber) ||
+          excused.has(student.universityRollNumber) ||
+          excused.has(student.email));
+        if (isPresent) presentTotal++;
+
+        return {
+          updateOne: {
+            filter: { student: student._id, subjectKey, semester: session.semester },
+            update: {
+              $set: {
+                studentId: student.studentId,
+                studentName: student.name,
+                classRollNumber: student.classRollNumber,
+                universityRollNumber: student.universityRollNumber,
+                subjectName,
+                facultyId: session.facultyId,
+                facultyName: session.facultyName,
+                department: session.department,
+                section: session.section,
+                lastSessionAt: date,
+                archived: false
+              },
+              $unset: { archivedAt: '' },
+              $push: {
+                entries: {
+                  sessionId: session.sessionId,
+                  attendanceRecordId: attendanceRecord._id,
+                  date,
+                  status: isPresent ? 'present' : (isExcused ? 'excused' : 'absent')
+                }
+              },
+              $inc: {
+                totalSessions: 1,
+                presentCount: isPresent ? 1 : 0,
+                excusedCount: isExcused ? 1 : 0
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+      await AttendanceLedger.bulkWrite(operations, { ordered: false });
+
+      return { written: operations.length, present: presentTotal };
+    } catch (error) {
+      console.error('Error writing attendance ledger:', error);
+      throw new Error(`Failed to write attendance ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the per-subject attendance summary of a student
+   * @param {Object} student - Authenticated student user
+   * @returns {Promise<Array>} - Summary rows sorted by subject name
+   */
+  async getStudentSummary(student) {
+    const ledgers = await AttendanceLedger.findActiveForStudent(student._id, student.semester)
+      .select('-entries')
+      .lean();
+
+    return ledgers
+      .map(ledger => ({
+        subjectKey: ledger.subjectKey,
+        subjectName: ledger.subjectName,
+        facultyId: ledger.facultyId,
+        facultyName: ledger.facultyName,
+        totalDays: ledger.totalSessions,
+        presentDays: ledger.presentCount,
+        excusedDays: ledger.excusedCount || 0,
+        attendancePercentage: this.calculatePercentage(ledger),
+        lastDate: ledger.lastSessionAt
+      }))
+      .sort((a, b) => (a.subjectName || '').localeCompare(b.subjectName || ''));
+  }
+
+  /**
+   * Get the session-by-session attendance of a student for one subject
+   * @param {Object} student - Authenticated student user
+   * @param {string} subjectKey - Subject key
+   * @returns {Promise<Object|null>} - Ledger details or null if not found
+   */
+  async getStudentSubjectDetails(student, subjectKey) {
+    const ledger = await AttendanceLedger.findOne({
+      student: student._id,
+      subjectKey,
+      semester: student.semester,
+      archived: false
+    }).lean();
+
+    if (!ledger) {
+      return null;
+    }
+
+    const entries = [...ledger.entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      subjectKey: ledger.subjectKey,
+      subjectName: ledger.subjectName,
+      facultyName: ledger.facultyName,
+      totalDays: ledger.totalSessions,
+      presentDays: ledger.presentCount,
+      excusedDays: ledger.excusedCount || 0,
+      attendancePercentage: this.calculatePercentage(ledger),
+      entries
+    };
+  }
+
+  /**
+   * Mark a student's absences within a period as excused (approved leave)
+   * @param {Object} studentObjectId - User _id of the student
+   * @param {Date} from - Start of the period (inclusive)
+   * @param {Date} to - End of the period (exclusive)
+   * @returns {Promise<number>} - Number of entries excused
+   */
+  async excuseAbsences(studentObjectId, from, to) {
+    const ledgers = await AttendanceLedger.find({
+      student: studentObjectId,
+      entries: { $elemMatch: { status: 'absent', date: { $gte: from, $lt: to } } }
+    });
+
+    let excusedTotal = 0;
+
+    for (const ledger of ledgers) {
+      let excused = 0;
+      ledger.entries.forEach(entry => {
+        if (entry.status === 'absent' && entry.date >= from && entry.date < to) {
+          entry.status = 'excused';
+          excused++;
+        }
+      });
+
+      ledger.excusedCount = (ledger.excusedCount || 0) + excused;
+      await ledger.save();
+      excusedTotal += excused;
+    }
+
+    return excusedTotal;
+  }
+
+  /**
+   * Apply a manual correction of one student's status in an attendance record
+   * to that student's ledger entry
+   * @param {Object} attendanceRecord - Corrected AttendanceRecord
+   * @param {string} identifier - Roll number or email the student appears under in the record
+   * @param {string} status - New status ('present', 'absent' or 'excused')
+   * @returns {Promise<boolean>} - Whether a ledger entry changed
+   */
+  async applyRecordCorrection(attendanceRecord, identifier, status) {
+    const student = await User.findOne({
+      role: 'student',
+      course: attendanceRecord.department,
+      semester: attendanceRecord.semester,
+      section: attendanceRecord.section,
+      $or: [
+        { classRollNumber: identifier },
+        { universityRollNumber: identifier },
+        { email: identifier }
+      ]
+    }).select('_id').lean();
+
+    if (!student) {
+      return false;
+    }
+
+    const ledger = await AttendanceLedger.findOne({
+      student: student._id,
+      'entries.attendanceRecordId': attendanceRecord._id
+    });
+    if (!ledger) {
+      return false;
+    }
+
+    const entry = ledger.entries.find(item =>
+      item.attendanceRecordId && item.attendanceRecordId.toString() === attendanceRecord._id.toString()
+    );
+    if (entry.status === status) {
+      return false;
+    }
+
+    const delta = { present: 0, excused: 0 };
+    if (entry.status in delta) delta[entry.status]--;
+    if (status in delta) delta[status]++;
+
+    entry.status = status;
+    ledger.presentCount += delta.present;
+    ledger.excusedCount = (ledger.excusedCount || 0) + delta.excused;
+    await ledger.save();
+    return true;
+  }
+
+  /**
+   * Get the current archive policy
+   * @returns {Promise<Object>} - Policy document
+   */
+  async getArchivePolicy() {
+    return LedgerArchivePolicy.getPolicy();
+  }
+
+  /**
+   * Update the archive policy
+   * @param {Object} updates - Policy fields to update
+   * @param {string} updatedBy - Admin identifier
+   * @returns {Promise<Object>} - Updated policy document
+   */
+  async updateArchivePolicy(updates, updatedBy) {
+    const policy = await LedgerArchivePolicy.getPolicy();
+    const { enabled, archiveAfterDays, archivePreviousSemesters } = updates;
+
+    if (enabled !== undefined) policy.enabled = Boolean(enabled);
+    if (archiveAfterDays !== undefined) policy.archiveAfterDays = Number(archiveAfterDays);
+    if (archivePreviousSemesters !== undefined) policy.archivePreviousSemesters = Boolean(archivePreviousSemesters);
+    policy.updatedBy = updatedBy;
+
+    await policy.save();
+    return policy;
+  }
+
+  /**
+   * Archive ledgers according to the configured policy. Ledgers are never deleted.
+   * @param {Object} options - { force: run even when the policy is disabled }
+   * @returns {Promise<Object>} - Number of ledgers archived
+   */
+  async applyArchivePolicy({ force = false } = {}) {
+    const policy = await LedgerArchivePolicy.getPolicy();
+    if (!policy.enabled && !force) {
+      return { archived: 0, skipped: true };
+    }
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - policy.archiveAfterDays * 24 * 60 * 60 * 1000);
+
+    const staleResult = await AttendanceLedger.updateMany(
+      { archived: false, lastSessionAt: { $lt: cutoff } },
+      { $set: { archived: true, archivedAt: now } }
+    );
+    let archived = staleResult.modifiedCount || 0;
+
+    if (policy.archivePreviousSemesters) {
+      const previousSemesterLedgers = await AttendanceLedger.aggregate([
+        { $match: { archived: false } },
+        { $lookup: { from: 'users', localField: 'student', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: { $expr: { $ne: ['$user.semester', '$semester'] } } },
+        { $project: { _id: 1 } }
+      ]);
+
+      if (previousSemesterLedgers.length > 0) {
+        const semesterResult = await AttendanceLedger.updateMany(
+          { _id: { $in: previousSemesterLedgers.map(l => l._id) } },
+          { $set: { archived: true, archivedAt: now } }
+        );
+        archived += semesterResult.modifiedCount || 0;
+      }
+    }
+
+    policy.lastRunAt = now;
+    policy.lastRunArchivedCount = archived;
+    await policy.save();
+
+    if (archived > 0) {
+      console.log(`📦 Archived ${archived} attendance ledgers`);
+    }
+
+    return { archived, skipped: false };
+  }
+}
+
+module.exports = new AttendanceLedgerService();
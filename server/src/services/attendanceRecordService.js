@@ -3,6 +3,8 @@ const path = require('path');
 const { cloudinary } = require('../config/cloudinary');
 const reportService = require('./reportService');
 const AttendanceRecord = require('../models/AttendanceRecord');
+const attendanceLedgerService = require('./attendanceLedgerService');
+const rosterService = require('./rosterService');
 
 /**
  * Service for managing attendance records and PDF reports
@@ -65,6 +67,8 @@ class AttendanceRecordService {
         department: record.department,
         semester: record.semester,
         section: record.section,
+        subjectCode: record.subjectCode,
+        subjectName: record.subjectName,
         totalStudents: record.totalStudents,
         presentStudents: record.presentStudents,
         absentees: record.absentees,
@@ -232,7 +236,7 @@ class AttendanceRecordService {
   /**
    * Get attendance records for a specific faculty
    * @param {string} facultyId - ID of the faculty
-   * @param {Object} filters - Optional filters for department, section, date
+   * @param {Object} filters - Optional filters for department, section, subject, date
    * @param {number} limit - Maximum number of records to return
    * @returns {Promise<Array>} - List of attendance records
    */
@@ -244,6 +248,7 @@ class AttendanceRecordService {
       // Add optional filters
       if (filters.department) query.department = filters.department;
       if (filters.section) query.section = filters.section;
+      if (filters.subjectId) query.subjectId = filters.subjectId;
       if (filters.date) {
         const date = new Date(filters.date);
         const nextDay = new Date(date);
@@ -337,6 +342,48 @@ class AttendanceRecordService {
       throw new Error(`Failed to update attendance record: ${error.message}`);
     }
   }
+
+  /**
+   * Move a student between the present and absent lists of a record
+   * and apply the change to the student's attendance ledger
+   * @param {Object} record - AttendanceRecord document
+   * @param {string} rollNumber - Roll number (or email) to move
+   * @param {string} fromStatus - 'present' or 'absent'
+   * @param {string} toStatus - 'present' or 'absent'
+   * @returns {Promise<Object>} - Updated attendance record
+   */
+  async moveStudent(record, rollNumber, fromStatus, toStatus) {
+    const sourceList = fromStatus === 'present' ? record.presentStudents : record.absentees;
+    if (!(sourceList || []).includes(rollNumber)) {
+      throw new Error(`Student with roll number ${rollNumber} is not in ${fromStatus} list`);
+    }
+
+    let presentStudents = (record.presentStudents || []).filter(roll => roll !== rollNumber);
+    let absentees = (record.absentees || []).filter(roll => roll !== rollNumber);
+    if (toStatus === 'present') {
+      presentStudents.push(rollNumber);
+    } else {
+      absentees.push(rollNumber);
+    }
+
+    // Sort the arrays for consistency
+    presentStudents.sort(rosterService.compareRollNumbers);
+    absentees.sort(rosterService.compareRollNumbers);
+
+    const updatedRecord = await this.updateAttendanceRecord(record._id, {
+      presentStudents,
+      absentees,
+      presentCount: presentStudents.length
+    });
+
+    try {
+      await attendanceLedgerService.applyRecordCorrection(updatedRecord, rollNumber, toStatus);
+    } catch (ledgerError) {
+      console.error('⚠️ Failed to apply correction to attendance ledger:', ledgerError);
+    }
+
+    return updatedRecord;
+  }
 }
 
 module.exports = new AttendanceRecordService();
\ No newline at end of file
@@ -0,0 +1,441 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const AttendanceLedger = require('../models/AttendanceLedger');
+const rosterService = require('./rosterService');
+const timetableService = require('./timetableService');
+
+const STATUS_CODES = { present: 'P', absent: 'A', excused: 'E' };
+const NOT_ENROLLED = '-';
+const EXPORT_FORMATS = ['xlsx', 'csv', 'pdf'];
+
+/**
+ * Consolidated semester register of a section and subject: students as rows,
+ * sessions as columns. Built from the attendance ledger, which (unlike
+ * AttendanceRecord) is kept for the whole semester.
+ */
+class AttendanceRegisterService {
+  /**
+   * Ledger query limiting a faculty to the subjects they are assigned or have taken sessions for
+   * @param {Object} faculty - Authenticated faculty user
+   * @returns {Object} - Mongo filter
+   */
+  getFacultyScopeQuery(faculty) {
+    const subjectKeys = (faculty.teachingAssignments || [])
+      .filter(assignment => assignment.subject)
+      .map(assignment => assignment.subject.toString());
+
+    const scope = [{ facultyId: faculty.facultyId }];
+    if (subjectKeys.length > 0) scope.push({ subjectKey: { $in: subjectKeys } });
+    return { $or: scope };
+  }
+
+  /**
+   * Classes (section and subject) a register can be exported for
+   * @param {Object} scopeQuery - Filter from getFacultyScopeQuery
+   * @returns {Promise<Array>} - { department, semester, section, subjectKey, subjectName, facultyName, lastSessionAt }
+   */
+  async listRegisters(scopeQuery) {
+    const groups = await AttendanceLedger.aggregate([
+      { $match: scopeQuery },
+      { $sort: { lastSessionAt: -1 } },
+      {
+        $group: {
+          _id: { department: '$department', semester: '$semester', section: '$section', subjectKey: '$subjectKey' },
+          subjectName: { $first: '$subjectName' },
+          facultyName: { $first: '$facultyName' },
+          lastSessionAt: { $max: '$lastSessionAt' }
+        }
+      }
+    ]);
+
+    return groups
+      .map(group => ({
+        ...group._id,
+        subjectName: group.subjectName,
+        facultyName: group.facultyName,
+        lastSessionAt: group.lastSessionAt
+      }))
+      .sort((a, b) => a.semester.localeCompare(b.semester, undefined, { numeric: true }) ||
+        a.section.localeCompare(b.section) ||
+        (a.subjectName || '').localeCompare(b.subjectName || ''));
+  }
+
+  /**
+   * Parse the inclusive date range of a register ('YYYY-MM-DD' strings)
+   * @param {string} from
+   * @param {string} to
+   * @returns {Object} - { from, to } Dates (to is exclusive) or null when open
+   */
+  parseRange(from, to) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new Error('Invalid date range');
+    }
+    if (end) end.setDate(end.getDate() + 1);
+    if (start && end && start >= end) {
+      throw new Error('The start date must be on or before the end date');
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Column label of a session
+   * @param {Date} date
+   * @returns {string} - e.g. "18/10 09:30"
+   */
+  formatSessionLabel(date) {
+    const day = timetableService.formatLocal(date, 'en-GB', { day: '2-digit', month: '2-digit' });
+    const time = timetableService.formatLocal(date, 'en-GB', { hour: '2-digit', minute: '2-digit' });
+    return `${day} ${time}`;
+  }
+
+  /**
+   * Build the register matrix
+   * @param {Object} scopeQuery - Filter from getFacultyScopeQuery
+   * @param {Object} params - { department, semester, section, subjectKey, from, to }
+   * @returns {Promise<Object>} - Register with sessions, student rows and totals
+   */
+  async buildRegister(scopeQuery, params) {
+    const { department, semester, section, subjectKey } = params;
+    if (!department || !semester || !section || !subjectKey) {
+      throw new Error('Department, semester, section and subject are required');
+    }
+    const range = this.parseRange(params.from, params.to);
+
+    const [ledgers, roster] = await Promise.all([
+      AttendanceLedger.find({ department, semester, section, subjectKey, ...scopeQuery }).lean(),
+      rosterService.getSectionRoster(department, semester, section)
+    ]);
+
+    if (ledgers.length === 0) {
+      throw new Error('No attendance found for this class');
+    }
+
+    const inRange = (entry) => (!range.from || entry.date >= range.from) && (!range.to || entry.date < range.to);
+
+    // Columns: every session of the class within the range, oldest first
+    const sessionsById = new Map();
+    ledgers.forEach(ledger => {
+      ledger.entries.filter(inRange).forEach(entry => {
+        if (!sessionsById.has(entry.sessionId)) {
+          sessionsById.set(entry.sessionId, { sessionId: entry.sessionId, date: entry.date });
+        }
+      });
+    });
+    const sessions = [...sessionsById.values()]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(session => ({ ...session, label: this.formatSessionLabel(session.date) }));
+    const columnIndex = new Map(sessions.map((session, index) => [session.sessionId, index]));
+
+    // Rows: the current roster in roll number order, then students who have since left the section
+    const ledgerByStudent = new Map(ledgers.map(ledger => [ledger.student.toString(), ledger]));
+    const rosterIds = new Set(roster.map(entry => entry.student.toString()));
+    const formerStudents = ledgers
+      .filter(ledger => !rosterIds.has(ledger.student.toString()) && ledger.entries.some(inRange))
+      .sort((a, b) => rosterService.compareRollNumbers(a.classRollNumber, b.classRollNumber))
+      .map(ledger => ({
+        student: ledger.student,
+        studentId: ledger.studentId,
+        name: ledger.studentName,
+        classRollNumber: ledger.classRollNumber,
+        universityRollNumber: ledger.universityRollNumber,
+        onRoster: false
+      }));
+
+    const perSessionPresent = sessions.map(() => 0);
+    const students = [...roster.map(entry => ({ ...entry, onRoster: true })), ...formerStudents].map(entry => {
+      const cells = sessions.map(() => NOT_ENROLLED);
+      const counts = { present: 0, absent: 0, excused: 0 };
+      const ledger = ledgerByStudent.get(entry.student.toString());
+
+      (ledger ? ledger.entries : []).filter(inRange).forEach(item => {
+        const index = columnIndex.get(item.sessionId);
+        cells[index] = STATUS_CODES[item.status];
+        counts[item.status]++;
+        if (item.status === 'present') perSessionPresent[index]++;
+      });
+
+      const total = counts.present + counts.absent + counts.excused;
+      const counted = total - counts.excused;
+      return {
+        studentId: entry.studentId,
+        name: entry.name,
+        classRollNumber: entry.classRollNumber,
+        universityRollNumber: entry.universityRollNumber,
+        onRoster: entry.onRoster,
+        cells,
+        ...counts,
+        total,
+        percentage: counted > 0 ? Math.round((counts.present / counted) * 100) : 0
+      };
+    });
+
+    const withSessions = students.filter(student => student.total > 0);
+    const reference = ledgers.reduce((latest, ledger) =>
+      (!latest || ledger.lastSessionAt > latest.lastSessionAt ? ledger : latest), null);
+
+    return {
+      department,
+      semester,
+      section,
+      subjectKey,
+      subjectName: reference.subjectName,
+      facultyName: reference.facultyName,
+      from: params.from || null,
+      to: params.to || null,
+      generatedAt: new Date(),
+      sessions,
+      students,
+      totals: {
+        sessionCount: sessions.length,
+        studentCount: students.length,
+        perSessionPresent,
+        averagePercentage: withSessions.length > 0
+          ? Math.round(withSessions.reduce((sum, student) => sum + student.percentage, 0) / withSessions.length)
+          : 0
+      }
+    };
+  }
+
+  /**
+   * Title line used by every export format
+   * @param {Object} register
+   * @returns {string}
+   */
+  getTitle(register) {
+    return `Attendance Register - ${register.subjectName || register.subjectKey} - ${register.department} ${register.semester}-${register.section}`;
+  }
+
+  /**
+   * Range line used by every export format
+   * @param {Object} register
+   * @returns {string}
+   */
+  getRangeLabel(register) {
+    if (!register.from && !register.to) return 'All sessions this semester';
+    return `${register.from || 'Start of semester'} to ${register.to || 'today'}`;
+  }
+
+  /**
+   * Download filename without extension
+   * @param {Object} register
+   * @returns {string}
+   */
+  getFilename(register) {
+    const subject = (register.subjectName || register.subjectKey).replace(/[^a-z0-9]+/gi, '_');
+    return `register_${register.department}_${register.semester}_${register.section}_${subject}`.replace(/[^a-z0-9_-]+/gi, '_');
+  }
+
+  /**
+   * Header and data rows shared by the CSV and XLSX exports
+   * @param {Object} register
+   * @returns {Object} - { header, rows, footer }
+   */
+  getTableRows(register) {
+    const header = ['Roll No.', 'University Roll No.', 'Name',
+      ...register.sessions.map(session => session.label),
+      'Present', 'Absent', 'Excused', 'Total', 'Percentage'];
+
+    const rows = register.students.map(student => [
+      student.classRollNumber || '',
+      student.universityRollNumber || '',
+      student.onRoster ? student.name : `${student.name} (left section)`,
+      ...student.cells,
+      student.present,
+      student.absent,
+      student.excused,
+      student.total,
+      `${student.percentage}%`
+    ]);
+
+    const footer = ['', '', 'Present',
+      ...register.totals.perSessionPresent,
+      '', '', '', '', `${register.totals.averagePercentage}%`];
+
+    return { header, rows, footer };
+  }
+
+  /**
+   * Export the register as CSV
+   * @param {Object} register
+   * @returns {Buffer}
+   */
+  toCSV(register) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const { header, rows, footer } = this.getTableRows(register);
+    const lines = [[this.getTitle(register)], [this.getRangeLabel(register)], header, ...rows, footer]
+      .map(line => line.map(escape).join(','));
+
+    return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+  }
+
+  /**
+   * Export the register as an Excel workbook
+   * @param {Object} register
+   * @returns {Promise<Buffer>}
+   */
+  async toXLSX(register) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'QuickRoll Attendance System';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('Register', {
+      views: [{ state: 'frozen', xSplit: 3, ySplit: 3 }]
+    });
+    const { header, rows, footer } = this.getTableRows(register);
+    const firstSessionColumn = 4;
+    const lastSessionColumn = firstSessionColumn + register.sessions.length - 1;
+
+    worksheet.addRow([this.getTitle(register)]).font = { bold: true, size: 14 };
+    worksheet.addRow([this.getRangeLabel(register)]);
+
+    const headerRow = worksheet.addRow(header);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+    const fills = {
+      A: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } },
+      E: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } }
+    };
+
+    rows.forEach(values => {
+      const row = worksheet.addRow(values);
+      for (let col = firstSessionColumn; col <= lastSessionColumn; col++) {
+        const cell = row.getCell(col);
+        cell.alignment = { horizontal: 'center' };
+        if (fills[cell.value]) cell.fill = fills[cell.value];
+      }
+    });
+
+    worksheet.addRow(footer).font = { bold: true };
+
+    worksheet.getColumn(1).width = 10;
+    worksheet.getColumn(2).width = 18;
+    worksheet.getColumn(3).width = 30;
+    for (let col = firstSessionColumn; col <= lastSessionColumn; col++) {
+      worksheet.getColumn(col).width = 12;
+    }
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Export the register as a landscape PDF. Sessions that do not fit on one page
+   * continue on further pages, repeating the student columns.
+   * @param {Object} register
+   * @returns {Promise<Buffer>}
+   */
+  toPDF(register) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const pageBottom = doc.page.height - doc.page.margins.bottom;
+      const rowHeight = 16;
+      const studentWidths = [50, 130];
+      const sessionWidth = 30;
+      const totalWidths = [30, 30, 30, 40];
+      const sessionsPerPage = Math.max(1, Math.floor(
+        (doc.page.width - left * 2 - studentWidths[0] - studentWidths[1] - totalWidths.reduce((a, b) => a + b, 0)) / sessionWidth
+      ));
+
+      const sessionPages = [];
+      for (let i = 0; i < Math.max(register.sessions.length, 1); i += sessionsPerPage) {
+        sessionPages.push([i, Math.min(i + sessionsPerPage, register.sessions.length)]);
+      }
+
+      const headerHeight = 24;
+
+      const drawRow = (y, cells, widths, { bold = false, fill = null, height = rowHeight } = {}) => {
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+        cells.forEach((value, index) => {
+          if (fill) doc.rect(x, y, widths[index], height).fillAndStroke(fill, '#999999');
+          else doc.rect(x, y, widths[index], height).stroke('#999999');
+          doc.fillColor(value === 'A' ? '#c62828' : '#000000')
+            .text(String(value), x + 2, y + 4, { width: widths[index] - 4, height: height - 4, align: index === 1 ? 'left' : 'center', ellipsis: true });
+          x += widths[index];
+        });
+      };
+
+      sessionPages.forEach(([start, end], pageIndex) => {
+        if (pageIndex > 0) doc.addPage();
+        const isLast = pageIndex === sessionPages.length - 1;
+        const pageSessions = register.sessions.slice(start, end);
+        const widths = [...studentWidths, ...pageSessions.map(() => sessionWidth), ...(isLast ? totalWidths : [])];
+
+        const drawHeader = () => {
+          doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000')
+            .text(this.getTitle(register), left, doc.page.margins.top);
+          doc.font('Helvetica').fontSize(8)
+            .text(`${this.getRangeLabel(register)} · Sessions ${start + 1}-${end} of ${register.sessions.length} · Generated ${timetableService.formatLocal(register.generatedAt, 'en-IN')}`);
+          const y = doc.y + 6;
+          drawRow(y, ['Roll No.', 'Name', ...pageSessions.map(session => session.label.replace(' ', '\n')),
+            ...(isLast ? ['P', 'A', 'E', '%'] : [])], widths, { bold: true, fill: '#eeeeee', height: headerHeight });
+          return y + headerHeight;
+        };
+
+        let y = drawHeader();
+        register.students.forEach(student => {
+          if (y + rowHeight > pageBottom) {
+            doc.addPage();
+            y = drawHeader();
+          }
+          drawRow(y, [
+            student.classRollNumber || '',
+            student.onRoster ? student.name : `${student.name} (left)`,
+            ...student.cells.slice(start, end),
+            ...(isLast ? [student.present, student.absent, student.excused, `${student.percentage}%`] : [])
+          ], widths);
+          y += rowHeight;
+        });
+
+        if (y + rowHeight > pageBottom) {
+          doc.addPage();
+          y = drawHeader();
+        }
+        drawRow(y, ['', 'Present', ...register.totals.perSessionPresent.slice(start, end),
+          ...(isLast ? ['', '', '', `${register.totals.averagePercentage}%`] : [])], widths, { bold: true });
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Export a register in one of the supported formats
+   * @param {Object} register
+   * @param {string} format - 'xlsx', 'csv' or 'pdf'
+   * @returns {Promise<Object>} - { buffer, contentType, filename }
+   */
+  async export(register, format) {
+    const filename = this.getFilename(register);
+
+    switch (format) {
+      case 'csv':
+        return { buffer: this.toCSV(register), contentType: 'text/csv', filename: `${filename}.csv` };
+      case 'pdf':
+        return { buffer: await this.toPDF(register), contentType: 'application/pdf', filename: `${filename}.pdf` };
+      case 'xlsx':
+        return {
+          buffer: await this.toXLSX(register),
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          filename: `${filename}.xlsx`
+        };
+      default:
+        throw new Error(`Format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+  }
+}
+
+module.exports = new AttendanceRegisterService();
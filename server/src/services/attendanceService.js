@@ -10,6 +10,8 @@ const reportEmailService = require('./reportEmailService');
 const User = require('../models/User');
 const attendanceRecordService = require('./attendanceRecordService');
 const photoVerificationService = require('./photoVerificationService');
+const academicStructureService = require('./academicStructureService');
+const riskScoringService = require('./riskScoringService');
 
 class AttendanceService {
     constructor() {
@@ -27,12 +29,6 @@ class AttendanceService {
         this.ipAddresses = new Map();
         // Callback for code regeneration
         this.codeRegenerationCallback = null;
-        // List of departments
-        this.departments = ['BTech', 'BCA', 'Law', 'MBA', 'BBA', 'BCom', 'BSc', 'MCA'];
-        // List of semesters
-        this.semesters = ['1', '2', '3', '4', '5', '6', '7', '8'];
-        // List of sections
-        this.sections = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'D1', 'D2', 'E1', 'E2', 'F1', 'F2', 'G1', 'G2', 'H1', 'H2', 'I1', 'I2', 'J1', 'J2', 'K1', 'K2', 'L1', 'L2','ML1','ML2','ML3','DS1','DS2','DSA','Placement Group 1', 'Placement Group 2', 'Placement Group 3', 'Placement Group 4', 'Placement Group 5'];
         // Refresh interval for code regeneration
         this.refreshInterval = 5 * 60 * 1000; // 5 minutes
         // Length of the generated code
@@ -80,17 +76,8 @@ class AttendanceService {
             throw new Error('Department, semester, and section are required');
         }
 
-        if (!this.departments.includes(department)) {
-            throw new Error('Invalid department');
-        }
-
-        if (!this.semesters.includes(semester)) {
-            throw new Error('Invalid semester');
-        }
-
-        if (!this.sections.includes(section)) {
-            throw new Error('Invalid section');
-        }
+        // Departments, semesters and sections are managed by admins
+        academicStructureService.validateClass(department, semester, section);
     }
 
     async startSession(department, semester, section, totalStudents, sessionType = 'roll') {
@@ -274,6 +261,9 @@ class AttendanceService {
     
             if (countryName !== "india" && countryName !== "in") {
                 await ProxyMarker.create({ userId, name: req.userName, course: department, section, classRollNumber: rollNumber, ipAddress: ip, country: countryName });
+                await riskScoringService.recordSignal('vpnDetected', { userId, department, semester, section }, {
+                    details: { ipAddress: ip, country: countryName }
+                });
                 sessionData.grid[row][col].used = false;
                 throw new Error('VPN use detected! You have been flagged for suspicious activity.');
             }
@@ -286,6 +276,9 @@ class AttendanceService {
     
         if (!deviceCheckResult.allowed) {
             sessionData.grid[row][col].used = false;
+            await riskScoringService.recordSignal('deviceShared', { userId, department, semester, section }, {
+                details: { reason: deviceCheckResult.reason, fingerprint }
+            });
             throw new Error(deviceCheckResult.reason);
         }
     
@@ -367,6 +360,10 @@ class AttendanceService {
             }
             
             const isGmailSession = sessionData.sessionType === 'gmail';
+
+            await riskScoringService.recordSignal('fullscreenExit', { userId, department, semester, section }, {
+                details: { gridRollNumber: rollNumber, gmail }
+            });
             
             // For roll-based sessions
             if (!isGmailSession) {
@@ -976,10 +973,11 @@ class AttendanceService {
     }
 
     getCourseData() {
+        const { programmes, semesters, sections } = academicStructureService.getPublicStructure();
         return {
-            departments: [...this.departments],  // Send a copy to prevent modification
-            semesters: [...this.semesters],
-            sections: [...this.sections]
+            departments: programmes,
+            semesters,
+            sections
         };
     }
 }
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const redisCache = require('./redisCache');
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+// How long a session's active/revoked state may be served from Redis
+const SESSION_STATE_CACHE_SECONDS = 60;
+// A rotated refresh token presented again within this window is a concurrent refresh
+// (another tab or request racing), not a stolen token
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+/**
+ * Service for short-lived access tokens, rotating refresh tokens and
+ * revocation of student / faculty logins
+ */
+class AuthSessionService {
+  /**
+   * Access token lifetime in seconds
+   * @returns {number}
+   */
+  getAccessTokenTtl() {
+    return readPositiveInt(process.env.ACCESS_TOKEN_TTL_MINUTES, DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60;
+  }
+
+  /**
+   * Refresh token lifetime in milliseconds
+   * @returns {number}
+   */
+  getRefreshTokenTtlMs() {
+    return readPositiveInt(process.env.REFRESH_TOKEN_TTL_DAYS, DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Sign an access token bound to a session
+   * @param {string} userId
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: this.getAccessTokenTtl() });
+  }
+
+  /**
+   * Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+  }
+
+  /**
+   * Start a new login session
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for IP and user agent)
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+   */
+  async createSession(user, req) {
+    const session = new AuthSession({
+      user: user._id,
+      refreshTokenHash: 'pending',
+      expiresAt: new Date(Date.now() + this.getRefreshTokenTtlMs()),
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent']
+    });
+
+    const refreshToken = this.generateRefreshToken(session._id.toString());
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+      token: this.signAccessToken(user._id.toString(), session._id.toString()),
+      refreshToken,
+      expiresIn: this.getAccessTokenTtl()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Requests racing on the same token within the grace window get the same new pair;
+   * presenting an already rotated token after that revokes the whole session.
+   * @param {string} refreshToken
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+   */
+  async refresh(refreshToken, req) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await AuthSession.findById(sessionId);
+    if (!session || !session.isActive()) {
+      throw new Error('Session has expired or was revoked');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash === session.previousTokenHash) {
+      return this.resolveRotatedToken(session, presentedHash);
+    }
+    if (presentedHash !== session.refreshTokenHash) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user).select('_id');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const nextToken = this.generateRefreshToken(session._id.toString());
+    // Only one request may rotate a token; a concurrent one loses the update
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          previousTokenHash: presentedHash,
+          refreshTokenHash: hashToken(nextToken),
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent']
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return this.resolveRotatedToken(await AuthSession.findById(sessionId), presentedHash);
+    }
+
+    const tokens = {
+      token: this.signAccessToken(user._id.toString(), session._id.toString()),
+      refreshToken: nextToken,
+      expiresIn: this.getAccessTokenTtl()
+    };
+    // Hand the same pair to requests that race on the old token
+    await redisCache.set(`auth-refresh:${presentedHash}`, tokens, REFRESH_REUSE_GRACE_SECONDS);
+    return tokens;
+  }
+
+  /**
+   * Handle a refresh token that has already been rotated
+   * @param {Object} session - AuthSession document
+   * @param {string} presentedHash - Hash of the presented (previous) token
+   * @returns {Promise<Object>} - The pair issued by the rotation, when within the grace window
+   */
+  async resolveRotatedToken(session, presentedHash) {
+    if (!session || !session.isActive()) {
+      throw new Error('Session has expired or was revoked');
+    }
+
+    const rotatedAgo = session.rotatedAt ? Date.now() - session.rotatedAt.getTime() : Infinity;
+    if (session.previousTokenHash === presentedHash && rotatedAgo <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+      const tokens = await redisCache.get(`auth-refresh:${presentedHash}`);
+      if (tokens) return tokens;
+      // Without the cached pair the client must pick up the new token from the request that won
+      throw new Error('Refresh token was just rotated. Retry with the new token.');
+    }
+
+    if (session.previousTokenHash === presentedHash) {
+      // A rotated token was used again - assume it was stolen
+      await this.revokeSession(session, 'token-reuse');
+      console.warn(`🚨 Refresh token reuse detected for session ${session._id}; session revoked`);
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  /**
+   * Whether a session may still authenticate requests (Redis-cached)
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    const cacheKey = `auth-session:${sessionId}`;
+    const cached = await redisCache.get(cacheKey);
+    if (cached) return cached.active;
+
+    const session = await AuthSession.findById(sessionId).select('revokedAt expiresAt');
+    const active = Boolean(session && session.isActive());
+    await redisCache.set(cacheKey, { active }, SESSION_STATE_CACHE_SECONDS);
+    return active;
+  }
+
+  /**
+   * Verify an access token and load its user, rejecting revoked tokens.
+   * Used by the HTTP auth middleware and the Socket.IO handshake.
+   * @param {string} token
+   * @returns {Promise<Object>} - { user, decoded }
+   */
+  async verifyAccessToken(token) {
+    if (!token) {
+      throw new Error('No token provided');
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Tokens issued before "log out everywhere" or a password reset
+    if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+      throw new Error('Token has been revoked');
+    }
+
+    if (decoded.sid && !(await this.isSessionActive(decoded.sid))) {
+      throw new Error('Token has been revoked');
+    }
+
+    return { user, decoded };
+  }
+
+  /**
+   * Revoke one session document
+   * @param {Object} session - AuthSession document
+   * @param {string} reason
+   * @returns {Promise<void>}
+   */
+  async revokeSession(session, reason) {
+    if (session.revokedAt) return;
+
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+
+    // Outlive any access token issued for the session
+    await redisCache.set(`auth-session:${session._id}`, { active: false }, this.getAccessTokenTtl());
+  }
+
+  /**
+   * Revoke one of the user's own sessions
+   * @param {string} userId
+   * @param {string} sessionId
+   * @param {string} reason
+   * @returns {Promise<Object>} - Revoked session
+   */
+  async revokeUserSession(userId, sessionId, reason = 'revoked') {
+    const session = await AuthSession.findOne({ _id: sessionId, user: userId });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await this.revokeSession(session, reason);
+    return session;
+  }
+
+  /**
+   * Revoke every session of a user and reject all tokens issued so far,
+   * including tokens from before sessions were tracked
+   * @param {string} userId
+   * @param {string} reason
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason) {
+    const sessions = await AuthSession.findActiveForUser(userId);
+    await Promise.all(sessions.map(session => this.revokeSession(session, reason)));
+    await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+
+    console.log(`🔒 Revoked ${sessions.length} sessions of user ${userId} (${reason})`);
+    return sessions.length;
+  }
+
+  /**
+   * Active logins of a user, marking the one making the request
+   * @param {string} userId
+   * @param {string} currentSessionId
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await AuthSession.findActiveForUser(userId);
+    return sessions.map(session => ({
+      _id: session._id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === currentSessionId
+    }));
+  }
+}
+
+module.exports = new AuthSessionService();
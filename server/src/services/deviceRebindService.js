@@ -0,0 +1,323 @@
+const DeviceRebindRequest = require('../models/DeviceRebindRequest');
+const User = require('../models/User');
+const redisCache = require('./redisCache');
+
+// Minimum days between approved re-bindings (0 disables the cooldown)
+const DEFAULT_COOLDOWN_DAYS = 30;
+
+/**
+ * Service for device re-binding requests of students who change phones
+ */
+class DeviceRebindService {
+  /**
+   * Configured cooldown between approved re-bindings, in days
+   * @returns {number}
+   */
+  getCooldownDays() {
+    const days = parseInt(process.env.DEVICE_REBIND_COOLDOWN_DAYS, 10);
+    return isNaN(days) || days < 0 ? DEFAULT_COOLDOWN_DAYS : days;
+  }
+
+  /**
+   * Date until which the student may not re-bind again, or null
+   * @param {Object} student - User document
+   * @returns {Promise<Date|null>}
+   */
+  async getCooldownEndsAt(student) {
+    const cooldownDays = this.getCooldownDays();
+    if (cooldownDays === 0) return null;
+
+    const lastApproved = await DeviceRebindRequest.findLastApproved(student._id);
+    if (!lastApproved) return null;
+
+    const endsAt = new Date(lastApproved.reviewedAt.getTime() + cooldownDays * 24 * 60 * 60 * 1000);
+    return endsAt > new Date() ? endsAt : null;
+  }
+
+  /**
+   * Submit a re-binding request from the student's new device
+   * @param {Object} student - Authenticated student user
+   * @param {Object} data - { deviceId, reason }
+   * @returns {Promise<Object>} - Created request
+   */
+  async createRequest(student, data) {
+    const deviceId = (data.deviceId || '').trim();
+    const reason = (data.reason || '').trim();
+
+    if (!deviceId) {
+      throw new Error('Could not identify this device. Please reload the page and try again.');
+    }
+    if (!reason) {
+      throw new Error('Reason is required');
+    }
+    if (student.deviceId === deviceId) {
+      throw new Error('This device is already registered to your account');
+    }
+
+    const pending = await DeviceRebindRequest.exists({ student: student._id, status: 'pending' });
+    if (pending) {
+      throw new Error('You already have a pending device change request');
+    }
+
+    const cooldownEndsAt = await this.getCooldownEndsAt(student);
+    if (cooldownEndsAt) {
+      throw new Error(`You changed devices recently. You can request another change after ${cooldownEndsAt.toLocaleDateString('en-IN')}`);
+    }
+
+    const boundToOther = await User.exists({ _id: { $ne: student._id }, deviceId });
+    if (boundToOther) {
+      throw new Error('This device is registered to another student');
+    }
+
+    return DeviceRebindRequest.create({
+      student: student._id,
+      studentId: student.studentId,
+      studentName: student.name,
+      classRollNumber: student.classRollNumber,
+      department: student.course,
+      semester: student.semester,
+      section: student.section,
+      currentDeviceId: student.deviceId || null,
+      requestedDeviceId: deviceId,
+      reason
+    });
+  }
+
+  /**
+   * Requests, device history and cooldown of a student
+   * @param {Object} student
+   * @returns {Promise<Object>} - { requests, deviceHistory, cooldownEndsAt }
+   */
+  async getStudentOverview(student) {
+    const [requests, user, cooldownEndsAt] = await Promise.all([
+      DeviceRebindRequest.find({ student: student._id }).sort({ createdAt: -1 }).lean(),
+      User.findById(student._id).select('deviceHistory').lean(),
+      this.getCooldownEndsAt(student)
+    ]);
+
+    return {
+      requests,
+      deviceHistory: (user && user.deviceHistory) || [],
+      cooldownEndsAt
+    };
+  }
+
+  /**
+   * Cancel a pending request (student)
+   * @param {string} requestId
+   * @param {Object} student
+   * @returns {Promise<Object>}
+   */
+  async cancelRequest(requestId, student) {
+    const request = await DeviceRebindRequest.findOne({ _id: requestId, student: student._id });
+    if (!request) {
+      throw new Error('Device change request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error('Only pending requests can be cancelled');
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Whether a reviewer may act on a request
+   * @param {Object} reviewer - { role, user, department } (user is the faculty User for role 'faculty')
+   * @param {Object} request
+   * @returns {boolean}
+   */
+  canReview(reviewer, request) {
+    // Department admins are limited to their own department
+    if (reviewer.role === 'admin') return !reviewer.department || reviewer.department === request.department;
+
+    const faculty = reviewer.user;
+    return faculty.department === request.department &&
+      (faculty.teachingAssignments || []).some(assignment =>
+        assignment.semester === request.semester && assignment.section === request.section
+      );
+  }
+
+  /**
+   * Requests visible to a reviewer
+   * @param {Object} reviewer - { role, user }
+   * @param {Object} filters - { status, department, semester, section }
+   * @returns {Promise<Array>}
+   */
+  async getRequestsForReview(reviewer, filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+
+    if (reviewer.role === 'admin') {
+      const department = reviewer.department || filters.department;
+      if (department) query.department = department;
+      if (filters.semester) query.semester = filters.semester;
+      if (filters.section) query.section = filters.section;
+    } else {
+      const faculty = reviewer.user;
+      const classes = (faculty.teachingAssignments || []).map(assignment => ({
+        semester: assignment.semester,
+        section: assignment.section
+      }));
+      if (classes.length === 0) return [];
+
+      query.department = faculty.department;
+      query.$or = classes;
+    }
+
+    return DeviceRebindRequest.find(query).sort({ createdAt: -1 }).limit(500).lean();
+  }
+
+  /**
+   * Approve or reject a pending request. Approval requires a reason.
+   * @param {string} requestId
+   * @param {Object} reviewer - { role, id, name, user }
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} note - Review reason
+   * @returns {Promise<Object>} - Updated request
+   */
+  async reviewRequest(requestId, reviewer, decision, note = '') {
+    const request = await DeviceRebindRequest.findById(requestId);
+    if (!request) {
+      throw new Error('Device change request not found');
+    }
+    if (!this.canReview(reviewer, request)) {
+      throw new Error('You are not authorized to review this request');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`This request has already been ${request.status}`);
+    }
+
+    const reviewNote = (note || '').trim();
+    if (decision === 'approved' && !reviewNote) {
+      throw new Error('A reason is required to approve a device change');
+    }
+
+    // Move the request out of pending first so concurrent reviews cannot both bind a device
+    const reviewed = await DeviceRebindRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: decision,
+          reviewedBy: { role: reviewer.role, id: reviewer.id, name: reviewer.name },
+          reviewedAt: new Date(),
+          reviewNote
+        }
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      const current = await DeviceRebindRequest.findById(request._id).select('status').lean();
+      throw new Error(`This request has already been ${current ? current.status : 'reviewed'}`);
+    }
+
+    if (decision === 'approved') {
+      try {
+        await this.bindDevice(reviewed, reviewer, reviewNote);
+      } catch (error) {
+        await DeviceRebindRequest.updateOne(
+          { _id: reviewed._id, status: decision },
+          { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 } }
+        );
+        throw error;
+      }
+    }
+
+    console.log(`📱 Device change request ${reviewed._id} ${decision} by ${reviewer.role} ${reviewer.id}`);
+    return reviewed;
+  }
+
+  /**
+   * Bind the requested device to the student and record it in the device history
+   * @param {Object} request - DeviceRebindRequest document
+   * @param {Object} reviewer - { role, id, name }
+   * @param {string} reason - Approval reason
+   * @returns {Promise<void>}
+   */
+  async bindDevice(request, reviewer, reason) {
+    const student = await User.findById(request.student);
+    if (!student) {
+      throw new Error('Student not found');
+    }
+
+    const boundToOther = await User.exists({ _id: { $ne: student._id }, deviceId: request.requestedDeviceId });
+    if (boundToOther) {
+      throw new Error('This device is registered to another student');
+    }
+
+    const now = new Date();
+    const history = (student.deviceHistory || []).map(entry => entry.toObject());
+
+    // Devices bound before history was kept have no entry yet
+    if (student.deviceId && !history.some(entry => entry.deviceId === student.deviceId)) {
+      history.push({ deviceId: student.deviceId, source: 'login' });
+    }
+    history.forEach(entry => {
+      if (!entry.unboundAt) entry.unboundAt = now;
+    });
+
+    history.push({
+      deviceId: request.requestedDeviceId,
+      boundAt: now,
+      source: 'rebind',
+      rebindRequest: request._id,
+      approvedBy: { role: reviewer.role, id: reviewer.id, name: reviewer.name },
+      reason
+    });
+
+    await User.updateOne(
+      { _id: student._id },
+      { $set: { deviceId: request.requestedDeviceId, deviceHistory: history } }
+    );
+
+    await this.invalidateDeviceCache(student);
+  }
+
+  /**
+   * Drop cached device IDs so the next scan sees the new binding
+   * @param {Object} student - User document
+   * @returns {Promise<void>}
+   */
+  async invalidateDeviceCache(student) {
+    await Promise.all([
+      redisCache.del(`device:${student.studentId}`),
+      redisCache.del(`section:${student.course}-${student.semester}-${student.section}`)
+    ]);
+  }
+
+  /**
+   * Device history and requests of a student (admin)
+   * @param {string} studentId - Student ID (not the Mongo ID)
+   * @param {string} [department] - Limit to a department (department admins)
+   * @returns {Promise<Object>} - { student, deviceHistory, requests }
+   */
+  async getStudentDeviceHistory(studentId, department) {
+    const query = { studentId, role: 'student' };
+    if (department) query.course = department;
+
+    const student = await User.findOne(query)
+      .select('studentId name classRollNumber course semester section deviceId deviceHistory')
+      .lean();
+    if (!student) {
+      throw new Error('Student not found');
+    }
+
+    const requests = await DeviceRebindRequest.find({ student: student._id }).sort({ createdAt: -1 }).lean();
+    return {
+      student: {
+        studentId: student.studentId,
+        name: student.name,
+        classRollNumber: student.classRollNumber,
+        department: student.course,
+        semester: student.semester,
+        section: student.section,
+        deviceId: student.deviceId
+      },
+      deviceHistory: student.deviceHistory || [],
+      requests
+    };
+  }
+}
+
+module.exports = new DeviceRebindService();
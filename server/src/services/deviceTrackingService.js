@@ -1,4 +1,5 @@
 const DeviceSession = require('../models/DeviceSession');
+const DeviceObservation = require('../models/DeviceObservation');
 
 class DeviceTrackingService {
     constructor() {
@@ -49,6 +50,7 @@ class DeviceTrackingService {
         if (differentUserSessions.length) {
             const mostRecent = differentUserSessions[0];
             const minutesAgo = Math.floor((Date.now() - mostRecent.createdAt.getTime()) / 60000);
+            await this.recordObservation(deviceData, userData, { ...sessionData, source: 'grid', allowed: false });
             return {
                 allowed: false,
                 reason: `Device used by ${mostRecent.lastUserName || 'another user'} ${minutesAgo} min ago. Wait ${this.deviceCooldownMinutes - minutesAgo} min.`
@@ -58,13 +60,49 @@ class DeviceTrackingService {
         const deviceUsers = new Set(daySessions.map(s => s.lastUserId));
         deviceUsers.delete(userId);
         if (deviceUsers.size >= this.maxUsersPerDevice) {
+            await this.recordObservation(deviceData, userData, { ...sessionData, source: 'grid', allowed: false });
             return { allowed: false, reason: 'Device has been used by multiple users today. Attendance restricted.' };
         }
 
         await this.recordDeviceSession(deviceData, userData, sessionData);
+        await this.recordObservation(deviceData, userData, { ...sessionData, source: 'grid', allowed: true });
         return { allowed: true, reason: 'Device verification passed' };
     }
 
+    /**
+     * Keep a long-lived record of the identifiers a student marked attendance with,
+     * used by the proxy-ring analyzer. Failures are logged, never thrown.
+     * @param {Object} deviceData - { fingerprint, webRTCIPs, ipAddress }
+     * @param {Object} userData - { userId, userName, userRoll, studentId }
+     * @param {Object} context - { department, semester, section, source, sessionId, allowed }
+     * @returns {Promise<void>}
+     */
+    async recordObservation(deviceData, userData, context) {
+        if (!userData.userId || (!deviceData.fingerprint && !deviceData.ipAddress)) {
+            return;
+        }
+
+        try {
+            await DeviceObservation.create({
+                userId: String(userData.userId),
+                studentId: userData.studentId,
+                name: userData.userName,
+                rollNumber: userData.userRoll,
+                department: context.department,
+                semester: context.semester,
+                section: context.section,
+                fingerprint: deviceData.fingerprint,
+                ipAddress: deviceData.ipAddress,
+                webRTCIPs: deviceData.webRTCIPs || [],
+                source: context.source,
+                sessionId: context.sessionId,
+                allowed: context.allowed !== false
+            });
+        } catch (error) {
+            console.error('⚠️ Failed to record device observation:', error.message);
+        }
+    }
+
     /**
      * Record a new device session
      * @param {Object} deviceData - Device identification data
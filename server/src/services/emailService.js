@@ -422,9 +422,94 @@ const sendFacultyRejectionEmail = async (email, name, reason = '') => {
   }
 };
 
+// --- 4. Attendance Shortage Digest (Student) ---
+const sendAttendanceShortageDigest = async (email, name, subjects) => {
+  const hasCritical = subjects.some(subject => subject.level === 'critical');
+
+  const rowsHtml = subjects.map(subject => `
+      <li>
+        <strong>${subject.subjectName}</strong>: ${subject.percentage}%
+        (${subject.presentDays}/${subject.totalDays} classes)
+        <span style="color: ${subject.level === 'critical' ? '#ff5252' : '#ffb74d'};">${subject.level.toUpperCase()}</span>
+      </li>
+    `).join('');
+
+  const bodyHtml = `
+    <p>Dear ${name},</p>
+    <p>Your attendance has fallen below the required level in the following subject${subjects.length > 1 ? 's' : ''}:</p>
+    <ul>${rowsHtml}</ul>
+    <p>Please attend upcoming classes regularly. If you were absent for a valid reason, contact your faculty.</p>
+  `;
+
+  const html = createEmailTemplate({
+    iconEmoji: hasCritical ? '🚨' : '⚠️',
+    title: hasCritical ? 'Critical Attendance Shortage' : 'Attendance Warning',
+    bodyHtml: bodyHtml,
+    button: {
+      text: 'View My Attendance',
+      link: `${process.env.FRONTEND_URL}/student/attendance/summary`
+    }
+  });
+
+  const mailOptions = {
+    from: '"QuickRoll Attendance" <attendance@quickrollattendance.live>',
+    to: email,
+    subject: hasCritical ? 'Critical: Your attendance is below the required level' : 'Warning: Your attendance is running low',
+    html: html,
+    text: subjects.map(subject => `${subject.subjectName}: ${subject.percentage}% (${subject.level})`).join('\n')
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Attendance shortage digest sent to ${email}`);
+  } catch (error) {
+    console.error('Attendance shortage digest sending failed:', error);
+    throw new Error('Failed to send attendance shortage digest');
+  }
+};
+
+// --- 5. Attendance Shortage Digest (Faculty) ---
+const sendFacultyShortageDigest = async (email, facultyName, classLabel, students) => {
+  const rowsHtml = students.map(student => `
+      <li>
+        ${student.classRollNumber || '-'} - ${student.studentName}: ${student.percentage}%
+        <span style="color: ${student.level === 'critical' ? '#ff5252' : '#ffb74d'};">${student.level.toUpperCase()}</span>
+      </li>
+    `).join('');
+
+  const bodyHtml = `
+    <p>Dear ${facultyName},</p>
+    <p>The following students of <strong>${classLabel}</strong> have just dropped below the attendance threshold:</p>
+    <ul>${rowsHtml}</ul>
+  `;
+
+  const html = createEmailTemplate({
+    iconEmoji: '📉',
+    title: 'Students At Risk',
+    bodyHtml: bodyHtml
+  });
+
+  const mailOptions = {
+    from: '"QuickRoll Attendance" <attendance@quickrollattendance.live>',
+    to: email,
+    subject: `Attendance shortage: ${students.length} student${students.length > 1 ? 's' : ''} in ${classLabel}`,
+    html: html
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Faculty shortage digest sent to ${email}`);
+  } catch (error) {
+    console.error('Faculty shortage digest sending failed:', error);
+    throw new Error('Failed to send faculty shortage digest');
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetCode,
   sendFacultyCredentials,
-  sendFacultyRejectionEmail
+  sendFacultyRejectionEmail,
+  sendAttendanceShortageDigest,
+  sendFacultyShortageDigest
 };
\ No newline at end of file
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+
+const EARTH_RADIUS_METERS = 6371000;
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 1000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Geofenced attendance: a QR session may be tied to the faculty's location or a
+ * saved room, and scans reporting a location outside its radius are rejected
+ * or flagged for review.
+ */
+class GeofenceService {
+  constructor() {
+    this.DEFAULT_RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS) || 60;
+    // Fixes less precise than this cannot place a student in a classroom
+    this.MAX_ACCURACY_METERS = parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 150;
+    this.DEFAULT_MODE = process.env.GEOFENCE_MODE === 'flag' ? 'flag' : 'reject';
+  }
+
+  /**
+   * Validate a reported location
+   * @param {Object} location - { latitude, longitude, accuracy }
+   * @returns {Object|null} - Normalised location, or null if missing/invalid
+   */
+  parseLocation(location) {
+    if (!location) return null;
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
+    }
+
+    const accuracy = Number(location.accuracy);
+    return {
+      latitude,
+      longitude,
+      accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null
+    };
+  }
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {number} - Distance in metres
+   */
+  distanceMeters(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Clamp a radius to the allowed range
+   * @param {*} radius
+   * @param {number} fallback
+   * @returns {number}
+   */
+  normalizeRadius(radius, fallback) {
+    const value = Number(radius);
+    if (!Number.isFinite(value) || value <= 0) return fallback;
+    return Math.min(MAX_RADIUS_METERS, Math.max(MIN_RADIUS_METERS, Math.round(value)));
+  }
+
+  /**
+   * Build the geofence of a new session from the start-session request
+   * @param {Object} options - { location, roomId, radiusMeters, geofenceMode }
+   *   roomId picks a saved room and location uses the faculty's own position;
+   *   geofencing is opt-in, so a session with neither is not geofenced
+   * @returns {Promise<Object|null>} - Session geofence, or null when not geofenced
+   */
+  async resolveSessionGeofence({ location, roomId, radiusMeters, geofenceMode } = {}) {
+    const mode = ['reject', 'flag'].includes(geofenceMode) ? geofenceMode : this.DEFAULT_MODE;
+
+    let room = null;
+    if (roomId) {
+      if (!mongoose.Types.ObjectId.isValid(roomId)) {
+        throw new Error('Invalid room');
+      }
+      room = await Room.findOne({ _id: roomId, active: true }).lean();
+      if (!room) {
+        throw new Error('Room not found');
+      }
+    } else if (location) {
+      const point = this.parseLocation(location);
+      if (!point) {
+        throw new Error('Invalid session location');
+      }
+      if (point.accuracy !== null && point.accuracy > this.MAX_ACCURACY_METERS) {
+        throw new Error(`Your location is only accurate to ${Math.round(point.accuracy)} m. Move near a window or pick a saved room.`);
+      }
+
+      return {
+        enabled: true,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        radiusMeters: this.normalizeRadius(radiusMeters, this.DEFAULT_RADIUS_METERS),
+        source: 'faculty',
+        mode
+      };
+    }
+
+    if (!room) return null;
+
+    return {
+      enabled: true,
+      latitude: room.latitude,
+      longitude: room.longitude,
+      radiusMeters: this.normalizeRadius(radiusMeters, room.radiusMeters || this.DEFAULT_RADIUS_METERS),
+      source: 'room',
+      roomId: room._id,
+      roomName: room.name,
+      mode
+    };
+  }
+
+  /**
+   * Check a scan's reported location against a session geofence.
+   * A scan is outside only if its whole accuracy circle lies outside the radius.
+   * @param {Object} geofence - Session geofence
+   * @param {Object} location - { latitude, longitude, accuracy } reported by the app
+   * @returns {Object} - { allowed, reason ('missing'|'inaccurate'|'outside'|null), distanceMeters, accuracyMeters }
+   */
+  checkLocation(geofence, location) {
+    if (!geofence || !geofence.enabled) {
+      return { allowed: true, reason: null, distanceMeters: null, accuracyMeters: null };
+    }
+
+    const point = this.parseLocation(location);
+    if (!point) {
+      return { allowed: false, reason: 'missing', distanceMeters: null, accuracyMeters: null };
+    }
+
+    const distanceMeters = Math.round(this.distanceMeters(geofence, point));
+    const accuracyMeters = point.accuracy === null ? null : Math.round(point.accuracy);
+
+    if (accuracyMeters === null || accuracyMeters > this.MAX_ACCURACY_METERS) {
+      return { allowed: false, reason: 'inaccurate', distanceMeters, accuracyMeters };
+    }
+    if (distanceMeters - accuracyMeters > geofence.radiusMeters) {
+      return { allowed: false, reason: 'outside', distanceMeters, accuracyMeters };
+    }
+
+    return { allowed: true, reason: null, distanceMeters, accuracyMeters };
+  }
+
+  /**
+   * Student-facing explanation of a failed location check
+   * @param {Object} check - Result of checkLocation
+   * @param {Object} geofence
+   * @returns {string}
+   */
+  getRejectionMessage(check, geofence) {
+    switch (check.reason) {
+      case 'missing':
+        return 'Location is required for this class. Allow location access and scan again.';
+      case 'inaccurate':
+        return 'Your location is not accurate enough. Turn on precise location (GPS) and scan again.';
+      default:
+        return `You appear to be ${check.distanceMeters} m away from ${geofence.roomName || 'the classroom'}. Attendance can only be marked in class.`;
+    }
+  }
+
+  // ==================== ROOMS ====================
+
+  /**
+   * List saved rooms
+   * @param {boolean} includeInactive
+   * @returns {Promise<Array>}
+   */
+  listRooms(includeInactive = false) {
+    const query = includeInactive ? {} : { active: true };
+    return Room.find(query).sort({ building: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Validate and normalise room fields
+   * @param {Object} data - { name, building, latitude, longitude, radiusMeters }
+   * @param {boolean} partial - Only validate the fields present
+   * @returns {Object}
+   */
+  parseRoomData(data, partial = false) {
+    const fields = {};
+
+    if (!partial || data.name !== undefined) {
+      fields.name = String(data.name || '').trim();
+      if (!fields.name) {
+        throw new Error('Room name is required');
+      }
+    }
+    if (data.building !== undefined) {
+      fields.building = String(data.building || '').trim();
+    }
+    if (!partial || data.latitude !== undefined || data.longitude !== undefined) {
+      const point = this.parseLocation(data);
+      if (!point) {
+        throw new Error('Valid latitude and longitude are required');
+      }
+      fields.latitude = point.latitude;
+      fields.longitude = point.longitude;
+    }
+    if (data.radiusMeters !== undefined) {
+      fields.radiusMeters = data.radiusMeters === '' || data.radiusMeters === null
+        ? undefined
+        : this.normalizeRadius(data.radiusMeters, this.DEFAULT_RADIUS_METERS);
+    }
+    if (data.active !== undefined) {
+      fields.active = Boolean(data.active);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Save a new room
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async createRoom(data) {
+    const fields = this.parseRoomData(data);
+    if (await Room.exists({ name: fields.name })) {
+      throw new Error(`Room ${fields.name} already exists`);
+    }
+    return Room.create(fields);
+  }
+
+  /**
+   * Update a room's details, coordinates, radius or active flag
+   * @param {string} roomId
+   * @param {Object} updates
+   * @returns {Promise<Object>}
+   */
+  async updateRoom(roomId, updates) {
+    const room = await Room.findById(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const fields = this.parseRoomData(updates, true);
+    if (fields.name && fields.name !== room.name && await Room.exists({ name: fields.name })) {
+      throw new Error(`Room ${fields.name} already exists`);
+    }
+
+    room.set(fields);
+    await room.save();
+    return room;
+  }
+
+  /**
+   * Delete a room. Sessions keep their own copy of the coordinates.
+   * @param {string} roomId
+   * @returns {Promise<void>}
+   */
+  async deleteRoom(roomId) {
+    const result = await Room.deleteOne({ _id: roomId });
+    if (result.deletedCount === 0) {
+      throw new Error('Room not found');
+    }
+  }
+}
+
+module.exports = new GeofenceService();
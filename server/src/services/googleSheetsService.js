@@ -70,105 +70,26 @@ const readSheetData = async (sheets, spreadsheetId, sheetId) => {
   }
 };
 
-// Update attendance data in a Google Sheet
-const updateAttendanceSheet = async (department, semester, section, attendanceData) => {
+// Write rows to a Google Sheet, starting at its first cell
+const writeSheetData = async (sheets, spreadsheetId, sheetId, values) => {
   try {
-    // Initialize Google Sheets API
-    const sheets = initializeSheets();
-    if (!sheets) {
-      throw new Error('Failed to initialize Google Sheets API');
-    }
-
-    // Get sheet mapping
-    const mapping = await getSheetMapping(department, semester, section);
-    const { spreadsheetId, sheetId } = mapping;
-
-    // Read current sheet data
-    const sheetData = await readSheetData(sheets, spreadsheetId, sheetId);
-
-    // Process sheet data
-    const updatedData = processAttendanceData(sheetData, attendanceData);
-
-    // Write updated data back to the sheet
     await sheets.spreadsheets.values.update({
       spreadsheetId,
       range: sheetId,
       valueInputOption: 'RAW',
       resource: {
-        values: updatedData,
+        values,
       },
     });
-
-    return { success: true, message: 'Attendance updated in Google Sheet' };
   } catch (error) {
-    console.error('Error updating attendance sheet:', error);
+    console.error('Error writing sheet data:', error);
     throw error;
   }
 };
 
-// Process attendance data and prepare for sheet update
-const processAttendanceData = (sheetData, attendanceData) => {
-  // Current date in format DD/MM/YYYY
-  const today = new Date();
-  const dateString = `${today.getDate()}/${today.getMonth() + 1}/${today.getFullYear()}`;
-
-  // If sheet is empty, create a new sheet with headers
-  if (!sheetData || sheetData.length === 0) {
-    return [
-      ['', ''], // A1, B1 empty
-      ['', ''], // A2, B2 empty
-      ['', ''], // A3, B3 empty
-      ['Gmail', dateString], // A4, B4 headers
-      ...Object.keys(attendanceData).map(gmail => [gmail, attendanceData[gmail]]) // Student data
-    ];
-  }
-
-  // Find the Gmail header row (should be row 4, index 3)
-  const headerRowIndex = 3; // 0-based index for row 4
-  
-  // Ensure we have at least 4 rows
-  while (sheetData.length <= headerRowIndex) {
-    sheetData.push([]);
-  }
-  
-  // Ensure the first column of header row is 'Gmail'
-  if (!sheetData[headerRowIndex][0]) {
-    sheetData[headerRowIndex][0] = 'Gmail';
-  }
-
-  // Check if today's date column already exists
-  let dateColumnIndex = sheetData[headerRowIndex].findIndex(header => header === dateString);
-  
-  // If date doesn't exist, add it as a new column
-  if (dateColumnIndex === -1) {
-    dateColumnIndex = sheetData[headerRowIndex].length;
-    sheetData[headerRowIndex][dateColumnIndex] = dateString;
-  }
-
-  // Process each student in the attendance data
-  Object.entries(attendanceData).forEach(([gmail, status]) => {
-    // Find if student already exists in the sheet
-    let studentRowIndex = sheetData.findIndex((row, index) => 
-      index > headerRowIndex && row[0] === gmail
-    );
-    
-    // If student doesn't exist, add a new row
-    if (studentRowIndex === -1) {
-      studentRowIndex = sheetData.length;
-      const newRow = Array(sheetData[headerRowIndex].length).fill('0'); // Initialize with zeros
-      newRow[0] = gmail; // Set Gmail
-      sheetData.push(newRow);
-    }
-    
-    // Update attendance status for today
-    sheetData[studentRowIndex][dateColumnIndex] = status.toString();
-  });
-
-  return sheetData;
-};
-
 module.exports = {
-  updateAttendanceSheet,
   getSheetMapping,
-  initializeSheets
+  initializeSheets,
+  readSheetData,
+  writeSheetData
 };
\ No newline at end of file
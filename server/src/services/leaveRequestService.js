@@ -0,0 +1,335 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const AttendanceRecord = require('../models/AttendanceRecord');
+const attendanceLedgerService = require('./attendanceLedgerService');
+const timetableService = require('./timetableService');
+const webhookService = require('./webhookService');
+const { generatePresignedUploadUrl, generatePresignedViewUrl, generateLeaveDocumentKey, deleteFile } = require('../config/s3');
+
+const ALLOWED_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+const MAX_LEAVE_DAYS = 30;
+
+/**
+ * Service for student leave / medical excuse requests
+ */
+class LeaveRequestService {
+  /**
+   * Presigned S3 upload URL for a supporting document
+   * @param {Object} student - Authenticated student user
+   * @param {string} fileName
+   * @param {string} fileType
+   * @returns {Promise<Object>} - { uploadUrl, s3Key }
+   */
+  async getDocumentUploadUrl(student, fileName, fileType) {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(fileType)) {
+      throw new Error('Invalid file type. Please upload a PDF, JPG or PNG document.');
+    }
+
+    const s3Key = generateLeaveDocumentKey(student.studentId, fileName);
+    const uploadUrl = await generatePresignedUploadUrl(s3Key, fileType, 300);
+    return { uploadUrl, s3Key };
+  }
+
+  /**
+   * Submit a leave request
+   * @param {Object} student - Authenticated student user
+   * @param {Object} data - { fromDate, toDate, leaveType, reason, documentKey, documentName }
+   * @returns {Promise<Object>} - Created request
+   */
+  async createRequest(student, data) {
+    const { fromDate, toDate, leaveType, reason, documentKey, documentName } = data;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(toDate || '')) {
+      throw new Error('Dates must be in YYYY-MM-DD format');
+    }
+    if (toDate < fromDate) {
+      throw new Error('End date cannot be before start date');
+    }
+
+    const days = (new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+    if (days > MAX_LEAVE_DAYS) {
+      throw new Error(`Leave cannot exceed ${MAX_LEAVE_DAYS} days per request`);
+    }
+    if (!reason || !reason.trim()) {
+      throw new Error('Reason is required');
+    }
+
+    // Documents must have been uploaded through this student's presigned URL
+    if (documentKey && !documentKey.startsWith(`leave-documents/${student.studentId}/`)) {
+      throw new Error('Invalid supporting document');
+    }
+
+    const overlapping = await LeaveRequest.findOne({
+      student: student._id,
+      status: { $in: ['pending', 'approved'] },
+      fromDate: { $lte: toDate },
+      toDate: { $gte: fromDate }
+    });
+    if (overlapping) {
+      throw new Error(`You already have a ${overlapping.status} leave request from ${overlapping.fromDate} to ${overlapping.toDate}`);
+    }
+
+    return LeaveRequest.create({
+      student: student._id,
+      studentId: student.studentId,
+      studentName: student.name,
+      email: student.email,
+      classRollNumber: student.classRollNumber,
+      universityRollNumber: student.universityRollNumber,
+      department: student.course,
+      semester: student.semester,
+      section: student.section,
+      fromDate,
+      toDate,
+      leaveType,
+      reason: reason.trim(),
+      documentKey,
+      documentName
+    });
+  }
+
+  /**
+   * Leave requests of a student, newest first
+   * @param {Object} student
+   * @returns {Promise<Array>}
+   */
+  async getStudentRequests(student) {
+    return LeaveRequest.find({ student: student._id }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Cancel a pending request (student)
+   * @param {string} requestId
+   * @param {Object} student
+   * @returns {Promise<Object>}
+   */
+  async cancelRequest(requestId, student) {
+    const request = await LeaveRequest.findOne({ _id: requestId, student: student._id });
+    if (!request) {
+      throw new Error('Leave request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error('Only pending requests can be cancelled');
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    if (request.documentKey) {
+      try {
+        await deleteFile(request.documentKey);
+      } catch (deleteError) {
+        console.error('Error deleting leave document:', deleteError);
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * Whether a reviewer may act on a request
+   * @param {Object} reviewer - { role, user, department } (user is the faculty User for role 'faculty')
+   * @param {Object} request
+   * @returns {boolean}
+   */
+  canReview(reviewer, request) {
+    // Department admins are limited to their own department
+    if (reviewer.role === 'admin') return !reviewer.department || reviewer.department === request.department;
+
+    const faculty = reviewer.user;
+    return faculty.department === request.department &&
+      (faculty.teachingAssignments || []).some(assignment =>
+        assignment.semester === request.semester && assignment.section === request.section
+      );
+  }
+
+  /**
+   * Requests visible to a reviewer
+   * @param {Object} reviewer - { role, user }
+   * @param {Object} filters - { status, department, semester, section }
+   * @returns {Promise<Array>}
+   */
+  async getRequestsForReview(reviewer, filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+
+    if (reviewer.role === 'admin') {
+      const department = reviewer.department || filters.department;
+      if (department) query.department = department;
+      if (filters.semester) query.semester = filters.semester;
+      if (filters.section) query.section = filters.section;
+    } else {
+      const faculty = reviewer.user;
+      const classes = (faculty.teachingAssignments || []).map(assignment => ({
+        semester: assignment.semester,
+        section: assignment.section
+      }));
+      if (classes.length === 0) return [];
+
+      query.department = faculty.department;
+      query.$or = classes;
+    }
+
+    return LeaveRequest.find(query).sort({ createdAt: -1 }).limit(500).lean();
+  }
+
+  /**
+   * Short-lived URL to view a request's supporting document
+   * @param {string} requestId
+   * @param {Object} viewer - { role, user }
+   * @returns {Promise<string|null>}
+   */
+  async getDocumentUrl(requestId, viewer) {
+    const request = await LeaveRequest.findById(requestId);
+    if (!request) {
+      throw new Error('Leave request not found');
+    }
+
+    const isOwner = viewer.role === 'student' && request.student.toString() === viewer.user._id.toString();
+    if (!isOwner && viewer.role === 'student') {
+      throw new Error('Unauthorized');
+    }
+    if (viewer.role !== 'student' && !this.canReview(viewer, request)) {
+      throw new Error('Unauthorized');
+    }
+
+    if (!request.documentKey) return null;
+    return generatePresignedViewUrl(request.documentKey, 900);
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {string} requestId
+   * @param {Object} reviewer - { role, id, name, user }
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} - Updated request
+   */
+  async reviewRequest(requestId, reviewer, decision, note = '') {
+    const request = await LeaveRequest.findById(requestId);
+    if (!request) {
+      throw new Error('Leave request not found');
+    }
+    if (!this.canReview(reviewer, request)) {
+      throw new Error('You are not authorized to review this request');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`This request has already been ${request.status}`);
+    }
+
+    request.status = decision;
+    request.reviewedBy = { role: reviewer.role, id: reviewer.id, name: reviewer.name };
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+
+    if (decision === 'approved') {
+      const { recordCount, ledgerCount } = await this.applyLeave(request);
+      request.excusedRecordCount = recordCount;
+      request.excusedLedgerCount = ledgerCount;
+    }
+
+    await request.save();
+    console.log(`📝 Leave request ${request._id} ${decision} by ${reviewer.role} ${reviewer.id}`);
+    return request;
+  }
+
+  /**
+   * Identifiers the student may appear under in records (roll number or email)
+   * @param {Object} request
+   * @returns {Array<string>}
+   */
+  getStudentIdentifiers(request) {
+    return [request.classRollNumber, request.universityRollNumber, request.email].filter(Boolean);
+  }
+
+  /**
+   * Mark the student's absences within an approved request as excused
+   * @param {Object} request - Approved leave request
+   * @returns {Promise<Object>} - { recordCount, ledgerCount }
+   */
+  async applyLeave(request) {
+    const from = timetableService.toDate(request.fromDate, '00:00');
+    const to = new Date(timetableService.toDate(request.toDate, '00:00').getTime() + 24 * 60 * 60 * 1000);
+    const identifiers = this.getStudentIdentifiers(request);
+
+    const records = await AttendanceRecord.find({
+      department: request.department,
+      semester: request.semester,
+      section: request.section,
+      date: { $gte: from, $lt: to },
+      absentees: { $in: identifiers }
+    });
+
+    const { role, id, name } = request.reviewedBy;
+    for (const record of records) {
+      const excused = this.excuseInRecord(record, identifiers);
+      await record.save();
+      webhookService.emitRecordUpdated(record, this.toExcusedChanges(excused), 'leave-approved', { role, id, name });
+    }
+
+    // The ledger outlives attendance records, so excuse by date there
+    const ledgerCount = await attendanceLedgerService.excuseAbsences(request.student, from, to);
+
+    return { recordCount: records.length, ledgerCount };
+  }
+
+  /**
+   * Move a student's identifiers from absentees to excusedStudents
+   * @param {Object} record - AttendanceRecord document
+   * @param {Array<string>} identifiers
+   * @returns {Array<string>} - Identifiers excused (empty if the record did not change)
+   */
+  excuseInRecord(record, identifiers) {
+    const matched = (record.absentees || []).filter(id => identifiers.includes(id));
+    if (matched.length === 0) return [];
+
+    record.absentees = record.absentees.filter(id => !identifiers.includes(id));
+    record.excusedStudents = [...new Set([...(record.excusedStudents || []), ...matched])];
+    return matched;
+  }
+
+  /**
+   * Per-student changes (as in attendanceAuditService.diffRecord) for excused identifiers
+   * @param {Array<string>} identifiers
+   * @returns {Array<Object>}
+   */
+  toExcusedChanges(identifiers) {
+    return identifiers.map(rollNumber => ({ rollNumber, fromStatus: 'absent', toStatus: 'excused' }));
+  }
+
+  /**
+   * Apply already-approved leave to a freshly ended session's record
+   * @param {Object} attendanceRecord - Saved AttendanceRecord document
+   * @returns {Promise<number>} - Number of students excused
+   */
+  async applyApprovedLeavesToRecord(attendanceRecord) {
+    const date = timetableService.getLocalDateString(attendanceRecord.date);
+    const leaves = await LeaveRequest.findApprovedCovering(
+      attendanceRecord.department,
+      attendanceRecord.semester,
+      attendanceRecord.section,
+      date
+    );
+
+    const excused = [];
+    let students = 0;
+    for (const leave of leaves) {
+      const matched = this.excuseInRecord(attendanceRecord, this.getStudentIdentifiers(leave));
+      if (matched.length > 0) {
+        excused.push(...matched);
+        students++;
+      }
+    }
+
+    if (excused.length > 0) {
+      await attendanceRecord.save();
+      webhookService.emitRecordUpdated(attendanceRecord, this.toExcusedChanges(excused), 'leave-applied', {
+        role: 'system',
+        id: 'approved-leave',
+        name: 'Approved leave'
+      });
+    }
+    return students;
+  }
+}
+
+module.exports = new LeaveRequestService();
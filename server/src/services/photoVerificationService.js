@@ -14,6 +14,9 @@ const PHOTO_STORAGE_PATH = process.env.PHOTO_STORAGE_PATH || path.join(__dirname
 const PHOTO_RETENTION_HOURS = process.env.PHOTO_RETENTION_HOURS || 24; // Default 24 hours
 const MAX_PHOTO_SIZE_KB = process.env.MAX_PHOTO_SIZE_KB || 500; // Default 500KB after compression
 const CLOUDINARY_FOLDER = 'attendance-photos';
+// Evidence copies are kept outside the folders the retention cleanup sweeps
+const EVIDENCE_CLOUDINARY_FOLDER = 'case-evidence';
+const EVIDENCE_STORAGE_PATH = process.env.CASE_EVIDENCE_PATH || path.join(__dirname, '../../case-evidence');
 
 // Ensure the storage directory exists (for fallback)
 const initializeStorage = async () => {
@@ -239,6 +242,49 @@ const deleteSessionPhotos = async (department, semester, section) => {
   }
 };
 
+// Find the photos students uploaded for a section within a time window
+// (entries are matched by the filename scheme of generatePhotoFilename)
+const findSessionPhotos = async (department, semester, section, studentIds, from, to) => {
+  const photos = [];
+  const seen = new Set();
+  const sessionPrefix = `${department}_${semester}_${section}_`;
+  const addPhoto = (studentId, filename) => {
+    const match = filename.slice(`${sessionPrefix}${studentId}_`.length).match(/^(\d+)_[0-9a-f]{8}(\.jpg)?$/);
+    if (!match || seen.has(filename)) return;
+    const timestamp = Number(match[1]);
+    if (timestamp < from.getTime() || timestamp > to.getTime()) return;
+    seen.add(filename);
+    photos.push({ studentId, photoFilename: filename, photoTimestamp: new Date(timestamp) });
+  };
+
+  let files = [];
+  try {
+    files = await readdirAsync(PHOTO_STORAGE_PATH);
+  } catch (localError) {
+    console.error('Error listing session photos in local storage:', localError);
+  }
+
+  for (const studentId of studentIds) {
+    const prefix = `${sessionPrefix}${studentId}_`;
+    try {
+      const result = await cloudinary.api.resources({
+        type: 'upload',
+        prefix: `${CLOUDINARY_FOLDER}/${prefix}`,
+        max_results: 100
+      });
+      for (const resource of result.resources) {
+        addPhoto(studentId, path.basename(resource.public_id));
+      }
+    } catch (cloudinaryError) {
+      console.error('Error listing session photos in Cloudinary:', cloudinaryError);
+    }
+
+    files.filter(file => file.startsWith(prefix)).forEach(file => addPhoto(studentId, file));
+  }
+
+  return photos;
+};
+
 // Cleanup old photos based on retention policy
 const cleanupOldPhotos = async () => {
   try {
@@ -324,6 +370,34 @@ const verifyPhoto = async (photoFilename, referencePhotoUrl = null) => {
   }
 };
 
+// Copy an attendance photo out of the retention window so it can serve as case evidence
+const preservePhoto = async (identifier, caseId) => {
+  const photo = await getPhoto(identifier);
+  const filename = `${caseId}_${path.basename(identifier, path.extname(identifier))}`;
+
+  if (photo.cloudinaryUrl) {
+    const result = await cloudinary.uploader.upload(photo.cloudinaryUrl, {
+      folder: EVIDENCE_CLOUDINARY_FOLDER,
+      public_id: filename,
+      resource_type: 'image',
+      overwrite: true
+    });
+    return { url: result.secure_url, filename };
+  }
+
+  if (!fs.existsSync(EVIDENCE_STORAGE_PATH)) {
+    await mkdirAsync(EVIDENCE_STORAGE_PATH, { recursive: true });
+  }
+  await fs.promises.writeFile(path.join(EVIDENCE_STORAGE_PATH, `${filename}.jpg`), photo.data);
+  return { url: null, filename: `${filename}.jpg` };
+};
+
+// Path of a locally preserved evidence photo (null if missing)
+const getEvidencePhotoPath = (filename) => {
+  const filePath = path.join(EVIDENCE_STORAGE_PATH, path.basename(filename));
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
 // Schedule regular cleanup - Only master process
 const scheduleCleanup = () => {
   const cluster = require('cluster');
@@ -346,6 +420,9 @@ module.exports = {
   getPhoto,
   deletePhoto,
   deleteSessionPhotos,
+  findSessionPhotos,
   cleanupOldPhotos,
-  verifyPhoto
+  verifyPhoto,
+  preservePhoto,
+  getEvidencePhotoPath
 };
@@ -0,0 +1,617 @@
+const mongoose = require('mongoose');
+const ProxyCase = require('../models/ProxyCase');
+const ProxyMarker = require('../models/ProxyMarker');
+const CameraViolation = require('../models/CameraViolation');
+const RiskEvent = require('../models/RiskEvent');
+const ProxyRingReport = require('../models/ProxyRingReport');
+const DeviceObservation = require('../models/DeviceObservation');
+const AttendanceRecord = require('../models/AttendanceRecord');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const photoVerificationService = require('./photoVerificationService');
+
+const SOURCE_TYPES = ['proxyMarker', 'cameraViolation', 'riskEvent', 'proxyRing'];
+const DEVICE_HISTORY_DAYS = 14;
+const DEVICE_OBSERVATIONS_PER_STUDENT = 20;
+
+const toActor = ({ role, id, name }) => ({ role, id, name });
+
+/**
+ * Case management for suspected proxy attendance: signals are escalated into
+ * cases that keep their own copy of the evidence and of the affected
+ * attendance records, and are worked through open → investigating → closed.
+ */
+class ProxyCaseService {
+  /**
+   * Whether a faculty or admin may see and work on a case
+   * @param {Object} actor - { role, id, name, department (admin), user (faculty) }
+   * @param {Object} proxyCase
+   * @returns {boolean}
+   */
+  canAccess(actor, proxyCase) {
+    // Department admins are limited to their own department
+    if (actor.role === 'admin') return !actor.department || actor.department === proxyCase.department;
+
+    const faculty = actor.user;
+    return faculty.department === proxyCase.department &&
+      proxyCase.students.some(student =>
+        (faculty.teachingAssignments || []).some(assignment =>
+          assignment.semester === student.semester && assignment.section === student.section
+        )
+      );
+  }
+
+  /**
+   * Load a case the actor may access
+   * @param {string} caseId
+   * @param {Object} actor
+   * @returns {Promise<Object>} - Case document
+   */
+  async getAccessibleCase(caseId, actor) {
+    if (!mongoose.Types.ObjectId.isValid(caseId)) {
+      throw new Error('Case not found');
+    }
+
+    const proxyCase = await ProxyCase.findById(caseId);
+    if (!proxyCase) {
+      throw new Error('Case not found');
+    }
+    if (!this.canAccess(actor, proxyCase)) {
+      throw new Error('You are not authorized to access this case');
+    }
+    return proxyCase;
+  }
+
+  /**
+   * Case student entry from a User document
+   * @param {Object} user
+   * @param {Object} fallback - Identity recorded on the signal
+   * @returns {Object}
+   */
+  toCaseStudent(user, fallback = {}) {
+    return {
+      userId: user ? user._id.toString() : fallback.userId,
+      studentId: user ? user.studentId : fallback.studentId,
+      name: (user && user.name) || fallback.name,
+      rollNumber: (user && user.classRollNumber) || fallback.rollNumber,
+      semester: (user && user.semester) || fallback.semester,
+      section: (user && user.section) || fallback.section
+    };
+  }
+
+  /**
+   * Copy the evidence of a signal before it expires
+   * @param {Object} source - { type, id }
+   * @param {Object} actor
+   * @returns {Promise<Object>} - { title, department, students, occurredAt, evidence: [] }
+   */
+  async collectSourceEvidence(source, actor) {
+    if (!source || !SOURCE_TYPES.includes(source.type)) {
+      throw new Error(`Source type must be one of ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(source.id)) {
+      throw new Error('Signal not found. It may have expired.');
+    }
+
+    const userFields = '_id studentId name classRollNumber course semester section';
+    const evidenceSource = { type: source.type, id: String(source.id) };
+    const addedBy = toActor(actor);
+
+    switch (source.type) {
+      case 'proxyMarker': {
+        const marker = await ProxyMarker.findById(source.id).lean();
+        if (!marker) throw new Error('Signal not found. It may have expired.');
+        const user = await User.findById(marker.userId).select(userFields).lean();
+        return {
+          title: `VPN use by ${marker.name} (${marker.classRollNumber})`,
+          department: (user && user.course) || marker.course,
+          students: [this.toCaseStudent(user, { userId: marker.userId, name: marker.name, rollNumber: marker.classRollNumber, section: marker.section })],
+          occurredAt: marker.timestamp,
+          evidence: [{
+            kind: 'vpn',
+            source: evidenceSource,
+            occurredAt: marker.timestamp,
+            summary: `Attendance attempted from ${marker.country} (${marker.ipAddress})`,
+            details: { ipAddress: marker.ipAddress, country: marker.country },
+            addedBy
+          }]
+        };
+      }
+
+      case 'cameraViolation': {
+        const violation = await CameraViolation.findById(source.id).lean();
+        if (!violation) throw new Error('Signal not found. It may have expired.');
+        // Older violations were saved without the student's account
+        const user = violation.userId
+          ? await User.findById(violation.userId).select(userFields).lean()
+          : await User.findOne({
+            role: 'student',
+            classRollNumber: violation.classRollNumber,
+            section: violation.section,
+            ...(actor.role === 'faculty' ? { course: actor.user.department } : {})
+          }).select(userFields).lean();
+        return {
+          title: `Camera violation by ${violation.name} (${violation.classRollNumber})`,
+          department: (user && user.course) || violation.course,
+          students: [this.toCaseStudent(user, { name: violation.name, rollNumber: violation.classRollNumber, semester: violation.semester, section: violation.section })],
+          occurredAt: violation.timestamp,
+          evidence: [{
+            kind: 'camera',
+            source: evidenceSource,
+            occurredAt: violation.timestamp,
+            summary: violation.reason,
+            details: { reason: violation.reason },
+            addedBy
+          }]
+        };
+      }
+
+      case 'riskEvent': {
+        const event = await RiskEvent.findById(source.id).lean();
+        if (!event) throw new Error('Signal not found. It may have expired.');
+        const user = event.userId
+          ? await User.findById(event.userId).select(userFields).lean()
+          : await User.findOne({ studentId: event.studentId }).select(userFields).lean();
+        return {
+          title: `${event.signal} signal for ${event.name || event.studentId} (${event.rollNumber || '-'})`,
+          department: (user && user.course) || event.department,
+          students: [this.toCaseStudent(user, event)],
+          occurredAt: event.createdAt,
+          evidence: [{
+            kind: 'risk-signal',
+            source: evidenceSource,
+            occurredAt: event.createdAt,
+            summary: `${event.signal} (+${event.weight} risk)${event.sessionId ? ` in session ${event.sessionId}` : ''}`,
+            details: { signal: event.signal, weight: event.weight, sessionId: event.sessionId, ...(event.details || {}) },
+            addedBy
+          }]
+        };
+      }
+
+      case 'proxyRing': {
+        const report = await ProxyRingReport.findOne({ 'clusters._id': source.id }).lean();
+        const ring = report && report.clusters.find(entry => entry._id.toString() === String(source.id));
+        if (!ring) throw new Error('Signal not found. It may have expired.');
+        return {
+          title: `Proxy ring of ${ring.studentCount} students (score ${ring.score})`,
+          department: ring.departments[0],
+          students: ring.students.map(student => this.toCaseStudent(null, student)),
+          occurredAt: ring.lastSeen,
+          evidence: [{
+            kind: 'proxy-ring',
+            source: evidenceSource,
+            occurredAt: ring.lastSeen,
+            summary: `${ring.identifiers.length} shared identifiers between ${ring.firstSeen.toDateString()} and ${ring.lastSeen.toDateString()}`,
+            details: { score: ring.score, reportGeneratedAt: report.generatedAt, identifiers: ring.identifiers },
+            addedBy
+          }]
+        };
+      }
+    }
+  }
+
+  /**
+   * Snapshot of the devices the students marked attendance with around the signal
+   * @param {Array} students - Case students
+   * @param {Date} occurredAt
+   * @param {Object} actor
+   * @returns {Promise<Array>} - Evidence entries
+   */
+  async collectDeviceEvidence(students, occurredAt, actor) {
+    const since = new Date(new Date(occurredAt || Date.now()).getTime() - DEVICE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const evidence = [];
+    for (const student of students.filter(entry => entry.userId)) {
+      const observations = await DeviceObservation.find({ userId: student.userId, observedAt: { $gte: since } })
+        .sort({ observedAt: -1 })
+        .limit(DEVICE_OBSERVATIONS_PER_STUDENT)
+        .select('-_id -__v -userId')
+        .lean();
+      if (observations.length === 0) continue;
+
+      evidence.push({
+        kind: 'device',
+        occurredAt: observations[0].observedAt,
+        summary: `${observations.length} device sightings of ${student.rollNumber || student.name} in the ${DEVICE_HISTORY_DAYS} days before the signal`,
+        details: { rollNumber: student.rollNumber, observations },
+        addedBy: toActor(actor)
+      });
+    }
+    return evidence;
+  }
+
+  /**
+   * Status of each case student in an attendance record
+   * @param {Object} record - AttendanceRecord
+   * @param {Array} students - Case students
+   * @returns {Array} - [{ rollNumber, status }]
+   */
+  getStudentStatuses(record, students) {
+    return students
+      .filter(student => student.rollNumber && student.semester === record.semester && student.section === record.section)
+      .map(student => {
+        let status = 'absent';
+        if ((record.presentStudents || []).includes(student.rollNumber)) status = 'present';
+        else if ((record.excusedStudents || []).includes(student.rollNumber)) status = 'excused';
+        return { rollNumber: student.rollNumber, status };
+      });
+  }
+
+  /**
+   * Link an attendance record to the case, keeping a snapshot and the students' photos
+   * @param {Object} proxyCase - Case document (saved by the caller)
+   * @param {Object} record - AttendanceRecord
+   * @param {Object} actor
+   * @returns {Promise<boolean>} - false if it was already linked
+   */
+  async attachRecord(proxyCase, record, actor) {
+    if (proxyCase.attendanceRecords.some(entry => entry.record && entry.record.equals(record._id))) {
+      return false;
+    }
+
+    proxyCase.attendanceRecords.push({
+      record: record._id,
+      date: record.date,
+      facultyId: record.facultyId,
+      subjectCode: record.subjectCode,
+      subjectName: record.subjectName,
+      semester: record.semester,
+      section: record.section,
+      studentStatuses: this.getStudentStatuses(record, proxyCase.students),
+      linkedBy: toActor(actor),
+      linkedAt: new Date()
+    });
+
+    // Attendance photos are deleted after a day, so copy the case students' ones now.
+    // Students upload them under their roll number (or user id) while the session runs.
+    const photos = await this.findStudentPhotos(record, proxyCase.students);
+
+    for (const photo of photos) {
+      try {
+        const preserved = await photoVerificationService.preservePhoto(photo.photoFilename, proxyCase._id.toString());
+        proxyCase.evidence.push({
+          kind: 'photo',
+          source: { type: 'attendanceRecord', id: record._id.toString() },
+          occurredAt: photo.photoTimestamp,
+          summary: `Attendance photo of ${photo.rollNumber} (${record.subjectName || record.subjectCode || 'session'} on ${new Date(record.date).toDateString()})`,
+          photo: preserved,
+          addedBy: toActor(actor)
+        });
+      } catch (error) {
+        console.warn(`⚠️ Could not preserve photo ${photo.photoFilename} for case ${proxyCase._id}:`, error.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Photos the case students uploaded during the QR session of a record
+   * @param {Object} record - AttendanceRecord
+   * @param {Array} students - Case students ({ studentId, rollNumber })
+   * @returns {Promise<Array>} - [{ rollNumber, photoFilename, photoTimestamp }]
+   */
+  async findStudentPhotos(record, students) {
+    // Manually created records have no session photos
+    if (!record.sessionId) return [];
+
+    const rollNumberById = new Map();
+    students.forEach(student => {
+      if (student.rollNumber) rollNumberById.set(student.rollNumber, student.rollNumber);
+      if (student.studentId) rollNumberById.set(String(student.studentId), student.rollNumber || String(student.studentId));
+    });
+    if (rollNumberById.size === 0) return [];
+
+    const photos = await photoVerificationService.findSessionPhotos(
+      record.department,
+      record.semester,
+      record.section,
+      [...rollNumberById.keys()],
+      new Date(record.date),
+      new Date(record.createdAt || Date.now())
+    );
+    return photos.map(photo => ({ ...photo, rollNumber: rollNumberById.get(photo.studentId) }));
+  }
+
+  /**
+   * Attendance records of the students' sections on the day of the signal in
+   * which one of them was marked present
+   * @param {Object} proxyCase
+   * @param {Date} occurredAt
+   * @returns {Promise<Array>}
+   */
+  async findAffectedRecords(proxyCase, occurredAt) {
+    if (!occurredAt) return [];
+
+    const dayStart = new Date(occurredAt);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    const rollNumbers = proxyCase.students.map(student => student.rollNumber).filter(Boolean);
+    if (rollNumbers.length === 0) return [];
+
+    return AttendanceRecord.find({
+      department: proxyCase.department,
+      date: { $gte: dayStart, $lt: dayEnd },
+      presentStudents: { $in: rollNumbers }
+    });
+  }
+
+  /**
+   * Escalate a signal into a new case
+   * @param {Object} actor
+   * @param {Object} data - { source: { type, id }, title, note }
+   * @returns {Promise<Object>} - Created case
+   */
+  async escalate(actor, { source, title, note } = {}) {
+    const collected = await this.collectSourceEvidence(source, actor);
+    if (!collected.department) {
+      throw new Error('Could not identify the student of this signal');
+    }
+
+    const existing = await ProxyCase.findOne({
+      'evidence.source.id': String(source.id),
+      status: { $ne: 'closed' }
+    }).select('title').lean();
+    if (existing) {
+      throw new Error(`This signal has already been escalated (case "${existing.title}")`);
+    }
+
+    const proxyCase = new ProxyCase({
+      title: (title && title.trim()) || collected.title,
+      department: collected.department,
+      students: collected.students,
+      evidence: collected.evidence,
+      openedBy: toActor(actor),
+      history: [{ action: 'opened', to: 'open', by: toActor(actor) }]
+    });
+
+    if (!this.canAccess(actor, proxyCase)) {
+      throw new Error('You are not authorized to open a case for these students');
+    }
+
+    proxyCase.evidence.push(...await this.collectDeviceEvidence(collected.students, collected.occurredAt, actor));
+
+    const records = await this.findAffectedRecords(proxyCase, collected.occurredAt);
+    for (const record of records) {
+      await this.attachRecord(proxyCase, record, actor);
+    }
+
+    if (note && note.trim()) {
+      proxyCase.notes.push({ author: toActor(actor), text: note.trim() });
+    }
+
+    await proxyCase.save();
+    console.log(`🗂️ Case ${proxyCase._id} opened by ${actor.role} ${actor.id} from ${source.type} ${source.id}`);
+    return proxyCase;
+  }
+
+  /**
+   * Add another signal's evidence to an existing case
+   * @param {string} caseId
+   * @param {Object} actor
+   * @param {Object} source - { type, id }
+   * @returns {Promise<Object>}
+   */
+  async addEvidence(caseId, actor, source) {
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    if (proxyCase.evidence.some(entry => entry.source && entry.source.id === String(source && source.id))) {
+      throw new Error('This signal is already part of the case');
+    }
+
+    const collected = await this.collectSourceEvidence(source, actor);
+    proxyCase.evidence.push(...collected.evidence);
+
+    // Students named by the new signal join the case
+    for (const student of collected.students) {
+      if (!proxyCase.students.some(existing => existing.userId && existing.userId === student.userId)) {
+        proxyCase.students.push(student);
+      }
+    }
+
+    proxyCase.history.push({ action: 'evidence-added', to: source.type, by: toActor(actor) });
+    await proxyCase.save();
+    return proxyCase;
+  }
+
+  /**
+   * Link an attendance record by ID
+   * @param {string} caseId
+   * @param {Object} actor
+   * @param {string} recordId
+   * @returns {Promise<Object>}
+   */
+  async linkAttendanceRecord(caseId, actor, recordId) {
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      throw new Error('Attendance record not found');
+    }
+
+    const record = await AttendanceRecord.findById(recordId);
+    if (!record) {
+      throw new Error('Attendance record not found. It may have expired.');
+    }
+    if (record.department !== proxyCase.department ||
+      !proxyCase.students.some(student => student.semester === record.semester && student.section === record.section)) {
+      throw new Error('The attendance record is not of a section in this case');
+    }
+
+    if (!await this.attachRecord(proxyCase, record, actor)) {
+      throw new Error('The attendance record is already linked to this case');
+    }
+
+    proxyCase.history.push({ action: 'record-linked', to: record._id.toString(), by: toActor(actor) });
+    await proxyCase.save();
+    return proxyCase;
+  }
+
+  /**
+   * Cases visible to the actor, most recently updated first
+   * @param {Object} actor
+   * @param {Object} filters - { status, assignedToMe, rollNumber, recordId }
+   * @returns {Promise<Array>}
+   */
+  async listCases(actor, filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.rollNumber) query['students.rollNumber'] = filters.rollNumber;
+    if (filters.recordId && mongoose.Types.ObjectId.isValid(filters.recordId)) {
+      query['attendanceRecords.record'] = filters.recordId;
+    }
+    if (filters.assignedToMe === 'true') {
+      query['assignee.role'] = actor.role;
+      query['assignee.id'] = actor.id;
+    }
+
+    if (actor.role === 'admin') {
+      const department = actor.department || filters.department;
+      if (department) query.department = department;
+    } else {
+      const classes = (actor.user.teachingAssignments || []).map(assignment => ({
+        semester: assignment.semester,
+        section: assignment.section
+      }));
+      if (classes.length === 0) return [];
+
+      query.department = actor.user.department;
+      query.students = { $elemMatch: { $or: classes } };
+    }
+
+    return ProxyCase.find(query)
+      .select('title status outcome students department assignee openedBy closedAt createdAt updatedAt evidence.kind attendanceRecords.record')
+      .sort({ updatedAt: -1 })
+      .limit(200)
+      .lean();
+  }
+
+  /**
+   * Full case with evidence, records, notes and history
+   * @param {string} caseId
+   * @param {Object} actor
+   * @returns {Promise<Object>}
+   */
+  async getCase(caseId, actor) {
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    return proxyCase.toObject();
+  }
+
+  /**
+   * Resolve who a case is assigned to
+   * @param {Object} actor
+   * @param {*} assignee - 'me', null, or { role, id } (admins only)
+   * @returns {Promise<Object|null>}
+   */
+  async resolveAssignee(actor, assignee) {
+    if (assignee === null || assignee === '') return null;
+    if (assignee === 'me') return toActor(actor);
+
+    if (actor.role !== 'admin') {
+      throw new Error('Faculty can only assign cases to themselves');
+    }
+
+    if (assignee.role === 'faculty') {
+      const faculty = await User.findOne({ role: 'faculty', facultyId: assignee.id }).select('facultyId name department').lean();
+      if (!faculty || (actor.department && faculty.department !== actor.department)) {
+        throw new Error('Faculty member not found');
+      }
+      return { role: 'faculty', id: faculty.facultyId, name: faculty.name };
+    }
+    if (assignee.role === 'admin') {
+      const admin = await Admin.findActiveByAdminId(assignee.id).select('adminId name').lean();
+      if (!admin) {
+        throw new Error('Admin not found');
+      }
+      return { role: 'admin', id: admin.adminId, name: admin.name };
+    }
+
+    throw new Error('Invalid assignee');
+  }
+
+  /**
+   * Change status, assignee or outcome. Closing requires an outcome.
+   * @param {string} caseId
+   * @param {Object} actor
+   * @param {Object} updates - { status, assignee, outcome, outcomeNote }
+   * @returns {Promise<Object>}
+   */
+  async updateCase(caseId, actor, updates) {
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    const by = toActor(actor);
+
+    if (updates.outcome !== undefined && updates.outcome !== null && !ProxyCase.OUTCOMES.includes(updates.outcome)) {
+      throw new Error(`Outcome must be one of ${ProxyCase.OUTCOMES.join(', ')}`);
+    }
+    if (updates.outcome !== undefined && updates.outcome !== proxyCase.outcome) {
+      proxyCase.history.push({ action: 'outcome', from: proxyCase.outcome, to: updates.outcome, by });
+      proxyCase.outcome = updates.outcome;
+    }
+    if (updates.outcomeNote !== undefined) {
+      proxyCase.outcomeNote = updates.outcomeNote;
+    }
+
+    if (updates.assignee !== undefined) {
+      const assignee = await this.resolveAssignee(actor, updates.assignee);
+      proxyCase.history.push({
+        action: 'assigned',
+        from: proxyCase.assignee && proxyCase.assignee.name,
+        to: assignee ? assignee.name : null,
+        by
+      });
+      proxyCase.assignee = assignee;
+    }
+
+    if (updates.status !== undefined && updates.status !== proxyCase.status) {
+      if (!ProxyCase.STATUSES.includes(updates.status)) {
+        throw new Error(`Status must be one of ${ProxyCase.STATUSES.join(', ')}`);
+      }
+      if (updates.status === 'closed' && !proxyCase.outcome) {
+        throw new Error('Record an outcome before closing the case');
+      }
+
+      proxyCase.history.push({ action: 'status', from: proxyCase.status, to: updates.status, by });
+      proxyCase.status = updates.status;
+      proxyCase.closedAt = updates.status === 'closed' ? new Date() : null;
+    }
+
+    await proxyCase.save();
+    console.log(`🗂️ Case ${proxyCase._id} updated by ${actor.role} ${actor.id} (${proxyCase.status})`);
+    return proxyCase;
+  }
+
+  /**
+   * Add an investigation note
+   * @param {string} caseId
+   * @param {Object} actor
+   * @param {string} text
+   * @returns {Promise<Object>}
+   */
+  async addNote(caseId, actor, text) {
+    if (!text || !text.trim()) {
+      throw new Error('Note text is required');
+    }
+
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    proxyCase.notes.push({ author: toActor(actor), text: text.trim() });
+    await proxyCase.save();
+    return proxyCase;
+  }
+
+  /**
+   * Local path of a preserved evidence photo (photos kept in Cloudinary are linked directly)
+   * @param {string} caseId
+   * @param {Object} actor
+   * @param {string} filename
+   * @returns {Promise<string>}
+   */
+  async getEvidencePhotoPath(caseId, actor, filename) {
+    const proxyCase = await this.getAccessibleCase(caseId, actor);
+    const evidence = proxyCase.evidence.find(entry => entry.photo && entry.photo.filename === filename);
+    const filePath = evidence && photoVerificationService.getEvidencePhotoPath(filename);
+    if (!filePath) {
+      throw new Error('Photo not found');
+    }
+    return filePath;
+  }
+}
+
+module.exports = new ProxyCaseService();
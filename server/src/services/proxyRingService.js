@@ -0,0 +1,395 @@
+const mongoose = require('mongoose');
+const DeviceObservation = require('../models/DeviceObservation');
+const ProxyRingReport = require('../models/ProxyRingReport');
+const redisCache = require('./redisCache');
+const scheduledJobService = require('./scheduledJobService');
+
+// Points an identifier adds per extra student sharing it (fingerprints are the strongest evidence)
+const IDENTIFIER_WEIGHTS = { fingerprint: 25, webrtc: 12, ip: 5 };
+const MAX_SCORE = 100;
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Loopback and mDNS (random per page load) candidates link nobody
+const isLinkableWebRTCIP = (ip) => Boolean(ip) && ip !== '0.0.0.0' && ip !== '::1' &&
+  !ip.startsWith('127.') && !ip.endsWith('.local');
+
+/**
+ * Offline proxy-ring analyzer. Builds a graph of students and the device
+ * fingerprints, WebRTC IPs and IP addresses they marked attendance with over
+ * several weeks, and reports the clusters of students linked by shared devices.
+ */
+class ProxyRingService {
+  constructor() {
+    this.DEFAULT_WINDOW_DAYS = parseInt(process.env.PROXY_RING_WINDOW_DAYS) || 28;
+    this.MAX_WINDOW_DAYS = 60; // DeviceObservation TTL
+    // Identifiers shared by more students than this are lab machines or campus NAT, not a phone
+    this.MAX_SHARED_STUDENTS = { fingerprint: 8, webrtc: 6, ip: 4 };
+    this.MAX_CLUSTERS = 200;
+    this.MAX_IDENTIFIERS_PER_CLUSTER = 50;
+    this.REPORTS_KEPT = 10;
+    this.ANALYSIS_INTERVAL_MS = 24 * 60 * 60 * 1000; // Nightly
+    this.LOCK_KEY = 'proxy-ring:analysis:lock';
+    this.LOCK_TTL_SECONDS = 15 * 60;
+    this.running = false;
+
+    // Run the analysis periodically - on one process only
+    scheduledJobService.register('proxy-ring-analysis', this.ANALYSIS_INTERVAL_MS, () => this.analyze());
+  }
+
+  /**
+   * Make sure only one analysis runs at a time across workers
+   * @returns {Promise<boolean>} - Whether the lock was acquired
+   */
+  async acquireLock() {
+    if (this.running) return false;
+
+    if (redisCache.isHealthy()) {
+      const result = await redisCache.getClient().set(this.LOCK_KEY, String(process.pid), {
+        NX: true,
+        EX: this.LOCK_TTL_SECONDS
+      });
+      if (result !== 'OK') return false;
+    }
+
+    this.running = true;
+    return true;
+  }
+
+  /**
+   * Release the analysis lock
+   * @returns {Promise<void>}
+   */
+  async releaseLock() {
+    this.running = false;
+    await redisCache.del(this.LOCK_KEY);
+  }
+
+  /**
+   * Stream the observations of the window into student and identifier nodes
+   * @param {Date} since
+   * @returns {Promise<Object>} - { students: Map, identifiers: Map, observationCount }
+   */
+  async buildGraph(since) {
+    const students = new Map();
+    const identifiers = new Map();
+    let observationCount = 0;
+
+    const link = (type, value, observation) => {
+      const key = `${type}:${value}`;
+      if (!identifiers.has(key)) {
+        identifiers.set(key, {
+          type,
+          value,
+          userDays: new Map(),
+          observations: 0,
+          firstSeen: observation.observedAt,
+          lastSeen: observation.observedAt
+        });
+      }
+
+      const node = identifiers.get(key);
+      node.observations++;
+      if (observation.observedAt < node.firstSeen) node.firstSeen = observation.observedAt;
+      if (observation.observedAt > node.lastSeen) node.lastSeen = observation.observedAt;
+      if (!node.userDays.has(observation.userId)) node.userDays.set(observation.userId, new Set());
+      node.userDays.get(observation.userId).add(dayOf(observation.observedAt));
+    };
+
+    const cursor = DeviceObservation.find({ observedAt: { $gte: since } })
+      .select('-_id -__v')
+      .lean()
+      .cursor();
+
+    for await (const observation of cursor) {
+      observationCount++;
+
+      const student = students.get(observation.userId);
+      if (!student) {
+        students.set(observation.userId, {
+          userId: observation.userId,
+          studentId: observation.studentId,
+          name: observation.name,
+          rollNumber: observation.rollNumber,
+          department: observation.department,
+          semester: observation.semester,
+          section: observation.section,
+          observations: 1,
+          blockedAttempts: observation.allowed === false ? 1 : 0,
+          lastSeen: observation.observedAt
+        });
+      } else {
+        student.observations++;
+        if (observation.allowed === false) student.blockedAttempts++;
+        // Keep the most recent identity (students move sections between semesters)
+        if (observation.observedAt > student.lastSeen) {
+          Object.assign(student, {
+            studentId: observation.studentId || student.studentId,
+            name: observation.name || student.name,
+            rollNumber: observation.rollNumber || student.rollNumber,
+            department: observation.department,
+            semester: observation.semester,
+            section: observation.section,
+            lastSeen: observation.observedAt
+          });
+        }
+      }
+
+      if (observation.fingerprint) link('fingerprint', observation.fingerprint, observation);
+      if (observation.ipAddress) link('ip', observation.ipAddress, observation);
+      for (const ip of new Set(observation.webRTCIPs || [])) {
+        if (isLinkableWebRTCIP(ip)) link('webrtc', ip, observation);
+      }
+    }
+
+    return { students, identifiers, observationCount };
+  }
+
+  /**
+   * Days on which two or more students used the identifier
+   * @param {Object} identifier - Graph node
+   * @returns {number}
+   */
+  countSameDayShares(identifier) {
+    const studentsPerDay = new Map();
+    for (const days of identifier.userDays.values()) {
+      for (const day of days) {
+        studentsPerDay.set(day, (studentsPerDay.get(day) || 0) + 1);
+      }
+    }
+    return Array.from(studentsPerDay.values()).filter(count => count >= 2).length;
+  }
+
+  /**
+   * Group students connected through shared identifiers (union-find)
+   * @param {Array} sharedIdentifiers - Identifier nodes used by 2+ students
+   * @returns {Array<Object>} - [{ userIds: Set, identifiers: [] }] with 2+ students each
+   */
+  findClusters(sharedIdentifiers) {
+    const parent = new Map();
+    const find = (id) => {
+      if (!parent.has(id)) parent.set(id, id);
+      let root = id;
+      while (parent.get(root) !== root) root = parent.get(root);
+      // Path compression
+      while (parent.get(id) !== root) {
+        const next = parent.get(id);
+        parent.set(id, root);
+        id = next;
+      }
+      return root;
+    };
+
+    for (const identifier of sharedIdentifiers) {
+      const [first, ...rest] = identifier.userDays.keys();
+      for (const userId of rest) {
+        parent.set(find(userId), find(first));
+      }
+    }
+
+    const clusters = new Map();
+    for (const identifier of sharedIdentifiers) {
+      const root = find(identifier.userDays.keys().next().value);
+      if (!clusters.has(root)) clusters.set(root, { userIds: new Set(), identifiers: [] });
+      const group = clusters.get(root);
+      identifier.userDays.forEach((days, userId) => group.userIds.add(userId));
+      group.identifiers.push(identifier);
+    }
+
+    return Array.from(clusters.values()).filter(group => group.userIds.size >= 2);
+  }
+
+  /**
+   * Score a cluster: each shared identifier adds its weight per extra student,
+   * plus half its weight per day it was shared on the same day (up to 4 days),
+   * plus 2 per attempt the device check blocked (up to 10)
+   * @param {Array} identifiers - Cluster identifiers with sameDayShares
+   * @param {number} blockedAttempts
+   * @returns {number} - 0-100
+   */
+  scoreCluster(identifiers, blockedAttempts) {
+    let score = Math.min(10, blockedAttempts * 2);
+    for (const identifier of identifiers) {
+      const weight = IDENTIFIER_WEIGHTS[identifier.type];
+      score += weight * (identifier.userIds.length - 1);
+      score += (weight / 2) * Math.min(4, identifier.sameDayShares);
+    }
+    return Math.min(MAX_SCORE, Math.round(score));
+  }
+
+  /**
+   * Run the analysis and store a new ranked report
+   * @param {Object} options - { windowDays, triggeredBy }
+   * @returns {Promise<Object|null>} - The report, or null if another analysis is running
+   */
+  async analyze({ windowDays, triggeredBy = 'schedule' } = {}) {
+    const days = Math.min(this.MAX_WINDOW_DAYS, Math.max(1, parseInt(windowDays) || this.DEFAULT_WINDOW_DAYS));
+
+    if (!await this.acquireLock()) {
+      console.log('🕸️ Proxy-ring analysis already running, skipping');
+      return null;
+    }
+
+    try {
+      const startedAt = Date.now();
+      const since = new Date(startedAt - days * 24 * 60 * 60 * 1000);
+      const { students, identifiers, observationCount } = await this.buildGraph(since);
+
+      let ignoredIdentifierCount = 0;
+      const sharedIdentifiers = [];
+      for (const identifier of identifiers.values()) {
+        const studentCount = identifier.userDays.size;
+        if (studentCount < 2) continue;
+        if (studentCount > this.MAX_SHARED_STUDENTS[identifier.type]) {
+          ignoredIdentifierCount++;
+          continue;
+        }
+        sharedIdentifiers.push(identifier);
+      }
+
+      const clusters = this.findClusters(sharedIdentifiers)
+        .map(group => {
+          const ringStudents = Array.from(group.userIds).map(userId => students.get(userId));
+          const ringIdentifiers = group.identifiers
+            .map(identifier => ({
+              type: identifier.type,
+              value: identifier.value,
+              userIds: Array.from(identifier.userDays.keys()),
+              observations: identifier.observations,
+              sameDayShares: this.countSameDayShares(identifier),
+              firstSeen: identifier.firstSeen,
+              lastSeen: identifier.lastSeen
+            }))
+            .sort((a, b) => IDENTIFIER_WEIGHTS[b.type] - IDENTIFIER_WEIGHTS[a.type] || b.userIds.length - a.userIds.length);
+          const blockedAttempts = ringStudents.reduce((sum, student) => sum + student.blockedAttempts, 0);
+
+          return {
+            score: this.scoreCluster(ringIdentifiers, blockedAttempts),
+            studentCount: ringStudents.length,
+            departments: Array.from(new Set(ringStudents.map(student => student.department).filter(Boolean))),
+            blockedAttempts,
+            firstSeen: new Date(Math.min(...ringIdentifiers.map(identifier => identifier.firstSeen))),
+            lastSeen: new Date(Math.max(...ringIdentifiers.map(identifier => identifier.lastSeen))),
+            students: ringStudents
+              .sort((a, b) => (a.rollNumber || '').localeCompare(b.rollNumber || '')),
+            identifiers: ringIdentifiers.slice(0, this.MAX_IDENTIFIERS_PER_CLUSTER)
+          };
+        })
+        .sort((a, b) => b.score - a.score || b.studentCount - a.studentCount)
+        .slice(0, this.MAX_CLUSTERS);
+
+      const report = await ProxyRingReport.create({
+        windowDays: days,
+        triggeredBy,
+        observationCount,
+        studentCount: students.size,
+        sharedIdentifierCount: sharedIdentifiers.length,
+        ignoredIdentifierCount,
+        durationMs: Date.now() - startedAt,
+        clusters
+      });
+
+      // Keep only the most recent reports
+      const stale = await ProxyRingReport.find()
+        .sort({ generatedAt: -1 })
+        .skip(this.REPORTS_KEPT)
+        .select('_id')
+        .lean();
+      if (stale.length > 0) {
+        await ProxyRingReport.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+      }
+
+      console.log(`🕸️ Proxy-ring analysis: ${observationCount} observations, ${students.size} students, ${clusters.length} rings (${report.durationMs} ms)`);
+      return report;
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Whether a ring involves a student within the scope
+   * @param {Object} ring - Report cluster
+   * @param {Object} scope - { department, sections: [{ semester, section }] } (empty for everything)
+   * @returns {boolean}
+   */
+  isInScope(ring, scope = {}) {
+    return ring.students.some(student => {
+      if (scope.department && student.department !== scope.department) return false;
+      if (scope.sections) {
+        return scope.sections.some(({ semester, section }) => student.semester === semester && student.section === section);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Latest report, with rings limited to the caller's scope
+   * @param {Object} scope - See isInScope
+   * @param {number} minScore - Hide rings scoring below this
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestReport(scope = {}, minScore = 0) {
+    const report = await ProxyRingReport.findLatest().lean();
+    if (!report) return null;
+
+    const { clusters, ...summary } = report;
+    return {
+      ...summary,
+      rings: clusters
+        .filter(ring => ring.score >= minScore && this.isInScope(ring, scope))
+        .map(({ identifiers, ...ring }) => ({
+          ...ring,
+          identifierCounts: identifiers.reduce((counts, identifier) => {
+            counts[identifier.type] = (counts[identifier.type] || 0) + 1;
+            return counts;
+          }, {})
+        }))
+    };
+  }
+
+  /**
+   * Drill-down of one ring: its students, shared identifiers and the
+   * observation timeline of its students within the report window
+   * @param {string} ringId - Cluster _id
+   * @param {Object} scope - See isInScope
+   * @returns {Promise<Object>}
+   */
+  async getRing(ringId, scope = {}) {
+    if (!mongoose.Types.ObjectId.isValid(ringId)) {
+      throw new Error('Proxy ring not found');
+    }
+
+    const report = await ProxyRingReport.findOne({ 'clusters._id': ringId }).lean();
+    const ring = report && report.clusters.find(entry => entry._id.toString() === ringId);
+    if (!ring || !this.isInScope(ring, scope)) {
+      throw new Error('Proxy ring not found');
+    }
+
+    const since = new Date(report.generatedAt.getTime() - report.windowDays * 24 * 60 * 60 * 1000);
+    const observations = await DeviceObservation.find({
+      userId: { $in: ring.students.map(student => student.userId) },
+      observedAt: { $gte: since, $lte: report.generatedAt }
+    })
+      .sort({ observedAt: -1 })
+      .limit(500)
+      .lean();
+
+    const shared = new Set(ring.identifiers.map(identifier => `${identifier.type}:${identifier.value}`));
+    const timeline = observations.map(observation => ({
+      ...observation,
+      sharedFingerprint: shared.has(`fingerprint:${observation.fingerprint}`),
+      sharedIP: shared.has(`ip:${observation.ipAddress}`),
+      sharedWebRTCIPs: (observation.webRTCIPs || []).filter(ip => shared.has(`webrtc:${ip}`))
+    }));
+
+    return {
+      reportId: report._id,
+      generatedAt: report.generatedAt,
+      windowDays: report.windowDays,
+      ring,
+      timeline
+    };
+  }
+}
+
+module.exports = new ProxyRingService();
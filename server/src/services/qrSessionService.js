@@ -4,9 +4,23 @@ const SessionAttendance = require('../models/SessionAttendance');
 const AttendanceRecord = require('../models/AttendanceRecord');
 const User = require('../models/User');
 const qrTokenService = require('./qrTokenService');
+const attendanceLedgerService = require('./attendanceLedgerService');
+const attendanceAlertService = require('./attendanceAlertService');
+const attendanceAuditService = require('./attendanceAuditService');
+const leaveRequestService = require('./leaveRequestService');
+const rosterService = require('./rosterService');
+const subjectService = require('./subjectService');
+const timetableService = require('./timetableService');
+const geofenceService = require('./geofenceService');
+const riskScoringService = require('./riskScoringService');
+const deviceTrackingService = require('./deviceTrackingService');
+const webhookService = require('./webhookService');
+const ScheduledSession = require('../models/ScheduledSession');
+const TimetableSlot = require('../models/TimetableSlot');
 const redisCache = require('./redisCache');
 const { v4: uuidv4 } = require('uuid');
 const cluster = require('cluster');
+const scheduledJobService = require('./scheduledJobService');
 
 class QRSessionService {
     constructor() {
@@ -20,6 +34,9 @@ class QRSessionService {
         this.CACHE_TTL = 5 * 60; // 5 minutes cache TTL in seconds
         this.cacheHits = 0; // Track cache performance
         this.cacheMisses = 0;
+
+        // 📅 TIMETABLE: Scheduled sessions may be started this many minutes before the slot
+        this.SCHEDULE_EARLY_START_MINUTES = 15;
         
         // Start periodic cache cleanup (every 6 minutes) - Only master process
         if (!cluster.isWorker) {
@@ -27,6 +44,9 @@ class QRSessionService {
                 this.clearExpiredCache();
             }, 6 * 60 * 1000);
         }
+
+        // Pre-create today's scheduled sessions and auto-lock/auto-end finished slots (every minute) - on one process only
+        scheduledJobService.register('scheduled-sessions', 60 * 1000, () => this.processScheduledSessions());
     }
 
     /**
@@ -341,14 +361,14 @@ class QRSessionService {
             // 🚀 REDIS CHECK (sub-millisecond)
             const redis = redisCache.getClient();
             const rollNumbers = await redis.sMembers(`session:${sessionId}:attended`);
-            return rollNumbers.sort(); // Sort roll numbers for consistency
+            return rollNumbers.sort(rosterService.compareRollNumbers); // Sort roll numbers for consistency
         } catch (error) {
             console.warn('⚠️ Redis attendance cache check failed, falling back to DB:', error.message);
             
             // 🔄 FALLBACK TO DB (original logic)
             try {
                 const presentStudentsData = await SessionAttendance.findBySession(sessionId);
-                return presentStudentsData.map(s => s.rollNumber || s.email).sort();
+                return presentStudentsData.map(s => s.rollNumber || s.email).sort(rosterService.compareRollNumbers);
             } catch (dbError) {
                 console.error('❌ DB fallback also failed:', dbError);
                 return [];
@@ -564,7 +584,7 @@ class QRSessionService {
     async clearSessionAttendanceCache(sessionId) {
         try {
             const redis = redisCache.getClient();
-            await redis.del(`session:${sessionId}:attended`);
+            await redis.del([`session:${sessionId}:attended`, `session:${sessionId}:roster`]);
             console.log(`🧹 Cleared attendance cache for session ${sessionId}`);
         } catch (error) {
             console.warn('⚠️ Redis session attendance cache clear failed:', error.message);
@@ -584,6 +604,7 @@ class QRSessionService {
             const pipeline = redis.multi();
             pipeline.del(`session:${sessionId}:joined`);
             pipeline.del(`session:${sessionId}:attended`);
+            pipeline.del(`session:${sessionId}:roster`);
             await pipeline.exec();
             
             console.log(`🧹 Cleared all caches for session ${sessionId}`);
@@ -689,13 +710,20 @@ class QRSessionService {
 
     /**
      * Start a new QR session (Faculty clicks "Start Session")
-     * @param {Object} sessionData - Session information
+     * @param {Object} sessionData - Session information, optionally with a geofence
+     *   ({ location, roomId, radiusMeters, geofenceMode }, see geofenceService)
      * @param {Object} facultyData - Faculty information
      */
     async startSession(sessionData, facultyData) {
         const { department, semester, section, totalStudents, sessionType = 'roll' } = sessionData;
         const { facultyId, name: facultyName, email: facultyEmail } = facultyData;
 
+        // Every session must be taken for a subject the faculty is assigned to
+        const subject = await subjectService.resolveSessionSubject(facultyData.userId, sessionData);
+
+        // 📍 GEOFENCE: Faculty's location, a saved room, or the timetabled room
+        const geofence = await geofenceService.resolveSessionGeofence(sessionData);
+
         // Force cleanup any existing sessions for this section first
         // console.log(`🧹 Cleaning up existing sessions for ${department}-${semester}-${section}`);
         
@@ -748,8 +776,11 @@ class QRSessionService {
             semester,
             section,
             totalStudents,
+            ...subject,
             sessionType,
             status: 'created',
+            geofence: geofence || { enabled: false },
+            challengeRequired: Boolean(sessionData.challengeRequired),
             photoVerificationRequired: true,
             analytics: {
                 totalQRScans: 0,
@@ -781,8 +812,11 @@ class QRSessionService {
                 semester,
                 section,
                 totalStudents,
+                ...subject,
                 sessionType,
                 status: 'created',
+                geofence: geofence || { enabled: false },
+                challengeRequired: qrSession.challengeRequired,
                 studentsJoined: [],
                 canLock: true,
                 canStartAttendance: false
@@ -836,6 +870,8 @@ class QRSessionService {
                 semester: session.semester,
                 section: session.section,
                 totalStudents: session.totalStudents,
+                subjectCode: session.subjectCode,
+                subjectName: session.subjectName,
                 status: 'locked',
                 studentsJoinedCount: redisStats.studentsJoined,
                 studentsPresentCount: redisStats.studentsPresent,
@@ -897,6 +933,8 @@ class QRSessionService {
                 department: session.department,
                 semester: session.semester,
                 section: session.section,
+                subjectCode: session.subjectCode,
+                subjectName: session.subjectName,
                 facultyName: session.facultyName,
                 facultyId: session.facultyId
             }
@@ -937,7 +975,8 @@ class QRSessionService {
             facultyId: facultyData.facultyId,
             department: session.department,
             semester: session.semester,
-            section: session.section
+            section: session.section,
+            challengeRequired: session.challengeRequired
         });
 
         // Update session with QR token
@@ -962,7 +1001,8 @@ class QRSessionService {
                 token: tokenData.token,
                 expiryTime: tokenData.expiryTime,
                 refreshCount: 1,
-                timerSeconds: 5
+                timerSeconds: 5,
+                challengeCode: tokenData.challengeCode
             },
             sessionData: {
                 sessionId,
@@ -971,6 +1011,8 @@ class QRSessionService {
                 semester: session.semester,
                 section: session.section,
                 totalStudents: session.totalStudents,
+                subjectCode: session.subjectCode,
+                subjectName: session.subjectName,
                 status: 'active',
                 studentsJoinedCount: session.studentsJoinedCount,
                 studentsPresentCount: session.studentsPresentCount,
@@ -1038,6 +1080,17 @@ class QRSessionService {
                 totalJoined: redisStats.studentsJoined
             });
 
+            // 📋 LIVE ROSTER: Flag joins from a device other than the registered one
+            const storedDeviceId = studentData.fingerprint
+                ? await this.getStudentDeviceId(studentData.studentId, session.department, session.semester, session.section)
+                : null;
+            await this.recordRosterEvent(session, studentData.classRollNumber, {
+                studentId: studentData.studentId,
+                name: studentData.name,
+                joinedAt: new Date(),
+                deviceMismatch: Boolean(storedDeviceId && storedDeviceId !== studentData.fingerprint)
+            });
+
             return {
                 success: true,
                 message: 'Successfully joined the session. Wait for faculty to start attendance.',
@@ -1074,10 +1127,15 @@ class QRSessionService {
      * @returns {Object} - Attendance result
      */
     async markAttendance(qrToken, studentData) {
-        // Validate QR token (pass student data for group token validation)
-        const tokenValidation = await qrTokenService.validateQRToken(qrToken, studentData);
+        // Validate QR token (pass student data for group token validation) and the projector code
+        const tokenValidation = await qrTokenService.validateQRToken(qrToken, studentData, {
+            challengeCode: studentData.challengeCode
+        });
         if (!tokenValidation.valid) {
-            throw new Error(tokenValidation.error);
+            // Keep the code so the app can ask for the projector code (CHALLENGE_*)
+            const error = new Error(tokenValidation.error);
+            error.code = tokenValidation.code;
+            throw error;
         }
 
         const { sessionData: tokenSessionData } = tokenValidation;
@@ -1112,7 +1170,44 @@ class QRSessionService {
 
         // Validate fingerprint against stored device ID
         if (storedDeviceId && storedDeviceId !== studentData.fingerprint) {
-            throw new Error('Attendance cannot be marked. Suspicious activity detected !');
+            await this.recordRosterEvent(session, studentData.classRollNumber, {
+                studentId: studentData.studentId,
+                name: studentData.name,
+                deviceMismatch: true
+            });
+            await riskScoringService.recordSignal('fingerprintMismatch', this.getRiskSubject(studentData), {
+                sessionId: session.sessionId
+            });
+            await this.recordDeviceObservation(session, studentData, false);
+            throw new Error('Attendance cannot be marked. Suspicious activity detected ! If you changed phones, request a device change from your dashboard.');
+        }
+
+        // 📍 GEOFENCE: Reject (or flag) scans reported from outside the classroom
+        const locationCheck = geofenceService.checkLocation(session.geofence, studentData.location);
+        if (!locationCheck.allowed) {
+            const action = session.geofence.mode === 'flag' ? 'flagged' : 'rejected';
+            await this.recordLocationFlag(session, studentData, locationCheck, action);
+
+            if (action === 'rejected') {
+                throw new Error(geofenceService.getRejectionMessage(locationCheck, session.geofence));
+            }
+        }
+
+        // 🔁 REPLAY PROTECTION: bind this token to the student and device (last check, so only accepted scans count)
+        const tokenUse = await qrTokenService.claimTokenUse(qrToken, {
+            studentId: studentData.studentId,
+            fingerprint: studentData.fingerprint,
+            totalStudents: session.totalStudents
+        });
+        if (!tokenUse.allowed) {
+            await this.recordTokenReuse(session, studentData, tokenUse);
+            await this.recordDeviceObservation(session, studentData, false);
+            const error = new Error(tokenUse.error);
+            error.code = tokenUse.code;
+            throw error;
+        }
+        if (tokenUse.proxyRing) {
+            await this.raiseProxyRingAlert(session, qrToken, tokenValidation.tokenInfo, tokenUse);
         }
 
         try {
@@ -1144,6 +1239,13 @@ class QRSessionService {
             // Update cache with session data
             this.activeSessions.set(session.sessionId, updatedSession);
 
+            await this.recordRosterEvent(session, studentData.classRollNumber, {
+                studentId: studentData.studentId,
+                name: studentData.name,
+                markedAt: new Date()
+            });
+            await this.recordDeviceObservation(session, studentData, true);
+
             return {
                 success: true,
                 message: 'Attendance marked successfully!',
@@ -1166,6 +1268,161 @@ class QRSessionService {
         }
     }
 
+    /**
+     * Record a scan that failed the geofence check in the session analytics and live roster
+     * @param {Object} session - QR session
+     * @param {Object} studentData - Student information
+     * @param {Object} locationCheck - Result of geofenceService.checkLocation
+     * @param {string} action - 'rejected' or 'flagged'
+     * @returns {Promise<void>}
+     */
+    async recordLocationFlag(session, studentData, locationCheck, action) {
+        const flag = {
+            studentId: studentData.studentId,
+            rollNumber: studentData.classRollNumber,
+            name: studentData.name,
+            reason: locationCheck.reason,
+            action,
+            distanceMeters: locationCheck.distanceMeters,
+            accuracyMeters: locationCheck.accuracyMeters,
+            at: new Date()
+        };
+
+        try {
+            await QRSession.updateOne(
+                { sessionId: session.sessionId },
+                {
+                    $inc: { [action === 'rejected' ? 'analytics.geofenceRejected' : 'analytics.geofenceFlagged']: 1 },
+                    $push: { 'analytics.locationFlags': flag }
+                }
+            );
+        } catch (error) {
+            console.error('⚠️ Failed to record location flag:', error.message);
+        }
+
+        console.log(`📍 Scan ${action} for ${studentData.studentId} in ${session.sessionId}: ${locationCheck.reason}${locationCheck.distanceMeters !== null ? ` (${locationCheck.distanceMeters} m)` : ''}`);
+
+        await this.recordRosterEvent(session, studentData.classRollNumber, {
+            studentId: studentData.studentId,
+            name: studentData.name,
+            locationFlag: { reason: flag.reason, action, distanceMeters: flag.distanceMeters, accuracyMeters: flag.accuracyMeters }
+        });
+
+        await riskScoringService.recordSignal('locationFlag', this.getRiskSubject(studentData), {
+            sessionId: session.sessionId,
+            details: { reason: flag.reason, action, distanceMeters: flag.distanceMeters, accuracyMeters: flag.accuracyMeters }
+        });
+    }
+
+    /**
+     * Keep the identifiers a scan was made with for the proxy-ring analyzer
+     * @param {Object} session - QR session
+     * @param {Object} studentData - Student information from the scan
+     * @param {boolean} allowed - Whether the scan was accepted
+     * @returns {Promise<void>}
+     */
+    async recordDeviceObservation(session, studentData, allowed) {
+        await deviceTrackingService.recordObservation(
+            { fingerprint: studentData.fingerprint, ipAddress: studentData.ipAddress },
+            {
+                userId: studentData.userId,
+                studentId: studentData.studentId,
+                userName: studentData.name,
+                userRoll: studentData.classRollNumber
+            },
+            {
+                department: session.department,
+                semester: session.semester,
+                section: session.section,
+                source: 'qr',
+                sessionId: session.sessionId,
+                allowed
+            }
+        );
+    }
+
+    /**
+     * Student identity for risk signals raised during a scan
+     * @param {Object} studentData - Student information from the scan
+     * @returns {Object}
+     */
+    getRiskSubject(studentData) {
+        return {
+            studentId: studentData.studentId,
+            name: studentData.name,
+            rollNumber: studentData.classRollNumber,
+            department: studentData.course,
+            semester: studentData.semester,
+            section: studentData.section
+        };
+    }
+
+    /**
+     * Record a scan rejected for reusing a QR token
+     * @param {Object} session - QR session
+     * @param {Object} studentData - Student information
+     * @param {Object} tokenUse - Rejected result of qrTokenService.claimTokenUse
+     * @returns {Promise<void>}
+     */
+    async recordTokenReuse(session, studentData, tokenUse) {
+        try {
+            await QRSession.updateOne(
+                { sessionId: session.sessionId },
+                { $inc: { 'analytics.tokenReuseRejected': 1 } }
+            );
+        } catch (error) {
+            console.error('⚠️ Failed to record token reuse:', error.message);
+        }
+
+        console.log(`🔁 Token reuse rejected for ${studentData.studentId} in ${session.sessionId}: ${tokenUse.code}`);
+
+        await riskScoringService.recordSignal('tokenReuse', this.getRiskSubject(studentData), {
+            sessionId: session.sessionId,
+            details: { code: tokenUse.code, fingerprint: studentData.fingerprint }
+        });
+    }
+
+    /**
+     * Alert the faculty that one QR token is being used by many devices (likely forwarded)
+     * @param {Object} session - QR session
+     * @param {string} qrToken - The shared token
+     * @param {Object} tokenInfo - Cached token data (issue time)
+     * @param {Object} tokenUse - Result of qrTokenService.claimTokenUse
+     * @returns {Promise<void>}
+     */
+    async raiseProxyRingAlert(session, qrToken, tokenInfo, tokenUse) {
+        const uses = await qrTokenService.getTokenUses(qrToken);
+        const alert = {
+            tokenIssuedAt: tokenInfo && tokenInfo.timestamp ? new Date(tokenInfo.timestamp) : null,
+            deviceCount: tokenUse.deviceCount,
+            useCount: tokenUse.useCount,
+            studentIds: uses.map(use => use.studentId),
+            at: new Date()
+        };
+
+        try {
+            await QRSession.updateOne(
+                { sessionId: session.sessionId },
+                { $push: { 'analytics.proxyRingAlerts': alert } }
+            );
+        } catch (error) {
+            console.error('⚠️ Failed to record proxy-ring alert:', error.message);
+        }
+
+        console.log(`🚨 Proxy-ring alert in ${session.sessionId}: one QR used by ${tokenUse.deviceCount} devices`);
+
+        if (this.io) {
+            this.io.to(`faculty-${session.facultyId}`).emit('qr-proxyRingAlert', {
+                sessionId: session.sessionId,
+                department: session.department,
+                semester: session.semester,
+                section: session.section,
+                ...alert,
+                message: `One QR code was scanned by ${tokenUse.deviceCount} devices within a single refresh. It may have been shared outside the classroom.`
+            });
+        }
+    }
+
     /**
      * End a session and create final attendance record
      * @param {string} sessionId - Session ID
@@ -1214,12 +1471,22 @@ class QRSessionService {
         // 🚀 GET FROM REDIS CACHE (replaces SessionAttendance.findBySession)
         const presentStudents = await this.getAttendedStudentsFromCache(sessionId);
         
-        const allStudents = Array.from({length: session.totalStudents}, (_, i) => String(i + 1).padStart(2, '0'));
-        const absentees = session.sessionType === 'roll' 
-            ? allStudents.filter(roll => !presentStudents.includes(roll))
-            : []; // For Gmail sessions, we don't calculate absentees this way
+        // 📋 ROSTER: Absentees are the enrolled students who did not mark attendance
+        const roster = await rosterService.getSectionRoster(session.department, session.semester, session.section);
+        let absentees;
+        if (roster.length > 0) {
+            absentees = rosterService.computeAbsentees(roster, presentStudents);
+        } else {
+            // No students registered in this section yet - fall back to roll numbers 01..N
+            console.warn(`⚠️ No enrolled roster for ${session.department} ${session.semester}-${session.section}, using roll numbers 01..${session.totalStudents}`);
+            absentees = session.sessionType === 'roll'
+                ? Array.from({length: session.totalStudents}, (_, i) => String(i + 1).padStart(2, '0'))
+                    .filter(roll => !presentStudents.includes(roll))
+                : [];
+        }
 
         const attendanceRecord = new AttendanceRecord({
+            sessionId,
             facultyId: session.facultyId,
             facultyName: session.facultyName,
             facultyEmail: session.facultyEmail,
@@ -1228,9 +1495,13 @@ class QRSessionService {
             section: session.section,
             date: session.createdAt,
             totalStudents: session.totalStudents,
-            presentCount: session.studentsPresentCount,
+            subjectId: session.subjectId,
+            subjectCode: session.subjectCode,
+            subjectName: session.subjectName,
+            presentCount: presentStudents.length,
             absentees: absentees,
             presentStudents: presentStudents,
+            roster,
             sessionType: session.sessionType,
             photoVerificationRequired: session.photoVerificationRequired,
             studentPhotos: [] // 🚀 Simplified - photo data not cached in Redis for performance
@@ -1238,6 +1509,33 @@ class QRSessionService {
 
         await attendanceRecord.save();
 
+        // 📝 LEAVE: Excuse absentees covered by approved leave
+        try {
+            await leaveRequestService.applyApprovedLeavesToRecord(attendanceRecord);
+        } catch (leaveError) {
+            console.error('⚠️ Error applying approved leave:', leaveError);
+        }
+
+        // 📒 LEDGER: Persist per-student, per-subject attendance (never expires)
+        try {
+            await attendanceLedgerService.recordSession(session, attendanceRecord);
+
+            // 📉 ALERTS: Send shortage digests in the background (don't delay ending the session)
+            attendanceAlertService.evaluateSession(session).catch(alertError => {
+                console.error('⚠️ Error evaluating attendance shortage alerts:', alertError);
+            });
+        } catch (ledgerError) {
+            console.error('⚠️ Error writing attendance ledger:', ledgerError);
+            // Don't throw - the attendance record is already saved
+        }
+
+        // 🔗 WEBHOOKS: Push the final attendance to connected ERP/LMS systems (queued, never throws)
+        webhookService.emit('session.ended', {
+            sessionId,
+            endedAt: new Date().toISOString(),
+            ...webhookService.toRecordPayload(attendanceRecord)
+        }, { department: session.department });
+
         // 🧹 CLEANUP: Remove session documents from SessionJoin and SessionAttendance collections
         // since they're no longer needed after creating the final attendance record
         try {
@@ -1334,6 +1632,8 @@ class QRSessionService {
             message: this.getStatusMessage(session.status, hasJoined, hasMarkedAttendance),
             sessionData: {
                 facultyName: session.facultyName,
+                subjectCode: session.subjectCode,
+                subjectName: session.subjectName,
                 totalStudents: session.totalStudents,
                 studentsJoined: session.studentsJoinedCount,
                 studentsPresent: session.studentsPresentCount
@@ -1419,7 +1719,8 @@ class QRSessionService {
             facultyId: session.facultyId,
             department: session.department,
             semester: session.semester,
-            section: session.section
+            section: session.section,
+            challengeRequired: session.challengeRequired
         });
 
         // Update session
@@ -1436,7 +1737,8 @@ class QRSessionService {
             token: tokenData.token,
             expiryTime: tokenData.expiryTime,
             refreshCount: session.qrRefreshCount,
-            timerSeconds: 5
+            timerSeconds: 5,
+            challengeCode: tokenData.challengeCode
         };
 
         // Emit new QR token to connected faculty clients
@@ -1521,12 +1823,15 @@ class QRSessionService {
                 hasMarkedAttendance: hasMarkedAttendance,
                 message: message,
                 facultyName: session.facultyName,
+                subjectCode: session.subjectCode,
+                subjectName: session.subjectName,
                 department: session.department,
                 semester: session.semester,
                 section: session.section,
                 totalStudents: session.totalStudents,
                 studentsJoined: session.studentsJoinedCount,
-                studentsPresent: session.studentsPresentCount
+                studentsPresent: session.studentsPresentCount,
+                challengeRequired: Boolean(session.challengeRequired)
             };
 
         } catch (error) {
@@ -1703,6 +2008,210 @@ class QRSessionService {
         };
     }
 
+    // ==================== 📋 LIVE ROSTER METHODS ====================
+
+    /**
+     * Merge an event into a student's live roster entry and push it to the faculty
+     * @param {Object} session - QR session
+     * @param {string} rollNumber - Student roll number
+     * @param {Object} fields - Entry fields to set (studentId, name, joinedAt, markedAt, deviceMismatch, locationFlag, risk, manual)
+     * @returns {Object|null} - Updated roster entry
+     */
+    async recordRosterEvent(session, rollNumber, fields) {
+        try {
+            const redis = redisCache.getClient();
+            const rosterKey = `session:${session.sessionId}:roster`;
+
+            const existing = await redis.hGet(rosterKey, rollNumber);
+            const entry = { ...(existing ? JSON.parse(existing) : {}), ...fields, rollNumber };
+
+            const pipeline = redis.multi();
+            pipeline.hSet(rosterKey, rollNumber, JSON.stringify(entry));
+            pipeline.expire(rosterKey, 7200);
+            await pipeline.exec();
+
+            const stats = await this.getSessionStatsFromRedis(session.sessionId);
+            this.io.to(`faculty-${session.facultyId}`).emit('qr-rosterUpdate', {
+                sessionId: session.sessionId,
+                student: entry,
+                stats
+            });
+
+            return entry;
+        } catch (error) {
+            console.warn('⚠️ Live roster update failed:', error.message);
+            return null; // Graceful degradation - the joined/attended sets are the source of truth
+        }
+    }
+
+    /**
+     * Live roster of a session: every enrolled student with join/mark state
+     * @param {string} sessionId - Session ID
+     * @param {string} facultyId - Faculty ID for authorization
+     * @returns {Object} - { sessionId, students, stats }
+     */
+    async getLiveRoster(sessionId, facultyId) {
+        const session = await this.getOwnedSession(sessionId, facultyId);
+
+        const redis = redisCache.getClient();
+        const pipeline = redis.multi();
+        pipeline.sMembers(`session:${sessionId}:joined`);
+        pipeline.sMembers(`session:${sessionId}:attended`);
+        pipeline.hGetAll(`session:${sessionId}:roster`);
+        const results = await pipeline.exec();
+
+        // Handle both [error, result] and direct result formats
+        const [joined, attended, events] = results.map(result => (Array.isArray(result) && result.length === 2 && result[0] === null) ? result[1] : result);
+        const joinedSet = new Set(joined || []);
+        const attendedSet = new Set(attended || []);
+        const eventMap = new Map(Object.entries(events || {}).map(([roll, value]) => [roll, JSON.parse(value)]));
+
+        const roster = await rosterService.getSectionRoster(session.department, session.semester, session.section);
+        const students = roster.map(entry => {
+            const event = eventMap.get(entry.classRollNumber) || {};
+            eventMap.delete(entry.classRollNumber);
+            return {
+                studentId: entry.studentId,
+                name: entry.name,
+                rollNumber: entry.classRollNumber,
+                joined: joinedSet.has(entry.studentId),
+                present: attendedSet.has(entry.classRollNumber),
+                joinedAt: event.joinedAt || null,
+                markedAt: event.markedAt || null,
+                deviceMismatch: Boolean(event.deviceMismatch),
+                locationFlag: event.locationFlag || null,
+                risk: event.risk || null,
+                manual: Boolean(event.manual)
+            };
+        });
+
+        // Students marked present who are not on the enrolled roster
+        attendedSet.forEach(rollNumber => {
+            if (roster.some(entry => entry.classRollNumber === rollNumber)) return;
+            const event = eventMap.get(rollNumber) || {};
+            students.push({
+                studentId: event.studentId || null,
+                name: event.name || `Student ${rollNumber}`,
+                rollNumber,
+                joined: Boolean(event.studentId && joinedSet.has(event.studentId)),
+                present: true,
+                joinedAt: event.joinedAt || null,
+                markedAt: event.markedAt || null,
+                deviceMismatch: Boolean(event.deviceMismatch),
+                locationFlag: event.locationFlag || null,
+                risk: event.risk || null,
+                manual: Boolean(event.manual),
+                notEnrolled: true
+            });
+        });
+
+        return {
+            sessionId,
+            status: session.status,
+            students,
+            stats: {
+                totalStudents: session.totalStudents,
+                studentsJoined: joinedSet.size,
+                studentsPresent: attendedSet.size
+            }
+        };
+    }
+
+    /**
+     * Faculty manually marks an enrolled student present mid-session
+     * @param {string} sessionId - Session ID
+     * @param {string} facultyId - Faculty ID for authorization
+     * @param {string} rollNumber - Student roll number
+     * @param {Object} auditContext - Actor and request details (attendanceAuditService.getRequestContext)
+     * @returns {Object} - Updated roster entry
+     */
+    async manualMarkStudent(sessionId, facultyId, rollNumber, auditContext) {
+        const session = await this.getOwnedSession(sessionId, facultyId);
+
+        const roster = await rosterService.getSectionRoster(session.department, session.semester, session.section);
+        const student = roster.find(entry => entry.classRollNumber === rollNumber);
+        if (!student) {
+            throw new Error(`Student with roll number ${rollNumber} not found in this section`);
+        }
+
+        const wasPresent = await this.hasStudentMarkedAttendance(sessionId, rollNumber);
+        const added = await this.addStudentToAttendanceCache(sessionId, rollNumber);
+        if (!added) {
+            throw new Error('Failed to mark attendance. Please try again.');
+        }
+
+        console.log(`✍️ Manual mark: Session ${sessionId} - ${rollNumber} by ${facultyId}`);
+        if (!wasPresent) {
+            await attendanceAuditService.logSessionChanges(session, [
+                { rollNumber, fromStatus: 'absent', toStatus: 'present' }
+            ], 'live-mark', auditContext);
+        }
+
+        return this.recordRosterEvent(session, rollNumber, {
+            studentId: student.studentId,
+            name: student.name,
+            markedAt: new Date(),
+            manual: true,
+            markedBy: facultyId
+        });
+    }
+
+    /**
+     * Faculty removes a student from a live session (both join and attendance caches)
+     * @param {string} sessionId - Session ID
+     * @param {string} facultyId - Faculty ID for authorization
+     * @param {string} rollNumber - Student roll number
+     * @param {Object} auditContext - Actor and request details (attendanceAuditService.getRequestContext)
+     * @returns {Object} - Updated roster entry
+     */
+    async manualRemoveStudent(sessionId, facultyId, rollNumber, auditContext) {
+        const session = await this.getOwnedSession(sessionId, facultyId);
+
+        const roster = await rosterService.getSectionRoster(session.department, session.semester, session.section);
+        const student = roster.find(entry => entry.classRollNumber === rollNumber);
+
+        const wasPresent = await this.hasStudentMarkedAttendance(sessionId, rollNumber);
+        const result = await this.removeStudentFromSession(sessionId, student ? student.studentId : null, rollNumber);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to remove student');
+        }
+
+        console.log(`✍️ Manual removal: Session ${sessionId} - ${rollNumber} by ${facultyId}`);
+        if (wasPresent) {
+            // Students outside the enrolled roster drop out of the record entirely
+            await attendanceAuditService.logSessionChanges(session, [
+                { rollNumber, fromStatus: 'present', toStatus: student ? 'absent' : 'none' }
+            ], 'live-remove', auditContext);
+        }
+
+        return this.recordRosterEvent(session, rollNumber, {
+            joinedAt: null,
+            markedAt: null,
+            manual: true,
+            removedBy: facultyId
+        });
+    }
+
+    /**
+     * Load a session that is still running and belongs to the faculty
+     * @param {string} sessionId - Session ID
+     * @param {string} facultyId - Faculty ID
+     * @returns {Object} - QR session
+     */
+    async getOwnedSession(sessionId, facultyId) {
+        const session = await this.getSessionById(sessionId);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        if (session.facultyId !== facultyId) {
+            throw new Error('Unauthorized access to this session');
+        }
+        if (session.status === 'ended') {
+            throw new Error('Session already ended');
+        }
+        return session;
+    }
+
     // ==================== GROUP SESSION OPTIMIZATION METHODS ====================
 
     /**
@@ -1806,7 +2315,8 @@ class QRSessionService {
         const groupQRData = await qrTokenService.generateGroupQRToken({
             groupSessionId: groupSessionId,
             facultyId: groupSession.facultyId,
-            sections: groupSession.sections
+            sections: groupSession.sections,
+            challengeRequired: groupSession.challengeRequired
         });
 
         // Update group session
@@ -1831,7 +2341,8 @@ class QRSessionService {
             token: groupQRData.token,
             expiryTime: groupQRData.expiryTime,
             refreshCount: groupSession.qrRefreshCount,
-            timerSeconds: 5
+            timerSeconds: 5,
+            challengeCode: groupQRData.challengeCode
         };
 
         // Emit new Group QR token to connected faculty clients
@@ -1843,6 +2354,330 @@ class QRSessionService {
         // console.log(`🔄 Group QR token refreshed for ${groupSessionId}, count: ${groupSession.qrRefreshCount}`);
         return qrData;
     }
+
+    /**
+     * Turn the projector challenge code on or off for a session.
+     * An active session gets a fresh QR (and code) immediately.
+     * @param {string} sessionId - Session ID
+     * @param {string} facultyId - Faculty ID for authorization
+     * @param {boolean} enabled - Whether students must type the projector code
+     * @returns {Object} - { challengeRequired, qrData }
+     */
+    async setChallengeMode(sessionId, facultyId, enabled) {
+        const session = await this.getSessionById(sessionId);
+
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        if (session.facultyId !== facultyId) {
+            throw new Error('Unauthorized: You can only change your own sessions');
+        }
+        if (session.status === 'ended') {
+            throw new Error('Session has already ended');
+        }
+        const GroupSession = require('../models/GroupSession');
+        if (await GroupSession.exists({ 'sections.sessionId': sessionId })) {
+            throw new Error('This session is part of a group session. Change the challenge mode of the group instead.');
+        }
+
+        session.challengeRequired = Boolean(enabled);
+        await session.save();
+        this.activeSessions.set(sessionId, session);
+
+        // Students check the flag to know whether to ask for the code
+        await this.invalidateActiveSessionCache(session.department, session.semester, session.section);
+
+        let qrData = null;
+        if (session.status === 'active') {
+            // Replace the current QR so the new mode applies right away
+            this.stopQRRefresh(sessionId);
+            qrData = await this.refreshQRToken(sessionId);
+            this.startQRRefresh(sessionId);
+        }
+
+        console.log(`🔢 Challenge code ${session.challengeRequired ? 'enabled' : 'disabled'} for session ${sessionId}`);
+
+        return { challengeRequired: session.challengeRequired, qrData };
+    }
+
+    /**
+     * Turn the projector challenge code on or off for a group session and its sections
+     * @param {string} groupSessionId - Group Session ID
+     * @param {string} facultyId - Faculty ID for authorization
+     * @param {boolean} enabled - Whether students must type the projector code
+     * @returns {Object} - { challengeRequired, qrData }
+     */
+    async setGroupChallengeMode(groupSessionId, facultyId, enabled) {
+        const GroupSession = require('../models/GroupSession');
+
+        const groupSession = await GroupSession.findByGroupSessionId(groupSessionId);
+
+        if (!groupSession) {
+            throw new Error('Group session not found');
+        }
+        if (groupSession.facultyId !== facultyId) {
+            throw new Error('Unauthorized: You can only change your own sessions');
+        }
+        if (groupSession.status === 'ended') {
+            throw new Error('Group session has already ended');
+        }
+
+        groupSession.challengeRequired = Boolean(enabled);
+        await groupSession.save();
+
+        const sessionIds = groupSession.sections.map(sectionInfo => sectionInfo.sessionId);
+        await QRSession.updateMany(
+            { sessionId: { $in: sessionIds } },
+            { challengeRequired: groupSession.challengeRequired }
+        );
+        for (const sectionInfo of groupSession.sections) {
+            this.activeSessions.delete(sectionInfo.sessionId);
+            await this.invalidateActiveSessionCache(sectionInfo.department, sectionInfo.semester, sectionInfo.section);
+        }
+
+        let qrData = null;
+        if (groupSession.status === 'active') {
+            this.stopGroupQRRefresh(groupSessionId);
+            qrData = await this.refreshGroupQRToken(groupSessionId);
+            this.startGroupQRRefresh(groupSessionId);
+        }
+
+        console.log(`🔢 Challenge code ${groupSession.challengeRequired ? 'enabled' : 'disabled'} for group session ${groupSessionId}`);
+
+        return { challengeRequired: groupSession.challengeRequired, qrData };
+    }
+
+    // ==================== 📅 TIMETABLE / SCHEDULED SESSIONS ====================
+
+    /**
+     * Pre-create scheduled sessions for every active timetable slot on a date
+     * @param {string} date - Local date "YYYY-MM-DD" (defaults to today)
+     * @returns {number} - Number of newly created scheduled sessions
+     */
+    async createScheduledSessions(date = timetableService.getLocalDateString()) {
+        const dayOfWeek = timetableService.getDayOfWeek(date);
+        const slots = await TimetableSlot.find({ dayOfWeek, isActive: true })
+            .populate('subject', 'code name')
+            .lean();
+
+        if (slots.length === 0) {
+            return 0;
+        }
+
+        const operations = slots
+            .filter(slot => slot.subject)
+            .map(slot => ({
+                updateOne: {
+                    filter: { slot: slot._id, date },
+                    update: {
+                        $setOnInsert: {
+                            slot: slot._id,
+                            date,
+                            facultyId: slot.facultyId,
+                            faculty: slot.faculty,
+                            department: slot.department,
+                            semester: slot.semester,
+                            section: slot.section,
+                            subjectId: slot.subject._id,
+                            subjectCode: slot.subject.code,
+                            subjectName: slot.subject.name,
+                            room: slot.room,
+                            totalStudents: slot.totalStudents,
+                            sessionType: slot.sessionType,
+                            scheduledStart: timetableService.toDate(date, slot.startTime),
+                            scheduledEnd: timetableService.toDate(date, slot.endTime),
+                            autoLock: slot.autoLock,
+                            autoEnd: slot.autoEnd,
+                            status: 'scheduled'
+                        }
+                    },
+                    upsert: true
+                }
+            }));
+
+        const result = await ScheduledSession.bulkWrite(operations, { ordered: false });
+        return result.upsertedCount || 0;
+    }
+
+    /**
+     * Get today's classes for a faculty
+     * @param {string} facultyId - Faculty ID
+     * @returns {Array} - Scheduled sessions sorted by start time
+     */
+    async getTodaysClasses(facultyId) {
+        const date = timetableService.getLocalDateString();
+        await this.createScheduledSessions(date);
+
+        return ScheduledSession.find({ facultyId, date, status: { $ne: 'cancelled' } })
+            .sort({ scheduledStart: 1 })
+            .lean();
+    }
+
+    /**
+     * Start the QR session of a scheduled class (faculty one-tap start)
+     * @param {string} scheduledSessionId - ScheduledSession _id
+     * @param {Object} facultyData - { userId, facultyId, name, email }
+     * @param {Object} overrides - Optional { totalStudents } when the slot has none,
+     *   { location, roomId, radiusMeters, geofenceMode } to geofence differently from the timetabled room
+     *   and { challengeRequired } for the projector challenge code
+     * @returns {Object} - startSession result with the scheduled session
+     */
+    async startScheduledSession(scheduledSessionId, facultyData, overrides = {}) {
+        const scheduled = await ScheduledSession.findById(scheduledSessionId);
+
+        if (!scheduled) {
+            throw new Error('Scheduled session not found');
+        }
+        if (scheduled.facultyId !== facultyData.facultyId) {
+            throw new Error('Unauthorized: You can only start your own classes');
+        }
+        if (['starting', 'started'].includes(scheduled.status)) {
+            throw new Error('This class has already been started');
+        }
+        if (scheduled.status !== 'scheduled') {
+            throw new Error(`This class cannot be started (status: ${scheduled.status})`);
+        }
+
+        const now = new Date();
+        const earliestStart = new Date(scheduled.scheduledStart.getTime() - this.SCHEDULE_EARLY_START_MINUTES * 60000);
+        if (now < earliestStart) {
+            throw new Error(`This class can be started from ${this.SCHEDULE_EARLY_START_MINUTES} minutes before its scheduled time`);
+        }
+        if (now > scheduled.scheduledEnd) {
+            throw new Error('This class slot has already ended');
+        }
+
+        const totalStudents = parseInt(overrides.totalStudents || scheduled.totalStudents);
+        if (scheduled.sessionType === 'roll' && (isNaN(totalStudents) || totalStudents < 1)) {
+            throw new Error('Total students is not set for this class');
+        }
+
+        // Claim the slot so a second tap cannot start another session for it
+        const claimed = await ScheduledSession.findOneAndUpdate(
+            { _id: scheduled._id, status: 'scheduled' },
+            { $set: { status: 'starting' } }
+        );
+        if (!claimed) {
+            throw new Error('This class has already been started');
+        }
+
+        let result;
+        try {
+            result = await this.startSession({
+                department: scheduled.department,
+                semester: scheduled.semester,
+                section: scheduled.section,
+                subjectId: scheduled.subjectId,
+                totalStudents: isNaN(totalStudents) ? 0 : totalStudents,
+                sessionType: scheduled.sessionType,
+                location: overrides.location,
+                roomId: overrides.roomId,
+                radiusMeters: overrides.radiusMeters,
+                geofenceMode: overrides.geofenceMode,
+                challengeRequired: overrides.challengeRequired
+            }, facultyData);
+        } catch (error) {
+            await ScheduledSession.updateOne(
+                { _id: scheduled._id, status: 'starting' },
+                { $set: { status: 'scheduled' } }
+            );
+            throw error;
+        }
+
+        const started = await ScheduledSession.findOneAndUpdate(
+            { _id: scheduled._id },
+            { $set: { status: 'started', sessionId: result.sessionId, startedAt: now } },
+            { new: true }
+        );
+
+        console.log(`📅 Scheduled class started: ${scheduled._id} -> ${result.sessionId}`);
+
+        return {
+            ...result,
+            scheduledSession: started
+        };
+    }
+
+    /**
+     * Periodic timetable job: pre-create today's sessions, mark missed slots
+     * and apply auto-lock/auto-end to started sessions whose slot has ended
+     */
+    async processScheduledSessions() {
+        const now = new Date();
+
+        await this.createScheduledSessions(timetableService.getLocalDateString(now));
+
+        await ScheduledSession.updateMany(
+            { status: 'scheduled', scheduledEnd: { $lte: now } },
+            { status: 'missed' }
+        );
+
+        const dueSessions = await ScheduledSession.find({
+            status: 'started',
+            scheduledEnd: { $lte: now }
+        });
+
+        for (const scheduled of dueSessions) {
+            try {
+                const session = await QRSession.findOne({ sessionId: scheduled.sessionId });
+
+                if (!session || session.status === 'ended') {
+                    scheduled.status = 'completed';
+                    await scheduled.save();
+                    continue;
+                }
+
+                const sectionRoom = `${scheduled.department}-${scheduled.semester}-${scheduled.section}`;
+
+                if (scheduled.autoEnd) {
+                    const result = await this.endSession(scheduled.sessionId, scheduled.facultyId);
+                    scheduled.status = 'completed';
+                    scheduled.autoEndedAt = now;
+                    await scheduled.save();
+
+                    if (this.io) {
+                        this.io.to(`faculty-${scheduled.facultyId}`).emit('qr-sessionEnded', { ...result, autoEnded: true });
+                        this.io.to(sectionRoom).emit('sessionStatusUpdate', {
+                            sessionId: scheduled.sessionId,
+                            status: 'ended',
+                            canJoin: false,
+                            canScanQR: false,
+                            facultyName: session.facultyName,
+                            department: scheduled.department,
+                            semester: scheduled.semester,
+                            section: scheduled.section,
+                            message: 'Attendance session has ended'
+                        });
+                    }
+
+                    console.log(`📅 Auto-ended scheduled session ${scheduled.sessionId}`);
+                } else if (scheduled.autoLock && !scheduled.autoLockedAt && session.status === 'created') {
+                    const result = await this.lockSession(scheduled.sessionId, scheduled.facultyId);
+                    scheduled.autoLockedAt = now;
+                    await scheduled.save();
+
+                    if (this.io) {
+                        this.io.to(`faculty-${scheduled.facultyId}`).emit('qr-sessionLocked', { ...result, autoLocked: true });
+                        this.io.to(sectionRoom).emit('sessionStatusUpdate', {
+                            sessionId: scheduled.sessionId,
+                            status: 'locked',
+                            canJoin: false,
+                            canScanQR: false,
+                            facultyName: session.facultyName,
+                            department: scheduled.department,
+                            semester: scheduled.semester,
+                            section: scheduled.section,
+                            message: 'Session locked - class slot has ended'
+                        });
+                    }
+
+                    console.log(`📅 Auto-locked scheduled session ${scheduled.sessionId}`);
+                }
+            } catch (error) {
+                console.error(`❌ Error processing scheduled session ${scheduled._id}:`, error.message);
+            }
+        }
+    }
 }
 
 // Create singleton instance
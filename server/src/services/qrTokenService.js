@@ -8,18 +8,128 @@ class QRTokenService {
         this.tokenCache = new Map(); // Fallback in-memory cache when Redis unavailable
         this.REDIS_TOKEN_PREFIX = 'qr:token:';
         this.REDIS_SESSION_PREFIX = 'qr:session:';
+        // 🔢 Projector challenge code: shown beside the QR, never encoded in it
+        this.CHALLENGE_DIGITS = 4;
+        this.MAX_CHALLENGE_ATTEMPTS = 3; // Code submissions allowed per student per QR token
+        this.CHALLENGE_GRACE_SECONDS = 8; // Extra token lifetime to type the code after scanning
+        // 🔁 Replay protection: who used each token, from which device
+        this.tokenUses = new Map(); // Fallback when Redis unavailable: token -> { students, devices, count, ringAlerted }
+        this.challengeAttempts = new Map(); // Fallback when Redis unavailable: "token:studentId" -> { count, expiresAt }
+        this.TOKEN_USE_TTL_SECONDS = 60; // Outlives every token's validity window
+        // Distinct devices on one token that raise a proxy-ring alert to the faculty: at least
+        // the minimum, and at least this share of the class (a large class scans each refresh heavily)
+        this.PROXY_RING_DEVICE_THRESHOLD = parseInt(process.env.QR_PROXY_RING_THRESHOLD) || 15;
+        this.PROXY_RING_CLASS_SHARE = parseFloat(process.env.QR_PROXY_RING_CLASS_SHARE) || 0.5;
+    }
+
+    /**
+     * Distinct devices on one token that raise a proxy-ring alert for a session
+     * @param {number} totalStudents - Class size of the session
+     * @returns {number}
+     */
+    getProxyRingThreshold(totalStudents) {
+        const classShare = Math.ceil((parseInt(totalStudents) || 0) * this.PROXY_RING_CLASS_SHARE);
+        return Math.max(this.PROXY_RING_DEVICE_THRESHOLD, classShare);
+    }
+
+    /**
+     * Generate the short numeric challenge shown on the projector for one QR refresh
+     * @returns {string}
+     */
+    generateChallengeCode() {
+        return String(crypto.randomInt(0, 10 ** this.CHALLENGE_DIGITS)).padStart(this.CHALLENGE_DIGITS, '0');
+    }
+
+    /**
+     * Check the challenge code typed by a student against the one issued with the token
+     * @param {string} token - QR token
+     * @param {Object} cachedToken - Cached token data (holds the challenge code if required)
+     * @param {string} challengeCode - Code typed by the student
+     * @param {Object|null} studentData - Student information (limits wrong attempts)
+     * @returns {Promise<Object|null>} - Validation error, or null if the code is correct or not required
+     */
+    async checkChallengeCode(token, cachedToken, challengeCode, studentData) {
+        if (!cachedToken.challengeCode) return null;
+
+        const typed = String(challengeCode || '').trim();
+        if (!typed) {
+            return {
+                valid: false,
+                error: 'Enter the code shown beside the QR on the projector',
+                code: 'CHALLENGE_REQUIRED'
+            };
+        }
+
+        // Limit guesses so the code cannot be brute-forced within a token's lifetime. Every
+        // submission is counted before the comparison, so parallel guesses are counted too.
+        if (studentData) {
+            const attempts = await this.countChallengeAttempt(token, studentData.studentId);
+            if (attempts > this.MAX_CHALLENGE_ATTEMPTS) {
+                return {
+                    valid: false,
+                    error: 'Too many wrong codes. Scan the next QR code and try again.',
+                    code: 'CHALLENGE_ATTEMPTS_EXCEEDED'
+                };
+            }
+        }
+
+        const expected = Buffer.from(cachedToken.challengeCode);
+        const received = Buffer.from(typed);
+        if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        return {
+            valid: false,
+            error: 'Incorrect code. Type the code shown beside the QR on the projector.',
+            code: 'CHALLENGE_MISMATCH'
+        };
+    }
+
+    /**
+     * Count a challenge code submission by a student for a token
+     * @param {string} token - QR token
+     * @param {string} studentId
+     * @returns {Promise<number>} - Submissions so far, including this one
+     */
+    async countChallengeAttempt(token, studentId) {
+        const ttlSeconds = 7 + this.CHALLENGE_GRACE_SECONDS; // Outlives the token
+        if (redisCache.isHealthy()) {
+            try {
+                const redis = redisCache.getClient();
+                const attemptsKey = `${this.REDIS_TOKEN_PREFIX}${token}:attempts:${studentId}`;
+                const attempts = await redis.incr(attemptsKey);
+                if (attempts === 1) {
+                    await redis.expire(attemptsKey, ttlSeconds);
+                }
+                return attempts;
+            } catch (error) {
+                console.warn('Redis challenge attempt tracking failed, using fallback:', error.message);
+            }
+        }
+
+        const key = `${token}:${studentId}`;
+        let entry = this.challengeAttempts.get(key);
+        if (!entry || Date.now() > entry.expiresAt) {
+            entry = { count: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+            this.challengeAttempts.set(key, entry);
+        }
+        entry.count += 1;
+        return entry.count;
     }
 
     /**
      * Generate a secure QR token for a session
-     * @param {Object} sessionData - Session information
-     * @returns {Promise<Object>} - Token and expiry information
+     * @param {Object} sessionData - Session information (challengeRequired adds a projector code)
+     * @returns {Promise<Object>} - Token, expiry information and challenge code (if required)
      */
     async generateQRToken(sessionData) {
-        const { sessionId, facultyId, department, semester, section } = sessionData;
+        const { sessionId, facultyId, department, semester, section, challengeRequired } = sessionData;
         
         // Create a unique token with timestamp
         const timestamp = Date.now();
+        const challengeCode = challengeRequired ? this.generateChallengeCode() : null;
+        const validitySeconds = 7 + (challengeCode ? this.CHALLENGE_GRACE_SECONDS : 0);
         const randomBytes = crypto.randomBytes(16).toString('hex');
         
         // Create optimized JWT payload - only essential data
@@ -31,15 +141,15 @@ class QRTokenService {
             // Removed: random (timestamp + sessionId provides uniqueness)
         };
 
-        // Generate JWT token with 7-second expiry (5s frontend + 2s buffer)
+        // Generate JWT token with 7-second expiry (5s frontend + 2s buffer), plus typing time for the challenge
         const token = jwt.sign(payload, this.jwtSecret, { 
-            expiresIn: '7s',
+            expiresIn: validitySeconds,
             issuer: 'quickroll-qr',
             audience: 'quickroll-students'
         });
 
         // Calculate expiry time
-        const expiryTime = new Date(timestamp + 7000); // 7 seconds from now
+        const expiryTime = new Date(timestamp + validitySeconds * 1000);
 
         // Store in Redis cache for cross-worker access
         const tokenData = {
@@ -47,14 +157,15 @@ class QRTokenService {
             timestamp,
             expiryTime: expiryTime.toISOString(),
             used: false,
-            type: 'single'
+            type: 'single',
+            challengeCode
         };
 
         // Check if Redis is available, otherwise use fallback
         if (redisCache.isHealthy()) {
             try {
-                // Store in Redis with 7-second TTL
-                await redisCache.set(`${this.REDIS_TOKEN_PREFIX}${token}`, tokenData, 7);
+                // Store in Redis with the same TTL as the token
+                await redisCache.set(`${this.REDIS_TOKEN_PREFIX}${token}`, tokenData, validitySeconds);
                 
                 // Also track by session for cleanup
                 await this.addTokenToSession(sessionId, token);
@@ -64,7 +175,8 @@ class QRTokenService {
                     sessionId,
                     timestamp,
                     expiryTime,
-                    used: false
+                    used: false,
+                    challengeCode
                 });
             }
         } else {
@@ -73,7 +185,8 @@ class QRTokenService {
                 sessionId,
                 timestamp,
                 expiryTime,
-                used: false
+                used: false,
+                challengeCode
             });
         }
 
@@ -85,8 +198,9 @@ class QRTokenService {
         return {
             token,
             expiryTime,
-            validitySeconds: 7,
-            frontendTimer: 5 // What to show in frontend
+            validitySeconds,
+            frontendTimer: 5, // What to show in frontend
+            challengeCode     // Shown on the projector only
         };
     }
 
@@ -94,9 +208,10 @@ class QRTokenService {
      * Validate a QR token (handles both single and group tokens)
      * @param {string} token - The QR token to validate
      * @param {Object} studentData - Student information (required for group tokens)
+     * @param {Object} options - { challengeCode } typed by the student, or { skipChallenge } for previews
      * @returns {Promise<Object>} - Validation result
      */
-    async validateQRToken(token, studentData = null) {
+    async validateQRToken(token, studentData = null, options = {}) {
         try {
             // First check Redis cache for quick validation
             let cachedToken = null;
@@ -153,6 +268,14 @@ class QRTokenService {
                 audience: 'quickroll-students'
             });
 
+            // 🔢 Anti-relay: the projector code must match this token's code
+            if (!options.skipChallenge) {
+                const challengeError = await this.checkChallengeCode(token, cachedToken, options.challengeCode, studentData);
+                if (challengeError) {
+                    return challengeError;
+                }
+            }
+
             // Handle group tokens (optimized structure)
             if (decoded.t === 'grp') {
                 if (!studentData) {
@@ -210,15 +333,207 @@ class QRTokenService {
     }
 
     /**
-     * Mark a token as used to prevent reuse
+     * Bind a scan of a token to the student and device that made it.
+     * A token is shown to the whole class, so many students may use it, but each
+     * student only once, from one device, and a device only for one student.
+     * @param {string} token - The scanned QR token
+     * @param {Object} scanData - { studentId, fingerprint, totalStudents (class size of the session) }
+     * @returns {Promise<Object>} - { allowed, error, code, useCount, deviceCount, proxyRing }
+     *   proxyRing is true once per token, when its distinct devices reach the alert threshold
+     */
+    async claimTokenUse(token, { studentId, fingerprint, totalStudents }) {
+        const device = fingerprint || `student:${studentId}`;
+        const ringThreshold = this.getProxyRingThreshold(totalStudents);
+
+        let use;
+        if (redisCache.isHealthy()) {
+            try {
+                use = await this.claimTokenUseInRedis(token, studentId, device, ringThreshold);
+            } catch (error) {
+                console.warn('Redis token-use tracking failed, using fallback:', error.message);
+            }
+        }
+        if (!use) {
+            use = this.claimTokenUseInMemory(token, studentId, device, ringThreshold);
+        }
+
+        if (use.allowed) {
+            await this.markTokenAsUsed(token, use.useCount);
+        }
+        return use;
+    }
+
+    /**
+     * Redis implementation of claimTokenUse (shared by all workers)
+     * @param {string} token
+     * @param {string} studentId
+     * @param {string} device - Device fingerprint
+     * @param {number} ringThreshold - Distinct devices that raise a proxy-ring alert
+     * @returns {Promise<Object>}
+     */
+    async claimTokenUseInRedis(token, studentId, device, ringThreshold) {
+        const redis = redisCache.getClient();
+        const prefix = `${this.REDIS_TOKEN_PREFIX}${token}`;
+        const studentsKey = `${prefix}:students`;
+        const devicesKey = `${prefix}:devices`;
+        const replyValue = (reply) => Array.isArray(reply) ? reply[1] : reply;
+
+        // Claim both bindings at once; whichever already exists decides the rejection
+        const claims = await redis.multi()
+            .hSetNX(studentsKey, studentId, device)
+            .hSetNX(devicesKey, device, studentId)
+            .expire(studentsKey, this.TOKEN_USE_TTL_SECONDS)
+            .expire(devicesKey, this.TOKEN_USE_TTL_SECONDS)
+            .exec();
+        const studentClaimed = Boolean(replyValue(claims[0]));
+        const deviceClaimed = Boolean(replyValue(claims[1]));
+
+        if (!studentClaimed || !deviceClaimed) {
+            const [boundDevice, boundStudent] = await Promise.all([
+                studentClaimed ? device : redis.hGet(studentsKey, studentId),
+                deviceClaimed ? studentId : redis.hGet(devicesKey, device)
+            ]);
+            // Undo the half of the claim that did go through
+            if (studentClaimed) await redis.hDel(studentsKey, studentId);
+            if (deviceClaimed) await redis.hDel(devicesKey, device);
+
+            return this.getTokenReuseRejection(studentId, device, boundStudent, boundDevice);
+        }
+
+        const counts = await redis.multi()
+            .incr(`${prefix}:uses`)
+            .expire(`${prefix}:uses`, this.TOKEN_USE_TTL_SECONDS)
+            .hLen(devicesKey)
+            .exec();
+        const useCount = Number(replyValue(counts[0])) || 0;
+        const deviceCount = Number(replyValue(counts[2])) || 0;
+
+        let proxyRing = false;
+        if (deviceCount >= ringThreshold) {
+            const alertSet = await redis.set(`${prefix}:ring`, '1', { NX: true, EX: this.TOKEN_USE_TTL_SECONDS });
+            proxyRing = alertSet === 'OK';
+        }
+
+        return { allowed: true, useCount, deviceCount, proxyRing };
+    }
+
+    /**
+     * In-memory implementation of claimTokenUse (single worker fallback)
+     * @param {string} token
+     * @param {string} studentId
+     * @param {string} device - Device fingerprint
+     * @param {number} ringThreshold - Distinct devices that raise a proxy-ring alert
+     * @returns {Object}
+     */
+    claimTokenUseInMemory(token, studentId, device, ringThreshold) {
+        let uses = this.tokenUses.get(token);
+        if (!uses) {
+            uses = {
+                students: new Map(),
+                devices: new Map(),
+                count: 0,
+                ringAlerted: false,
+                expiresAt: Date.now() + this.TOKEN_USE_TTL_SECONDS * 1000
+            };
+            this.tokenUses.set(token, uses);
+        }
+
+        const boundDevice = uses.students.get(studentId);
+        const boundStudent = uses.devices.get(device);
+        if (boundDevice !== undefined || boundStudent !== undefined) {
+            return this.getTokenReuseRejection(studentId, device, boundStudent ?? studentId, boundDevice ?? device);
+        }
+
+        uses.students.set(studentId, device);
+        uses.devices.set(device, studentId);
+        uses.count += 1;
+
+        let proxyRing = false;
+        if (uses.devices.size >= ringThreshold && !uses.ringAlerted) {
+            uses.ringAlerted = true;
+            proxyRing = true;
+        }
+
+        return { allowed: true, useCount: uses.count, deviceCount: uses.devices.size, proxyRing };
+    }
+
+    /**
+     * Build the rejection for a scan that conflicts with an earlier use of the same token
+     * @param {string} studentId - Student scanning now
+     * @param {string} device - Device scanning now
+     * @param {string} boundStudent - Student the device already used the token for
+     * @param {string} boundDevice - Device the student already used the token from
+     * @returns {Object}
+     */
+    getTokenReuseRejection(studentId, device, boundStudent, boundDevice) {
+        if (boundStudent && boundStudent !== studentId) {
+            return {
+                allowed: false,
+                error: 'This QR code was already used on this device by another student. Each student must scan from their own phone.',
+                code: 'TOKEN_DEVICE_REUSED'
+            };
+        }
+        if (boundDevice && boundDevice !== device) {
+            return {
+                allowed: false,
+                error: 'This QR code was already used for your account from another device.',
+                code: 'TOKEN_STUDENT_REUSED'
+            };
+        }
+        return {
+            allowed: false,
+            error: 'You have already used this QR code. Scan the next one if attendance was not marked.',
+            code: 'TOKEN_ALREADY_USED'
+        };
+    }
+
+    /**
+     * Get the students and devices that used a token
+     * @param {string} token - The QR token
+     * @returns {Promise<Array>} - [{ studentId, fingerprint }]
+     */
+    async getTokenUses(token) {
+        if (redisCache.isHealthy()) {
+            try {
+                const students = await redisCache.getClient().hGetAll(`${this.REDIS_TOKEN_PREFIX}${token}:students`);
+                return Object.entries(students || {}).map(([studentId, fingerprint]) => ({ studentId, fingerprint }));
+            } catch (error) {
+            }
+        }
+
+        const uses = this.tokenUses.get(token);
+        return uses
+            ? Array.from(uses.students.entries()).map(([studentId, fingerprint]) => ({ studentId, fingerprint }))
+            : [];
+    }
+
+    /**
+     * Mark a token as used and store its use count
      * @param {string} token - The token to mark as used
+     * @param {number} useCount - Accepted scans of the token so far
+     * @returns {Promise<void>}
      */
-    markTokenAsUsed(token) {
+    async markTokenAsUsed(token, useCount = 1) {
         const cachedToken = this.tokenCache.get(token);
         if (cachedToken) {
             cachedToken.used = true;
+            cachedToken.useCount = useCount;
             this.tokenCache.set(token, cachedToken);
         }
+
+        if (redisCache.isHealthy()) {
+            try {
+                const key = `${this.REDIS_TOKEN_PREFIX}${token}`;
+                const tokenData = await redisCache.get(key);
+                if (tokenData) {
+                    const ttlSeconds = Math.ceil((new Date(tokenData.expiryTime) - Date.now()) / 1000);
+                    if (ttlSeconds > 0) {
+                        await redisCache.set(key, { ...tokenData, used: true, useCount }, ttlSeconds);
+                    }
+                }
+            } catch (error) {
+            }
+        }
     }
 
     /**
@@ -227,6 +542,7 @@ class QRTokenService {
      */
     invalidateToken(token) {
         this.tokenCache.delete(token);
+        this.tokenUses.delete(token);
     }
 
     /**
@@ -257,6 +573,7 @@ class QRTokenService {
         for (const [token, tokenData] of this.tokenCache.entries()) {
             if (tokenData.sessionId === sessionId) {
                 this.tokenCache.delete(token);
+                this.tokenUses.delete(token);
             }
         }
     }
@@ -273,6 +590,16 @@ class QRTokenService {
                 this.tokenCache.delete(token);
             }
         }
+        for (const [token, uses] of this.tokenUses.entries()) {
+            if (now.getTime() > uses.expiresAt) {
+                this.tokenUses.delete(token);
+            }
+        }
+        for (const [key, attempts] of this.challengeAttempts.entries()) {
+            if (now.getTime() > attempts.expiresAt) {
+                this.challengeAttempts.delete(key);
+            }
+        }
         
         // Note: Redis keys with TTL are automatically cleaned up
         // This method primarily handles the fallback in-memory cache
@@ -313,14 +640,16 @@ class QRTokenService {
 
     /**
      * Generate a secure group QR token for multiple sessions
-     * @param {Object} groupData - Group session information
-     * @returns {Promise<Object>} - Token and expiry information
+     * @param {Object} groupData - Group session information (challengeRequired adds a projector code)
+     * @returns {Promise<Object>} - Token, expiry information and challenge code (if required)
      */
     async generateGroupQRToken(groupData) {
-        const { groupSessionId, facultyId, sections } = groupData;
+        const { groupSessionId, facultyId, sections, challengeRequired } = groupData;
         
         // Create a unique token with timestamp
         const timestamp = Date.now();
+        const challengeCode = challengeRequired ? this.generateChallengeCode() : null;
+        const validitySeconds = 7 + (challengeCode ? this.CHALLENGE_GRACE_SECONDS : 0);
         const randomBytes = crypto.randomBytes(16).toString('hex');
         
         // Create optimized JWT payload for group session - only essential data
@@ -333,15 +662,15 @@ class QRTokenService {
             // Removed: random (timestamp + groupSessionId provides uniqueness)
         };
 
-        // Generate JWT token with 7-second expiry (5s frontend + 2s buffer)
+        // Generate JWT token with 7-second expiry (5s frontend + 2s buffer), plus typing time for the challenge
         const token = jwt.sign(payload, this.jwtSecret, { 
-            expiresIn: '7s',
+            expiresIn: validitySeconds,
             issuer: 'quickroll-qr',
             audience: 'quickroll-students'
         });
 
         // Calculate expiry time
-        const expiryTime = new Date(timestamp + 7000); // 7 seconds from now
+        const expiryTime = new Date(timestamp + validitySeconds * 1000);
 
         // Store in Redis cache for cross-worker access
         const tokenData = {
@@ -349,14 +678,15 @@ class QRTokenService {
             timestamp,
             expiryTime: expiryTime.toISOString(),
             used: false,
-            type: 'group'
+            type: 'group',
+            challengeCode
         };
 
         // Check if Redis is available, otherwise use fallback
         if (redisCache.isHealthy()) {
             try {
-                // Store in Redis with 7-second TTL
-                await redisCache.set(`${this.REDIS_TOKEN_PREFIX}${token}`, tokenData, 7);
+                // Store in Redis with the same TTL as the token
+                await redisCache.set(`${this.REDIS_TOKEN_PREFIX}${token}`, tokenData, validitySeconds);
                 
                 // Also track by group session for cleanup
                 await this.addTokenToSession(groupSessionId, token, 'group');
@@ -366,7 +696,8 @@ class QRTokenService {
                     groupSessionId,
                     timestamp,
                     expiryTime,
-                    used: false
+                    used: false,
+                    challengeCode
                 });
             }
         } else {
@@ -375,7 +706,8 @@ class QRTokenService {
                 groupSessionId,
                 timestamp,
                 expiryTime,
-                used: false
+                used: false,
+                challengeCode
             });
         }
 
@@ -387,8 +719,9 @@ class QRTokenService {
         return {
             token,
             expiryTime,
-            validitySeconds: 7,
-            frontendTimer: 5 // What to show in frontend
+            validitySeconds,
+            frontendTimer: 5, // What to show in frontend
+            challengeCode     // Shown on the projector only
         };
     }
 
@@ -625,7 +958,7 @@ if (!cluster.isWorker) {
         } catch (error) {
             console.warn('QR Token cleanup failed:', error.message);
         }
-    }, 30000);
+    }, 30000).unref(); // Housekeeping alone shouldn't keep the process alive
     console.log('🧹 QR Token cleanup scheduled (master process only)');
 }
 
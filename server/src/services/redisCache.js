@@ -148,6 +148,15 @@ class RedisCache {
         }
         return this.client;
     }
+
+    // Close the connection and stop reconnecting (shutdown, or the end of a test run)
+    async disconnect() {
+        if (this.client && this.client.isOpen) {
+            await this.client.disconnect();
+        }
+        this.isConnected = false;
+        this.fallbackMode = true;
+    }
 }
 
 // Create singleton instance
@@ -0,0 +1,670 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const ReportSchedule = require('../models/ReportSchedule');
+const ReportDelivery = require('../models/ReportDelivery');
+const User = require('../models/User');
+const AttendanceLedger = require('../models/AttendanceLedger');
+const attendanceRegisterService = require('./attendanceRegisterService');
+const attendanceAlertService = require('./attendanceAlertService');
+const reportEmailService = require('./reportEmailService');
+const timetableService = require('./timetableService');
+const scheduledJobService = require('./scheduledJobService');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Shift a local date string ("YYYY-MM-DD") by a number of days or months
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().split('T')[0];
+};
+const addMonths = (date, months) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCMonth(value.getUTCMonth() + months);
+  return value.toISOString().split('T')[0];
+};
+
+/**
+ * Weekly and monthly delivery of section registers and at-risk lists to
+ * HoDs, mentors and section faculty, with a delivery log and SMTP retries.
+ */
+class ReportScheduleService {
+  constructor() {
+    this.CHECK_INTERVAL_MS = 5 * 60 * 1000;
+    this.MAX_ATTEMPTS = 5;
+    this.RETRY_BASE_MS = 10 * 60 * 1000; // Doubles after every failed attempt
+    this.RETRY_BATCH_SIZE = 50;
+    this.running = false;
+
+    // Send due reports and retry failed deliveries - on one process only
+    scheduledJobService.register('report-schedules', this.CHECK_INTERVAL_MS, () => this.processDue());
+  }
+
+  /**
+   * Next time a schedule is due after a given instant
+   * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth, hour }
+   * @param {Date} after
+   * @returns {Date}
+   */
+  computeNextRun(schedule, after = new Date()) {
+    const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+    let date = timetableService.getLocalDateString(after);
+
+    // A monthly schedule is due within two months, a weekly one within eight days
+    for (let i = 0; i < 62; i++, date = addDays(date, 1)) {
+      const matches = schedule.frequency === 'weekly'
+        ? timetableService.getDayOfWeek(date) === schedule.dayOfWeek
+        : Number(date.slice(8)) === schedule.dayOfMonth;
+      const runAt = timetableService.toDate(date, time);
+      if (matches && runAt > after) {
+        return runAt;
+      }
+    }
+    throw new Error('Could not compute the next run of the schedule');
+  }
+
+  /**
+   * Reporting period that ends the day before a run
+   * @param {Object} schedule
+   * @param {Date} runAt
+   * @returns {Object} - { from, to } local dates, inclusive
+   */
+  getPeriod(schedule, runAt) {
+    const runDate = timetableService.getLocalDateString(runAt);
+    const from = schedule.frequency === 'weekly' ? addDays(runDate, -7) : addMonths(runDate, -1);
+    return { from, to: addDays(runDate, -1) };
+  }
+
+  /**
+   * Validate and normalise schedule fields from an admin request
+   * @param {Object} data
+   * @param {Object} admin - req.admin (department-admins are limited to their department)
+   * @returns {Object}
+   */
+  normalize(data, admin) {
+    const fields = {};
+    ['name', 'frequency', 'includeRegisters', 'includeAtRisk', 'includeSectionFaculty', 'enabled'].forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+    ['dayOfWeek', 'dayOfMonth', 'hour'].forEach(field => {
+      if (data[field] !== undefined && data[field] !== '') fields[field] = Number(data[field]);
+    });
+
+    if (data.scope !== undefined) {
+      const department = admin.department || (data.scope.department || '').trim();
+      if (!department) {
+        throw new Error('Department is required');
+      }
+      fields.scope = {
+        department,
+        semester: data.scope.semester ? String(data.scope.semester).trim() : undefined,
+        section: data.scope.section ? String(data.scope.section).trim() : undefined
+      };
+    }
+
+    if (data.formats !== undefined) {
+      fields.formats = [...new Set(data.formats)].filter(format => CONTENT_TYPES[format]);
+      if (fields.formats.length === 0) {
+        throw new Error('Choose at least one attachment format (pdf, xlsx)');
+      }
+    }
+
+    if (data.recipients !== undefined) {
+      fields.recipients = (data.recipients || []).map(recipient => ({
+        name: (recipient.name || '').trim(),
+        email: (recipient.email || '').trim().toLowerCase(),
+        role: recipient.role || 'other'
+      }));
+      const invalid = fields.recipients.find(recipient => !EMAIL_PATTERN.test(recipient.email));
+      if (invalid) {
+        throw new Error(`Invalid recipient email: ${invalid.email || '(empty)'}`);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Reject schedules that would never send anything
+   * @param {Object} schedule - ReportSchedule document
+   */
+  checkContents(schedule) {
+    if (!schedule.includeRegisters && !schedule.includeAtRisk) {
+      throw new Error('A report must include registers, at-risk lists or both');
+    }
+    if (schedule.recipients.length === 0 && !schedule.includeSectionFaculty) {
+      throw new Error('Add at least one recipient or include section faculty');
+    }
+  }
+
+  /**
+   * Load a schedule the admin may manage
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleSchedule(id, admin) {
+    const schedule = await ReportSchedule.findById(id);
+    if (!schedule) {
+      throw new Error('Report schedule not found');
+    }
+    if (admin.department && schedule.scope.department !== admin.department) {
+      throw new Error('Not authorized to manage this report schedule');
+    }
+    return schedule;
+  }
+
+  /**
+   * List report schedules
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Array>}
+   */
+  async listSchedules(admin) {
+    const query = admin.department ? { 'scope.department': admin.department } : {};
+    return ReportSchedule.find(query).sort({ 'scope.department': 1, name: 1 }).lean();
+  }
+
+  /**
+   * Create a report schedule
+   * @param {Object} data
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async createSchedule(data, admin) {
+    const schedule = new ReportSchedule({
+      ...this.normalize({ scope: {}, ...data }, admin),
+      createdBy: admin.id,
+      updatedBy: admin.id
+    });
+    this.checkContents(schedule);
+    await schedule.validate();
+
+    schedule.nextRunAt = this.computeNextRun(schedule);
+    await schedule.save();
+    console.log(`📅 Report schedule "${schedule.name}" created, next run ${schedule.nextRunAt.toISOString()}`);
+    return schedule;
+  }
+
+  /**
+   * Update a report schedule
+   * @param {string} id
+   * @param {Object} data
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async updateSchedule(id, data, admin) {
+    const schedule = await this.getAccessibleSchedule(id, admin);
+    Object.assign(schedule, this.normalize(data, admin), { updatedBy: admin.id });
+    this.checkContents(schedule);
+    await schedule.validate();
+    schedule.nextRunAt = this.computeNextRun(schedule);
+    await schedule.save();
+    return schedule;
+  }
+
+  /**
+   * Delete a report schedule (its delivery log is kept)
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<void>}
+   */
+  async deleteSchedule(id, admin) {
+    const schedule = await this.getAccessibleSchedule(id, admin);
+    await schedule.deleteOne();
+  }
+
+  /**
+   * Section faculty who took sessions in the scope, with their emails
+   * @param {Object} scope - { department, semester, section }
+   * @returns {Promise<Array>} - Recipients with a facultyId
+   */
+  async getSectionFaculty(scope) {
+    const facultyIds = (await AttendanceLedger.distinct('facultyId', { ...this.getScopeQuery(scope), archived: false }))
+      .filter(Boolean);
+    if (facultyIds.length === 0) return [];
+
+    const faculty = await User.find({ role: 'faculty', facultyId: { $in: facultyIds } })
+      .select('facultyId name email')
+      .lean();
+
+    return faculty
+      .filter(user => user.email)
+      .map(user => ({ name: user.name, email: user.email.toLowerCase(), role: 'faculty', facultyId: user.facultyId }));
+  }
+
+  /**
+   * Attendance ledger filter of a delivery scope
+   * @param {Object} scope - { department, semester, section, facultyId }
+   * @returns {Object}
+   */
+  getScopeQuery(scope) {
+    const query = { department: scope.department };
+    if (scope.semester) query.semester = scope.semester;
+    if (scope.section) query.section = scope.section;
+    if (scope.facultyId) query.facultyId = scope.facultyId;
+    return query;
+  }
+
+  /**
+   * At-risk list as an Excel workbook
+   * @param {Array} students - Rows from attendanceAlertService.getAtRiskStudents
+   * @param {string} title
+   * @returns {Promise<Buffer>}
+   */
+  async atRiskToXLSX(students, title) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'QuickRoll Attendance System';
+    const worksheet = workbook.addWorksheet('At-Risk Students');
+
+    worksheet.addRow([title]).font = { bold: true, size: 14 };
+    const header = worksheet.addRow(['Roll No.', 'Name', 'Class', 'Subject', 'Present', 'Sessions', 'Percentage', 'Level', 'Classes to Recover']);
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+    students.forEach(student => {
+      const row = worksheet.addRow([
+        student.classRollNumber || '',
+        student.studentName,
+        `${student.department} ${student.semester}-${student.section}`,
+        student.subjectName || '',
+        student.presentCount,
+        student.totalSessions - student.excusedCount,
+        `${student.percentage}%`,
+        student.level,
+        student.sessionsToRecover === null ? '' : student.sessionsToRecover
+      ]);
+      if (student.level === 'critical') {
+        row.font = { color: { argb: 'FF9C0006' } };
+      }
+    });
+
+    [10, 30, 14, 30, 10, 10, 12, 10, 18].forEach((width, index) => {
+      worksheet.getColumn(index + 1).width = width;
+    });
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * At-risk list as a PDF
+   * @param {Array} students - Rows from attendanceAlertService.getAtRiskStudents
+   * @param {string} title
+   * @returns {Promise<Buffer>}
+   */
+  atRiskToPDF(students, title) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const widths = [60, 150, 155, 60, 90];
+      const rowHeight = 18;
+      const left = doc.page.margins.left;
+      const pageBottom = doc.page.height - doc.page.margins.bottom;
+
+      const drawRow = (y, cells, { bold = false, color = '#000000' } = {}) => {
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+        cells.forEach((value, index) => {
+          doc.text(String(value), x + 2, y + 5, { width: widths[index] - 4, lineBreak: false, ellipsis: true });
+          x += widths[index];
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + widths.reduce((a, b) => a + b, 0), y + rowHeight).stroke('#dddddd');
+      };
+
+      doc.font('Helvetica-Bold').fontSize(14).text(title);
+      doc.moveDown(0.5);
+      let y = doc.y;
+      drawRow(y, ['Roll No.', 'Name', 'Subject', '%', 'Level'], { bold: true });
+      y += rowHeight;
+
+      students.forEach(student => {
+        if (y + rowHeight > pageBottom) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+        drawRow(y, [
+          student.classRollNumber || '-',
+          student.studentName,
+          `${student.subjectName || ''} (${student.semester}-${student.section})`,
+          `${student.percentage}%`,
+          student.level
+        ], { color: student.level === 'critical' ? '#c62828' : '#000000' });
+        y += rowHeight;
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Generate the attachments of a delivery
+   * @param {Object} options - { scope, period, formats, includeRegisters, includeAtRisk }
+   * @returns {Promise<Object>} - { attachments: [{ filename, content, contentType }], classes: summary rows, atRiskCount }
+   */
+  async buildAttachments({ scope, period, formats, includeRegisters, includeAtRisk }) {
+    const attachments = [];
+    const classes = [];
+    let atRiskCount = 0;
+
+    if (includeRegisters) {
+      const registers = await attendanceRegisterService.listRegisters(this.getScopeQuery(scope));
+
+      for (const item of registers) {
+        let register;
+        try {
+          register = await attendanceRegisterService.buildRegister({}, { ...item, from: period.from, to: period.to });
+        } catch (error) {
+          continue;
+        }
+        if (register.sessions.length === 0) continue;
+
+        classes.push({
+          label: `${register.subjectName || register.facultyName} · ${register.department} ${register.semester}-${register.section}`,
+          sessions: register.sessions.length,
+          averagePercentage: register.totals.averagePercentage
+        });
+        for (const format of formats) {
+          const { buffer, contentType, filename } = await attendanceRegisterService.export(register, format);
+          attachments.push({ filename, content: buffer, contentType });
+        }
+      }
+    }
+
+    if (includeAtRisk) {
+      const students = await attendanceAlertService.getAtRiskStudents(this.getScopeQuery(scope));
+      atRiskCount = students.length;
+
+      if (students.length > 0) {
+        const title = `At-Risk Students - ${[scope.department, scope.semester, scope.section].filter(Boolean).join(' ')} (${period.to})`;
+        const filename = `at_risk_${[scope.department, scope.semester, scope.section].filter(Boolean).join('_')}_${period.to}`.replace(/[^a-z0-9_-]+/gi, '_');
+        for (const format of formats) {
+          const content = format === 'pdf' ? await this.atRiskToPDF(students, title) : await this.atRiskToXLSX(students, title);
+          attachments.push({ filename: `${filename}.${format}`, content, contentType: CONTENT_TYPES[format] });
+        }
+      }
+    }
+
+    return { attachments, classes, atRiskCount };
+  }
+
+  /**
+   * Email body summarising a delivery
+   * @param {Object} delivery
+   * @param {Object} report - Result of buildAttachments
+   * @returns {string}
+   */
+  buildEmailHtml(delivery, report) {
+    const rows = report.classes.map(item => `
+      <tr>
+        <td style="padding: 6px; border-bottom: 1px solid #e0e0e0;">${item.label}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e0e0e0; text-align: center;">${item.sessions}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e0e0e0; text-align: center;">${item.averagePercentage}%</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+        <h1 style="color: #2196f3; text-align: center;">${delivery.scheduleName}</h1>
+        <p style="text-align: center; color: #757575;">${delivery.period.from} to ${delivery.period.to}</p>
+        <p>Dear ${delivery.recipient.name || 'colleague'},</p>
+        <p>Please find the attendance reports for this period attached.</p>
+        ${rows ? `
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+          <tr>
+            <th style="padding: 6px; text-align: left; border-bottom: 2px solid #e0e0e0;">Class</th>
+            <th style="padding: 6px; border-bottom: 2px solid #e0e0e0;">Sessions</th>
+            <th style="padding: 6px; border-bottom: 2px solid #e0e0e0;">Average</th>
+          </tr>
+          ${rows}
+        </table>` : ''}
+        ${report.atRiskCount > 0 ? `<p><strong>${report.atRiskCount}</strong> student records are below the attendance threshold (see the at-risk list).</p>` : ''}
+        <p style="margin-top: 30px; color: #757575; font-size: 14px; text-align: center;">
+          This is an automated email sent by the QuickRoll Attendance System.
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Send one delivery, scheduling a retry (with backoff) when sending fails
+   * @param {Object} delivery - ReportDelivery document
+   * @param {Object} schedule - ReportSchedule (null if it was deleted)
+   * @param {Map} cache - Reports already generated in this run, by scope
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async attemptDelivery(delivery, schedule, cache = new Map()) {
+    if (!schedule) {
+      delivery.status = 'failed';
+      delivery.lastError = 'The report schedule was deleted';
+      delivery.nextAttemptAt = undefined;
+      return delivery.save();
+    }
+
+    delivery.attempts++;
+
+    try {
+      const cacheKey = JSON.stringify(delivery.scope);
+      if (!cache.has(cacheKey)) {
+        cache.set(cacheKey, this.buildAttachments({
+          scope: delivery.scope,
+          period: delivery.period,
+          formats: schedule.formats,
+          includeRegisters: schedule.includeRegisters,
+          includeAtRisk: schedule.includeAtRisk
+        }));
+      }
+      const report = await cache.get(cacheKey);
+
+      if (report.attachments.length === 0) {
+        delivery.status = 'skipped';
+        delivery.lastError = 'No attendance recorded in this period';
+        delivery.nextAttemptAt = undefined;
+        return delivery.save();
+      }
+
+      delivery.attachments = report.attachments.map(attachment => ({
+        filename: attachment.filename,
+        size: attachment.content.length
+      }));
+
+      const result = await reportEmailService.sendEmail({
+        to: delivery.recipient.email,
+        subject: delivery.subject,
+        html: this.buildEmailHtml(delivery, report),
+        attachments: report.attachments,
+        preserveFormatting: true
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || result.message);
+      }
+
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.messageId = result.messageId;
+      delivery.lastError = undefined;
+      delivery.nextAttemptAt = undefined;
+    } catch (error) {
+      delivery.lastError = error.message;
+      if (delivery.attempts >= this.MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+        console.error(`❌ Report delivery to ${delivery.recipient.email} failed after ${delivery.attempts} attempts: ${error.message}`);
+      } else {
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + this.RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+      }
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * Create and send the deliveries of one run of a schedule
+   * @param {Object} schedule - ReportSchedule document
+   * @param {Object} options - { runAt, triggeredBy }
+   * @returns {Promise<Object>} - Counts by delivery status
+   */
+  async runSchedule(schedule, { runAt = new Date(), triggeredBy = 'schedule' } = {}) {
+    const period = this.getPeriod(schedule, runAt);
+    const scope = {
+      department: schedule.scope.department,
+      semester: schedule.scope.semester,
+      section: schedule.scope.section
+    };
+
+    const recipients = schedule.recipients.map(recipient => ({ recipient, scope }));
+    if (schedule.includeSectionFaculty) {
+      const configured = new Set(schedule.recipients.map(recipient => recipient.email));
+      const faculty = await this.getSectionFaculty(scope);
+      faculty
+        .filter(member => !configured.has(member.email))
+        .forEach(({ facultyId, ...recipient }) => recipients.push({ recipient, scope: { ...scope, facultyId } }));
+    }
+
+    const deliveries = await ReportDelivery.insertMany(recipients.map(({ recipient, scope: deliveryScope }) => ({
+      schedule: schedule._id,
+      scheduleName: schedule.name,
+      period,
+      scope: deliveryScope,
+      recipient,
+      subject: `${schedule.name}: ${period.from} to ${period.to}`,
+      triggeredBy
+    })));
+
+    const cache = new Map();
+    const counts = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+    for (const delivery of deliveries) {
+      const result = await this.attemptDelivery(delivery, schedule, cache);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+    }
+
+    console.log(`📧 Report "${schedule.name}" (${period.from} to ${period.to}): ${counts.sent} sent, ${counts.retrying} to retry, ${counts.skipped} skipped`);
+    return { period, deliveries: deliveries.length, ...counts };
+  }
+
+  /**
+   * Run a schedule immediately (outside its timetable)
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async runNow(id, admin) {
+    const schedule = await this.getAccessibleSchedule(id, admin);
+    return this.runSchedule(schedule, { triggeredBy: admin.name || admin.id });
+  }
+
+  /**
+   * Run due schedules and retry failed deliveries whose backoff elapsed
+   * @returns {Promise<void>}
+   */
+  async processDue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const due = await ReportSchedule.find({ enabled: true, nextRunAt: { $lte: now } });
+
+      for (const schedule of due) {
+        // Claim the run so another instance does not send it twice
+        const claimed = await ReportSchedule.findOneAndUpdate(
+          { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+          { $set: { nextRunAt: this.computeNextRun(schedule, now), lastRunAt: now } }
+        );
+        if (!claimed) continue;
+
+        try {
+          await this.runSchedule(schedule, { runAt: schedule.nextRunAt });
+        } catch (error) {
+          console.error(`❌ Error running report schedule "${schedule.name}":`, error);
+        }
+      }
+
+      const retries = await ReportDelivery.find({ status: 'retrying', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(this.RETRY_BATCH_SIZE);
+      const schedules = new Map();
+      const cache = new Map();
+
+      for (const delivery of retries) {
+        const key = delivery.schedule.toString();
+        if (!schedules.has(key)) schedules.set(key, await ReportSchedule.findById(key));
+        await this.attemptDelivery(delivery, schedules.get(key), cache);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Retry a failed delivery now
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async retryDelivery(id, admin) {
+    const delivery = await ReportDelivery.findById(id);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    if (admin.department && delivery.scope.department !== admin.department) {
+      throw new Error('Not authorized to retry this delivery');
+    }
+    if (delivery.status === 'sent') {
+      throw new Error('This report was already delivered');
+    }
+
+    // A manual retry gets a fresh set of attempts
+    if (delivery.status === 'failed') delivery.attempts = 0;
+    const schedule = await ReportSchedule.findById(delivery.schedule);
+    return this.attemptDelivery(delivery, schedule);
+  }
+
+  /**
+   * Browse the delivery log
+   * @param {Object} admin - req.admin
+   * @param {Object} filters - { status, scheduleId, email }
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>} - { deliveries, pagination }
+   */
+  async listDeliveries(admin, filters = {}, page = 1, limit = 50) {
+    const query = {};
+    if (admin.department) query['scope.department'] = admin.department;
+    if (filters.status) query.status = filters.status;
+    if (filters.scheduleId) query.schedule = filters.scheduleId;
+    if (filters.email) query['recipient.email'] = String(filters.email).toLowerCase();
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const [deliveries, totalRecords] = await Promise.all([
+      ReportDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      ReportDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(totalRecords / pageSize),
+        totalRecords,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = new ReportScheduleService();
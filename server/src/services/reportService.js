@@ -103,6 +103,14 @@ class ReportService {
             doc.fontSize(12).font('Helvetica-Bold').text('Faculty:', 50, sessionInfoY + rowHeight * 5);
             doc.fontSize(12).font('Helvetica').text(facultyData.name, 150, sessionInfoY + rowHeight * 5);
             
+            if (sessionData.subjectName) {
+                const subjectLabel = sessionData.subjectCode
+                    ? `${sessionData.subjectCode} - ${sessionData.subjectName}`
+                    : sessionData.subjectName;
+                doc.fontSize(12).font('Helvetica-Bold').text('Subject:', 50, sessionInfoY + rowHeight * 6);
+                doc.fontSize(12).font('Helvetica').text(subjectLabel, 150, sessionInfoY + rowHeight * 6);
+            }
+            
             // Add attendance summary in tabular format
             const summaryY = sessionInfoY + rowHeight * 7;
             doc.fontSize(14).font('Helvetica-Bold').text('Attendance Summary :', 50, summaryY);
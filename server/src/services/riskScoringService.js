@@ -0,0 +1,346 @@
+const RiskEvent = require('../models/RiskEvent');
+const RiskPolicy = require('../models/RiskPolicy');
+const QRSession = require('../models/QRSession');
+const User = require('../models/User');
+const webhookService = require('./webhookService');
+
+const MAX_SCORE = 100;
+
+/**
+ * Proxy-risk scoring: every detection signal (VPN markers, shared devices,
+ * fingerprint mismatches, token reuse, app reports, geofence and full-screen
+ * violations) is recorded as a RiskEvent for the student and session, and the
+ * student's session score is the weighted sum of those events.
+ */
+class RiskScoringService {
+  constructor() {
+    this.policyCache = null;
+    this.policyLoadedAt = 0;
+    this.POLICY_CACHE_MS = 30 * 1000; // Other workers pick up policy edits within this time
+  }
+
+  /**
+   * Current scoring policy (cached briefly)
+   * @returns {Promise<Object>} - Plain policy object
+   */
+  async getPolicy() {
+    if (!this.policyCache || Date.now() - this.policyLoadedAt > this.POLICY_CACHE_MS) {
+      const policy = await RiskPolicy.getPolicy();
+      this.policyCache = policy.toObject();
+      this.policyLoadedAt = Date.now();
+    }
+    return this.policyCache;
+  }
+
+  /**
+   * Update weights and thresholds
+   * @param {Object} updates - { weights, flagScore, autoRemoveEnabled, removeScore }
+   * @param {string} updatedBy - Admin ID
+   * @returns {Promise<Object>}
+   */
+  async updatePolicy(updates, updatedBy) {
+    const policy = await RiskPolicy.getPolicy();
+
+    if (updates.weights) {
+      for (const signal of RiskEvent.SIGNALS) {
+        if (updates.weights[signal] === undefined) continue;
+        const value = Number(updates.weights[signal]);
+        if (!Number.isFinite(value) || value < 0 || value > MAX_SCORE) {
+          throw new Error(`Weight of ${signal} must be between 0 and ${MAX_SCORE}`);
+        }
+        policy.weights[signal] = value;
+      }
+    }
+
+    for (const field of ['flagScore', 'removeScore']) {
+      if (updates[field] === undefined) continue;
+      const value = Number(updates[field]);
+      if (!Number.isFinite(value) || value < 1 || value > MAX_SCORE) {
+        throw new Error(`${field} must be between 1 and ${MAX_SCORE}`);
+      }
+      policy[field] = value;
+    }
+    if (updates.autoRemoveEnabled !== undefined) {
+      policy.autoRemoveEnabled = Boolean(updates.autoRemoveEnabled);
+    }
+    if (policy.autoRemoveEnabled && policy.removeScore < policy.flagScore) {
+      throw new Error('The removal score cannot be lower than the flag score');
+    }
+
+    policy.updatedBy = updatedBy;
+    await policy.save();
+
+    this.policyCache = policy.toObject();
+    this.policyLoadedAt = Date.now();
+    return this.policyCache;
+  }
+
+  /**
+   * Weighted score of a set of events (each occurrence counts)
+   * @param {Array} events - RiskEvents
+   * @param {Object} weights - Policy weights
+   * @returns {Object} - { score, signals: { signal: count } }
+   */
+  computeScore(events, weights) {
+    const signals = {};
+    let score = 0;
+    for (const event of events) {
+      signals[event.signal] = (signals[event.signal] || 0) + 1;
+      score += weights[event.signal] || 0;
+    }
+    return { score: Math.min(MAX_SCORE, Math.round(score)), signals };
+  }
+
+  /**
+   * Risk level of a score
+   * @param {number} score
+   * @param {Object} policy
+   * @returns {string} - 'clear' | 'watch' | 'flagged' | 'critical'
+   */
+  getLevel(score, policy) {
+    if (policy.autoRemoveEnabled && score >= policy.removeScore) return 'critical';
+    if (score >= policy.flagScore) return 'flagged';
+    return score > 0 ? 'watch' : 'clear';
+  }
+
+  /**
+   * Fill in the student's identity from the User record when only part is known
+   * @param {Object} subject - { studentId, userId, name, rollNumber, department, semester, section }
+   * @returns {Promise<Object|null>}
+   */
+  async resolveStudent(subject) {
+    if (subject.studentId && subject.rollNumber && subject.section) {
+      return subject;
+    }
+
+    const query = subject.userId ? { _id: subject.userId } : { studentId: subject.studentId };
+    const user = await User.findOne(query).select('studentId name classRollNumber course semester section').lean();
+    if (!user) {
+      return subject.studentId ? subject : null;
+    }
+
+    return {
+      userId: user._id,
+      studentId: user.studentId || String(user._id),
+      name: subject.name || user.name,
+      rollNumber: subject.rollNumber || user.classRollNumber,
+      department: subject.department || user.course,
+      semester: subject.semester || user.semester,
+      section: subject.section || user.section
+    };
+  }
+
+  /**
+   * Record a detection signal and apply the auto-actions its score crosses.
+   * Never throws: scoring must not break the attendance flow that reported it.
+   * @param {string} signal - One of RiskEvent.SIGNALS
+   * @param {Object} subject - Student identity (studentId and/or userId, optional name/roll/section)
+   * @param {Object} options - { sessionId, details }; the running session of the section is used when no sessionId is given
+   * @returns {Promise<Object|null>} - { event, score, level } or null on failure
+   */
+  async recordSignal(signal, subject, { sessionId = null, details = {} } = {}) {
+    try {
+      const student = await this.resolveStudent(subject);
+      if (!student) return null;
+
+      let session = null;
+      if (sessionId) {
+        session = await QRSession.findOne({ sessionId }).lean();
+      } else if (student.department && student.semester && student.section) {
+        session = await QRSession.findActiveSessionForSection(student.department, student.semester, student.section).lean();
+      }
+
+      const policy = await this.getPolicy();
+      const event = await RiskEvent.create({
+        studentId: student.studentId,
+        userId: student.userId,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        department: student.department,
+        semester: student.semester,
+        section: student.section,
+        sessionId: session ? session.sessionId : null,
+        signal,
+        weight: policy.weights[signal] || 0,
+        details
+      });
+
+      if (!session) {
+        return { event, score: null, level: null };
+      }
+
+      const events = await RiskEvent.find({ sessionId: session.sessionId, studentId: student.studentId }).lean();
+      const { score } = this.computeScore(events, policy.weights);
+      const previousScore = this.computeScore(events.filter(e => !e._id.equals(event._id)), policy.weights).score;
+      const level = this.getLevel(score, policy);
+
+      console.log(`🛡️ Risk signal ${signal} for ${student.studentId} in ${session.sessionId}: score ${previousScore} -> ${score}`);
+
+      await this.applyAutoActions(session, student, { signal, previousScore, score, level }, policy);
+
+      return { event, score, level };
+    } catch (error) {
+      console.error('⚠️ Failed to record risk signal:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Update the live roster and act on crossed thresholds
+   * @param {Object} session - QR session
+   * @param {Object} student - Resolved student identity
+   * @param {Object} result - { signal, previousScore, score, level }
+   * @param {Object} policy
+   * @returns {Promise<void>}
+   */
+  async applyAutoActions(session, student, { signal, previousScore, score, level }, policy) {
+    if (session.status === 'ended' || !student.rollNumber) return;
+
+    // Loaded lazily: qrSessionService records signals through this service
+    const qrSessionService = require('./qrSessionService');
+
+    await qrSessionService.recordRosterEvent(session, student.rollNumber, {
+      studentId: student.studentId,
+      name: student.name,
+      risk: { score, level }
+    });
+
+    const crossed = (threshold) => previousScore < threshold && score >= threshold;
+    const removing = policy.autoRemoveEnabled && crossed(policy.removeScore);
+
+    if (removing) {
+      const result = await qrSessionService.removeStudentFromSession(session.sessionId, student.studentId, student.rollNumber);
+      if (result.success) {
+        await qrSessionService.recordRosterEvent(session, student.rollNumber, {
+          joinedAt: null,
+          markedAt: null,
+          removedBy: 'risk-score'
+        });
+        console.log(`🛡️ Auto-removed ${student.studentId} from ${session.sessionId} (risk score ${score})`);
+      }
+    }
+
+    const flagged = removing || crossed(policy.flagScore);
+
+    if (flagged) {
+      webhookService.emit('student.flagged', {
+        sessionId: session.sessionId,
+        facultyId: session.facultyId,
+        studentId: student.studentId,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        department: student.department,
+        semester: student.semester,
+        section: student.section,
+        score,
+        level,
+        signal,
+        removed: removing
+      }, { department: student.department || session.department });
+    }
+
+    if (flagged && qrSessionService.io) {
+      qrSessionService.io.to(`faculty-${session.facultyId}`).emit('qr-riskAlert', {
+        sessionId: session.sessionId,
+        studentId: student.studentId,
+        rollNumber: student.rollNumber,
+        name: student.name,
+        score,
+        level,
+        signal,
+        removed: removing,
+        message: removing
+          ? `${student.name || student.rollNumber} was removed from the session (risk score ${score})`
+          : `${student.name || student.rollNumber} reached a risk score of ${score}`
+      });
+    }
+  }
+
+  /**
+   * Scores of every student with signals in a session, highest first
+   * @param {string} sessionId - QR session ID
+   * @returns {Promise<Array>} - [{ studentId, name, rollNumber, score, level, signals, lastEventAt }]
+   */
+  async getSessionScores(sessionId) {
+    const [events, policy] = await Promise.all([
+      RiskEvent.find({ sessionId }).sort({ createdAt: 1 }).lean(),
+      this.getPolicy()
+    ]);
+
+    const byStudent = new Map();
+    for (const event of events) {
+      if (!byStudent.has(event.studentId)) byStudent.set(event.studentId, []);
+      byStudent.get(event.studentId).push(event);
+    }
+
+    return Array.from(byStudent.values())
+      .map(studentEvents => {
+        const last = studentEvents[studentEvents.length - 1];
+        const { score, signals } = this.computeScore(studentEvents, policy.weights);
+        return {
+          studentId: last.studentId,
+          name: last.name,
+          rollNumber: last.rollNumber,
+          score,
+          level: this.getLevel(score, policy),
+          signals,
+          lastEventAt: last.createdAt
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Summary shown with the faculty's live session stats
+   * @param {string} sessionId - QR session ID
+   * @returns {Promise<Object>} - { flagged, highestScore, flagScore, students (top 5) }
+   */
+  async getSessionRiskSummary(sessionId) {
+    const [scores, policy] = await Promise.all([this.getSessionScores(sessionId), this.getPolicy()]);
+    return {
+      flagged: scores.filter(entry => entry.score >= policy.flagScore).length,
+      highestScore: scores.length ? scores[0].score : 0,
+      flagScore: policy.flagScore,
+      students: scores.slice(0, 5)
+    };
+  }
+
+  /**
+   * Admin view of the raw event stream
+   * @param {Object} filters - { studentId, rollNumber, sessionId, signal, department, from, to }
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>} - { events, pagination }
+   */
+  async listEvents(filters = {}, page = 1, limit = 50) {
+    const query = {};
+    for (const field of ['studentId', 'rollNumber', 'sessionId', 'signal', 'department', 'semester', 'section']) {
+      if (filters[field]) query[field] = filters[field];
+    }
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [events, total] = await Promise.all([
+      RiskEvent.find(query).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+      RiskEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalRecords: total,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = new RiskScoringService();
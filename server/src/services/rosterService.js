@@ -0,0 +1,72 @@
+const User = require('../models/User');
+
+/**
+ * Service for the enrolled student roster of a section.
+ * Absentees are computed from the students actually registered in the section,
+ * so gaps, lateral entries and alphanumeric roll numbers are handled correctly.
+ */
+class RosterService {
+  /**
+   * Compare two roll numbers naturally ("2" < "10", "21A" < "21B")
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  compareRollNumbers(a, b) {
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Enrolled students of a section, in roll number order
+   * @param {string} department - Programme (stored as course on users)
+   * @param {string} semester
+   * @param {string} section
+   * @returns {Promise<Array>} - Roster snapshot entries
+   */
+  async getSectionRoster(department, semester, section) {
+    const students = await User.find({
+      role: 'student',
+      course: department,
+      semester,
+      section
+    }).select('_id studentId name email classRollNumber universityRollNumber').lean();
+
+    return students
+      .map(student => ({
+        student: student._id,
+        studentId: student.studentId,
+        name: student.name,
+        email: student.email,
+        classRollNumber: student.classRollNumber,
+        universityRollNumber: student.universityRollNumber
+      }))
+      .sort((a, b) => this.compareRollNumbers(a.classRollNumber, b.classRollNumber));
+  }
+
+  /**
+   * Identifier stored in a record's present/absent lists for a roster entry
+   * @param {Object} entry - Roster entry
+   * @returns {string}
+   */
+  getIdentifier(entry) {
+    return entry.classRollNumber || entry.email;
+  }
+
+  /**
+   * Roster entries that do not appear in the present list under any of their identifiers
+   * @param {Array} roster - Roster snapshot entries
+   * @param {Array<string>} presentStudents - Roll numbers or emails marked present
+   * @returns {Array<string>} - Absentee identifiers in roll number order
+   */
+  computeAbsentees(roster, presentStudents) {
+    const present = new Set(presentStudents || []);
+
+    return roster
+      .filter(entry => !present.has(entry.classRollNumber) &&
+        !present.has(entry.universityRollNumber) &&
+        !present.has(entry.email))
+      .map(entry => this.getIdentifier(entry));
+  }
+}
+
+module.exports = new RosterService();
@@ -0,0 +1,122 @@
+const os = require('os');
+const cluster = require('cluster');
+const redisCache = require('./redisCache');
+
+// Take the lease if it is free, or extend it if this process holds it, in one step
+// so a lease that expires meanwhile is never extended on behalf of another process
+const CLAIM_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'EX', ARGV[2]) then
+  return 1
+end
+return 0
+`;
+
+/**
+ * Runs periodic background jobs on exactly one process of the deployment.
+ * Under `start:cluster` every worker loads the app and the primary does not,
+ * so the workers elect a leader through a Redis lease; only the leader runs
+ * the jobs, and another worker takes over once a dead leader's lease expires.
+ * Services register their jobs when loaded; app.js starts them on boot.
+ */
+class ScheduledJobService {
+  constructor() {
+    this.LEASE_KEY = 'scheduled-jobs:leader';
+    this.LEASE_TTL_SECONDS = 90;
+    this.RENEW_INTERVAL_MS = 30 * 1000;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.jobs = [];
+    this.leader = false;
+    this.started = false;
+    this.warnedUnavailable = false;
+  }
+
+  /**
+   * Register a job to run every interval on the elected process
+   * @param {string} name - Used in logs
+   * @param {number} intervalMs
+   * @param {Function} task - Returns a promise
+   */
+  register(name, intervalMs, task) {
+    const job = { name, intervalMs, task, running: false };
+    this.jobs.push(job);
+    if (this.started) this.startJob(job);
+  }
+
+  /**
+   * Start leader election and the timers of every registered job
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    setInterval(() => {
+      this.renewLease().catch(error => {
+        console.error('❌ Error renewing scheduled job lease:', error);
+      });
+    }, this.RENEW_INTERVAL_MS).unref();
+    this.jobs.forEach(job => this.startJob(job));
+
+    await this.renewLease();
+  }
+
+  /**
+   * Run a job on its interval while this process leads, skipping ticks while
+   * the previous run is still in progress
+   * @param {Object} job
+   */
+  startJob(job) {
+    setInterval(() => {
+      if (!this.leader) return;
+      if (job.running) {
+        console.log(`⏱️ Scheduled job ${job.name} still running, skipping this run`);
+        return;
+      }
+
+      job.running = true;
+      Promise.resolve()
+        .then(() => job.task())
+        .catch(error => {
+          console.error(`❌ Error running scheduled job ${job.name}:`, error);
+        })
+        .finally(() => {
+          job.running = false;
+        });
+    }, job.intervalMs).unref();
+  }
+
+  /**
+   * Take or extend the leader lease
+   * @returns {Promise<boolean>} - Whether this process now leads
+   */
+  async renewLease() {
+    const wasLeader = this.leader;
+
+    if (!redisCache.isHealthy()) {
+      // Nothing to coordinate through: a standalone server runs its own jobs, cluster workers wait
+      this.leader = !cluster.isWorker;
+      if (cluster.isWorker && !this.warnedUnavailable) {
+        this.warnedUnavailable = true;
+        console.warn('⚠️ Redis unavailable - scheduled jobs are paused until a worker can take the lease');
+      }
+    } else {
+      const claimed = await redisCache.getClient().eval(CLAIM_LEASE_SCRIPT, {
+        keys: [this.LEASE_KEY],
+        arguments: [this.instanceId, String(this.LEASE_TTL_SECONDS)]
+      });
+      this.leader = Number(claimed) === 1;
+    }
+
+    if (this.leader !== wasLeader) {
+      console.log(this.leader
+        ? `⏱️ Process ${process.pid} is running the scheduled jobs`
+        : `⏱️ Process ${process.pid} stopped running the scheduled jobs`);
+    }
+    return this.leader;
+  }
+}
+
+module.exports = new ScheduledJobService();
@@ -0,0 +1,409 @@
+const AttendanceRecord = require('../models/AttendanceRecord');
+const SheetMapping = require('../models/SheetMapping');
+const googleSheetsService = require('./googleSheetsService');
+const attendanceRecordService = require('./attendanceRecordService');
+const attendanceLedgerService = require('./attendanceLedgerService');
+const attendanceAuditService = require('./attendanceAuditService');
+const rosterService = require('./rosterService');
+const webhookService = require('./webhookService');
+const timetableService = require('./timetableService');
+const scheduledJobService = require('./scheduledJobService');
+
+const HEADER_SCAN_ROWS = 10;
+const ROLL_HEADER_PATTERN = /^roll\s*(no\.?|number)?$/i;
+const NAME_HEADER_PATTERN = /^(student\s*)?name$/i;
+
+// Sheet cell codes, and the values accepted when reading edits back (older sheets used 1/0)
+const STATUS_CODES = { present: 'P', absent: 'A', excused: 'E' };
+const CODE_STATUSES = { P: 'present', A: 'absent', E: 'excused' };
+const CELL_VALUES = { p: 'P', present: 'P', 1: 'P', a: 'A', absent: 'A', 0: 'A', e: 'E', excused: 'E' };
+
+// Spreadsheet column letter of a 0-based index (0 -> A, 26 -> AA)
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Two-way sync between a section's attendance records and its mapped Google Sheet.
+ * Rows are matched by roll number and every attendance record gets its own column,
+ * so several sessions on one day don't overwrite each other. Cells edited by hand
+ * in the sheet are imported back as audited corrections.
+ */
+class SheetSyncService {
+  constructor() {
+    this.SYNC_INTERVAL_MS = 15 * 60 * 1000;
+    this.LOCK_TIMEOUT_MS = 10 * 60 * 1000; // A sync still "running" after this is assumed dead
+    this.MAX_CONFLICTS = 100;
+
+    // Sync every enabled mapping - on one process only
+    scheduledJobService.register('sheet-sync', this.SYNC_INTERVAL_MS, () => this.syncAll());
+  }
+
+  /**
+   * Column header of an attendance record, e.g. "19/10/2026 09:30 CS301"
+   * @param {Object} record - AttendanceRecord
+   * @returns {string}
+   */
+  formatHeader(record) {
+    const dateTime = timetableService.formatLocal(record.date, 'en-GB', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    }).replace(',', '');
+    return [dateTime, record.subjectCode || record.subjectName].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Status code of a sheet cell
+   * @param {*} value - Raw cell value
+   * @returns {string|null} - 'P', 'A', 'E', '' for an empty cell, or null if unrecognised
+   */
+  normalizeCell(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return '';
+    return CELL_VALUES[text.toLowerCase()] || null;
+  }
+
+  /**
+   * Find the header row and roll number column
+   * @param {Array<Array>} grid - Sheet values
+   * @returns {Object|null} - { headerRow, rollColumn }
+   */
+  locateHeader(grid) {
+    for (let row = 0; row < Math.min(grid.length, HEADER_SCAN_ROWS); row++) {
+      const rollColumn = (grid[row] || []).findIndex(cell => ROLL_HEADER_PATTERN.test(String(cell || '').trim()));
+      if (rollColumn !== -1) {
+        return { headerRow: row, rollColumn };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply sheet edits to an attendance record, its students' ledgers and the audit trail
+   * @param {Object} record - AttendanceRecord document
+   * @param {Array<Object>} changes - [{ rollNumber, fromStatus, toStatus }] between present and absent
+   * @param {Object} mapping - SheetMapping
+   * @returns {Promise<Object>} - Updated record
+   */
+  async importChanges(record, changes, mapping) {
+    const toPresent = new Set(changes.filter(change => change.toStatus === 'present').map(change => change.rollNumber));
+    const toAbsent = new Set(changes.filter(change => change.toStatus === 'absent').map(change => change.rollNumber));
+
+    const presentStudents = [
+      ...(record.presentStudents || []).filter(roll => !toAbsent.has(roll)),
+      ...toPresent
+    ].sort(rosterService.compareRollNumbers);
+    const absentees = [
+      ...(record.absentees || []).filter(roll => !toPresent.has(roll)),
+      ...toAbsent
+    ].sort(rosterService.compareRollNumbers);
+
+    const updatedRecord = await attendanceRecordService.updateAttendanceRecord(record._id, {
+      presentStudents,
+      absentees,
+      presentCount: presentStudents.length
+    });
+
+    for (const change of changes) {
+      try {
+        await attendanceLedgerService.applyRecordCorrection(updatedRecord, change.rollNumber, change.toStatus);
+      } catch (ledgerError) {
+        console.error('⚠️ Failed to apply sheet import to attendance ledger:', ledgerError);
+      }
+    }
+
+    const changedBy = { role: 'google-sheets', id: mapping.spreadsheetId, name: `Google Sheet "${mapping.sheetId}"` };
+    await attendanceAuditService.logChanges(record, changes, 'sheet-import', {
+      changedBy,
+      reason: 'Edited in the mapped Google Sheet'
+    });
+    webhookService.emitRecordUpdated(updatedRecord, changes, 'sheet-import', changedBy);
+
+    return updatedRecord;
+  }
+
+  /**
+   * Import manual edits from the sheet, then write every record of the section to it
+   * @param {Object} mapping - SheetMapping document (with columns selected)
+   * @returns {Promise<Object>} - { columns, summary, conflicts }
+   */
+  async runSync(mapping) {
+    const sheets = googleSheetsService.initializeSheets();
+    if (!sheets) {
+      throw new Error('Failed to initialize Google Sheets API');
+    }
+
+    const { department, semester, section, spreadsheetId, sheetId } = mapping;
+    let grid = (await googleSheetsService.readSheetData(sheets, spreadsheetId, sheetId)).map(row => [...row]);
+
+    let header = this.locateHeader(grid);
+    if (!header) {
+      if (grid.some(row => row.some(cell => String(cell || '').trim()))) {
+        throw new Error(`No "Roll No" header found in the first ${HEADER_SCAN_ROWS} rows of sheet "${sheetId}"`);
+      }
+      grid = [['Roll No', 'Name']];
+      header = { headerRow: 0, rollColumn: 0 };
+    }
+
+    const { headerRow, rollColumn } = header;
+    const headers = grid[headerRow];
+    const nameColumn = headers.findIndex(cell => NAME_HEADER_PATTERN.test(String(cell || '').trim()));
+
+    const rowsByRoll = new Map();
+    grid.forEach((row, index) => {
+      const roll = String(row[rollColumn] || '').trim();
+      if (index > headerRow && roll && !rowsByRoll.has(roll)) {
+        rowsByRoll.set(roll, index);
+      }
+    });
+    const columnsByHeader = new Map();
+    headers.forEach((cell, index) => {
+      if (cell) columnsByHeader.set(String(cell).trim(), index);
+    });
+
+    const records = await AttendanceRecord.find({ department, semester, section }).sort({ date: 1 });
+    const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+
+    // 1. Cells that differ from what was last written were edited by hand
+    const conflicts = [];
+    const imports = new Map();
+
+    (mapping.columns || []).forEach(column => {
+      const record = recordsById.get(column.attendanceRecord.toString());
+      const columnIndex = columnsByHeader.get(column.header);
+      if (!record || columnIndex === undefined) return;
+
+      const statuses = attendanceAuditService.getStatusMap(record);
+      rowsByRoll.forEach((rowIndex, roll) => {
+        const raw = grid[rowIndex][columnIndex];
+        const sheetValue = this.normalizeCell(raw);
+        const pushedValue = column.values.get(roll) || '';
+        const appValue = STATUS_CODES[statuses.get(roll)] || '';
+        if (sheetValue === pushedValue || sheetValue === appValue) return;
+
+        const addConflict = (reason) => conflicts.push({
+          rollNumber: roll,
+          header: column.header,
+          cell: `${columnLetter(columnIndex)}${rowIndex + 1}`,
+          sheetValue: String(raw === undefined || raw === null ? '' : raw),
+          appValue,
+          reason
+        });
+
+        if (sheetValue === null) return addConflict('Unrecognised value (use P or A)');
+        if (sheetValue === '') return addConflict('Cell was cleared in the sheet');
+        if (appValue !== pushedValue) return addConflict('Changed in both QuickRoll and the sheet');
+        if (!appValue) return addConflict('Student is not on this attendance record');
+        if (sheetValue === 'E' || appValue === 'E') return addConflict('Excused status only changes through leave requests');
+
+        const key = record._id.toString();
+        if (!imports.has(key)) imports.set(key, []);
+        imports.get(key).push({ rollNumber: roll, fromStatus: CODE_STATUSES[appValue], toStatus: CODE_STATUSES[sheetValue] });
+      });
+    });
+
+    let imported = 0;
+    for (const [recordId, changes] of imports) {
+      const updatedRecord = await this.importChanges(recordsById.get(recordId), changes, mapping);
+      records[records.findIndex(record => record._id.toString() === recordId)] = updatedRecord;
+      imported += changes.length;
+    }
+
+    // 2. One row per student: current roster in roll order, then anyone else on a record
+    const roster = await rosterService.getSectionRoster(department, semester, section);
+    const students = new Map(roster.map(entry => [rosterService.getIdentifier(entry), entry.name]));
+    records.forEach(record => {
+      (record.roster || []).forEach(entry => {
+        const identifier = rosterService.getIdentifier(entry);
+        if (identifier && !students.has(identifier)) students.set(identifier, entry.name);
+      });
+      attendanceAuditService.getStatusMap(record).forEach((status, identifier) => {
+        if (!students.has(identifier)) students.set(identifier, '');
+      });
+    });
+
+    let rowsAdded = 0;
+    students.forEach((name, identifier) => {
+      if (rowsByRoll.has(identifier)) return;
+      const row = [];
+      row[rollColumn] = identifier;
+      if (nameColumn !== -1) row[nameColumn] = name || '';
+      rowsByRoll.set(identifier, grid.length);
+      grid.push(row);
+      rowsAdded++;
+    });
+
+    // 3. One column per record; existing columns keep their place, new ones are appended
+    let nextColumn = Math.max(...grid.map(row => row.length));
+    let columnsAdded = 0;
+    const columns = [];
+
+    records.forEach(record => {
+      const previous = (mapping.columns || []).find(column => column.attendanceRecord.toString() === record._id.toString());
+      let columnHeader = previous && previous.header;
+      let columnIndex = columnHeader ? columnsByHeader.get(columnHeader) : undefined;
+
+      if (columnIndex === undefined) {
+        if (!columnHeader) {
+          const base = this.formatHeader(record);
+          columnHeader = base;
+          for (let n = 2; columnsByHeader.has(columnHeader); n++) {
+            columnHeader = `${base} (${n})`;
+          }
+        }
+        columnIndex = nextColumn++;
+        headers[columnIndex] = columnHeader;
+        columnsByHeader.set(columnHeader, columnIndex);
+        columnsAdded++;
+      }
+
+      const statuses = attendanceAuditService.getStatusMap(record);
+      const values = new Map();
+      rowsByRoll.forEach((rowIndex, roll) => {
+        const code = STATUS_CODES[statuses.get(roll)] || '';
+        grid[rowIndex][columnIndex] = code;
+        if (code) values.set(roll, code);
+      });
+      columns.push({ attendanceRecord: record._id, header: columnHeader, values });
+    });
+
+    // The Sheets API needs dense rows
+    grid = grid.map(row => Array.from({ length: row.length }, (_, index) => (row[index] === undefined || row[index] === null ? '' : row[index])));
+    await googleSheetsService.writeSheetData(sheets, spreadsheetId, sheetId, grid);
+
+    return {
+      columns,
+      conflicts,
+      summary: { columnsAdded, rowsAdded, imported, conflicts: conflicts.length }
+    };
+  }
+
+  /**
+   * Sync one mapping and record its status, summary and last error
+   * @param {string} mappingId
+   * @returns {Promise<Object>} - Updated mapping (without column snapshots)
+   */
+  async syncMapping(mappingId) {
+    const now = new Date();
+    const mapping = await SheetMapping.findOneAndUpdate(
+      {
+        _id: mappingId,
+        $or: [
+          { syncStartedAt: null },
+          { syncStartedAt: { $lt: new Date(now.getTime() - this.LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { syncStartedAt: now } },
+      { new: true }
+    ).select('+columns');
+
+    if (!mapping) {
+      const exists = await SheetMapping.exists({ _id: mappingId });
+      throw new Error(exists ? 'A sync of this sheet is already running' : 'Sheet mapping not found');
+    }
+
+    try {
+      const { columns, conflicts, summary } = await this.runSync(mapping);
+
+      mapping.columns = columns;
+      mapping.conflicts = conflicts.slice(0, this.MAX_CONFLICTS);
+      mapping.lastSyncSummary = summary;
+      mapping.syncStatus = conflicts.length > 0 ? 'conflicts' : 'ok';
+      mapping.lastSyncedAt = new Date();
+      mapping.lastError = undefined;
+      mapping.syncStartedAt = undefined;
+      await mapping.save();
+
+      console.log(`📊 Synced sheet for ${mapping.department} ${mapping.semester}-${mapping.section}: ${summary.imported} imported, ${summary.columnsAdded} new columns, ${summary.conflicts} conflicts`);
+    } catch (error) {
+      console.error(`❌ Sheet sync failed for ${mapping.department} ${mapping.semester}-${mapping.section}:`, error.message);
+      await SheetMapping.updateOne(
+        { _id: mapping._id },
+        { $set: { syncStatus: 'error', lastError: error.message, lastErrorAt: new Date() }, $unset: { syncStartedAt: 1 } }
+      );
+    }
+
+    return SheetMapping.findById(mapping._id).lean();
+  }
+
+  /**
+   * Sync every mapping that has sync enabled
+   * @returns {Promise<void>}
+   */
+  async syncAll() {
+    if (!process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
+      return;
+    }
+
+    const mappings = await SheetMapping.find({ syncEnabled: true }).select('_id').lean();
+    for (const mapping of mappings) {
+      try {
+        await this.syncMapping(mapping._id);
+      } catch (error) {
+        console.log(`⏭️ Skipping sheet sync: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Sheet mappings with their sync status
+   * @param {Object} admin - req.admin (department-admins see their department)
+   * @returns {Promise<Array>}
+   */
+  async listMappings(admin) {
+    const query = admin.department ? { department: admin.department } : {};
+    return SheetMapping.find(query).sort({ department: 1, semester: 1, section: 1 }).lean();
+  }
+
+  /**
+   * Load a mapping the admin may manage
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleMapping(id, admin) {
+    const mapping = await SheetMapping.findById(id);
+    if (!mapping) {
+      throw new Error('Sheet mapping not found');
+    }
+    if (admin.department && mapping.department !== admin.department) {
+      throw new Error('Not authorized to manage this sheet mapping');
+    }
+    return mapping;
+  }
+
+  /**
+   * Sync a mapping now
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async syncNow(id, admin) {
+    await this.getAccessibleMapping(id, admin);
+    return this.syncMapping(id);
+  }
+
+  /**
+   * Turn scheduled sync of a mapping on or off
+   * @param {string} id
+   * @param {boolean} enabled
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async setSyncEnabled(id, enabled, admin) {
+    const mapping = await this.getAccessibleMapping(id, admin);
+    mapping.syncEnabled = Boolean(enabled);
+    await mapping.save();
+    return mapping;
+  }
+}
+
+module.exports = new SheetSyncService();
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+
+/**
+ * Service for resolving subjects (course offerings) for attendance sessions
+ */
+class SubjectService {
+  /**
+   * Resolve and authorize the subject a faculty wants to take attendance for
+   * @param {string} facultyUserId - Mongo _id of the faculty user
+   * @param {Object} sessionData - { subjectId, department, semester, section }
+   * @returns {Promise<Object>} - { subjectId, subjectCode, subjectName }
+   */
+  async resolveSessionSubject(facultyUserId, sessionData) {
+    const { subjectId, department, semester, section } = sessionData;
+
+    if (!subjectId) {
+      throw new Error('Subject is required to start a session');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      throw new Error('Invalid subject');
+    }
+
+    const subject = await Subject.findById(subjectId);
+    if (!subject || !subject.isActive) {
+      throw new Error('Subject not found');
+    }
+
+    if (subject.department !== department || subject.semester !== String(semester)) {
+      throw new Error(`Subject ${subject.code} is not offered for ${department} semester ${semester}`);
+    }
+
+    // Faculty must be assigned this subject for the section
+    const faculty = await User.findById(facultyUserId).select('department teachingAssignments');
+    const sectionAssignments = faculty
+      ? faculty.teachingAssignments.filter(assignment =>
+        assignment.semester === String(semester) && assignment.section === section)
+      : [];
+    const isAssigned = sectionAssignments.some(assignment =>
+      assignment.subject && assignment.subject.toString() === subject._id.toString()
+    ) || this.allowsAnySubject(faculty, department, sectionAssignments);
+
+    if (!isAssigned) {
+      throw new Error(`You are not assigned ${subject.code} for section ${section}`);
+    }
+
+    return {
+      subjectId: subject._id,
+      subjectCode: subject.code,
+      subjectName: subject.name
+    };
+  }
+
+  /**
+   * Transitional: assignments made before subjects existed have no subject.
+   * Until an admin sets one, they cover every subject offered to the section
+   * in the faculty's own department.
+   * @param {Object|null} faculty - Faculty with department and teachingAssignments
+   * @param {string} department - Department of the session
+   * @param {Array} sectionAssignments - The faculty's assignments for the section
+   * @returns {boolean}
+   */
+  allowsAnySubject(faculty, department, sectionAssignments) {
+    return Boolean(faculty) && faculty.department === department &&
+      sectionAssignments.some(assignment => !assignment.subject);
+  }
+
+  /**
+   * Get the subject fields stored on a session/record as a label
+   * @param {Object} source - Session or attendance record
+   * @returns {string} - "CODE - Name" or empty string
+   */
+  formatSubject(source) {
+    if (!source || !source.subjectName) {
+      return '';
+    }
+    return source.subjectCode ? `${source.subjectCode} - ${source.subjectName}` : source.subjectName;
+  }
+}
+
+module.exports = new SubjectService();
@@ -0,0 +1,290 @@
+const TimetableSlot = require('../models/TimetableSlot');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+
+// Institution local time offset used to interpret timetable times
+const TIMETABLE_UTC_OFFSET = process.env.TIMETABLE_UTC_OFFSET || '+05:30';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Service for timetable slots and their Excel import
+ */
+class TimetableService {
+  constructor() {
+    this.requiredFields = ['department', 'semester', 'section', 'subjectCode', 'facultyId', 'day', 'startTime', 'endTime'];
+  }
+
+  /**
+   * Offset of local timetable time from UTC, in minutes
+   * @returns {number}
+   */
+  getOffsetMinutes() {
+    const match = /^([+-])(\d{2}):(\d{2})$/.exec(TIMETABLE_UTC_OFFSET);
+    if (!match) return 0;
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Local calendar date ("YYYY-MM-DD") for an instant
+   * @param {Date} date
+   * @returns {string}
+   */
+  getLocalDateString(date = new Date()) {
+    const local = new Date(date.getTime() + this.getOffsetMinutes() * 60000);
+    return local.toISOString().split('T')[0];
+  }
+
+  /**
+   * Format an instant in institution local time
+   * @param {Date} date
+   * @param {string} locale - e.g. 'en-GB'
+   * @param {Object} options - Intl.DateTimeFormat options (without timeZone)
+   * @returns {string}
+   */
+  formatLocal(date, locale, options = {}) {
+    // Intl has no fixed-offset zones, so shift the instant and format it as UTC
+    const local = new Date(new Date(date).getTime() + this.getOffsetMinutes() * 60000);
+    return local.toLocaleString(locale, { ...options, timeZone: 'UTC' });
+  }
+
+  /**
+   * Day of week (0 = Sunday) of a local calendar date
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @returns {number}
+   */
+  getDayOfWeek(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * Absolute instant of a local date and "HH:mm" time
+   * @param {string} dateString - "YYYY-MM-DD"
+   * @param {string} time - "HH:mm"
+   * @returns {Date}
+   */
+  toDate(dateString, time) {
+    return new Date(`${dateString}T${time}:00${TIMETABLE_UTC_OFFSET}`);
+  }
+
+  /**
+   * Parse a day cell ("Monday", "Mon", 1) into 0-6
+   * @param {*} value
+   * @returns {number|null}
+   */
+  parseDay(value) {
+    if (typeof value === 'number' && value >= 0 && value <= 6) {
+      return value;
+    }
+    const text = String(value || '').trim().toLowerCase();
+    if (/^[0-6]$/.test(text)) {
+      return parseInt(text);
+    }
+    const index = DAY_NAMES.findIndex(day => text.length >= 3 && day.startsWith(text));
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Parse a time cell ("9:00", "09:00", "2:30 PM" or an Excel day fraction) into "HH:mm"
+   * @param {*} value
+   * @returns {string|null}
+   */
+  parseTime(value) {
+    if (typeof value === 'number' && value >= 0 && value < 1) {
+      const totalMinutes = Math.round(value * 24 * 60);
+      const hours = Math.floor(totalMinutes / 60);
+      const minutes = totalMinutes % 60;
+      return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    const match = /^(\d{1,2})[:.](\d{2})\s*(am|pm)?$/i.exec(String(value || '').trim());
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a yes/no cell
+   * @param {*} value
+   * @returns {boolean}
+   */
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['yes', 'y', 'true', '1'].includes(String(value || '').trim().toLowerCase());
+  }
+
+  /**
+   * Return the names of required columns missing from a row
+   * @param {Object} row
+   * @returns {Array<string>}
+   */
+  getMissingFields(row) {
+    return this.requiredFields.filter(field => !row.hasOwnProperty(field));
+  }
+
+  /**
+   * Validate and upsert timetable rows parsed from Excel
+   * @param {Array<Object>} data - Rows from xlsx.utils.sheet_to_json
+   * @returns {Promise<Object>} - { totalRecords, successCount, errorCount, assignmentsAdded, errors }
+   */
+  async importSlots(data) {
+    const results = {
+      totalRecords: data.length,
+      successCount: 0,
+      errorCount: 0,
+      assignmentsAdded: 0,
+      errors: []
+    };
+
+    // Bulk load referenced faculty and subjects
+    const facultyIds = [...new Set(data.map(row => String(row.facultyId || '').trim()).filter(Boolean))];
+    const departments = [...new Set(data.map(row => String(row.department || '').trim()).filter(Boolean))];
+
+    const [faculties, subjects] = await Promise.all([
+      User.find({ role: 'faculty', facultyId: { $in: facultyIds } }),
+      Subject.find({ department: { $in: departments }, isActive: true }).lean()
+    ]);
+
+    const facultyMap = new Map(faculties.map(f => [f.facultyId, f]));
+    const subjectMap = new Map(subjects.map(s => [`${s.department}|${s.semester}|${s.code}`, s]));
+    const modifiedFaculty = new Set();
+    const slotKeysInFile = new Set();
+    const operations = [];
+
+    for (let i = 0; i < data.length; i++) {
+      const row = data[i];
+      const rowNum = i + 2;
+
+      const missingFields = this.getMissingFields(row);
+      if (missingFields.length > 0) {
+        results.errors.push({ row: rowNum, message: `Missing required fields: ${missingFields.join(', ')}` });
+        continue;
+      }
+
+      const department = String(row.department).trim();
+      const semester = String(row.semester).trim();
+      const section = String(row.section).trim();
+      const subjectCode = String(row.subjectCode).trim().toUpperCase();
+      const facultyId = String(row.facultyId).trim();
+      const dayOfWeek = this.parseDay(row.day);
+      const startTime = this.parseTime(row.startTime);
+      const endTime = this.parseTime(row.endTime);
+
+      if (dayOfWeek === null) {
+        results.errors.push({ row: rowNum, message: `Invalid day: ${row.day}` });
+        continue;
+      }
+      if (!startTime || !endTime || startTime >= endTime) {
+        results.errors.push({ row: rowNum, message: `Invalid time range: ${row.startTime} - ${row.endTime}` });
+        continue;
+      }
+
+      const slotKey = `${department}|${semester}|${section}|${dayOfWeek}|${startTime}`;
+      if (slotKeysInFile.has(slotKey)) {
+        results.errors.push({ row: rowNum, message: `Duplicate slot in file for ${department}-${semester}-${section} on ${DAY_NAMES[dayOfWeek]} at ${startTime}` });
+        continue;
+      }
+
+      const subject = subjectMap.get(`${department}|${semester}|${subjectCode}`);
+      if (!subject) {
+        results.errors.push({ row: rowNum, message: `Subject ${subjectCode} not found for ${department} semester ${semester}` });
+        continue;
+      }
+
+      const faculty = facultyMap.get(facultyId);
+      if (!faculty) {
+        results.errors.push({ row: rowNum, message: `Faculty ${facultyId} not found` });
+        continue;
+      }
+
+      // The timetable is authoritative: make sure the faculty is assigned the subject
+      const isAssigned = faculty.teachingAssignments.some(assignment =>
+        assignment.semester === semester &&
+        assignment.section === section &&
+        assignment.subject && assignment.subject.toString() === subject._id.toString()
+      );
+      if (!isAssigned) {
+        faculty.teachingAssignments.push({ semester, section, subject: subject._id });
+        modifiedFaculty.add(faculty.facultyId);
+        results.assignmentsAdded++;
+      }
+
+      slotKeysInFile.add(slotKey);
+
+      const slotData = {
+        subject: subject._id,
+        faculty: faculty._id,
+        facultyId,
+        endTime,
+        room: row.room ? String(row.room).trim() : '',
+        sessionType: row.sessionType === 'gmail' ? 'gmail' : 'roll',
+        autoLock: this.parseBoolean(row.autoLock),
+        autoEnd: this.parseBoolean(row.autoEnd),
+        isActive: true
+      };
+
+      const totalStudents = parseInt(row.totalStudents);
+      if (!isNaN(totalStudents) && totalStudents > 0) {
+        slotData.totalStudents = totalStudents;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { department, semester, section, dayOfWeek, startTime },
+          update: { $set: slotData },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      try {
+        await TimetableSlot.bulkWrite(operations, { ordered: false });
+        results.successCount = operations.length;
+      } catch (writeError) {
+        const failed = writeError.writeErrors ? writeError.writeErrors.length : operations.length;
+        results.successCount = operations.length - failed;
+        results.errors.push({ row: 'N/A (Bulk)', message: `Failed to save ${failed} slots: ${writeError.message}` });
+      }
+    }
+
+    // Persist teaching assignments added by the import
+    await Promise.all(
+      faculties
+        .filter(f => modifiedFaculty.has(f.facultyId))
+        .map(f => f.save())
+    );
+
+    results.errorCount = results.errors.length;
+    return results;
+  }
+
+  /**
+   * List timetable slots with optional filters
+   * @param {Object} filters - { department, semester, section, facultyId }
+   * @returns {Promise<Array>}
+   */
+  async getSlots(filters = {}) {
+    const query = { isActive: true };
+    if (filters.department) query.department = filters.department;
+    if (filters.semester) query.semester = filters.semester;
+    if (filters.section) query.section = filters.section;
+    if (filters.facultyId) query.facultyId = filters.facultyId;
+
+    return TimetableSlot.find(query)
+      .populate('subject', 'code name')
+      .populate('faculty', 'name email')
+      .sort({ dayOfWeek: 1, startTime: 1 });
+  }
+}
+
+module.exports = new TimetableService();
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+// Accept one step either side to absorb clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = 'QuickRoll';
+
+/**
+ * RFC 6238 time-based one-time passwords, compatible with standard
+ * authenticator apps. Runs entirely offline.
+ */
+class TotpService {
+  /**
+   * Encode bytes as unpadded base32
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  /**
+   * Decode base32 (case-insensitive, ignores spaces and padding)
+   * @param {string} input
+   * @returns {Buffer}
+   */
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * New random 160-bit secret, base32-encoded
+   * @returns {string}
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Time step of a timestamp
+   * @param {number} timestamp - Milliseconds
+   * @returns {number}
+   */
+  getStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+  }
+
+  /**
+   * HOTP code of a counter (RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} counter
+   * @returns {string}
+   */
+  generateCode(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Find the time step a code belongs to, allowing for clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [lastUsedStep] - Steps at or before this are rejected (replay protection)
+   * @returns {number|null} - Matching step, or null
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = this.getStep();
+    for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// provisioning URI shown as a QR code during enrolment
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - e.g. email or admin ID
+   * @returns {string}
+   */
+  buildProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = new TotpService();
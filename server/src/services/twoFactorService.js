@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const TwoFactorAttempt = require('../models/TwoFactorAttempt');
+const totpService = require('./totpService');
+
+const MODELS = { user: User, admin: Admin };
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password step and the second factor
+const CHALLENGE_TTL = '5m';
+// Wrong codes allowed per challenge before the password must be entered again
+const MAX_CHALLENGE_FAILURES = 5;
+// Wrong codes allowed per account (across challenges) before it is locked out for the window
+const MAX_ACCOUNT_FAILURES = 10;
+const LOCKOUT_WINDOW_MS = 15 * 60 * 1000;
+// Attempts made from account settings (turning 2FA off, new recovery codes) only count per account
+const SETTINGS_CHALLENGE_ID = 'settings';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Service for TOTP second-factor enrolment and verification of faculty and admin accounts
+ */
+class TwoFactorService {
+  /**
+   * Whether an account must use a second factor
+   * @param {string} accountType - 'user' or 'admin'
+   * @param {Object} account - User or Admin document
+   * @returns {boolean}
+   */
+  isRequired(accountType, account) {
+    if (accountType === 'admin') return true;
+    return account.role === 'faculty' && Boolean(account.twoFactorRequired);
+  }
+
+  /**
+   * Whether an account has a confirmed authenticator
+   * @param {Object} account
+   * @returns {boolean}
+   */
+  isEnabled(account) {
+    return Boolean(account.twoFactor && account.twoFactor.enabled);
+  }
+
+  /**
+   * Load an account including its second-factor secrets
+   * @param {string} accountType
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  loadAccount(accountType, id) {
+    return MODELS[accountType].findById(id).select(SECRET_FIELDS);
+  }
+
+  // ==================== LOGIN CHALLENGE ====================
+
+  /**
+   * Short-lived token proving the password step succeeded
+   * @param {string} accountType
+   * @param {Object} account
+   * @param {string} purpose - 'verify' (enter a code) or 'enrol' (set up first)
+   * @returns {string}
+   */
+  createChallenge(accountType, account, purpose) {
+    return jwt.sign(
+      { sub: account._id.toString(), accountType, purpose, typ: '2fa-challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL, jwtid: crypto.randomBytes(16).toString('hex') }
+    );
+  }
+
+  /**
+   * Verify a login challenge token
+   * @param {string} challengeToken
+   * @param {string} accountType
+   * @param {Array<string>} purposes - Accepted purposes
+   * @returns {Object} - Decoded challenge ({ sub, jti, purpose, ... })
+   */
+  decodeChallenge(challengeToken, accountType, purposes) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Login attempt expired. Please sign in again.');
+    }
+
+    if (decoded.typ !== '2fa-challenge' || decoded.accountType !== accountType || !purposes.includes(decoded.purpose) || !decoded.jti) {
+      throw new Error('Invalid login challenge');
+    }
+    return decoded;
+  }
+
+  /**
+   * Resolve a login challenge to its account
+   * @param {string} challengeToken
+   * @param {string} accountType
+   * @param {Array<string>} purposes - Accepted purposes
+   * @returns {Promise<Object>} - Account with second-factor secrets
+   */
+  async resolveChallenge(challengeToken, accountType, purposes) {
+    const decoded = this.decodeChallenge(challengeToken, accountType, purposes);
+
+    const account = await this.loadAccount(accountType, decoded.sub);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+    return account;
+  }
+
+  /**
+   * Check the code entered for a login challenge, enforcing the wrong-code limits.
+   * The attempt is recorded before the code is checked so parallel guesses are counted too.
+   * @param {string} accountType
+   * @param {string} challengeToken
+   * @param {Object} input - { code } or { recoveryCode }
+   * @param {string} ipAddress
+   * @returns {Promise<Object>} - { account, valid, lockout: { message, retryAfter } | null }
+   */
+  async verifyChallenge(accountType, challengeToken, input, ipAddress) {
+    const decoded = this.decodeChallenge(challengeToken, accountType, ['verify']);
+    const account = await this.loadAccount(accountType, decoded.sub);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return { account, ...await this.verifyAttempt(accountType, account, input, ipAddress, decoded.jti) };
+  }
+
+  /**
+   * Check a code under the wrong-code limits: per account always, and per login
+   * challenge when one is given. The attempt is recorded before the code is checked.
+   * @param {string} accountType
+   * @param {Object} account - Loaded with secrets
+   * @param {Object} input - { code } or { recoveryCode }
+   * @param {string} ipAddress
+   * @param {string} [challengeId] - Login challenge (omitted for account settings)
+   * @returns {Promise<Object>} - { valid, lockout: { message, retryAfter } | null }
+   */
+  async verifyAttempt(accountType, account, input, ipAddress, challengeId = null) {
+    const attempt = await TwoFactorAttempt.create({
+      accountType,
+      account: account._id,
+      challengeId: challengeId || SETTINGS_CHALLENGE_ID,
+      ipAddress
+    });
+
+    const lockout = await this.getLockout(accountType, account._id, challengeId);
+    if (lockout) {
+      // Refused attempts don't extend the lockout
+      await TwoFactorAttempt.deleteOne({ _id: attempt._id });
+      return { valid: false, lockout };
+    }
+
+    const valid = await this.verify(accountType, account, input);
+    if (valid) {
+      await TwoFactorAttempt.deleteMany({ accountType, account: account._id });
+    }
+    return { valid, lockout: null };
+  }
+
+  /**
+   * Lockout applying to an attempt, counting the attempt being made
+   * @param {string} accountType
+   * @param {string} accountId
+   * @param {string|null} challengeId - Login challenge, or null for account settings
+   * @returns {Promise<Object|null>} - { message, retryAfter (seconds) } or null
+   */
+  async getLockout(accountType, accountId, challengeId) {
+    const attempts = await TwoFactorAttempt.find({
+      accountType,
+      account: accountId,
+      timestamp: { $gte: new Date(Date.now() - LOCKOUT_WINDOW_MS) }
+    }).select('challengeId timestamp').sort({ timestamp: 1 }).lean();
+
+    if (attempts.length > MAX_ACCOUNT_FAILURES) {
+      // Lifts once enough earlier failures have left the window
+      const unlockAt = attempts[attempts.length - 1 - MAX_ACCOUNT_FAILURES].timestamp.getTime() + LOCKOUT_WINDOW_MS;
+      const retryAfter = Math.max(1, Math.ceil((unlockAt - Date.now()) / 1000));
+      console.warn(`🔒 Two-factor login locked for ${accountType} ${accountId} after ${attempts.length - 1} wrong codes`);
+      return {
+        message: `Too many incorrect codes. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retryAfter
+      };
+    }
+
+    if (challengeId && attempts.filter(attempt => attempt.challengeId === challengeId).length > MAX_CHALLENGE_FAILURES) {
+      return { message: 'Too many incorrect codes. Please sign in again.', retryAfter: 0 };
+    }
+    return null;
+  }
+
+  // ==================== ENROLMENT ====================
+
+  /**
+   * Start enrolment: store a pending secret and return its provisioning URI
+   * @param {string} accountType
+   * @param {Object} account
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async beginEnrolment(accountType, account) {
+    if (this.isEnabled(account)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totpService.generateSecret();
+    await MODELS[accountType].updateOne({ _id: account._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return {
+      secret,
+      otpauthUrl: totpService.buildProvisioningUri(secret, account.email || account.adminId)
+    };
+  }
+
+  /**
+   * Confirm enrolment with the first code from the authenticator
+   * @param {string} accountType
+   * @param {Object} account - Loaded with secrets
+   * @param {string} code
+   * @returns {Promise<Array<string>>} - Recovery codes (shown once)
+   */
+  async confirmEnrolment(accountType, account, code) {
+    const pendingSecret = account.twoFactor && account.twoFactor.pendingSecret;
+    if (!pendingSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = totpService.verifyCode(pendingSecret, code);
+    if (step === null) {
+      throw new Error('Invalid authentication code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await MODELS[accountType].updateOne({ _id: account._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+
+    console.log(`🔐 Two-factor authentication enabled for ${accountType} ${account._id}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * One-time recovery codes for when the authenticator is lost
+   * @returns {Array<string>}
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Replace the recovery codes. Callers check a current authenticator code
+   * through verifyAttempt first.
+   * @param {string} accountType
+   * @param {Object} account
+   * @returns {Promise<Array<string>>}
+   */
+  async regenerateRecoveryCodes(accountType, account) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await MODELS[accountType].updateOne(
+      { _id: account._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+    return recoveryCodes;
+  }
+
+  // ==================== VERIFICATION ====================
+
+  /**
+   * Check an authenticator code or consume a recovery code
+   * @param {string} accountType
+   * @param {Object} account - Loaded with secrets
+   * @param {Object} input - { code } or { recoveryCode }
+   * @returns {Promise<boolean>}
+   */
+  async verify(accountType, account, { code, recoveryCode }) {
+    if (!this.isEnabled(account) || !account.twoFactor.secret) return false;
+    const Model = MODELS[accountType];
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      // Atomic pull so a recovery code works only once
+      const result = await Model.updateOne(
+        { _id: account._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const step = totpService.verifyCode(account.twoFactor.secret, code, account.twoFactor.lastUsedStep);
+    if (step === null) return false;
+
+    // Only advance forwards so concurrent requests cannot reuse the same code
+    const result = await Model.updateOne(
+      { _id: account._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Remove the second factor (user opt-out or admin reset after a lost device)
+   * @param {string} accountType
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async disable(accountType, id) {
+    await MODELS[accountType].updateOne({ _id: id }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': -1 },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.enabledAt': ''
+      }
+    });
+    console.log(`🔓 Two-factor authentication removed for ${accountType} ${id}`);
+  }
+
+  /**
+   * Second-factor status for settings pages
+   * @param {string} accountType
+   * @param {Object} account - Loaded with secrets
+   * @returns {Object} - { enabled, required, enabledAt, recoveryCodesLeft }
+   */
+  getStatus(accountType, account) {
+    return {
+      enabled: this.isEnabled(account),
+      required: this.isRequired(accountType, account),
+      enabledAt: account.twoFactor && account.twoFactor.enabledAt,
+      recoveryCodesLeft: (account.twoFactor && account.twoFactor.recoveryCodes || []).length
+    };
+  }
+}
+
+module.exports = new TwoFactorService();
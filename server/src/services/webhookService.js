@@ -0,0 +1,517 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const scheduledJobService = require('./scheduledJobService');
+
+const SIGNATURE_HEADER = 'X-QuickRoll-Signature';
+const RESPONSE_BODY_LIMIT = 500;
+
+// Loopback, private (RFC 1918 / ULA), link-local and other non-public ranges webhooks may not reach
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// dns.lookup that refuses private addresses, so the address actually connected to is checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Outbound webhooks for ERP/LMS connectors.
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 over
+ * `${X-QuickRoll-Timestamp}.${raw body}` with the webhook secret and comparing
+ * it with the hex digest in X-QuickRoll-Signature ("sha256=<digest>").
+ */
+class WebhookService {
+  constructor() {
+    this.REQUEST_TIMEOUT_MS = 10 * 1000;
+    this.MAX_ATTEMPTS = 8;
+    this.RETRY_BASE_MS = 60 * 1000; // Doubles after every failed attempt
+    this.RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+    this.STALE_SENDING_MS = 5 * 60 * 1000;
+    this.RETRY_INTERVAL_MS = 60 * 1000;
+    this.RETRY_BATCH_SIZE = 50;
+    this.processing = false;
+
+    // Work through the retry queue - on one process only
+    scheduledJobService.register('webhook-retries', this.RETRY_INTERVAL_MS, () => this.processRetries());
+  }
+
+  /**
+   * Signature of a payload
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix seconds sent in X-QuickRoll-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} - "sha256=<hex digest>"
+   */
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Attendance record fields shared by session and record events
+   * @param {Object} record - AttendanceRecord
+   * @returns {Object}
+   */
+  toRecordPayload(record) {
+    return {
+      attendanceRecordId: record._id.toString(),
+      facultyId: record.facultyId,
+      facultyName: record.facultyName,
+      department: record.department,
+      semester: record.semester,
+      section: record.section,
+      subjectCode: record.subjectCode || null,
+      subjectName: record.subjectName || null,
+      date: record.date,
+      totalStudents: record.totalStudents,
+      presentCount: (record.presentStudents || []).length,
+      presentStudents: record.presentStudents || [],
+      absentees: record.absentees || [],
+      excusedStudents: record.excusedStudents || []
+    };
+  }
+
+  /**
+   * Queue an event for every enabled webhook subscribed to it and try to send it right away.
+   * Never throws: webhooks must not break the action that raised the event.
+   * @param {string} event - One of Webhook.EVENTS
+   * @param {Object} data - Event payload
+   * @param {Object} options - { department } used for department-filtered webhooks
+   * @returns {Promise<number>} - Number of deliveries queued
+   */
+  async emit(event, data, { department } = {}) {
+    try {
+      const webhooks = await Webhook.find({
+        enabled: true,
+        events: event,
+        $or: [{ department: null }, { department: '' }, { department }]
+      }).lean();
+      if (webhooks.length === 0) return 0;
+
+      const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+        webhook: webhook._id,
+        webhookName: webhook.name,
+        url: webhook.url,
+        event,
+        department,
+        payload: { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data }
+      })));
+
+      deliveries.forEach(delivery => {
+        this.attemptDelivery(delivery._id).catch(error => {
+          console.error(`❌ Error delivering webhook ${delivery._id}:`, error);
+        });
+      });
+
+      return deliveries.length;
+    } catch (error) {
+      console.error(`⚠️ Failed to queue ${event} webhooks:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Emit record.updated for an edit that changed at least one student
+   * @param {Object} record - AttendanceRecord after the edit
+   * @param {Array<Object>} changes - [{ rollNumber, fromStatus, toStatus }]
+   * @param {string} action - Audit action of the edit
+   * @param {Object} changedBy - { role, id, name }
+   * @returns {Promise<number>}
+   */
+  async emitRecordUpdated(record, changes, action, changedBy) {
+    if (changes.length === 0) return 0;
+    return this.emit('record.updated', {
+      ...this.toRecordPayload(record),
+      action,
+      changes,
+      changedBy
+    }, { department: record.department });
+  }
+
+  /**
+   * Send a queued delivery once, scheduling a retry (with backoff) when it fails
+   * @param {string} deliveryId
+   * @returns {Promise<Object|null>} - Updated delivery, or null if another process is sending it
+   */
+  async attemptDelivery(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        $or: [
+          { status: { $in: ['pending', 'retrying'] } },
+          { status: 'sending', sendingAt: { $lt: new Date(now.getTime() - this.STALE_SENDING_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', sendingAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const update = { sendingAt: null };
+
+    if (!webhook || !webhook.enabled) {
+      Object.assign(update, {
+        status: 'failed',
+        nextAttemptAt: null,
+        lastError: webhook ? 'The webhook is disabled' : 'The webhook was deleted'
+      });
+      return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+
+    try {
+      await this.checkDestination(webhook.url);
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'QuickRoll-Webhooks/1.0',
+          'X-QuickRoll-Event': delivery.event,
+          'X-QuickRoll-Delivery': delivery._id.toString(),
+          'X-QuickRoll-Timestamp': timestamp,
+          [SIGNATURE_HEADER]: this.sign(webhook.secret, timestamp, body)
+        },
+        timeout: this.REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: publicLookup,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+
+      update.responseStatus = response.status;
+      update.responseBody = String(response.data || '').slice(0, RESPONSE_BODY_LIMIT);
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      Object.assign(update, { status: 'delivered', deliveredAt: new Date(), nextAttemptAt: null, lastError: null });
+    } catch (error) {
+      update.lastError = error.message;
+      if (delivery.attempts >= this.MAX_ATTEMPTS) {
+        Object.assign(update, { status: 'failed', nextAttemptAt: null });
+        console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = Math.min(this.RETRY_MAX_MS, this.RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+        Object.assign(update, { status: 'retrying', nextAttemptAt: new Date(Date.now() + delay) });
+      }
+    }
+
+    update.durationMs = Date.now() - started;
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: update.status === 'delivered' ? 'delivered' : 'failed' } }
+    );
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true });
+  }
+
+  /**
+   * Send deliveries whose backoff has elapsed (and any left 'sending' by a crashed process)
+   * @returns {Promise<void>}
+   */
+  async processRetries() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = new Date();
+      const due = await WebhookDelivery.find({
+        $or: [
+          { status: 'retrying', nextAttemptAt: { $lte: now } },
+          { status: 'sending', sendingAt: { $lt: new Date(now.getTime() - this.STALE_SENDING_MS) } }
+        ]
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(this.RETRY_BATCH_SIZE)
+        .select('_id')
+        .lean();
+
+      for (const delivery of due) {
+        await this.attemptDelivery(delivery._id);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Validate and normalise webhook fields from an admin request
+   * @param {Object} data
+   * @param {Object} admin - req.admin (department-admins are limited to their department)
+   * @returns {Object}
+   */
+  normalize(data, admin) {
+    const fields = {};
+    if (data.name !== undefined) fields.name = data.name;
+    if (data.enabled !== undefined) fields.enabled = Boolean(data.enabled);
+
+    if (data.url !== undefined) {
+      let url;
+      try {
+        url = new URL(String(data.url).trim());
+      } catch (error) {
+        throw new Error('Enter a valid webhook URL');
+      }
+      if (url.protocol !== 'https:') {
+        throw new Error('Webhook URLs must use https');
+      }
+      fields.url = url.toString();
+    }
+
+    if (data.events !== undefined) {
+      fields.events = [...new Set(data.events || [])];
+      const unknown = fields.events.find(event => !Webhook.EVENTS.includes(event));
+      if (unknown) {
+        throw new Error(`Unknown webhook event: ${unknown}`);
+      }
+    }
+
+    if (admin.department) {
+      fields.department = admin.department;
+    } else if (data.department !== undefined) {
+      fields.department = data.department ? String(data.department).trim() : null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Reject non-https URLs and hosts that are, or resolve to, a loopback, private or link-local address
+   * @param {string} url - Normalised webhook URL
+   * @returns {Promise<void>}
+   */
+  async checkDestination(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Webhook URLs must use https');
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    if (net.isIP(hostname)) {
+      if (isPrivateAddress(hostname)) {
+        throw new Error(`Webhook URLs must point to a public address (${hostname} is private)`);
+      }
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`Could not resolve webhook host ${hostname}`);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      throw new Error(`Webhook URLs must point to a public address (${hostname} resolves to ${blocked.address})`);
+    }
+  }
+
+  /**
+   * Load a webhook the admin may manage
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @param {boolean} withSecret
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleWebhook(id, admin, withSecret = false) {
+    const query = Webhook.findById(id);
+    if (withSecret) query.select('+secret');
+    const webhook = await query;
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    if (admin.department && webhook.department !== admin.department) {
+      throw new Error('Not authorized to manage this webhook');
+    }
+    return webhook;
+  }
+
+  /**
+   * List webhooks (without secrets)
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Array>}
+   */
+  async listWebhooks(admin) {
+    const query = admin.department ? { department: admin.department } : {};
+    return Webhook.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Register a webhook with a new secret
+   * @param {Object} data - { name, url, events, department, enabled }
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>} - Webhook including its secret (shown once)
+   */
+  async createWebhook(data, admin) {
+    const fields = this.normalize({ events: [], ...data }, admin);
+    if (fields.url) await this.checkDestination(fields.url);
+
+    const webhook = new Webhook({
+      ...fields,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdBy: admin.id,
+      updatedBy: admin.id
+    });
+    await webhook.save();
+
+    console.log(`🔗 Webhook "${webhook.name}" registered for ${webhook.events.join(', ')}`);
+    return webhook.toObject();
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} id
+   * @param {Object} data
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>}
+   */
+  async updateWebhook(id, data, admin) {
+    const webhook = await this.getAccessibleWebhook(id, admin);
+    const fields = this.normalize(data, admin);
+    if (fields.url) await this.checkDestination(fields.url);
+
+    Object.assign(webhook, fields, { updatedBy: admin.id });
+    await webhook.save();
+    return webhook;
+  }
+
+  /**
+   * Delete a webhook (its delivery history is kept until it expires)
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(id, admin) {
+    const webhook = await this.getAccessibleWebhook(id, admin);
+    await webhook.deleteOne();
+  }
+
+  /**
+   * Replace a webhook's secret
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>} - Webhook including its new secret
+   */
+  async rotateSecret(id, admin) {
+    const webhook = await this.getAccessibleWebhook(id, admin, true);
+    webhook.secret = crypto.randomBytes(32).toString('hex');
+    webhook.updatedBy = admin.id;
+    await webhook.save();
+    return webhook.toObject();
+  }
+
+  /**
+   * Send a test event to one webhook and wait for the result
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>} - Delivery
+   */
+  async sendTest(id, admin) {
+    const webhook = await this.getAccessibleWebhook(id, admin);
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      webhookName: webhook.name,
+      url: webhook.url,
+      event: 'webhook.test',
+      department: webhook.department,
+      payload: {
+        id: crypto.randomUUID(),
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { message: 'Test delivery from QuickRoll', requestedBy: admin.name }
+      }
+    });
+    return this.attemptDelivery(delivery._id);
+  }
+
+  /**
+   * Send a delivery again now, with a fresh set of attempts
+   * @param {string} id
+   * @param {Object} admin - req.admin
+   * @returns {Promise<Object>} - Delivery
+   */
+  async redeliver(id, admin) {
+    const delivery = await WebhookDelivery.findById(id);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    if (admin.department && delivery.department !== admin.department) {
+      throw new Error('Not authorized to redeliver this webhook');
+    }
+    if (delivery.status === 'sending') {
+      throw new Error('This delivery is being sent');
+    }
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: null } }
+    );
+    return this.attemptDelivery(delivery._id);
+  }
+
+  /**
+   * Browse the delivery history
+   * @param {Object} admin - req.admin
+   * @param {Object} filters - { webhookId, event, status }
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>} - { deliveries, pagination }
+   */
+  async listDeliveries(admin, filters = {}, page = 1, limit = 50) {
+    const query = {};
+    if (admin.department) query.department = admin.department;
+    if (filters.webhookId) query.webhook = filters.webhookId;
+    if (filters.event) query.event = filters.event;
+    if (filters.status) query.status = filters.status;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const [deliveries, totalRecords] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(totalRecords / pageSize),
+        totalRecords,
+        limit: pageSize
+      }
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,16 @@
+/**
+ * HTTP status for an error thrown by a service, based on its message
+ * @param {Error} error
+ * @returns {number} - 404 (not found), 403 (not authorized), 409 (already running) or 400
+ */
+const getErrorStatus = (error) => {
+  const message = (error && error.message) || '';
+  if (message.includes('not found')) return 404;
+  if (message.includes('authorized')) return 403;
+  if (message.includes('already running')) return 409;
+  return 400;
+};
+
+module.exports = {
+  getErrorStatus
+};
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mingo = require('mingo');
+
+const attendanceAnalyticsService = require('../src/services/attendanceAnalyticsService');
+
+// Records as endSession writes them: the stored presentCount is not trusted
+const records = [
+  {
+    department: 'CSE', semester: '5', section: 'A', facultyId: 'F1', facultyName: 'Faculty One',
+    date: new Date('2026-10-05T04:00:00Z'), // Monday 09:30 local
+    totalStudents: 4, presentCount: 0, presentStudents: ['01', '02', '03']
+  },
+  {
+    department: 'CSE', semester: '5', section: 'A', facultyId: 'F1', facultyName: 'Faculty One',
+    date: new Date('2026-10-06T04:00:00Z'), // Tuesday 09:30 local
+    totalStudents: 4, presentCount: 0, presentStudents: ['01']
+  },
+  {
+    department: 'ECE', semester: '3', section: 'B', facultyId: 'F2', facultyName: 'Faculty Two',
+    date: new Date('2026-10-06T08:30:00Z'), // Tuesday 14:00 local
+    totalStudents: 2, presentCount: 0, presentStudents: ['01', '02']
+  },
+  {
+    department: 'CSE', semester: '5', section: 'A', facultyId: 'F1', facultyName: 'Faculty One',
+    date: new Date('2026-09-01T04:00:00Z'), // Outside the range
+    totalStudents: 4, presentCount: 4, presentStudents: ['01', '02', '03', '04']
+  }
+];
+
+const aggregate = (filters = {}, granularity = 'day') => {
+  const range = attendanceAnalyticsService.getRange('2026-10-01', '2026-10-10');
+  const pipeline = attendanceAnalyticsService.buildPipeline(filters, range, granularity);
+  return mingo.aggregate(records, pipeline)[0];
+};
+
+describe('attendanceAnalyticsService.buildPipeline', () => {
+  it('counts the present list rather than the stored presentCount', () => {
+    const { summary } = aggregate();
+
+    assert.equal(summary[0].sessions, 3);
+    assert.equal(summary[0].presentCount, 6);
+    assert.equal(summary[0].expectedCount, 10);
+    assert.equal(attendanceAnalyticsService.toPercentage(summary[0].averageAttendance), 66.7);
+  });
+
+  it('groups by local day, department and hour', () => {
+    const result = aggregate();
+
+    assert.deepEqual(result.trend.map(row => [row._id, row.presentCount]), [
+      ['2026-10-05', 3],
+      ['2026-10-06', 3]
+    ]);
+    assert.deepEqual(result.departments.map(row => [row._id, row.averageAttendance]), [
+      ['CSE', 0.5],
+      ['ECE', 1]
+    ]);
+    assert.deepEqual(result.hourOfDay.map(row => [row._id, row.sessions]), [
+      [9, 2],
+      [14, 1]
+    ]);
+  });
+
+  it('groups by ISO week and applies the scope filters', () => {
+    const result = aggregate({ department: 'CSE' }, 'week');
+
+    assert.deepEqual(result.trend.map(row => [row._id, row.sessions]), [['2026-W41', 2]]);
+    assert.equal(result.faculty[0]._id, 'F1');
+    assert.equal(result.faculty[0].presentCount, 4);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const redisCache = require('../src/services/redisCache');
+const User = require('../src/models/User');
+const AttendanceLedger = require('../src/models/AttendanceLedger');
+const attendanceLedgerService = require('../src/services/attendanceLedgerService');
+
+const record = {
+  _id: new mongoose.Types.ObjectId(),
+  department: 'CSE',
+  semester: '5',
+  section: 'A'
+};
+const student = { _id: new mongoose.Types.ObjectId() };
+
+// Ledger document with one entry for the record and one for an earlier session
+const buildLedger = (status, counts) => ({
+  ...counts,
+  entries: [
+    { attendanceRecordId: new mongoose.Types.ObjectId(), status: 'present' },
+    { attendanceRecordId: record._id, status }
+  ],
+  save: mock.fn(async () => {})
+});
+
+const stubStudent = (found) => mock.method(User, 'findOne', () => ({
+  select: () => ({ lean: async () => found })
+}));
+const stubLedger = (ledger) => mock.method(AttendanceLedger, 'findOne', async () => ledger);
+
+// Loading the service opens the shared Redis connection
+after(() => redisCache.disconnect());
+
+describe('attendanceLedgerService.applyRecordCorrection', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('moves an absence to present', async () => {
+    stubStudent(student);
+    const ledger = buildLedger('absent', { presentCount: 1, excusedCount: 0 });
+    stubLedger(ledger);
+
+    assert.equal(await attendanceLedgerService.applyRecordCorrection(record, '02', 'present'), true);
+    assert.equal(ledger.entries[1].status, 'present');
+    assert.equal(ledger.presentCount, 2);
+    assert.equal(ledger.excusedCount, 0);
+    assert.equal(ledger.save.mock.callCount(), 1);
+  });
+
+  it('moves a presence to excused', async () => {
+    stubStudent(student);
+    const ledger = buildLedger('present', { presentCount: 2 });
+    stubLedger(ledger);
+
+    assert.equal(await attendanceLedgerService.applyRecordCorrection(record, '02', 'excused'), true);
+    assert.equal(ledger.presentCount, 1);
+    assert.equal(ledger.excusedCount, 1);
+  });
+
+  it('looks the student up in the record\'s section by roll number or email', async () => {
+    const findOne = stubStudent(student);
+    stubLedger(buildLedger('absent', { presentCount: 1 }));
+
+    await attendanceLedgerService.applyRecordCorrection(record, 'student@example.edu', 'present');
+
+    const query = findOne.mock.calls[0].arguments[0];
+    assert.equal(query.course, 'CSE');
+    assert.equal(query.semester, '5');
+    assert.equal(query.section, 'A');
+    assert.deepEqual(query.$or, [
+      { classRollNumber: 'student@example.edu' },
+      { universityRollNumber: 'student@example.edu' },
+      { email: 'student@example.edu' }
+    ]);
+  });
+
+  it('leaves the ledger alone when the status is unchanged', async () => {
+    stubStudent(student);
+    const ledger = buildLedger('present', { presentCount: 2 });
+    stubLedger(ledger);
+
+    assert.equal(await attendanceLedgerService.applyRecordCorrection(record, '02', 'present'), false);
+    assert.equal(ledger.presentCount, 2);
+    assert.equal(ledger.save.mock.callCount(), 0);
+  });
+
+  it('skips students without an account or ledger entry', async () => {
+    stubStudent(null);
+    const findLedger = stubLedger(null);
+    assert.equal(await attendanceLedgerService.applyRecordCorrection(record, '99', 'present'), false);
+    assert.equal(findLedger.mock.callCount(), 0);
+
+    mock.restoreAll();
+    stubStudent(student);
+    stubLedger(null);
+    assert.equal(await attendanceLedgerService.applyRecordCorrection(record, '02', 'present'), false);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redisCache = require('../src/services/redisCache');
+const qrTokenService = require('../src/services/qrTokenService');
+
+// Loading the service opens the shared Redis connection
+after(() => redisCache.disconnect());
+
+describe('qrTokenService.getProxyRingThreshold', () => {
+  beforeEach(() => {
+    qrTokenService.PROXY_RING_DEVICE_THRESHOLD = 15;
+    qrTokenService.PROXY_RING_CLASS_SHARE = 0.5;
+  });
+
+  it('never goes below the minimum device count', () => {
+    assert.equal(qrTokenService.getProxyRingThreshold(10), 15);
+    assert.equal(qrTokenService.getProxyRingThreshold(30), 15);
+  });
+
+  it('scales with the class size', () => {
+    assert.equal(qrTokenService.getProxyRingThreshold(60), 30);
+    assert.equal(qrTokenService.getProxyRingThreshold(61), 31);
+    assert.equal(qrTokenService.getProxyRingThreshold('120'), 60);
+  });
+
+  it('falls back to the minimum for an unknown class size', () => {
+    assert.equal(qrTokenService.getProxyRingThreshold(undefined), 15);
+    assert.equal(qrTokenService.getProxyRingThreshold('n/a'), 15);
+  });
+});
+
+describe('qrTokenService.claimTokenUseInMemory', () => {
+  let token = 0;
+  const nextToken = () => `token-${++token}`;
+
+  it('allows one use per student and per device', () => {
+    const qrToken = nextToken();
+
+    const first = qrTokenService.claimTokenUseInMemory(qrToken, 'student-1', 'device-1', 15);
+    assert.deepEqual(first, { allowed: true, useCount: 1, deviceCount: 1, proxyRing: false });
+
+    const second = qrTokenService.claimTokenUseInMemory(qrToken, 'student-2', 'device-2', 15);
+    assert.equal(second.allowed, true);
+    assert.equal(second.useCount, 2);
+  });
+
+  it('rejects a second scan by the same student', () => {
+    const qrToken = nextToken();
+    qrTokenService.claimTokenUseInMemory(qrToken, 'student-1', 'device-1', 15);
+
+    assert.equal(qrTokenService.claimTokenUseInMemory(qrToken, 'student-1', 'device-1', 15).code, 'TOKEN_ALREADY_USED');
+    assert.equal(qrTokenService.claimTokenUseInMemory(qrToken, 'student-1', 'device-2', 15).code, 'TOKEN_STUDENT_REUSED');
+  });
+
+  it('rejects another student scanning from the same device', () => {
+    const qrToken = nextToken();
+    qrTokenService.claimTokenUseInMemory(qrToken, 'student-1', 'device-1', 15);
+
+    const result = qrTokenService.claimTokenUseInMemory(qrToken, 'student-2', 'device-1', 15);
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 'TOKEN_DEVICE_REUSED');
+  });
+
+  it('keeps tokens apart', () => {
+    qrTokenService.claimTokenUseInMemory(nextToken(), 'student-1', 'device-1', 15);
+
+    assert.equal(qrTokenService.claimTokenUseInMemory(nextToken(), 'student-1', 'device-1', 15).allowed, true);
+  });
+
+  it('raises the proxy-ring alert once, at the threshold', () => {
+    const qrToken = nextToken();
+    const claims = [1, 2, 3, 4].map(n =>
+      qrTokenService.claimTokenUseInMemory(qrToken, `student-${n}`, `device-${n}`, 3)
+    );
+
+    assert.deepEqual(claims.map(claim => claim.proxyRing), [false, false, true, false]);
+    assert.equal(claims[3].deviceCount, 4);
+  });
+});
+
+describe('qrTokenService.checkChallengeCode', () => {
+  let token = 0;
+  const cachedToken = { challengeCode: '4821' };
+  const student = { studentId: 'student-1' };
+
+  it('accepts the projector code', async () => {
+    assert.equal(await qrTokenService.checkChallengeCode(`challenge-${++token}`, cachedToken, ' 4821 ', student), null);
+  });
+
+  it('stops comparing codes after the allowed submissions', async () => {
+    const qrToken = `challenge-${++token}`;
+    const codes = ['0000', '1111', '2222'];
+    for (const code of codes) {
+      assert.equal((await qrTokenService.checkChallengeCode(qrToken, cachedToken, code, student)).code, 'CHALLENGE_MISMATCH');
+    }
+
+    const result = await qrTokenService.checkChallengeCode(qrToken, cachedToken, '4821', student);
+    assert.equal(result.code, 'CHALLENGE_ATTEMPTS_EXCEEDED');
+  });
+
+  it('counts parallel submissions', async () => {
+    const qrToken = `challenge-${++token}`;
+    const guesses = Array.from({ length: 10 }, (_, n) => String(4815 + n).padStart(4, '0'));
+
+    const results = await Promise.all(guesses.map(code =>
+      qrTokenService.checkChallengeCode(qrToken, cachedToken, code, student)
+    ));
+
+    assert.equal(results.filter(result => result && result.code === 'CHALLENGE_ATTEMPTS_EXCEEDED').length, 7);
+    assert.equal(results.filter(result => result === null).length, 0);
+  });
+
+  it('limits each student separately', async () => {
+    const qrToken = `challenge-${++token}`;
+    for (let n = 0; n < 4; n++) {
+      await qrTokenService.checkChallengeCode(qrToken, cachedToken, '0000', student);
+    }
+
+    assert.equal(await qrTokenService.checkChallengeCode(qrToken, cachedToken, '4821', { studentId: 'student-2' }), null);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const totpService = require('../src/services/totpService');
+
+// RFC 6238 appendix B secret ("12345678901234567890"), base32-encoded
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const atTime = (seconds) => mock.method(Date, 'now', () => seconds * 1000);
+
+describe('totpService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('round-trips base32 secrets', () => {
+    assert.equal(totpService.base32Encode(Buffer.from('12345678901234567890')), SECRET);
+    assert.equal(totpService.base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => totpService.base32Decode('not base32!'), /Invalid base32 secret/);
+  });
+
+  it('generates the RFC 6238 SHA-1 codes', () => {
+    // Last six digits of the reference eight-digit values
+    assert.equal(totpService.generateCode(SECRET, totpService.getStep(59 * 1000)), '287082');
+    assert.equal(totpService.generateCode(SECRET, totpService.getStep(1111111109 * 1000)), '081804');
+    assert.equal(totpService.generateCode(SECRET, totpService.getStep(1234567890 * 1000)), '005924');
+  });
+
+  it('accepts one step of clock drift either side', () => {
+    atTime(1234567890);
+    const step = totpService.getStep();
+
+    assert.equal(totpService.verifyCode(SECRET, totpService.generateCode(SECRET, step)), step);
+    assert.equal(totpService.verifyCode(SECRET, totpService.generateCode(SECRET, step - 1)), step - 1);
+    assert.equal(totpService.verifyCode(SECRET, totpService.generateCode(SECRET, step + 1)), step + 1);
+    assert.equal(totpService.verifyCode(SECRET, totpService.generateCode(SECRET, step - 2)), null);
+    assert.equal(totpService.verifyCode(SECRET, totpService.generateCode(SECRET, step + 2)), null);
+  });
+
+  it('rejects replayed and malformed codes', () => {
+    atTime(1234567890);
+    const step = totpService.getStep();
+    const code = totpService.generateCode(SECRET, step);
+
+    assert.equal(totpService.verifyCode(SECRET, code, step), null);
+    assert.equal(totpService.verifyCode(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, step - 1), step);
+    assert.equal(totpService.verifyCode(SECRET, '12345'), null);
+    assert.equal(totpService.verifyCode(SECRET, 'abcdef'), null);
+    assert.equal(totpService.verifyCode(SECRET, undefined), null);
+  });
+
+  it('builds an authenticator provisioning URI', () => {
+    const uri = new URL(totpService.buildProvisioningUri(SECRET, 'faculty@example.edu'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/QuickRoll:faculty@example.edu');
+    assert.equal(uri.searchParams.get('secret'), SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
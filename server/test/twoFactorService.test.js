@@ -0,0 +1,67 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const TwoFactorAttempt = require('../src/models/TwoFactorAttempt');
+const twoFactorService = require('../src/services/twoFactorService');
+
+const account = { _id: new mongoose.Types.ObjectId() };
+
+// Attempts already in the lockout window, oldest first
+const stubAttempts = (challengeIds) => {
+  const now = Date.now();
+  const attempts = challengeIds.map((challengeId, index) => ({
+    challengeId,
+    timestamp: new Date(now - (challengeIds.length - index) * 1000)
+  }));
+  mock.method(TwoFactorAttempt, 'create', async (doc) => {
+    attempts.push({ ...doc, _id: 'new-attempt', timestamp: new Date(now) });
+    return { _id: 'new-attempt' };
+  });
+  mock.method(TwoFactorAttempt, 'find', () => ({
+    select: () => ({ sort: () => ({ lean: async () => attempts }) })
+  }));
+  return {
+    deleteOne: mock.method(TwoFactorAttempt, 'deleteOne', async () => {}),
+    deleteMany: mock.method(TwoFactorAttempt, 'deleteMany', async () => {})
+  };
+};
+
+describe('twoFactorService.verifyAttempt', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('checks the code while under the limits', async () => {
+    const { deleteMany } = stubAttempts(Array(9).fill('settings'));
+    const verify = mock.method(twoFactorService, 'verify', async () => true);
+
+    assert.deepEqual(await twoFactorService.verifyAttempt('user', account, { code: '123456' }, '10.0.0.1'), { valid: true, lockout: null });
+    assert.equal(verify.mock.callCount(), 1);
+    assert.equal(deleteMany.mock.callCount(), 1);
+  });
+
+  it('locks account settings out after too many wrong codes', async () => {
+    const { deleteOne } = stubAttempts(Array(10).fill('settings'));
+    const verify = mock.method(twoFactorService, 'verify', async () => true);
+
+    const result = await twoFactorService.verifyAttempt('user', account, { code: '123456' }, '10.0.0.1');
+    assert.equal(result.valid, false);
+    assert.ok(result.lockout.retryAfter > 0);
+    assert.equal(verify.mock.callCount(), 0);
+    assert.equal(deleteOne.mock.callCount(), 1);
+  });
+
+  it('ends a login challenge after its own limit', async () => {
+    stubAttempts(Array(5).fill('challenge-1'));
+    mock.method(twoFactorService, 'verify', async () => true);
+
+    const result = await twoFactorService.verifyAttempt('admin', account, { code: '123456' }, '10.0.0.1', 'challenge-1');
+    assert.equal(result.lockout.retryAfter, 0);
+  });
+
+  it('does not apply the login challenge limit to account settings', async () => {
+    stubAttempts(Array(5).fill('settings'));
+    mock.method(twoFactorService, 'verify', async () => false);
+
+    assert.deepEqual(await twoFactorService.verifyAttempt('user', account, { code: '000000' }, '10.0.0.1'), { valid: false, lockout: null });
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redisCache = require('../src/services/redisCache');
+const webhookService = require('../src/services/webhookService');
+
+// Loading the service opens the shared Redis connection
+after(() => redisCache.disconnect());
+
+describe('webhookService.sign', () => {
+  const secret = 'whsec_test';
+  const timestamp = '1760000000';
+  const body = JSON.stringify({ event: 'record.updated' });
+
+  it('signs the timestamp and raw body with HMAC-SHA256', () => {
+    assert.equal(
+      webhookService.sign(secret, timestamp, body),
+      'sha256=c5c725ca1ceca9f14f29d5ea277d67d585ac751fb1c0ff80fd4202b731651792'
+    );
+  });
+
+  it('changes with the secret, timestamp and body', () => {
+    const signature = webhookService.sign(secret, timestamp, body);
+
+    assert.notEqual(webhookService.sign('whsec_other', timestamp, body), signature);
+    assert.notEqual(webhookService.sign(secret, '1760000001', body), signature);
+    assert.notEqual(webhookService.sign(secret, timestamp, `${body} `), signature);
+  });
+});